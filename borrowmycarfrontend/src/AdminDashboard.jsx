@@ -3,6 +3,7 @@ import { useAdminAuth } from "./context/AdminAuthProvider";
 import { useNavigate, useLocation } from "react-router-dom";
 import { Helmet } from "react-helmet-async";
 import API from "./api";
+import InspectionComparison from "./components/InspectionComparison";
 
 // Dashboard Stats Component
 const DashboardStats = ({ stats }) => {
@@ -317,8 +318,75 @@ const CarCard = ({ car, updateCarStatus, deleteCar }) => (
   </div>
 );
 
+// Cash Dispute Form Component - settle what changed hands at pickup
+const CashDisputeForm = ({ booking, onResolve }) => {
+  const dispute = booking.cashCollection?.dispute || {};
+  const [amount, setAmount] = useState(
+    String(dispute.claimedAmount ?? booking.cashCollection?.amount ?? 0)
+  );
+  const [resolution, setResolution] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const resolve = async () => {
+    setSubmitting(true);
+    await onResolve(booking._id, { amount, resolution });
+    setSubmitting(false);
+  };
+
+  return (
+    <div className="border-t mt-4 pt-4">
+      <p className="text-sm text-gray-700 mb-3">
+        <span className="font-medium">
+          Cash disputed by the {dispute.raisedByRole}:
+        </span>{" "}
+        {dispute.reason}
+        <span className="block text-gray-500">
+          Owner recorded AED {booking.cashCollection?.amount ?? 0} of AED{" "}
+          {booking.cashCollection?.expectedAmount ?? booking.totalPayable}
+          {dispute.claimedAmount != null &&
+            ` · ${dispute.raisedByRole} says AED ${dispute.claimedAmount}`}
+        </span>
+      </p>
+      <div className="flex flex-col lg:flex-row gap-3 lg:items-end">
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">
+            Cash collected (AED)
+          </label>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            className="w-36 px-3 py-2 border border-gray-300 rounded-md"
+          />
+        </div>
+        <div className="flex-1">
+          <label className="block text-sm text-gray-600 mb-1">
+            Resolution (shared with both parties)
+          </label>
+          <input
+            type="text"
+            maxLength={500}
+            value={resolution}
+            onChange={(e) => setResolution(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md"
+          />
+        </div>
+        <button
+          onClick={resolve}
+          disabled={submitting || amount === "" || !resolution.trim()}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+        >
+          Settle Payment
+        </button>
+      </div>
+    </div>
+  );
+};
+
 // Booking Card Component
-const BookingCard = ({ booking }) => (
+const BookingCard = ({ booking, onResolveCash }) => (
   <div className="bg-white rounded-lg shadow-md p-6 mb-4">
     <div className="flex justify-between items-start">
       <div className="flex-1">
@@ -382,6 +450,14 @@ const BookingCard = ({ booking }) => (
             >
               {booking.paymentStatus || "pending"}
             </span>
+            {booking.paymentMethod === "Cash" && (
+              <span className="ml-2 text-xs text-gray-500">
+                Cash
+                {booking.cashCollection?.status &&
+                  booking.cashCollection.status !== "none" &&
+                  ` · ${booking.cashCollection.status}`}
+              </span>
+            )}
           </div>
           <div>
             <p className="text-sm text-gray-500">Created</p>
@@ -390,11 +466,773 @@ const BookingCard = ({ booking }) => (
             </p>
           </div>
         </div>
+
+        {booking.cashCollection?.status === "disputed" && (
+          <CashDisputeForm booking={booking} onResolve={onResolveCash} />
+        )}
       </div>
     </div>
   </div>
 );
 
+// Dispute Card Component - contested damage claim with evidence
+const DisputeCard = ({ claim, onResolve }) => {
+  const [approvedAmount, setApprovedAmount] = useState(claim.estimatedCost);
+  const [notes, setNotes] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const resolve = async (decision) => {
+    setSubmitting(true);
+    await onResolve(claim._id, {
+      decision,
+      approvedAmount: decision === "uphold" ? approvedAmount : undefined,
+      notes: notes || undefined,
+    });
+    setSubmitting(false);
+  };
+
+  const deposit = claim.booking?.securityDeposit || 0;
+  const depositLeft = deposit - (claim.booking?.depositDeducted || 0);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-4">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">
+            {claim.car?.title || "Car Details Unavailable"}
+          </h3>
+          <p className="text-gray-600 text-sm">
+            Owner: {claim.owner?.name} ({claim.owner?.email}) · Renter:{" "}
+            {claim.renter?.name} ({claim.renter?.email})
+          </p>
+        </div>
+        <div className="text-right">
+          <p className="text-sm text-gray-500">Claimed</p>
+          <p className="text-xl font-bold text-red-600">
+            AED {claim.estimatedCost}
+          </p>
+          <span className="px-2 py-1 rounded text-xs font-medium bg-orange-100 text-orange-800">
+            {claim.status}
+          </span>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 mb-4">
+        <div className="bg-gray-50 rounded-lg p-4">
+          <p className="text-sm font-medium text-gray-900 mb-1">
+            Owner&apos;s claim
+          </p>
+          <p className="text-sm text-gray-700 mb-3">{claim.description}</p>
+          <div className="grid grid-cols-4 gap-2">
+            {claim.photos?.map((photo) => (
+              <a key={photo} href={photo} target="_blank" rel="noreferrer">
+                <img
+                  src={photo}
+                  alt="Damage"
+                  className="w-full h-16 object-cover rounded"
+                />
+              </a>
+            ))}
+          </div>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-4">
+          <p className="text-sm font-medium text-gray-900 mb-1">
+            Renter&apos;s response
+          </p>
+          <p className="text-sm text-gray-700">
+            {claim.renterResponse?.message || "No comment"}
+          </p>
+          <p className="text-xs text-gray-500 mt-3">
+            Security deposit: AED {deposit} (AED {depositLeft} remaining)
+          </p>
+        </div>
+      </div>
+
+      {claim.evidence?.length > 0 && (
+        <div className="mb-4">
+          <p className="text-sm font-medium text-gray-900 mb-2">
+            Inspection evidence
+          </p>
+          <InspectionComparison inspections={claim.evidence} />
+        </div>
+      )}
+
+      {claim.status === "contested" && (
+        <div className="border-t pt-4 flex flex-col lg:flex-row gap-3 lg:items-end">
+          <div>
+            <label className="block text-sm text-gray-600 mb-1">
+              Approved amount (AED)
+            </label>
+            <input
+              type="number"
+              min="1"
+              max={claim.estimatedCost}
+              value={approvedAmount}
+              onChange={(e) => setApprovedAmount(e.target.value)}
+              className="w-36 px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </div>
+          <div className="flex-1">
+            <label className="block text-sm text-gray-600 mb-1">
+              Decision notes (shared with both parties)
+            </label>
+            <input
+              type="text"
+              maxLength={1000}
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </div>
+          <button
+            onClick={() => resolve("uphold")}
+            disabled={submitting}
+            className="bg-red-600 text-white px-4 py-2 rounded hover:bg-red-700 disabled:opacity-50"
+          >
+            Uphold Claim
+          </button>
+          <button
+            onClick={() => resolve("dismiss")}
+            disabled={submitting}
+            className="bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700 disabled:opacity-50"
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Cities a car can be listed in (see the Car model)
+const PROMO_CITIES = [
+  "Dubai",
+  "Abu Dhabi",
+  "Sharjah",
+  "Al Jazirah Al Hamra",
+  "Al Nakheel",
+  "Al Hamra",
+  "Al Qurm",
+  "Khuzam",
+  "Al Seer",
+  "Al Mairid",
+  "Al Uraibi",
+];
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : "");
+
+const emptyPromo = {
+  code: "",
+  description: "",
+  discountType: "percentage",
+  discountValue: "",
+  maxDiscount: "",
+  validFrom: "",
+  validTo: "",
+  maxRedemptions: "",
+  perUserLimit: 1,
+  minRentalDays: 1,
+  cities: [],
+  cars: "",
+  isActive: true,
+};
+
+// Promo Form Component - create or edit a promo code
+const PromoForm = ({ promo, onSave, onCancel }) => {
+  const [form, setForm] = useState(() =>
+    promo
+      ? {
+          ...emptyPromo,
+          ...promo,
+          maxDiscount: promo.maxDiscount ?? "",
+          maxRedemptions: promo.maxRedemptions ?? "",
+          validFrom: toDateInput(promo.validFrom),
+          validTo: toDateInput(promo.validTo),
+          cars: (promo.cars || []).map((car) => car._id || car).join(", "),
+        }
+      : emptyPromo
+  );
+  const [saving, setSaving] = useState(false);
+
+  const update = (changes) => setForm((prev) => ({ ...prev, ...changes }));
+
+  const toggleCity = (city) =>
+    update({
+      cities: form.cities.includes(city)
+        ? form.cities.filter((c) => c !== city)
+        : [...form.cities, city],
+    });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    await onSave({
+      ...(promo ? {} : { code: form.code.trim() }),
+      description: form.description,
+      discountType: form.discountType,
+      discountValue: Number(form.discountValue),
+      maxDiscount: form.maxDiscount === "" ? null : Number(form.maxDiscount),
+      validFrom: form.validFrom,
+      // Valid through the whole last day
+      validTo: `${form.validTo}T23:59:59.999Z`,
+      maxRedemptions:
+        form.maxRedemptions === "" ? null : Number(form.maxRedemptions),
+      perUserLimit: Number(form.perUserLimit),
+      minRentalDays: Number(form.minRentalDays),
+      cities: form.cities,
+      cars: form.cars
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean),
+      isActive: form.isActive,
+    });
+    setSaving(false);
+  };
+
+  const inputClass = "w-full px-3 py-2 border border-gray-300 rounded-md";
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="bg-white rounded-lg shadow-md p-6 mb-4 space-y-4"
+    >
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">Code</label>
+          <input
+            type="text"
+            required
+            disabled={Boolean(promo)}
+            value={form.code}
+            maxLength={30}
+            onChange={(e) => update({ code: e.target.value.toUpperCase() })}
+            className={`${inputClass} disabled:bg-gray-100`}
+          />
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-sm text-gray-600 mb-1">Description</label>
+          <input
+            type="text"
+            value={form.description}
+            maxLength={200}
+            onChange={(e) => update({ description: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">Discount</label>
+          <div className="flex gap-2">
+            <select
+              value={form.discountType}
+              onChange={(e) => update({ discountType: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-md"
+            >
+              <option value="percentage">%</option>
+              <option value="fixed">AED</option>
+            </select>
+            <input
+              type="number"
+              required
+              min="0.01"
+              step="0.01"
+              max={form.discountType === "percentage" ? 100 : undefined}
+              value={form.discountValue}
+              onChange={(e) => update({ discountValue: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+        </div>
+        {form.discountType === "percentage" && (
+          <div>
+            <label className="block text-sm text-gray-600 mb-1">
+              Maximum discount (AED, optional)
+            </label>
+            <input
+              type="number"
+              min="0"
+              value={form.maxDiscount}
+              onChange={(e) => update({ maxDiscount: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+        )}
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">Valid from</label>
+          <input
+            type="date"
+            required
+            value={form.validFrom}
+            onChange={(e) => update({ validFrom: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">Valid until</label>
+          <input
+            type="date"
+            required
+            min={form.validFrom || undefined}
+            value={form.validTo}
+            onChange={(e) => update({ validTo: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">
+            Total redemptions (blank = unlimited)
+          </label>
+          <input
+            type="number"
+            min="1"
+            value={form.maxRedemptions}
+            onChange={(e) => update({ maxRedemptions: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">Uses per renter</label>
+          <input
+            type="number"
+            min="1"
+            required
+            value={form.perUserLimit}
+            onChange={(e) => update({ perUserLimit: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">
+            Minimum rental days
+          </label>
+          <input
+            type="number"
+            min="1"
+            required
+            value={form.minRentalDays}
+            onChange={(e) => update({ minRentalDays: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div>
+        <span className="block text-sm text-gray-600 mb-1">
+          Cities (none selected = all cities)
+        </span>
+        <div className="flex flex-wrap gap-2">
+          {PROMO_CITIES.map((city) => (
+            <button
+              key={city}
+              type="button"
+              onClick={() => toggleCity(city)}
+              className={`px-3 py-1 rounded-full text-sm border ${
+                form.cities.includes(city)
+                  ? "bg-blue-600 text-white border-blue-600"
+                  : "border-gray-300 text-gray-700 hover:bg-gray-100"
+              }`}
+            >
+              {city}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm text-gray-600 mb-1">
+          Car IDs, comma separated (blank = all cars)
+        </label>
+        <input
+          type="text"
+          value={form.cars}
+          onChange={(e) => update({ cars: e.target.value })}
+          className={inputClass}
+        />
+      </div>
+
+      <div className="flex items-center justify-between">
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={form.isActive}
+            onChange={(e) => update({ isActive: e.target.checked })}
+            className="mr-2"
+          />
+          Active
+        </label>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 border border-gray-300 rounded hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? "Saving..." : promo ? "Save Promo" : "Create Promo"}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+// Promo Card Component - a promo code and its usage
+const PromoCard = ({ promo, onEdit, onToggle, onDelete }) => {
+  const now = new Date();
+  const expired = new Date(promo.validTo) < now;
+  const scheduled = new Date(promo.validFrom) > now;
+  const status = !promo.isActive
+    ? { label: "inactive", className: "bg-gray-100 text-gray-800" }
+    : expired
+    ? { label: "expired", className: "bg-red-100 text-red-800" }
+    : scheduled
+    ? { label: "scheduled", className: "bg-yellow-100 text-yellow-800" }
+    : { label: "active", className: "bg-green-100 text-green-800" };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-4">
+      <div className="flex justify-between items-start">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 font-mono">
+            {promo.code}
+          </h3>
+          {promo.description && (
+            <p className="text-gray-600 text-sm">{promo.description}</p>
+          )}
+          <p className="text-sm text-gray-700 mt-2">
+            {promo.discountType === "percentage"
+              ? `${promo.discountValue}% off`
+              : `AED ${promo.discountValue} off`}
+            {promo.maxDiscount > 0 && ` (up to AED ${promo.maxDiscount})`}
+            {promo.minRentalDays > 1 && ` · ${promo.minRentalDays}+ days`}
+            {" · "}
+            {new Date(promo.validFrom).toLocaleDateString()} –{" "}
+            {new Date(promo.validTo).toLocaleDateString()}
+          </p>
+          <p className="text-xs text-gray-500 mt-1">
+            {promo.cities?.length ? promo.cities.join(", ") : "All cities"}
+            {" · "}
+            {promo.cars?.length
+              ? promo.cars.map((car) => car.title || car).join(", ")
+              : "All cars"}
+          </p>
+        </div>
+        <div className="text-right">
+          <span
+            className={`px-2 py-1 rounded text-xs font-medium ${status.className}`}
+          >
+            {status.label}
+          </span>
+          <p className="text-sm text-gray-600 mt-2">
+            {promo.redemptionCount}
+            {promo.maxRedemptions ? ` / ${promo.maxRedemptions}` : ""} used
+          </p>
+          <p className="text-xs text-gray-500">
+            {promo.perUserLimit} per renter
+          </p>
+        </div>
+      </div>
+      <div className="flex gap-2 mt-4 pt-4 border-t">
+        <button
+          onClick={() => onEdit(promo)}
+          className="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700"
+        >
+          Edit
+        </button>
+        <button
+          onClick={() => onToggle(promo)}
+          className="bg-gray-600 text-white px-3 py-1 rounded text-sm hover:bg-gray-700"
+        >
+          {promo.isActive ? "Deactivate" : "Activate"}
+        </button>
+        {promo.redemptionCount === 0 && (
+          <button
+            onClick={() => onDelete(promo)}
+            className="bg-red-600 text-white px-3 py-1 rounded text-sm hover:bg-red-700"
+          >
+            Delete
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Payouts Panel Component - owner balances, payout batches and ledger checks
+const PayoutsPanel = ({ balances, payouts, reconciliation, onSendBatch }) => {
+  const [selected, setSelected] = useState([]);
+  const [reference, setReference] = useState("");
+  const [sending, setSending] = useState(false);
+  // Kept until the batch goes through, so a resend can't pay anyone twice
+  const [batchKey, setBatchKey] = useState(() => crypto.randomUUID());
+
+  const payable = balances.filter((b) => b.available > 0);
+  const ownerId = (b) => b.owner._id || b.owner;
+  const selectedTotal = payable
+    .filter((b) => selected.includes(ownerId(b)))
+    .reduce((sum, b) => sum + b.available, 0);
+
+  const toggle = (id) =>
+    setSelected((prev) =>
+      prev.includes(id) ? prev.filter((s) => s !== id) : [...prev, id]
+    );
+
+  const send = async () => {
+    if (
+      !window.confirm(
+        `Mark AED ${selectedTotal.toFixed(2)} to ${selected.length} owner${
+          selected.length !== 1 ? "s" : ""
+        } as sent?`
+      )
+    ) {
+      return;
+    }
+    setSending(true);
+    const sent = await onSendBatch({
+      ownerIds: selected,
+      batchKey,
+      reference: reference.trim() || undefined,
+    });
+    setSending(false);
+    if (sent) {
+      setSelected([]);
+      setReference("");
+      setBatchKey(crypto.randomUUID());
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">
+          Owner Balances
+        </h3>
+        {balances.length === 0 ? (
+          <p className="text-gray-600">No owner has a balance.</p>
+        ) : (
+          <>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2" />
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Owner</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-500">Balance</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-500">Available</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-500">Pending</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {balances.map((b) => (
+                    <tr key={ownerId(b)}>
+                      <td className="px-4 py-2">
+                        <input
+                          type="checkbox"
+                          disabled={b.available <= 0}
+                          checked={selected.includes(ownerId(b))}
+                          onChange={() => toggle(ownerId(b))}
+                        />
+                      </td>
+                      <td className="px-4 py-2 text-gray-900">
+                        {b.owner.name || ownerId(b)}
+                        {b.owner.email && (
+                          <span className="block text-xs text-gray-500">{b.owner.email}</span>
+                        )}
+                      </td>
+                      <td
+                        className={`px-4 py-2 text-right ${
+                          b.balance < 0 ? "text-red-600" : "text-gray-900"
+                        }`}
+                      >
+                        AED {b.balance.toFixed(2)}
+                      </td>
+                      <td className="px-4 py-2 text-right text-gray-900">
+                        AED {b.available.toFixed(2)}
+                      </td>
+                      <td className="px-4 py-2 text-right text-gray-500">
+                        AED {b.pending.toFixed(2)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {payable.length > 0 && (
+              <div className="flex flex-wrap items-center gap-2 mt-4 pt-4 border-t">
+                <button
+                  onClick={() =>
+                    setSelected(
+                      selected.length === payable.length ? [] : payable.map(ownerId)
+                    )
+                  }
+                  className="text-sm text-blue-600 hover:text-blue-700"
+                >
+                  {selected.length === payable.length ? "Clear selection" : "Select all available"}
+                </button>
+                <input
+                  type="text"
+                  value={reference}
+                  onChange={(e) => setReference(e.target.value)}
+                  maxLength={100}
+                  placeholder="Transfer reference (optional)"
+                  className="flex-1 min-w-48 px-3 py-1 border border-gray-300 rounded text-sm"
+                />
+                <button
+                  onClick={send}
+                  disabled={selected.length === 0 || sending}
+                  className="bg-green-600 text-white px-4 py-1 rounded text-sm hover:bg-green-700 disabled:opacity-50"
+                >
+                  {sending
+                    ? "Saving..."
+                    : `Mark as sent${selected.length ? ` (AED ${selectedTotal.toFixed(2)})` : ""}`}
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Recent Payouts</h3>
+        {payouts.length === 0 ? (
+          <p className="text-gray-600">No payouts have been sent yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 text-sm">
+            {payouts.map((payout) => (
+              <li key={payout._id} className="flex justify-between py-2">
+                <span className="text-gray-700">
+                  {payout.owner?.name || "Owner"} ·{" "}
+                  {new Date(payout.sentAt).toLocaleDateString()} ·{" "}
+                  <span className="font-mono text-xs">{payout.batchId}</span>
+                  {payout.reference && ` · ref. ${payout.reference}`}
+                </span>
+                <span className="font-medium text-gray-900">
+                  AED {payout.amount.toFixed(2)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">
+          Ledger Reconciliation
+        </h3>
+        {reconciliation && (
+          <p className="text-sm text-gray-600 mb-4">
+            {reconciliation.checked} bookings updated in the last 30 days checked,{" "}
+            {reconciliation.flaggedCount} flagged
+          </p>
+        )}
+        {reconciliation?.flagged.length > 0 ? (
+          <div className="space-y-3">
+            {reconciliation.flagged.map(({ booking, issues }) => (
+              <div key={booking._id} className="border border-red-200 rounded p-3">
+                <p className="text-sm font-medium text-gray-900">
+                  {booking.car} · {booking.status} · {booking.paymentMethod}{" "}
+                  <span className="font-mono text-xs text-gray-500">{booking._id}</span>
+                </p>
+                <ul className="mt-1 text-sm text-red-700 list-disc list-inside">
+                  {issues.map((issue, i) => (
+                    <li key={i}>
+                      <span className="font-mono text-xs">{issue.code}</span>{" "}
+                      {issue.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        ) : (
+          reconciliation && (
+            <p className="text-sm text-green-700">Every booking's ledger balances.</p>
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Webhook Event Row Component - a stored Stripe event, its payload and replay
+const WebhookEventRow = ({ event, onLoadPayload, onReplay }) => {
+  const [payload, setPayload] = useState(null);
+  const [replaying, setReplaying] = useState(false);
+
+  const statusStyles = {
+    processed: "bg-green-100 text-green-800",
+    failed: "bg-red-100 text-red-800",
+    processing: "bg-yellow-100 text-yellow-800",
+    received: "bg-blue-100 text-blue-800",
+    ignored: "bg-gray-100 text-gray-800",
+  };
+
+  const togglePayload = async () => {
+    if (payload) {
+      setPayload(null);
+      return;
+    }
+    setPayload(await onLoadPayload(event.eventId));
+  };
+
+  const replay = async () => {
+    setReplaying(true);
+    await onReplay(event);
+    setReplaying(false);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 mb-3">
+      <div className="flex justify-between items-start gap-4">
+        <div className="min-w-0">
+          <p className="font-medium text-gray-900">{event.type}</p>
+          <p className="font-mono text-xs text-gray-500 truncate">{event.eventId}</p>
+          <p className="text-xs text-gray-500 mt-1">
+            Received {new Date(event.receivedAt).toLocaleString()} ·{" "}
+            {event.attempts} attempt{event.attempts !== 1 ? "s" : ""}
+            {event.replayCount > 0 && ` · replayed ${event.replayCount}x`}
+            {!event.livemode && " · test mode"}
+          </p>
+          {event.lastError && (
+            <p className="text-sm text-red-700 mt-1">{event.lastError}</p>
+          )}
+        </div>
+        <span
+          className={`px-2 py-1 rounded text-xs font-medium ${
+            statusStyles[event.status] || statusStyles.ignored
+          }`}
+        >
+          {event.status}
+        </span>
+      </div>
+      <div className="flex gap-2 mt-3">
+        <button
+          onClick={togglePayload}
+          className="bg-gray-600 text-white px-3 py-1 rounded text-sm hover:bg-gray-700"
+        >
+          {payload ? "Hide payload" : "View payload"}
+        </button>
+        <button
+          onClick={replay}
+          disabled={replaying || event.status === "processing"}
+          className="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          {replaying ? "Replaying..." : "Replay"}
+        </button>
+      </div>
+      {payload && (
+        <pre className="mt-3 p-3 bg-gray-50 rounded text-xs overflow-x-auto max-h-96">
+          {JSON.stringify(payload, null, 2)}
+        </pre>
+      )}
+    </div>
+  );
+};
+
 // Pagination Component
 const Pagination = ({ currentPagination, onPageChange }) => {
   if (!currentPagination || currentPagination.totalPages <= 1) return null;
@@ -1186,6 +2024,16 @@ const AdminDashboard = () => {
   const [allUsers, setAllUsers] = useState([]);
   const [allCars, setAllCars] = useState([]);
   const [allBookings, setAllBookings] = useState([]);
+  const [bookingCashFilter, setBookingCashFilter] = useState("");
+  const [disputes, setDisputes] = useState([]);
+  const [promos, setPromos] = useState([]);
+  const [editingPromo, setEditingPromo] = useState(null); // promo, "new" or null
+  const [payoutBalances, setPayoutBalances] = useState([]);
+  const [payouts, setPayouts] = useState([]);
+  const [reconciliation, setReconciliation] = useState(null);
+  const [webhookEvents, setWebhookEvents] = useState([]);
+  const [webhookCounts, setWebhookCounts] = useState({});
+  const [webhookStatus, setWebhookStatus] = useState("failed");
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [searchTerm, setSearchTerm] = useState("");
@@ -1202,6 +2050,9 @@ const AdminDashboard = () => {
     users: { page: 1, totalPages: 1 },
     cars: { page: 1, totalPages: 1 },
     bookings: { page: 1, totalPages: 1 },
+    disputes: { page: 1, totalPages: 1 },
+    promos: { page: 1, totalPages: 1 },
+    webhooks: { page: 1, totalPages: 1 },
   });
 
   // Determine active tab from URL
@@ -1210,6 +2061,10 @@ const AdminDashboard = () => {
     if (path.includes("/admin/users")) return "users";
     if (path.includes("/admin/cars")) return "cars";
     if (path.includes("/admin/bookings")) return "bookings";
+    if (path.includes("/admin/disputes")) return "disputes";
+    if (path.includes("/admin/promos")) return "promos";
+    if (path.includes("/admin/payouts")) return "payouts";
+    if (path.includes("/admin/webhooks")) return "webhooks";
     if (path.includes("/admin/reports")) return "reports";
     if (path.includes("/admin/settings")) return "settings";
     return "dashboard";
@@ -1229,6 +2084,10 @@ const AdminDashboard = () => {
         fetchUsers(),
         fetchCars(),
         fetchBookings(),
+        fetchDisputes(),
+        fetchPromos(),
+        fetchPayouts(),
+        fetchWebhookEvents(),
         fetchActivityLog(),
         fetchSystemConfig(),
       ]);
@@ -1319,6 +2178,200 @@ const AdminDashboard = () => {
     }
   };
 
+  const changeBookingCashFilter = (cash) => {
+    setBookingCashFilter(cash);
+    fetchBookings(1, cash ? { cash } : {});
+  };
+
+  const resolveCashDispute = async (bookingId, settlement) => {
+    try {
+      const adminAPI = getAdminAPI();
+      await adminAPI.patch(`/admin/bookings/${bookingId}/cash-dispute`, settlement);
+      await fetchBookings(
+        pagination.bookings.currentPage || 1,
+        bookingCashFilter ? { cash: bookingCashFilter } : {}
+      );
+      setError("");
+    } catch (err) {
+      console.error("Error settling cash dispute:", err);
+      setError(err.response?.data?.message || "Failed to settle the cash payment");
+    }
+  };
+
+  const fetchDisputes = async (page = 1) => {
+    try {
+      const adminAPI = getAdminAPI();
+      const response = await adminAPI.get(
+        `/admin/disputes?page=${page}&limit=20`
+      );
+
+      if (response.data.success) {
+        const { claims, pagination: disputePagination } = response.data.data;
+        setDisputes(claims);
+        setPagination((prev) => ({ ...prev, disputes: disputePagination }));
+      }
+    } catch (err) {
+      console.error("Error fetching disputes:", err);
+      setError("Failed to fetch disputes");
+    }
+  };
+
+  const resolveDispute = async (claimId, resolution) => {
+    try {
+      const adminAPI = getAdminAPI();
+      await adminAPI.patch(`/admin/disputes/${claimId}/resolve`, resolution);
+      await fetchDisputes(pagination.disputes.currentPage || 1);
+      setError("");
+    } catch (err) {
+      console.error("Error resolving dispute:", err);
+      setError(err.response?.data?.message || "Failed to resolve dispute");
+    }
+  };
+
+  const fetchPromos = async (page = 1) => {
+    try {
+      const adminAPI = getAdminAPI();
+      const response = await adminAPI.get(`/admin/promos?page=${page}&limit=20`);
+
+      if (response.data.success) {
+        const { promos: promoList, pagination: promoPagination } =
+          response.data.data;
+        setPromos(promoList);
+        setPagination((prev) => ({ ...prev, promos: promoPagination }));
+      }
+    } catch (err) {
+      console.error("Error fetching promos:", err);
+      setError("Failed to fetch promo codes");
+    }
+  };
+
+  const savePromo = async (promoData) => {
+    try {
+      const adminAPI = getAdminAPI();
+      if (editingPromo === "new") {
+        await adminAPI.post("/admin/promos", promoData);
+      } else {
+        await adminAPI.patch(`/admin/promos/${editingPromo._id}`, promoData);
+      }
+      await fetchPromos(pagination.promos.currentPage || 1);
+      setEditingPromo(null);
+      setError("");
+    } catch (err) {
+      console.error("Error saving promo:", err);
+      setError(err.response?.data?.message || "Failed to save promo code");
+    }
+  };
+
+  const togglePromo = async (promo) => {
+    try {
+      const adminAPI = getAdminAPI();
+      await adminAPI.patch(`/admin/promos/${promo._id}`, {
+        isActive: !promo.isActive,
+      });
+      await fetchPromos(pagination.promos.currentPage || 1);
+      setError("");
+    } catch (err) {
+      console.error("Error updating promo:", err);
+      setError(err.response?.data?.message || "Failed to update promo code");
+    }
+  };
+
+  const fetchPayouts = async () => {
+    try {
+      const adminAPI = getAdminAPI();
+      const [balancesResponse, payoutsResponse, reconciliationResponse] =
+        await Promise.all([
+          adminAPI.get("/admin/payouts/balances"),
+          adminAPI.get("/admin/payouts?limit=20"),
+          adminAPI.get("/admin/ledger/reconciliation"),
+        ]);
+
+      setPayoutBalances(balancesResponse.data.data.balances);
+      setPayouts(payoutsResponse.data.data.payouts);
+      setReconciliation(reconciliationResponse.data.data);
+    } catch (err) {
+      console.error("Error fetching payouts:", err);
+      setError("Failed to fetch payouts");
+    }
+  };
+
+  const sendPayoutBatch = async (batch) => {
+    try {
+      const adminAPI = getAdminAPI();
+      const response = await adminAPI.post("/admin/payouts/batches", batch);
+      await fetchPayouts();
+      setError("");
+      alert(response.data.message);
+      return true;
+    } catch (err) {
+      console.error("Error sending payouts:", err);
+      setError(err.response?.data?.message || "Failed to mark payouts as sent");
+      return false;
+    }
+  };
+
+  const fetchWebhookEvents = async (page = 1, status = webhookStatus) => {
+    try {
+      const adminAPI = getAdminAPI();
+      const response = await adminAPI.get(
+        `/admin/webhook-events?status=${status}&page=${page}&limit=20`
+      );
+
+      if (response.data.success) {
+        const { events, counts, pagination: eventPagination } = response.data.data;
+        setWebhookEvents(events);
+        setWebhookCounts(counts);
+        setPagination((prev) => ({ ...prev, webhooks: eventPagination }));
+      }
+    } catch (err) {
+      console.error("Error fetching webhook events:", err);
+      setError("Failed to fetch webhook events");
+    }
+  };
+
+  const changeWebhookStatus = (status) => {
+    setWebhookStatus(status);
+    fetchWebhookEvents(1, status);
+  };
+
+  const loadWebhookPayload = async (eventId) => {
+    try {
+      const adminAPI = getAdminAPI();
+      const response = await adminAPI.get(`/admin/webhook-events/${eventId}`);
+      return response.data.data.event.payload;
+    } catch (err) {
+      console.error("Error fetching webhook event:", err);
+      setError(err.response?.data?.message || "Failed to load the event");
+      return null;
+    }
+  };
+
+  const replayWebhookEvent = async (event) => {
+    try {
+      const adminAPI = getAdminAPI();
+      await adminAPI.post(`/admin/webhook-events/${event.eventId}/replay`);
+      setError("");
+    } catch (err) {
+      console.error("Error replaying webhook event:", err);
+      setError(err.response?.data?.message || "Failed to replay the event");
+    }
+    await fetchWebhookEvents(pagination.webhooks.currentPage || 1);
+  };
+
+  const deletePromo = async (promo) => {
+    if (!window.confirm(`Delete promo code ${promo.code}?`)) return;
+
+    try {
+      const adminAPI = getAdminAPI();
+      await adminAPI.delete(`/admin/promos/${promo._id}`);
+      await fetchPromos(pagination.promos.currentPage || 1);
+      setError("");
+    } catch (err) {
+      console.error("Error deleting promo:", err);
+      setError(err.response?.data?.message || "Failed to delete promo code");
+    }
+  };
+
   const approveUser = async (userId) => {
     try {
       const adminAPI = getAdminAPI();
@@ -1652,6 +2705,10 @@ const AdminDashboard = () => {
                 {activeTab === "users" && "User Management"}
                 {activeTab === "cars" && "Car Management"}
                 {activeTab === "bookings" && "Booking Management"}
+                {activeTab === "disputes" && "Damage Disputes"}
+                {activeTab === "promos" && "Promo Codes"}
+                {activeTab === "payouts" && "Owner Payouts"}
+                {activeTab === "webhooks" && "Payment Webhooks"}
                 {activeTab === "reports" && "Reports & Analytics"}
                 {activeTab === "settings" && "System Settings"}
               </h1>
@@ -1661,6 +2718,14 @@ const AdminDashboard = () => {
                 {activeTab === "users" && "Manage user accounts and approvals"}
                 {activeTab === "cars" && "Oversee car listings and approvals"}
                 {activeTab === "bookings" && "Track all booking transactions"}
+                {activeTab === "disputes" &&
+                  "Arbitrate contested damage claims"}
+                {activeTab === "promos" &&
+                  "Create and manage discount codes for renters"}
+                {activeTab === "payouts" &&
+                  "Pay owners their earnings and check the ledger"}
+                {activeTab === "webhooks" &&
+                  "Inspect Stripe events and replay failed ones"}
                 {activeTab === "reports" && "Generate reports and export data"}
                 {activeTab === "settings" &&
                   "Configure system settings and preferences"}
@@ -2056,6 +3121,25 @@ const AdminDashboard = () => {
 
             {activeTab === "bookings" && (
               <>
+                <div className="flex gap-2 mb-4">
+                  {[
+                    ["", "All bookings"],
+                    ["outstanding", "Cash to collect"],
+                    ["disputed", "Cash disputes"],
+                  ].map(([cash, label]) => (
+                    <button
+                      key={label}
+                      onClick={() => changeBookingCashFilter(cash)}
+                      className={`px-3 py-1 rounded text-sm ${
+                        bookingCashFilter === cash
+                          ? "bg-blue-600 text-white"
+                          : "bg-white text-gray-700 border border-gray-300 hover:bg-gray-50"
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
                 {allBookings.length === 0 ? (
                   <div className="text-center py-12">
                     <div className="text-gray-400 text-6xl mb-4">📅</div>
@@ -2067,11 +3151,157 @@ const AdminDashboard = () => {
                 ) : (
                   <>
                     {allBookings.map((booking) => (
-                      <BookingCard key={booking._id} booking={booking} />
+                      <BookingCard
+                        key={booking._id}
+                        booking={booking}
+                        onResolveCash={resolveCashDispute}
+                      />
                     ))}
                     <Pagination
                       currentPagination={pagination.bookings}
-                      onPageChange={(page) => fetchBookings(page)}
+                      onPageChange={(page) =>
+                        fetchBookings(
+                          page,
+                          bookingCashFilter ? { cash: bookingCashFilter } : {}
+                        )
+                      }
+                    />
+                  </>
+                )}
+              </>
+            )}
+
+            {activeTab === "disputes" && (
+              <>
+                {disputes.length === 0 ? (
+                  <div className="text-center py-12">
+                    <div className="text-gray-400 text-6xl mb-4">⚖️</div>
+                    <h3 className="text-lg font-medium text-gray-900 mb-2">
+                      No open disputes
+                    </h3>
+                    <p className="text-gray-600">
+                      Contested damage claims will appear here
+                    </p>
+                  </div>
+                ) : (
+                  <>
+                    {disputes.map((claim) => (
+                      <DisputeCard
+                        key={claim._id}
+                        claim={claim}
+                        onResolve={resolveDispute}
+                      />
+                    ))}
+                    <Pagination
+                      currentPagination={pagination.disputes}
+                      onPageChange={(page) => fetchDisputes(page)}
+                    />
+                  </>
+                )}
+              </>
+            )}
+
+            {activeTab === "promos" && (
+              <>
+                {editingPromo ? (
+                  <PromoForm
+                    key={editingPromo._id || "new"}
+                    promo={editingPromo === "new" ? null : editingPromo}
+                    onSave={savePromo}
+                    onCancel={() => setEditingPromo(null)}
+                  />
+                ) : (
+                  <div className="flex justify-end">
+                    <button
+                      onClick={() => setEditingPromo("new")}
+                      className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
+                    >
+                      New Promo Code
+                    </button>
+                  </div>
+                )}
+                {promos.length === 0 ? (
+                  <div className="text-center py-12">
+                    <div className="text-gray-400 text-6xl mb-4">🏷️</div>
+                    <h3 className="text-lg font-medium text-gray-900 mb-2">
+                      No promo codes yet
+                    </h3>
+                    <p className="text-gray-600">
+                      Codes you create can be applied by renters at checkout
+                    </p>
+                  </div>
+                ) : (
+                  <>
+                    {promos.map((promo) => (
+                      <PromoCard
+                        key={promo._id}
+                        promo={promo}
+                        onEdit={setEditingPromo}
+                        onToggle={togglePromo}
+                        onDelete={deletePromo}
+                      />
+                    ))}
+                    <Pagination
+                      currentPagination={pagination.promos}
+                      onPageChange={(page) => fetchPromos(page)}
+                    />
+                  </>
+                )}
+              </>
+            )}
+
+            {activeTab === "payouts" && (
+              <PayoutsPanel
+                balances={payoutBalances}
+                payouts={payouts}
+                reconciliation={reconciliation}
+                onSendBatch={sendPayoutBatch}
+              />
+            )}
+
+            {activeTab === "webhooks" && (
+              <>
+                <div className="flex gap-2 mb-4">
+                  {["failed", "processing", "processed", "ignored", "all"].map(
+                    (status) => (
+                      <button
+                        key={status}
+                        onClick={() => changeWebhookStatus(status)}
+                        className={`px-3 py-1 rounded text-sm capitalize ${
+                          webhookStatus === status
+                            ? "bg-blue-600 text-white"
+                            : "bg-white text-gray-700 border border-gray-300 hover:bg-gray-50"
+                        }`}
+                      >
+                        {status}
+                        {webhookCounts[status] > 0 && ` (${webhookCounts[status]})`}
+                      </button>
+                    )
+                  )}
+                </div>
+                {webhookEvents.length === 0 ? (
+                  <div className="text-center py-12">
+                    <div className="text-gray-400 text-6xl mb-4">🔔</div>
+                    <h3 className="text-lg font-medium text-gray-900 mb-2">
+                      No {webhookStatus === "all" ? "" : `${webhookStatus} `}events
+                    </h3>
+                    <p className="text-gray-600">
+                      Stripe events are stored here as they arrive
+                    </p>
+                  </div>
+                ) : (
+                  <>
+                    {webhookEvents.map((event) => (
+                      <WebhookEventRow
+                        key={event.eventId}
+                        event={event}
+                        onLoadPayload={loadWebhookPayload}
+                        onReplay={replayWebhookEvent}
+                      />
+                    ))}
+                    <Pagination
+                      currentPagination={pagination.webhooks}
+                      onPageChange={(page) => fetchWebhookEvents(page)}
                     />
                   </>
                 )}
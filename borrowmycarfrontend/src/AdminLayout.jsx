@@ -40,6 +40,10 @@ const AdminLayout = () => {
     { name: 'Users', href: '/admin/users', icon: '👥', current: location.pathname === '/admin/users' },
     { name: 'Cars', href: '/admin/cars', icon: '🚗', current: location.pathname === '/admin/cars' },
     { name: 'Bookings', href: '/admin/bookings', icon: '📅', current: location.pathname === '/admin/bookings' },
+    { name: 'Disputes', href: '/admin/disputes', icon: '⚖️', current: location.pathname === '/admin/disputes' },
+    { name: 'Promos', href: '/admin/promos', icon: '🏷️', current: location.pathname === '/admin/promos' },
+    { name: 'Payouts', href: '/admin/payouts', icon: '💸', current: location.pathname === '/admin/payouts' },
+    { name: 'Webhooks', href: '/admin/webhooks', icon: '🔔', current: location.pathname === '/admin/webhooks' },
     { name: 'Reports', href: '/admin/reports', icon: '📈', current: location.pathname === '/admin/reports' },
     { name: 'Settings', href: '/admin/settings', icon: '⚙️', current: location.pathname === '/admin/settings' },
   ];
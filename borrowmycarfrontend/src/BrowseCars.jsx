@@ -1,7 +1,21 @@
 import { Helmet } from "react-helmet-async";
+import { Link, useSearchParams } from "react-router-dom";
+import { MapPin } from "lucide-react";
 import CarListingSection from "./CarListingSection";
+import SearchAutocomplete from "./components/SearchAutocomplete";
 
 const BrowseCars = () => {
+  // The search lives in the URL so the navbar search and shared links land here
+  const [searchParams, setSearchParams] = useSearchParams();
+  const search = searchParams.get("search") || "";
+
+  const handleSearch = (value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) next.set("search", value);
+    else next.delete("search");
+    setSearchParams(next);
+  };
+
   return (
     <>
       <Helmet>
@@ -9,10 +23,22 @@ const BrowseCars = () => {
       </Helmet>
       <div className="min-h-screen bg-gray-50">
         <div className="max-w-7xl mx-auto px-4 py-6">
-          <h1 className="text-3xl font-bold text-gray-900 mb-6">
-            Find Your Perfect Car
-          </h1>
-          <CarListingSection />
+          <div className="flex items-center justify-between mb-6">
+            <h1 className="text-3xl font-bold text-gray-900">
+              Find Your Perfect Car
+            </h1>
+            <Link
+              to="/map"
+              className="flex items-center text-sm font-medium text-green-700 hover:text-green-800"
+            >
+              <MapPin className="w-4 h-4 mr-1" />
+              Cars near me
+            </Link>
+          </div>
+          <div className="mb-2">
+            <SearchAutocomplete initialValue={search} onSearch={handleSearch} />
+          </div>
+          <CarListingSection search={search} />
         </div>
       </div>
     </>
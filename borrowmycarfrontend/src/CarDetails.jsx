@@ -1,26 +1,30 @@
 // src/CarDetails.jsx - Updated with Payment Integration
 import { useEffect, useState } from "react";
-import { useParams, useNavigate } from "react-router-dom";
+import { useParams, useNavigate, useSearchParams } from "react-router-dom";
 import API from "./api";
 import PaymentModal from "./components/PaymentModal";
+import PriceCalendar from "./components/PriceCalendar";
 import DateRangePicker from "./components/DateRangePicker";
+import CancellationPolicySummary from "./components/CancellationPolicySummary";
 import { useAuth } from "./context/AuthContext";
 
 const CarDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const { user, isAuthenticated } = useAuth();
   const [car, setCar] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
-  const [booking, setBooking] = useState({
-    startDate: "",
-    endDate: "",
-    pickupTime: "10:00",
-    returnTime: "18:00",
+  // Trip dates from a date search on the browse page prefill the form
+  const [booking, setBooking] = useState(() => ({
+    startDate: searchParams.get("startDate") || "",
+    endDate: searchParams.get("endDate") || "",
+    pickupTime: searchParams.get("pickupTime") || "10:00",
+    returnTime: searchParams.get("returnTime") || "18:00",
     pickupLocation: null,
     returnLocation: null
-  });
+  }));
   const [bookingError, setBookingError] = useState("");
   const [bookingLoading, setBookingLoading] = useState(false);
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
@@ -56,13 +60,9 @@ const CarDetails = () => {
       if (daysDiff > 0) {
         setNumberOfDays(daysDiff);
         
+        // Estimate only; the payment step shows the server's quote
         const dailyRate = car.price || car.pricePerDay;
-        const subtotal = Math.round(daysDiff * dailyRate);
-        const serviceFee = Math.round(subtotal * 0.05); // 5% service fee
-        const insurance = Math.round(subtotal * 0.03); // 3% insurance
-        const total = subtotal + serviceFee + insurance;
-
-        setTotalCost(total);
+        setTotalCost(Math.round(daysDiff * dailyRate));
       } else {
         setNumberOfDays(0);
         setTotalCost(0);
@@ -220,17 +220,7 @@ const CarDetails = () => {
       return;
     }
 
-    // Prepare payment data
-    const dailyRate = car.price || car.pricePerDay;
-    const startDate = new Date(booking.startDate);
-    const endDate = new Date(booking.endDate);
-    const timeDiff = endDate.getTime() - startDate.getTime();
-    const daysDiff = Math.ceil(timeDiff / (1000 * 3600 * 24));
-    const subtotal = Math.round(daysDiff * dailyRate);
-    const serviceFee = Math.round(subtotal * 0.05);
-    const insurance = Math.round(subtotal * 0.03);
-    const total = subtotal + serviceFee + insurance;
-
+    // Prices come from the server quote fetched by the payment modal
     const bookingPaymentData = {
       // Booking details
       carId: car._id,
@@ -239,17 +229,6 @@ const CarDetails = () => {
       carLocation: car.city,
       startDate: booking.startDate,
       endDate: booking.endDate,
-      numberOfDays: daysDiff,
-
-      // Pricing breakdown
-      dailyRate: dailyRate,
-      subtotal: subtotal,
-      serviceFee: serviceFee,
-      insurance: insurance,
-      totalAmount: total,
-
-      // For booking creation
-      totalCost: total,
 
       // Generate temporary booking ID
       bookingId: `temp_${Date.now()}_${Math.random()
@@ -275,8 +254,7 @@ const CarDetails = () => {
         returnTime: booking.returnTime || "18:00",
         pickupLocation: booking.pickupLocation,
         returnLocation: booking.returnLocation,
-        totalCost: paymentData.totalAmount,
-        totalDays: paymentData.numberOfDays,
+        quoteToken: paymentResult.quoteToken,
         paymentMethod: paymentResult.paymentMethod,
         paymentId: paymentResult.paymentId,
         paymentStatus: paymentResult.status || "completed",
@@ -520,6 +498,14 @@ const CarDetails = () => {
                       </svg>
                       AED {car.price || car.pricePerDay} / day
                     </span>
+                    {car.isInstantApproval && (
+                      <span className="inline-flex items-center gap-1 bg-green-100 text-green-800 px-2 py-0.5 rounded-full text-xs font-medium">
+                        <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20">
+                          <path fillRule="evenodd" d="M11.3 1.046A1 1 0 0112 2v5h4a1 1 0 01.82 1.573l-7 10A1 1 0 018 18v-5H4a1 1 0 01-.82-1.573l7-10a1 1 0 011.12-.38z" clipRule="evenodd" />
+                        </svg>
+                        Instant book
+                      </span>
+                    )}
                   </div>
                 </div>
 
@@ -798,10 +784,19 @@ const CarDetails = () => {
                       carId={car._id}
                       startDate={booking.startDate}
                       endDate={booking.endDate}
+                      initialPickupTime={booking.pickupTime}
+                      initialReturnTime={booking.returnTime}
                       onDateChange={handleDateRangeChange}
                       onError={handleDateError}
                     />
 
+                    {/* Weekend and seasonal rates */}
+                    <PriceCalendar
+                      carId={car._id}
+                      startDate={booking.startDate}
+                      endDate={booking.endDate}
+                    />
+
                     {/* Cost Breakdown */}
                     {numberOfDays > 0 && booking.startDate && booking.endDate && (
                       <div className="bg-gray-50 p-4 rounded-lg space-y-2">
@@ -814,37 +809,28 @@ const CarDetails = () => {
                             AED {Math.round(numberOfDays * (car.price || car.pricePerDay))}
                           </span>
                         </div>
-                        <div className="flex justify-between text-sm text-gray-600">
-                          <span>Service Fee (5%)</span>
-                          <span>
-                            AED{" "}
-                            {Math.round(
-                              numberOfDays *
-                                (car.price || car.pricePerDay) *
-                                0.05
-                            )}
-                          </span>
-                        </div>
-                        <div className="flex justify-between text-sm text-gray-600">
-                          <span>Insurance (3%)</span>
-                          <span>
-                            AED{" "}
-                            {Math.round(
-                              numberOfDays *
-                                (car.price || car.pricePerDay) *
-                                0.03
-                            )}
-                          </span>
-                        </div>
                         <div className="border-t pt-2 flex justify-between font-semibold">
-                          <span>Total</span>
+                          <span>Estimated rental (standard rate)</span>
                           <span className="text-green-600">
                             AED {totalCost}
                           </span>
                         </div>
+                        <p className="text-xs text-gray-500">
+                          Weekend, seasonal and long-stay pricing, delivery and
+                          the security deposit are applied in the final price
+                          shown before you pay.
+                        </p>
                       </div>
                     )}
 
+                    <CancellationPolicySummary
+                      policyName={car.cancellationPolicy}
+                      startDate={
+                        booking.startDate &&
+                        `${booking.startDate}T${booking.pickupTime}`
+                      }
+                    />
+
                     {bookingError && (
                       <div className="bg-red-50 border border-red-200 rounded-lg p-3">
                         <p className="text-sm text-red-600">{bookingError}</p>
@@ -887,6 +873,12 @@ const CarDetails = () => {
                   </form>
 
                   <div className="mt-4 text-xs text-gray-500 text-center">
+                    {car.isInstantApproval
+                      ? "⚡ Instant book: your reservation is confirmed without waiting for owner approval"
+                      : "🕒 The owner will review your request before it is confirmed"}
+                  </div>
+
+                  <div className="mt-2 text-xs text-gray-500 text-center">
                     🔒 Your booking is secure and protected
                   </div>
                 </div>
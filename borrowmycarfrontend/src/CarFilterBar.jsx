@@ -1,21 +1,56 @@
 import { useState, useEffect } from "react";
+import API from "./api";
+import PriceHistogramSlider from "./components/PriceHistogramSlider";
 
-const CarFilterBar = ({ onFiltersChange, onReset }) => {
+const TRIP_KEYS = ["startDate", "endDate", "pickupTime", "returnTime"];
+
+const todayISO = () => new Date().toISOString().split("T")[0];
+
+// Trip dates only search once both are set and the return is after pickup;
+// times ride along for the booking form but don't change the results
+const searchFilters = (filters) => {
+  const { startDate, endDate } = filters;
+  if (startDate && endDate && endDate > startDate) return filters;
+
+  const rest = { ...filters };
+  TRIP_KEYS.forEach((key) => delete rest[key]);
+  return rest;
+};
+
+// Non-empty filters as query params (features go comma-separated)
+const toQueryString = (filters) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  return params.toString();
+};
+
+const CarFilterBar = ({ onFiltersChange, onReset, search = "" }) => {
   const [filters, setFilters] = useState({
     city: "",
     makeModel: "",
+    make: "",
+    seatingCapacity: "",
+    features: "",
     priceMin: "",
     priceMax: "",
     year: "",
     kilometers: "",
     transmission: "",
     fuelType: "",
+    startDate: "",
+    endDate: "",
+    pickupTime: "",
+    returnTime: "",
   });
 
   const [showMakeModelSuggestions, setShowMakeModelSuggestions] =
     useState(false);
   const [filteredMakeModels, setFilteredMakeModels] = useState([]);
   const [activeFiltersCount, setActiveFiltersCount] = useState(0);
+  const [facets, setFacets] = useState(null);
+  const [showFeatures, setShowFeatures] = useState(false);
 
   // Compact data arrays
   const cities = [
@@ -44,6 +79,85 @@ const CarFilterBar = ({ onFiltersChange, onReset }) => {
   const kilometers = ["0-30k", "30k-60k", "60k-100k", "100k+"];
   const transmissions = ["Automatic", "Manual"];
   const fuelTypes = ["Petrol", "Diesel", "Electric", "Hybrid", "Plug-in Hybrid"];
+  const seats = ["2", "4", "5", "7", "8"];
+  const featureOptions = [
+    "GPS Navigation",
+    "Bluetooth",
+    "USB Charging",
+    "Wireless Charging",
+    "Sunroof",
+    "Leather Seats",
+    "Heated Seats",
+    "Cooled Seats",
+    "Backup Camera",
+    "Parking Sensors",
+    "Cruise Control",
+    "Keyless Entry",
+    "Push Start",
+    "Auto AC",
+    "Dual Zone AC",
+    "Premium Sound System",
+  ];
+
+  // Live counts for the current filters; each facet ignores its own
+  // selection, so other values stay visible while one is picked
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      API.get(`/cars/facets?${toQueryString({ ...searchFilters(filters), search })}`)
+        .then((response) => {
+          if (!cancelled) setFacets(response.data.data.facets);
+        })
+        .catch((err) => console.error("Failed to load filter counts:", err));
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [filters, search]);
+
+  // Matching cars for a filter value, or null before counts load
+  const countFor = (field, value) => {
+    if (!facets) return null;
+    const entry = facets[field]?.find((f) => String(f.value) === String(value));
+    return entry ? entry.count : 0;
+  };
+
+  // Values from the static list plus any others that have listings
+  const facetValues = (field, known) => {
+    const extra = (facets?.[field] || [])
+      .map((f) => String(f.value))
+      .filter((value) => !known.includes(value));
+    return [...known, ...extra];
+  };
+
+  // A select option with its count; dead ends are disabled unless selected
+  const renderOption = (field, value, label = value) => {
+    const count = countFor(field, value);
+    return (
+      <option
+        key={value}
+        value={value}
+        disabled={count === 0 && filters[field] !== value}
+      >
+        {count === null ? label : `${label} (${count})`}
+      </option>
+    );
+  };
+
+  const selectedFeatures = filters.features ? filters.features.split(",") : [];
+  const toggleFeature = (feature) => {
+    const next = selectedFeatures.includes(feature)
+      ? selectedFeatures.filter((f) => f !== feature)
+      : [...selectedFeatures, feature];
+    handleFilterChange("features", next.join(","));
+  };
+
+  const handlePriceChange = (priceMin, priceMax) => {
+    const newFilters = { ...filters, priceMin, priceMax };
+    setFilters(newFilters);
+    if (onFiltersChange) onFiltersChange(searchFilters(newFilters));
+  };
 
   // Handle filter changes
   const handleFilterChange = (key, value) => {
@@ -63,7 +177,7 @@ const CarFilterBar = ({ onFiltersChange, onReset }) => {
       }
     }
 
-    if (onFiltersChange) onFiltersChange(newFilters);
+    if (onFiltersChange) onFiltersChange(searchFilters(newFilters));
   };
 
   const handleMakeModelSelect = (model) => {
@@ -82,16 +196,24 @@ const CarFilterBar = ({ onFiltersChange, onReset }) => {
     const resetFilters = {
       city: "",
       makeModel: "",
+      make: "",
+      seatingCapacity: "",
+      features: "",
       priceMin: "",
       priceMax: "",
       year: "",
       kilometers: "",
       transmission: "",
+      fuelType: "",
+      startDate: "",
+      endDate: "",
+      pickupTime: "",
+      returnTime: "",
     };
     setFilters(resetFilters);
     setShowMakeModelSuggestions(false);
     if (onReset) onReset();
-    if (onFiltersChange) onFiltersChange(resetFilters);
+    if (onFiltersChange) onFiltersChange(searchFilters(resetFilters));
   };
 
   // Close suggestions when clicking outside
@@ -116,6 +238,9 @@ const CarFilterBar = ({ onFiltersChange, onReset }) => {
               {activeFiltersCount}
             </span>
           )}
+          {facets && (
+            <span className="text-xs text-gray-500">{facets.total} cars match</span>
+          )}
         </div>
 
         {activeFiltersCount > 0 && (
@@ -128,8 +253,55 @@ const CarFilterBar = ({ onFiltersChange, onReset }) => {
         )}
       </div>
 
+      {/* Trip Dates */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-3">
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Pickup date</label>
+          <input
+            type="date"
+            value={filters.startDate}
+            min={todayISO()}
+            onChange={(e) => handleFilterChange("startDate", e.target.value)}
+            className="w-full text-xs border border-gray-300 rounded-lg px-2 py-2 focus:ring-1 focus:ring-green-500 outline-none"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Pickup time</label>
+          <input
+            type="time"
+            value={filters.pickupTime}
+            onChange={(e) => handleFilterChange("pickupTime", e.target.value)}
+            className="w-full text-xs border border-gray-300 rounded-lg px-2 py-2 focus:ring-1 focus:ring-green-500 outline-none"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Return date</label>
+          <input
+            type="date"
+            value={filters.endDate}
+            min={filters.startDate || todayISO()}
+            onChange={(e) => handleFilterChange("endDate", e.target.value)}
+            className="w-full text-xs border border-gray-300 rounded-lg px-2 py-2 focus:ring-1 focus:ring-green-500 outline-none"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Return time</label>
+          <input
+            type="time"
+            value={filters.returnTime}
+            onChange={(e) => handleFilterChange("returnTime", e.target.value)}
+            className="w-full text-xs border border-gray-300 rounded-lg px-2 py-2 focus:ring-1 focus:ring-green-500 outline-none"
+          />
+        </div>
+        {filters.startDate && filters.endDate && filters.endDate <= filters.startDate && (
+          <p className="col-span-2 md:col-span-4 text-xs text-red-600">
+            Return date must be after the pickup date
+          </p>
+        )}
+      </div>
+
       {/* Compact Filter Grid */}
-      <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-3">
+      <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-5 gap-3">
         {/* City */}
         <div>
           <select
@@ -138,11 +310,7 @@ const CarFilterBar = ({ onFiltersChange, onReset }) => {
             className="w-full text-xs border border-gray-300 rounded-lg px-2 py-2 focus:ring-1 focus:ring-green-500 outline-none"
           >
             <option value="">City</option>
-            {cities.map((city, idx) => (
-              <option key={idx} value={city}>
-                {city}
-              </option>
-            ))}
+            {facetValues("city", cities).map((city) => renderOption("city", city))}
           </select>
         </div>
 
@@ -172,6 +340,20 @@ const CarFilterBar = ({ onFiltersChange, onReset }) => {
           )}
         </div>
 
+        {/* Make */}
+        <div>
+          <select
+            value={filters.make}
+            onChange={(e) => handleFilterChange("make", e.target.value)}
+            className="w-full text-xs border border-gray-300 rounded-lg px-2 py-2 focus:ring-1 focus:ring-green-500 outline-none"
+          >
+            <option value="">Make</option>
+            {facetValues("make", filters.make ? [filters.make] : []).map((make) =>
+              renderOption("make", make)
+            )}
+          </select>
+        </div>
+
         {/* Year */}
         <div>
           <select
@@ -180,11 +362,9 @@ const CarFilterBar = ({ onFiltersChange, onReset }) => {
             className="w-full text-xs border border-gray-300 rounded-lg px-2 py-2 focus:ring-1 focus:ring-green-500 outline-none"
           >
             <option value="">Year</option>
-            {years.map((year, idx) => (
-              <option key={idx} value={year}>
-                {year}
-              </option>
-            ))}
+            {facetValues("year", years)
+              .sort((a, b) => b - a)
+              .map((year) => renderOption("year", year))}
           </select>
         </div>
 
@@ -234,11 +414,9 @@ const CarFilterBar = ({ onFiltersChange, onReset }) => {
             className="w-full text-xs border border-gray-300 rounded-lg px-2 py-2 focus:ring-1 focus:ring-green-500 outline-none"
           >
             <option value="">Transmission</option>
-            {transmissions.map((trans, idx) => (
-              <option key={idx} value={trans}>
-                {trans}
-              </option>
-            ))}
+            {facetValues("transmission", transmissions).map((trans) =>
+              renderOption("transmission", trans)
+            )}
           </select>
         </div>
 
@@ -250,15 +428,69 @@ const CarFilterBar = ({ onFiltersChange, onReset }) => {
             className="w-full text-xs border border-gray-300 rounded-lg px-2 py-2 focus:ring-1 focus:ring-green-500 outline-none"
           >
             <option value="">Fuel Type</option>
-            {fuelTypes.map((fuel, idx) => (
-              <option key={idx} value={fuel}>
-                {fuel}
-              </option>
-            ))}
+            {fuelTypes.map((fuel) => renderOption("fuelType", fuel))}
+          </select>
+        </div>
+
+        {/* Seats */}
+        <div>
+          <select
+            value={filters.seatingCapacity}
+            onChange={(e) => handleFilterChange("seatingCapacity", e.target.value)}
+            className="w-full text-xs border border-gray-300 rounded-lg px-2 py-2 focus:ring-1 focus:ring-green-500 outline-none"
+          >
+            <option value="">Seats</option>
+            {seats.map((seat) => renderOption("seatingCapacity", seat, `${seat} seats`))}
           </select>
         </div>
       </div>
 
+      {/* Price Distribution */}
+      {facets && (
+        <div className="mt-4">
+          <PriceHistogramSlider
+            buckets={facets.price.buckets}
+            priceMin={filters.priceMin}
+            priceMax={filters.priceMax}
+            onChange={handlePriceChange}
+          />
+        </div>
+      )}
+
+      {/* Features */}
+      <div className="mt-3">
+        <button
+          onClick={() => setShowFeatures((prev) => !prev)}
+          className="text-xs font-medium text-green-700 hover:text-green-800 cursor-pointer"
+        >
+          {showFeatures ? "Hide features" : "Features"}
+          {selectedFeatures.length > 0 && ` (${selectedFeatures.length} selected)`}
+        </button>
+        {showFeatures && (
+          <div className="flex flex-wrap gap-2 mt-2">
+            {featureOptions.map((feature) => {
+              const selected = selectedFeatures.includes(feature);
+              const count = countFor("features", feature);
+              return (
+                <button
+                  key={feature}
+                  onClick={() => toggleFeature(feature)}
+                  disabled={count === 0 && !selected}
+                  className={`px-3 py-1 rounded-full text-xs transition-colors cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed ${
+                    selected
+                      ? "bg-green-600 text-white"
+                      : "bg-gray-100 text-gray-600 hover:bg-green-100 hover:text-green-700"
+                  }`}
+                >
+                  {feature}
+                  {count !== null && ` (${count})`}
+                </button>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
       {/* Quick Filters */}
       {activeFiltersCount === 0 && (
         <div className="mt-3 pt-3 border-t border-gray-100">
@@ -274,7 +506,7 @@ const CarFilterBar = ({ onFiltersChange, onReset }) => {
                 onClick={() => {
                   const newFilters = { ...filters, ...quickFilter.filter };
                   setFilters(newFilters);
-                  if (onFiltersChange) onFiltersChange(newFilters);
+                  if (onFiltersChange) onFiltersChange(searchFilters(newFilters));
                 }}
                 className="bg-gray-100 hover:bg-green-100 text-gray-600 hover:text-green-700 px-3 py-1 rounded-full text-xs transition-colors cursor-pointer"
               >
@@ -1,11 +1,11 @@
 // src/CarListingSection.jsx - Enhanced with better performance and error handling
-import { useState, useEffect, useCallback, useMemo } from "react";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import { Link } from "react-router-dom";
 import CarFilterBar from "./CarFilterBar";
 import CarCard from "./components/CarCard";
 import API from "./api";
 
-const CarListingSection = () => {
+const CarListingSection = ({ search = "" }) => {
   const [cars, setCars] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
@@ -15,44 +15,54 @@ const CarListingSection = () => {
     totalPages: 1,
     totalCount: 0,
     limit: 12,
+    nextCursor: null,
   });
-  const [sortBy, setSortBy] = useState("createdAt");
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState("");
+  // Bumped by every fresh search so a late "load more" can't append to it
+  const searchIdRef = useRef(0);
+  const sentinelRef = useRef(null);
+  // null until a sort is picked: best match while searching, else newest
+  const [sortBy, setSortBy] = useState(null);
   const [sortOrder, setSortOrder] = useState("desc");
-
-  // Memoized API params to prevent unnecessary re-renders
-  const _apiParams = useMemo(() => {
-    const params = new URLSearchParams({
-      page: pagination.currentPage.toString(),
-      limit: pagination.limit.toString(),
-      sortBy,
-      sortOrder,
-      ...filters,
+  const activeSortBy =
+    sortBy && (sortBy !== "relevance" || search)
+      ? sortBy
+      : search
+        ? "relevance"
+        : "createdAt";
+
+  // Trip dates and times carried into the car page's booking form
+  const tripQuery = useMemo(() => {
+    if (!filters.startDate || !filters.endDate) return "";
+    const params = new URLSearchParams();
+    ["startDate", "endDate", "pickupTime", "returnTime"].forEach((key) => {
+      if (filters[key]) params.set(key, filters[key]);
     });
+    return `?${params.toString()}`;
+  }, [filters]);
 
-    // Remove empty filter values
-    Object.keys(filters).forEach((key) => {
-      if (!filters[key]) {
-        params.delete(key);
-      }
-    });
-
-    return params;
-  }, [pagination.currentPage, pagination.limit, sortBy, sortOrder, filters]);
-
-  // Fetch cars with better error handling and caching
+  // Fetch the first page, or with a cursor the page after it (appended)
   const fetchCars = useCallback(
-    async (page = 1, newFilters = filters) => {
-      setLoading(true);
-      setError("");
+    async (newFilters = filters, cursor = null) => {
+      const searchId = cursor ? searchIdRef.current : ++searchIdRef.current;
+      if (cursor) {
+        setLoadingMore(true);
+        setLoadMoreError("");
+      } else {
+        setLoading(true);
+        setError("");
+      }
 
       try {
         const params = new URLSearchParams({
-          page: page.toString(),
           limit: pagination.limit.toString(),
-          sortBy,
+          sortBy: activeSortBy,
           sortOrder,
           ...newFilters,
         });
+        if (search) params.set("search", search);
+        if (cursor) params.set("cursor", cursor);
 
         // Remove empty filter values
         Object.keys(newFilters).forEach((key) => {
@@ -90,24 +100,38 @@ const CarListingSection = () => {
           title: car.title || "Car Listing",
         }));
 
-        setCars(validatedCars);
+        if (searchId !== searchIdRef.current) return;
+        if (cursor) {
+          setCars((prev) => {
+            const seen = new Set(prev.map((car) => car._id));
+            return [...prev, ...validatedCars.filter((car) => !seen.has(car._id))];
+          });
+        } else {
+          setCars(validatedCars);
+        }
         setPagination((prev) => ({
           ...prev,
-          currentPage: page,
+          nextCursor: null,
           ...paginationData,
         }));
       } catch (err) {
         console.error("Error fetching cars:", err);
-        setError(
+        if (searchId !== searchIdRef.current) return;
+        const message =
           err.response?.data?.message ||
-            "Failed to load cars. Please check your connection and try again."
-        );
-        setCars([]);
+          "Failed to load cars. Please check your connection and try again.";
+        if (cursor) {
+          setLoadMoreError(message);
+        } else {
+          setError(message);
+          setCars([]);
+        }
       } finally {
-        setLoading(false);
+        if (cursor) setLoadingMore(false);
+        else setLoading(false);
       }
     },
-    [pagination.limit, sortBy, sortOrder]
+    [pagination.limit, activeSortBy, sortOrder, search]
   );
 
   // Initial load with error retry
@@ -128,13 +152,13 @@ const CarListingSection = () => {
     };
 
     fetchWithRetry();
-  }, [sortBy, sortOrder]);
+  }, [activeSortBy, sortOrder, search]);
 
   // Handle filter changes with debouncing
   const handleFiltersChange = useCallback(
     (newFilters) => {
       setFilters(newFilters);
-      fetchCars(1, newFilters); // Reset to page 1 when filters change
+      fetchCars(newFilters); // Start from the first page when filters change
     },
     [fetchCars]
   );
@@ -142,21 +166,33 @@ const CarListingSection = () => {
   // Handle filter reset
   const handleFiltersReset = useCallback(() => {
     setFilters({});
-    fetchCars(1, {});
+    fetchCars({});
   }, [fetchCars]);
 
-  // Handle pagination with smooth scrolling
-  const handlePageChange = useCallback(
-    (page) => {
-      fetchCars(page);
-      window.scrollTo({ top: 0, behavior: "smooth" });
-    },
-    [fetchCars]
-  );
+  const loadMore = useCallback(() => {
+    if (pagination.nextCursor && !loadingMore && !loadMoreError) {
+      fetchCars(filters, pagination.nextCursor);
+    }
+  }, [fetchCars, filters, pagination.nextCursor, loadingMore, loadMoreError]);
+
+  // Infinite scroll: load the next page as the end of the grid comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !pagination.nextCursor) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMore();
+      },
+      { rootMargin: "400px" }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [loadMore, pagination.nextCursor]);
 
   // Handle sorting with validation
   const handleSortChange = useCallback((newSortBy, newSortOrder = "desc") => {
-    const validSortFields = ["createdAt", "price", "title", "year"];
+    const validSortFields = ["createdAt", "price", "title", "year", "relevance"];
     const validSortOrders = ["asc", "desc"];
 
     if (
@@ -189,97 +225,11 @@ const CarListingSection = () => {
     </div>
   );
 
-  // Enhanced Pagination Component
-  const Pagination = () => {
-    if (pagination.totalPages <= 1) return null;
-
-    const pages = [];
-    const maxVisiblePages = 5;
-    const halfVisible = Math.floor(maxVisiblePages / 2);
-    let startPage = Math.max(1, pagination.currentPage - halfVisible);
-    let endPage = Math.min(
-      pagination.totalPages,
-      startPage + maxVisiblePages - 1
-    );
-
-    if (endPage - startPage + 1 < maxVisiblePages) {
-      startPage = Math.max(1, endPage - maxVisiblePages + 1);
-    }
-
-    for (let i = startPage; i <= endPage; i++) {
-      pages.push(i);
-    }
-
-    return (
-      <div className="flex items-center justify-center space-x-2 mt-8">
-        {/* Previous Button */}
-        <button
-          onClick={() => handlePageChange(pagination.currentPage - 1)}
-          disabled={pagination.currentPage === 1}
-          className="px-3 py-2 text-sm font-medium text-gray-500 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-        >
-          Previous
-        </button>
-
-        {/* First page if not visible */}
-        {startPage > 1 && (
-          <>
-            <button
-              onClick={() => handlePageChange(1)}
-              className="px-3 py-2 text-sm font-medium text-gray-500 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
-            >
-              1
-            </button>
-            {startPage > 2 && <span className="px-2 text-gray-500">...</span>}
-          </>
-        )}
-
-        {/* Page Numbers */}
-        {pages.map((page) => (
-          <button
-            key={page}
-            onClick={() => handlePageChange(page)}
-            className={`px-3 py-2 text-sm font-medium rounded-lg transition-colors ${
-              page === pagination.currentPage
-                ? "bg-green-600 text-white"
-                : "text-gray-500 bg-white border border-gray-300 hover:bg-gray-50"
-            }`}
-          >
-            {page}
-          </button>
-        ))}
-
-        {/* Last page if not visible */}
-        {endPage < pagination.totalPages && (
-          <>
-            {endPage < pagination.totalPages - 1 && (
-              <span className="px-2 text-gray-500">...</span>
-            )}
-            <button
-              onClick={() => handlePageChange(pagination.totalPages)}
-              className="px-3 py-2 text-sm font-medium text-gray-500 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
-            >
-              {pagination.totalPages}
-            </button>
-          </>
-        )}
-
-        {/* Next Button */}
-        <button
-          onClick={() => handlePageChange(pagination.currentPage + 1)}
-          disabled={pagination.currentPage === pagination.totalPages}
-          className="px-3 py-2 text-sm font-medium text-gray-500 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-        >
-          Next
-        </button>
-      </div>
-    );
-  };
-
   return (
     <div className="max-w-7xl mx-auto p-6 space-y-6">
       {/* Filter Bar */}
       <CarFilterBar
+        search={search}
         onFiltersChange={handleFiltersChange}
         onReset={handleFiltersReset}
       />
@@ -287,7 +237,11 @@ const CarListingSection = () => {
       {/* Results Header */}
       <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
         <div className="flex items-center gap-4">
-          <h2 className="text-2xl font-bold text-gray-900">Available Cars</h2>
+          <h2 className="text-2xl font-bold text-gray-900">
+            {tripQuery
+              ? `Available ${filters.startDate} to ${filters.endDate}`
+              : "Available Cars"}
+          </h2>
           {!loading && (
             <span className="text-gray-600 text-sm">
               {pagination.totalCount || cars.length} cars found
@@ -299,13 +253,14 @@ const CarListingSection = () => {
         <div className="flex items-center gap-3">
           <span className="text-sm text-gray-600">Sort by:</span>
           <select
-            value={`${sortBy}-${sortOrder}`}
+            value={`${activeSortBy}-${sortOrder}`}
             onChange={(e) => {
               const [field, order] = e.target.value.split("-");
               handleSortChange(field, order);
             }}
             className="text-sm border border-gray-300 rounded-lg px-3 py-2 focus:ring-1 focus:ring-green-500 outline-none"
           >
+            {search && <option value="relevance-desc">Best Match</option>}
             <option value="createdAt-desc">Newest First</option>
             <option value="createdAt-asc">Oldest First</option>
             <option value="price-asc">Price: Low to High</option>
@@ -337,7 +292,7 @@ const CarListingSection = () => {
           </h3>
           <p className="text-red-600 mb-4">{error}</p>
           <button
-            onClick={() => fetchCars()}
+            onClick={() => fetchCars(filters)}
             className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg transition-colors"
           >
             Try Again
@@ -384,12 +339,39 @@ const CarListingSection = () => {
         <>
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
             {cars.map((car) => (
-              <CarCard key={car._id} car={car} />
+              <CarCard key={car._id} car={car} tripQuery={tripQuery} />
             ))}
           </div>
 
-          {/* Pagination */}
-          <Pagination />
+          {/* Infinite scroll */}
+          <div ref={sentinelRef} className="h-1" aria-hidden="true" />
+          {loadingMore && (
+            <p className="text-center text-sm text-gray-500">Loading more cars...</p>
+          )}
+          {loadMoreError && (
+            <div className="text-center text-sm text-red-600">
+              {loadMoreError}{" "}
+              <button
+                onClick={() => {
+                  setLoadMoreError("");
+                  fetchCars(filters, pagination.nextCursor);
+                }}
+                className="underline cursor-pointer"
+              >
+                Try again
+              </button>
+            </div>
+          )}
+          {pagination.nextCursor && !loadingMore && !loadMoreError && (
+            <div className="text-center">
+              <button
+                onClick={loadMore}
+                className="px-4 py-2 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Load more
+              </button>
+            </div>
+          )}
         </>
       )}
     </div>
@@ -1,6 +1,13 @@
 import { useState, useEffect } from "react";
 import API from "./api";
 import { useNavigate } from "react-router-dom";
+import CancellationPolicySummary from "./components/CancellationPolicySummary";
+import PricingRulesEditor from "./components/PricingRulesEditor";
+import LocationPicker from "./components/LocationPicker";
+import {
+  DEFAULT_PRICING_RULES,
+  toPricingRulesPayload,
+} from "./utils/pricingRules";
 
 const ListCar = () => {
   const [form, setForm] = useState({
@@ -28,7 +35,14 @@ const ListCar = () => {
     insurancePolicyNumber: "",
     insuranceExpiryDate: "",
     insuranceType: "",
+    // Booking settings
+    cancellationPolicy: "moderate",
   });
+  const [pricingRules, setPricingRules] = useState(DEFAULT_PRICING_RULES);
+  // Days the car is off the road: [{ startDate, endDate, reason }]
+  const [blackoutDates, setBlackoutDates] = useState([]);
+  // Pickup point from LocationPicker: { name, coordinates: [lng, lat] }
+  const [pickupLocation, setPickupLocation] = useState(null);
   const [images, setImages] = useState([]);
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
@@ -65,6 +79,12 @@ const ListCar = () => {
   
   const specificationTypes = ["GCC Specs", "US Specs", "European Specs", "Japanese Specs", "Canadian Specs", "Korean Specs"];
   
+  const cancellationPolicies = [
+    { value: "flexible", label: "Flexible - full refund up to 24 hours before" },
+    { value: "moderate", label: "Moderate - full refund up to 3 days before" },
+    { value: "strict", label: "Strict - full refund up to 7 days before" },
+  ];
+
   const insuranceTypes = ["Comprehensive", "Third Party", "Third Party Fire & Theft"];
   
   const availableFeatures = [
@@ -283,6 +303,13 @@ const ListCar = () => {
     "Mazda CX-5 2023",
   ];
 
+  const updateBlackout = (index, changes) =>
+    setBlackoutDates(
+      blackoutDates.map((blackout, i) =>
+        i === index ? { ...blackout, ...changes } : blackout
+      )
+    );
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setForm({ ...form, [name]: value });
@@ -546,6 +573,19 @@ const ListCar = () => {
         }
       });
 
+      formData.append(
+        "pricingRules",
+        JSON.stringify(toPricingRulesPayload(pricingRules))
+      );
+      formData.append(
+        "blackoutDates",
+        JSON.stringify(blackoutDates.filter((b) => b.startDate && b.endDate))
+      );
+      if (pickupLocation) {
+        const [lng, lat] = pickupLocation.coordinates;
+        formData.append("location", JSON.stringify({ lat, lng }));
+      }
+
       // Append images
       images.forEach((image) => {
         formData.append(`images`, image);
@@ -600,7 +640,12 @@ const ListCar = () => {
         insurancePolicyNumber: "",
         insuranceExpiryDate: "",
         insuranceType: "",
+        // Booking settings
+        cancellationPolicy: "moderate",
       });
+      setPricingRules(DEFAULT_PRICING_RULES);
+      setBlackoutDates([]);
+      setPickupLocation(null);
       setImages([]);
       setFileInputKey(Date.now()); // Reset file input
     } catch (err) {
@@ -778,6 +823,21 @@ const ListCar = () => {
           </div>
         </div>
 
+        {/* Pickup Location */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Pickup Location
+          </label>
+          <LocationPicker
+            onLocationSelect={setPickupLocation}
+            placeholder="Where do renters collect the car?"
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Lets renters find your car in near-me searches. They only see an
+            area within about a kilometre, never the exact spot.
+          </p>
+        </div>
+
         {/* Availability Dates */}
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
           <div>
@@ -813,6 +873,57 @@ const ListCar = () => {
           </div>
         </div>
 
+        {/* Blackout dates: the car can't be booked from the start date until the end date */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Blackout Dates
+          </label>
+          {blackoutDates.map((blackout, index) => (
+            <div key={index} className="grid grid-cols-1 md:grid-cols-4 gap-2 mb-2">
+              {["startDate", "endDate"].map((field) => (
+                <input
+                  key={field}
+                  type="date"
+                  value={blackout[field]}
+                  onChange={(e) => updateBlackout(index, { [field]: e.target.value })}
+                  min={form.availabilityFrom || undefined}
+                  max={form.availabilityTo || undefined}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                />
+              ))}
+              <input
+                type="text"
+                value={blackout.reason}
+                onChange={(e) => updateBlackout(index, { reason: e.target.value })}
+                placeholder="Reason (optional)"
+                maxLength={100}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              />
+              <button
+                type="button"
+                onClick={() =>
+                  setBlackoutDates(blackoutDates.filter((_, i) => i !== index))
+                }
+                className="px-3 py-2 text-sm text-red-600 hover:text-red-700"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() =>
+              setBlackoutDates([...blackoutDates, { startDate: "", endDate: "", reason: "" }])
+            }
+            className="text-sm text-green-600 hover:text-green-700"
+          >
+            + Add blackout dates
+          </button>
+          <p className="text-xs text-gray-500 mt-1">
+            Servicing or personal use. The car is bookable again on the end date.
+          </p>
+        </div>
+
         {/* Car Specifications Section */}
         <div className="bg-gray-50 p-6 rounded-lg">
           <h3 className="text-lg font-semibold text-gray-800 mb-4">Car Specifications</h3>
@@ -1121,6 +1232,45 @@ const ListCar = () => {
           )}
         </div>
 
+        {/* Cancellation Policy Section */}
+        <div className="bg-gray-50 p-6 rounded-lg">
+          <h3 className="text-lg font-semibold text-gray-800 mb-4">Cancellation Policy</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                How much do renters get back if they cancel?
+              </label>
+              <select
+                name="cancellationPolicy"
+                value={form.cancellationPolicy}
+                onChange={handleChange}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-colors"
+              >
+                {cancellationPolicies.map((policy) => (
+                  <option key={policy.value} value={policy.value}>
+                    {policy.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <CancellationPolicySummary policyName={form.cancellationPolicy} />
+          </div>
+        </div>
+
+        {/* Pricing Rules Section */}
+        <div className="bg-gray-50 p-6 rounded-lg">
+          <h3 className="text-lg font-semibold text-gray-800 mb-1">Pricing Rules</h3>
+          <p className="text-sm text-gray-600 mb-4">
+            Optional. Charge more on weekends and busy seasons, and reward
+            longer rentals with a discount.
+          </p>
+          <PricingRulesEditor
+            value={pricingRules}
+            onChange={setPricingRules}
+            basePrice={form.pricePerDay}
+          />
+        </div>
+
         {/* Image Upload */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
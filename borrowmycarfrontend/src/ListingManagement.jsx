@@ -18,8 +18,10 @@ import {
   CheckSquare,
   Square,
   MoreVertical,
-  Car
+  Car,
+  Tag
 } from 'lucide-react';
+import PricingRulesModal from './components/PricingRulesModal';
 
 const ListingManagement = () => {
   const { user: _user } = useAuth();
@@ -40,6 +42,7 @@ const ListingManagement = () => {
   const [selectedCars, setSelectedCars] = useState([]);
   const [showBulkActions, setShowBulkActions] = useState(false);
   const [bulkUpdateData, setBulkUpdateData] = useState({});
+  const [pricingCar, setPricingCar] = useState(null);
 
   useEffect(() => {
     fetchCars();
@@ -103,6 +106,13 @@ const ListingManagement = () => {
     }
   };
 
+  const handlePricingSaved = (pricingRules) => {
+    setCars(cars.map(car =>
+      car._id === pricingCar._id ? { ...car, pricingRules } : car
+    ));
+    setPricingCar(null);
+  };
+
   const handleSelectCar = (carId) => {
     setSelectedCars(prev => 
       prev.includes(carId) 
@@ -378,6 +388,14 @@ const ListingManagement = () => {
               <Copy className="h-4 w-4 mr-1" />
               Duplicate
             </button>
+
+            <button
+              onClick={() => setPricingCar(car)}
+              className="flex-1 flex items-center justify-center px-3 py-2 bg-green-50 text-green-700 rounded-lg hover:bg-green-100 text-sm"
+            >
+              <Tag className="h-4 w-4 mr-1" />
+              Pricing
+            </button>
             
             <button
               onClick={() => handleDeleteCar(car._id)}
@@ -583,6 +601,14 @@ const ListingManagement = () => {
 
         {/* Bulk Actions Modal */}
         <BulkActionsModal />
+
+        {pricingCar && (
+          <PricingRulesModal
+            car={pricingCar}
+            onClose={() => setPricingCar(null)}
+            onSaved={handlePricingSaved}
+          />
+        )}
       </div>
     </div>
   );
@@ -12,10 +12,34 @@ import {
   XCircle,
   AlertCircle,
   Eye,
+  ClipboardCheck,
+  AlertTriangle,
+  CalendarPlus,
+  Pencil,
+  Shield,
 } from "lucide-react";
 import API from "./api";
 import { useAuth } from "./context/AuthContext";
 import UserAvatar from "./components/UserAvatar";
+import InspectionModal from "./components/InspectionModal";
+import InspectionComparison from "./components/InspectionComparison";
+import DamageClaimModal from "./components/DamageClaimModal";
+import DamageClaimPanel from "./components/DamageClaimPanel";
+import ExtendBookingModal from "./components/ExtendBookingModal";
+import ModifyBookingModal from "./components/ModifyBookingModal";
+import CancelBookingModal from "./components/CancelBookingModal";
+import BookingInvoices from "./components/BookingInvoices";
+import CashPaymentPanel from "./components/CashPaymentPanel";
+import CardPaymentModal from "./components/CardPaymentModal";
+
+const DEPOSIT_STATUS_LABELS = {
+  pending: "held on your card at pickup",
+  authorized: "held on your card, not charged",
+  captured: "captured",
+  partially_captured: "partly captured, the rest released",
+  released: "released",
+  failed: "hold could not be renewed",
+};
 
 const MyBookings = () => {
   const { user } = useAuth();
@@ -25,6 +49,13 @@ const MyBookings = () => {
   const [activeTab, setActiveTab] = useState("all");
   const [updateLoading, setUpdateLoading] = useState("");
   const [message, setMessage] = useState({ type: "", text: "" });
+  const [inspection, setInspection] = useState(null); // { booking, type }
+  const [claims, setClaims] = useState({}); // bookingId -> damage claim
+  const [claimBooking, setClaimBooking] = useState(null);
+  const [extendBooking, setExtendBooking] = useState(null);
+  const [modifyBooking, setModifyBooking] = useState(null);
+  const [cancelBooking, setCancelBooking] = useState(null);
+  const [cardPayment, setCardPayment] = useState(null); // amount owed by card
 
   const location = useLocation();
   const navigate = useNavigate();
@@ -68,6 +99,7 @@ const MyBookings = () => {
       }
 
       setBookings(bookingsData);
+      fetchClaims();
     } catch (err) {
       console.error("Booking fetch error:", err);
       setError(
@@ -79,6 +111,26 @@ const MyBookings = () => {
     }
   };
 
+  const fetchClaims = async () => {
+    try {
+      const response = await API.get("/claims/me");
+      const byBooking = {};
+      response.data.data.claims.forEach((claim) => {
+        byBooking[claim.booking?._id || claim.booking] = claim;
+      });
+      setClaims(byBooking);
+    } catch (err) {
+      console.error("Damage claims fetch error:", err);
+    }
+  };
+
+  const handleClaimUpdated = (claim) => {
+    setClaims((prev) => ({
+      ...prev,
+      [claim.booking?._id || claim.booking]: claim,
+    }));
+  };
+
   const handleStatusUpdate = async (bookingId, newStatus) => {
     try {
       setUpdateLoading(bookingId);
@@ -111,6 +163,203 @@ const MyBookings = () => {
     }
   };
 
+  // Both parties record their own pickup/return inspection
+  const viewerRole = user?.role === "owner" ? "owner" : "renter";
+
+  const hasInspected = (booking, type) =>
+    booking.inspections?.some(
+      (i) => i.type === type && i.performedByRole === viewerRole
+    );
+
+  const canCheckIn = (booking) =>
+    (booking.status === "confirmed" ||
+      booking.status === "active" ||
+      // Cash bookings are paid to the owner at pickup
+      (booking.status === "approved" && viewerRole === "owner")) &&
+    !hasInspected(booking, "check_in");
+
+  const canCheckOut = (booking) =>
+    ["active", "completed"].includes(booking.status) &&
+    !hasInspected(booking, "check_out");
+
+  const handleInspectionComplete = async (updatedBooking) => {
+    const label = inspection.type === "check_in" ? "Check-in" : "Check-out";
+    setInspection(null);
+    setBookings((prev) =>
+      prev.map((b) =>
+        b._id === updatedBooking._id
+          ? {
+              ...b,
+              status: updatedBooking.status,
+              inspections: updatedBooking.inspections,
+            }
+          : b
+      )
+    );
+    // A renter's return stays open until the owner inspects the car
+    const awaitingOwner =
+      inspection.type === "check_out" && updatedBooking.status === "active";
+    setMessage({
+      type: "success",
+      text: awaitingOwner
+        ? "Return recorded. The rental completes once the owner has inspected the car"
+        : `${label} recorded successfully`,
+    });
+    setTimeout(() => setMessage({ type: "", text: "" }), 3000);
+  };
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text });
+    setTimeout(() => setMessage({ type: "", text: "" }), 4000);
+  };
+
+  const replaceBooking = (updatedBooking) => {
+    setBookings((prev) =>
+      prev.map((b) =>
+        b._id === updatedBooking._id
+          ? { ...updatedBooking, car: b.car, renter: b.renter }
+          : b
+      )
+    );
+  };
+
+  const pendingExtension = (booking) =>
+    booking.extensions?.find((e) => e.status === "pending");
+
+  const unpaidExtension = (booking) =>
+    booking.extensions?.find(
+      (e) =>
+        e.status === "approved" &&
+        e.paymentMethod === "Card" &&
+        e.paymentStatus !== "paid"
+    );
+
+  const handleExtensionDecision = async (booking, extension, decision) => {
+    try {
+      setUpdateLoading(booking._id);
+      const response = await API.patch(
+        `/bookings/${booking._id}/extensions/${extension._id}`,
+        { decision }
+      );
+      replaceBooking(response.data.data.booking);
+      showMessage("success", response.data.message);
+    } catch (err) {
+      showMessage(
+        "error",
+        err.response?.data?.message || "Failed to update the extension"
+      );
+    } finally {
+      setUpdateLoading("");
+    }
+  };
+
+  const handleExtensionPayment = (booking, extension) => {
+    const payment = { bookingId: booking._id, extensionId: extension._id };
+    setCardPayment({
+      title: "Pay for Extension",
+      amount: extension.additionalAmount,
+      successMessage: "Extension paid successfully",
+      createPayment: async () =>
+        (await API.post("/payments/extension", payment)).data.data,
+      confirmPayment: async (paymentIntentId) =>
+        (
+          await API.post("/payments/extension/confirm", {
+            ...payment,
+            paymentIntentId,
+          })
+        ).data.data.booking,
+    });
+  };
+
+  const pendingModification = (booking) =>
+    booking.modifications?.find((m) => m.status === "pending");
+
+  const unpaidModification = (booking) =>
+    booking.modifications?.find(
+      (m) =>
+        m.settlement?.type === "charge" && m.settlement.status === "pending"
+    );
+
+  const handleModificationDecision = async (booking, modification, decision) => {
+    try {
+      setUpdateLoading(booking._id);
+      const response =
+        decision === "withdraw"
+          ? await API.delete(
+              `/bookings/${booking._id}/modifications/${modification._id}`
+            )
+          : await API.patch(
+              `/bookings/${booking._id}/modifications/${modification._id}`,
+              { decision }
+            );
+      replaceBooking(response.data.data.booking);
+      showMessage("success", response.data.message);
+    } catch (err) {
+      showMessage(
+        "error",
+        err.response?.data?.message || "Failed to update the change request"
+      );
+    } finally {
+      setUpdateLoading("");
+    }
+  };
+
+  const handleModificationPayment = (booking, modification) => {
+    const payment = { bookingId: booking._id, modificationId: modification._id };
+    setCardPayment({
+      title: "Pay Price Difference",
+      amount: modification.priceDifference,
+      successMessage: "Price difference paid successfully",
+      createPayment: async () =>
+        (await API.post("/payments/modification", payment)).data.data,
+      confirmPayment: async (paymentIntentId) =>
+        (
+          await API.post("/payments/modification/confirm", {
+            ...payment,
+            paymentIntentId,
+          })
+        ).data.data.booking,
+    });
+  };
+
+  // Card deposits are authorized by the renter at pickup
+  const canHoldDeposit = (booking) =>
+    viewerRole === "renter" &&
+    ["pending", "failed"].includes(booking.deposit?.status) &&
+    (booking.status === "active" ||
+      (booking.status === "confirmed" &&
+        new Date(booking.startDate) - Date.now() <= 24 * 60 * 60 * 1000));
+
+  const handleDepositHold = (booking) => {
+    const bookingId = booking._id;
+    setCardPayment({
+      title: "Authorize Security Deposit",
+      amount: booking.deposit.amount || booking.securityDeposit,
+      hold: true,
+      successMessage: "Security deposit authorized",
+      createPayment: async () => {
+        const { data } = (await API.post("/payments/deposit-hold", { bookingId }))
+          .data;
+        return { clientSecret: data.clientSecret, paymentId: data.paymentIntentId };
+      },
+      confirmPayment: async () => {
+        const { data } = (
+          await API.post("/payments/deposit-hold/confirm", { bookingId })
+        ).data;
+        return { ...booking, deposit: data.deposit };
+      },
+    });
+  };
+
+  const describeTerms = (terms) =>
+    `${new Date(terms.startDate).toLocaleDateString()} - ${new Date(
+      terms.endDate
+    ).toLocaleDateString()}, ${
+      terms.deliveryRequested
+        ? `delivery to ${terms.deliveryAddress}`
+        : `pickup at ${terms.pickupLocation}`
+    }`;
+
   const getStatusColor = (status) => {
     const colors = {
       pending: "bg-yellow-100 text-yellow-800 border-yellow-200",
@@ -501,34 +750,46 @@ const MyBookings = () => {
                           </>
                         )}
 
-                      {/* Mark as completed for active bookings */}
-                      {user?.role === "owner" &&
-                        booking.status === "active" && (
-                          <button
-                            onClick={() =>
-                              handleStatusUpdate(booking._id, "completed")
-                            }
-                            disabled={updateLoading === booking._id}
-                            className="px-3 py-1.5 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
-                          >
-                            {updateLoading === booking._id ? (
-                              <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin" />
-                            ) : (
-                              <>
-                                <CheckCircle className="w-3 h-3 mr-1" />
-                                Complete
-                              </>
-                            )}
-                          </button>
-                        )}
+                      {/* Pickup / return inspections */}
+                      {canHoldDeposit(booking) && (
+                        <button
+                          onClick={() => handleDepositHold(booking)}
+                          className="px-3 py-1.5 bg-green-600 text-white text-sm rounded hover:bg-green-700 transition-colors flex items-center justify-center"
+                        >
+                          <Shield className="w-3 h-3 mr-1" />
+                          Authorize Deposit
+                        </button>
+                      )}
+                      {canCheckIn(booking) && (
+                        <button
+                          onClick={() =>
+                            setInspection({ booking, type: "check_in" })
+                          }
+                          className="px-3 py-1.5 bg-purple-600 text-white text-sm rounded hover:bg-purple-700 transition-colors flex items-center justify-center"
+                        >
+                          <ClipboardCheck className="w-3 h-3 mr-1" />
+                          Check-in
+                        </button>
+                      )}
+                      {canCheckOut(booking) && (
+                        <button
+                          onClick={() =>
+                            setInspection({ booking, type: "check_out" })
+                          }
+                          className="px-3 py-1.5 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 transition-colors flex items-center justify-center"
+                        >
+                          <ClipboardCheck className="w-3 h-3 mr-1" />
+                          Check-out
+                        </button>
+                      )}
 
                       {/* Renter Actions */}
                       {user?.role === "renter" &&
-                        ["pending", "approved"].includes(booking.status) && (
+                        ["pending", "approved", "confirmed"].includes(
+                          booking.status
+                        ) && (
                           <button
-                            onClick={() =>
-                              handleStatusUpdate(booking._id, "cancelled")
-                            }
+                            onClick={() => setCancelBooking(booking)}
                             disabled={updateLoading === booking._id}
                             className="px-3 py-1.5 bg-red-600 text-white text-sm rounded hover:bg-red-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
                           >
@@ -543,6 +804,46 @@ const MyBookings = () => {
                           </button>
                         )}
 
+                      {user?.role === "owner" &&
+                        booking.status === "completed" &&
+                        !claims[booking._id] && (
+                          <button
+                            onClick={() => setClaimBooking(booking)}
+                            className="px-3 py-1.5 bg-red-50 text-red-700 border border-red-200 text-sm rounded hover:bg-red-100 transition-colors flex items-center justify-center"
+                          >
+                            <AlertTriangle className="w-3 h-3 mr-1" />
+                            Report Damage
+                          </button>
+                        )}
+
+                      {user?.role !== "owner" &&
+                        ["confirmed", "active"].includes(booking.status) &&
+                        !pendingExtension(booking) &&
+                        !pendingModification(booking) && (
+                          <button
+                            onClick={() => setExtendBooking(booking)}
+                            className="px-3 py-1.5 bg-green-50 text-green-700 border border-green-200 text-sm rounded hover:bg-green-100 transition-colors flex items-center justify-center"
+                          >
+                            <CalendarPlus className="w-3 h-3 mr-1" />
+                            Extend
+                          </button>
+                        )}
+
+                      {user?.role !== "owner" &&
+                        ["pending", "approved", "confirmed"].includes(
+                          booking.status
+                        ) &&
+                        !pendingModification(booking) &&
+                        !pendingExtension(booking) && (
+                          <button
+                            onClick={() => setModifyBooking(booking)}
+                            className="px-3 py-1.5 bg-blue-50 text-blue-700 border border-blue-200 text-sm rounded hover:bg-blue-100 transition-colors flex items-center justify-center"
+                          >
+                            <Pencil className="w-3 h-3 mr-1" />
+                            Change
+                          </button>
+                        )}
+
                       {/* View Details Button */}
                       <button
                         onClick={() => navigate(`/cars/${booking.car?._id}`)}
@@ -556,6 +857,229 @@ const MyBookings = () => {
                   </div>
                 </div>
 
+                {/* Extension requests */}
+                {pendingExtension(booking) && (
+                  <div className="border-t border-gray-100 px-6 py-4 bg-green-50 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                    <p className="text-sm text-green-900">
+                      Extension requested until{" "}
+                      <strong>
+                        {new Date(
+                          pendingExtension(booking).newEndDate
+                        ).toLocaleDateString()}
+                      </strong>{" "}
+                      (+{pendingExtension(booking).additionalDays} days, AED{" "}
+                      {pendingExtension(booking).additionalAmount})
+                      {user?.role !== "owner" && " - waiting for the owner"}
+                    </p>
+                    {user?.role === "owner" && (
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() =>
+                            handleExtensionDecision(
+                              booking,
+                              pendingExtension(booking),
+                              "approve"
+                            )
+                          }
+                          disabled={updateLoading === booking._id}
+                          className="px-3 py-1.5 bg-green-600 text-white text-sm rounded hover:bg-green-700 disabled:opacity-50"
+                        >
+                          Approve
+                        </button>
+                        <button
+                          onClick={() =>
+                            handleExtensionDecision(
+                              booking,
+                              pendingExtension(booking),
+                              "reject"
+                            )
+                          }
+                          disabled={updateLoading === booking._id}
+                          className="px-3 py-1.5 bg-red-600 text-white text-sm rounded hover:bg-red-700 disabled:opacity-50"
+                        >
+                          Decline
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {user?.role !== "owner" && unpaidExtension(booking) && (
+                  <div className="border-t border-gray-100 px-6 py-4 flex items-center justify-between gap-3">
+                    <p className="text-sm text-gray-700">
+                      Your extension was approved. AED{" "}
+                      {unpaidExtension(booking).additionalAmount} is due.
+                    </p>
+                    <button
+                      onClick={() =>
+                        handleExtensionPayment(booking, unpaidExtension(booking))
+                      }
+                      disabled={updateLoading === booking._id}
+                      className="px-3 py-1.5 bg-green-600 text-white text-sm rounded hover:bg-green-700 disabled:opacity-50"
+                    >
+                      Pay Now
+                    </button>
+                  </div>
+                )}
+
+                {/* Change requests */}
+                {pendingModification(booking) && (
+                  <div className="border-t border-gray-100 px-6 py-4 bg-blue-50 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                    <div className="text-sm text-blue-900 space-y-1">
+                      <p>
+                        Change requested
+                        {user?.role !== "owner" && " - waiting for the owner"}
+                      </p>
+                      <p>
+                        From: {describeTerms(pendingModification(booking).original)}
+                      </p>
+                      <p>
+                        To:{" "}
+                        <strong>
+                          {describeTerms(pendingModification(booking).requested)}
+                        </strong>
+                      </p>
+                      <p>
+                        Price difference:{" "}
+                        {pendingModification(booking).priceDifference > 0 && "+"}
+                        AED {pendingModification(booking).priceDifference}
+                      </p>
+                      {pendingModification(booking).renterNotes && (
+                        <p className="italic">
+                          "{pendingModification(booking).renterNotes}"
+                        </p>
+                      )}
+                    </div>
+                    {user?.role === "owner" ? (
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() =>
+                            handleModificationDecision(
+                              booking,
+                              pendingModification(booking),
+                              "approve"
+                            )
+                          }
+                          disabled={updateLoading === booking._id}
+                          className="px-3 py-1.5 bg-green-600 text-white text-sm rounded hover:bg-green-700 disabled:opacity-50"
+                        >
+                          Approve
+                        </button>
+                        <button
+                          onClick={() =>
+                            handleModificationDecision(
+                              booking,
+                              pendingModification(booking),
+                              "reject"
+                            )
+                          }
+                          disabled={updateLoading === booking._id}
+                          className="px-3 py-1.5 bg-red-600 text-white text-sm rounded hover:bg-red-700 disabled:opacity-50"
+                        >
+                          Decline
+                        </button>
+                      </div>
+                    ) : (
+                      <button
+                        onClick={() =>
+                          handleModificationDecision(
+                            booking,
+                            pendingModification(booking),
+                            "withdraw"
+                          )
+                        }
+                        disabled={updateLoading === booking._id}
+                        className="px-3 py-1.5 bg-gray-100 text-gray-700 text-sm rounded hover:bg-gray-200 disabled:opacity-50"
+                      >
+                        Withdraw
+                      </button>
+                    )}
+                  </div>
+                )}
+
+                {user?.role !== "owner" && unpaidModification(booking) && (
+                  <div className="border-t border-gray-100 px-6 py-4 flex items-center justify-between gap-3">
+                    <p className="text-sm text-gray-700">
+                      Your booking change was approved. AED{" "}
+                      {unpaidModification(booking).priceDifference} is due.
+                    </p>
+                    <button
+                      onClick={() =>
+                        handleModificationPayment(
+                          booking,
+                          unpaidModification(booking)
+                        )
+                      }
+                      disabled={updateLoading === booking._id}
+                      className="px-3 py-1.5 bg-green-600 text-white text-sm rounded hover:bg-green-700 disabled:opacity-50"
+                    >
+                      Pay Now
+                    </button>
+                  </div>
+                )}
+
+                {booking.status === "cancelled" &&
+                  (booking.cancellationFee > 0 || booking.refundAmount > 0) && (
+                    <div className="border-t border-gray-100 px-6 py-3 text-sm text-gray-700">
+                      Cancellation fee: AED {booking.cancellationFee} · Refund:
+                      AED {booking.refundAmount}
+                      {booking.refundStatus !== "none" &&
+                        ` (${booking.refundStatus})`}
+                    </div>
+                  )}
+
+                {booking.deposit?.status &&
+                  booking.deposit.status !== "none" && (
+                    <div className="border-t border-gray-100 px-6 py-3 text-sm text-gray-700">
+                      Security deposit (AED {booking.deposit.amount}):{" "}
+                      {DEPOSIT_STATUS_LABELS[booking.deposit.status]}
+                      {booking.deposit.capturedAmount > 0 &&
+                        ` · AED ${booking.deposit.capturedAmount} kept for damage`}
+                    </div>
+                  )}
+
+                {booking.paymentMethod === "Cash" && (
+                  <div className="border-t border-gray-100 px-6 pb-3">
+                    <CashPaymentPanel
+                      booking={booking}
+                      role={user?.role === "owner" ? "owner" : "renter"}
+                      onUpdated={replaceBooking}
+                    />
+                  </div>
+                )}
+
+                {["paid", "partial", "refunded"].includes(
+                  booking.paymentStatus
+                ) && (
+                  <div className="border-t border-gray-100 px-6 py-3">
+                    <BookingInvoices bookingId={booking._id} />
+                  </div>
+                )}
+
+                {booking.originalTerms?.startDate && (
+                  <div className="border-t border-gray-100 px-6 py-3 text-xs text-gray-500">
+                    Originally booked: {describeTerms(booking.originalTerms)}{" "}
+                    (AED {booking.originalTerms.totalPayable})
+                  </div>
+                )}
+
+                {claims[booking._id] && (
+                  <div className="border-t border-gray-100 px-6 py-4">
+                    <DamageClaimPanel
+                      claim={claims[booking._id]}
+                      isRenter={user?.role !== "owner"}
+                      onUpdated={handleClaimUpdated}
+                    />
+                  </div>
+                )}
+
+                {/* Condition photos: pickup vs return */}
+                {booking.inspections?.length > 0 && (
+                  <div className="border-t border-gray-100 px-6 py-4">
+                    <InspectionComparison inspections={booking.inspections} />
+                  </div>
+                )}
+
                 {/* Additional Details - Expandable */}
                 <div className="border-t border-gray-100 px-6 py-3 bg-gray-50">
                   <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm text-gray-600">
@@ -584,6 +1108,80 @@ const MyBookings = () => {
           </div>
         )}
 
+        {inspection && (
+          <InspectionModal
+            booking={inspection.booking}
+            type={inspection.type}
+            onClose={() => setInspection(null)}
+            onComplete={handleInspectionComplete}
+          />
+        )}
+
+        {claimBooking && (
+          <DamageClaimModal
+            booking={claimBooking}
+            onClose={() => setClaimBooking(null)}
+            onFiled={(claim) => {
+              setClaimBooking(null);
+              handleClaimUpdated(claim);
+              setMessage({ type: "success", text: "Damage claim filed" });
+              setTimeout(() => setMessage({ type: "", text: "" }), 3000);
+            }}
+          />
+        )}
+
+        {extendBooking && (
+          <ExtendBookingModal
+            booking={extendBooking}
+            onClose={() => setExtendBooking(null)}
+            onExtended={(updatedBooking, text) => {
+              setExtendBooking(null);
+              replaceBooking(updatedBooking);
+              showMessage("success", text);
+            }}
+          />
+        )}
+
+        {modifyBooking && (
+          <ModifyBookingModal
+            booking={modifyBooking}
+            onClose={() => setModifyBooking(null)}
+            onRequested={(updatedBooking, text) => {
+              setModifyBooking(null);
+              replaceBooking(updatedBooking);
+              showMessage("success", text);
+            }}
+          />
+        )}
+
+        {cardPayment && (
+          <CardPaymentModal
+            title={cardPayment.title}
+            amount={cardPayment.amount}
+            hold={cardPayment.hold}
+            createPayment={cardPayment.createPayment}
+            confirmPayment={cardPayment.confirmPayment}
+            onClose={() => setCardPayment(null)}
+            onPaid={(updatedBooking) => {
+              setCardPayment(null);
+              replaceBooking(updatedBooking);
+              showMessage("success", cardPayment.successMessage);
+            }}
+          />
+        )}
+
+        {cancelBooking && (
+          <CancelBookingModal
+            booking={cancelBooking}
+            onClose={() => setCancelBooking(null)}
+            onCancelled={(updatedBooking, text) => {
+              setCancelBooking(null);
+              replaceBooking(updatedBooking);
+              showMessage("success", text);
+            }}
+          />
+        )}
+
         {/* Load More / Pagination */}
         {filteredBookings.length > 0 && (
           <div className="text-center mt-8">
@@ -15,8 +15,12 @@ import {
   Car,
   MapPin,
   Phone,
-  Mail
+  Mail,
+  ClipboardCheck
 } from 'lucide-react';
+import InspectionModal from './components/InspectionModal';
+import InspectionComparison from './components/InspectionComparison';
+import CashPaymentPanel from './components/CashPaymentPanel';
 
 const OrderManagement = () => {
   const { user: _user } = useAuth();
@@ -31,13 +35,15 @@ const OrderManagement = () => {
     carId: '',
     startDate: '',
     endDate: '',
-    search: ''
+    search: '',
+    cash: ''
   });
   
   const [currentPage, setCurrentPage] = useState(1);
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [userCars, setUserCars] = useState([]);
   const [showOrderDetails, setShowOrderDetails] = useState(false);
+  const [inspection, setInspection] = useState(null); // { booking, type }
 
   useEffect(() => {
     fetchOrders();
@@ -92,7 +98,46 @@ const OrderManagement = () => {
     }
   };
 
-  const handleFilterChange = (key, value) => {
+  const hasInspected = (order, type) =>
+    order.inspections?.some(i => i.type === type && i.performedByRole === 'owner');
+
+  const handleInspectionComplete = (updatedBooking) => {
+    const changes = {
+      status: updatedBooking.status,
+      inspections: updatedBooking.inspections
+    };
+
+    setOrders(orders.map(order =>
+      order._id === updatedBooking._id ? { ...order, ...changes } : order
+    ));
+    if (selectedOrder && selectedOrder._id === updatedBooking._id) {
+      setSelectedOrder({ ...selectedOrder, ...changes });
+    }
+
+    setInspection(null);
+    alert('Inspection saved successfully');
+  };
+
+  const handleCashUpdated = (updatedBooking) => {
+    const changes = {
+      paymentStatus: updatedBooking.paymentStatus,
+      cashCollection: updatedBooking.cashCollection
+    };
+
+    setOrders(orders.map(order =>
+      order._id === updatedBooking._id ? { ...order, ...changes } : order
+    ));
+    if (selectedOrder && selectedOrder._id === updatedBooking._id) {
+      setSelectedOrder({ ...selectedOrder, ...changes });
+    }
+  };
+
+  const isCashOutstanding = (order) =>
+    order.paymentMethod === 'Cash' &&
+    ['pending', 'partial'].includes(order.paymentStatus) &&
+    ['approved', 'confirmed', 'active', 'completed'].includes(order.status);
+
+    const handleFilterChange = (key, value) => {
     setFilters(prev => ({ ...prev, [key]: value }));
     setCurrentPage(1);
   };
@@ -267,6 +312,11 @@ const OrderManagement = () => {
                     </span>
                   </div>
                 </div>
+                <CashPaymentPanel
+                  booking={order}
+                  role="owner"
+                  onUpdated={handleCashUpdated}
+                />
               </div>
             </div>
 
@@ -307,24 +357,36 @@ const OrderManagement = () => {
               </div>
             )}
 
-            {order.status === 'confirmed' && (
+            {/* Pickup / return inspections */}
+            {order.inspections?.length > 0 && (
+              <div className="mt-6 bg-gray-50 rounded-lg p-4">
+                <h3 className="text-lg font-semibold mb-3">Vehicle Condition</h3>
+                <InspectionComparison inspections={order.inspections} />
+              </div>
+            )}
+
+            {['approved', 'confirmed', 'active'].includes(order.status) &&
+              !hasInspected(order, 'check_in') && (
               <div className="mt-6">
                 <button
-                  onClick={() => handleStatusUpdate(order._id, 'active')}
-                  className="w-full bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700"
+                  onClick={() => setInspection({ booking: order, type: 'check_in' })}
+                  className="w-full bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 flex items-center justify-center"
                 >
-                  Mark as Active (Car Picked Up)
+                  <ClipboardCheck className="h-4 w-4 mr-2" />
+                  Start Pickup Inspection (Check-in)
                 </button>
               </div>
             )}
 
-            {order.status === 'active' && (
+            {['active', 'completed'].includes(order.status) &&
+              !hasInspected(order, 'check_out') && (
               <div className="mt-6">
                 <button
-                  onClick={() => handleStatusUpdate(order._id, 'completed')}
-                  className="w-full bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700"
+                  onClick={() => setInspection({ booking: order, type: 'check_out' })}
+                  className="w-full bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700 flex items-center justify-center"
                 >
-                  Mark as Completed (Car Returned)
+                  <ClipboardCheck className="h-4 w-4 mr-2" />
+                  Start Return Inspection (Check-out)
                 </button>
               </div>
             )}
@@ -353,7 +415,7 @@ const OrderManagement = () => {
 
         {/* Filters */}
         <div className="bg-white rounded-lg shadow-md p-6 mb-6">
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-6 gap-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Status
@@ -374,6 +436,20 @@ const OrderManagement = () => {
               </select>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Payment
+              </label>
+              <select
+                value={filters.cash}
+                onChange={(e) => handleFilterChange('cash', e.target.value)}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">All Payments</option>
+                <option value="outstanding">Cash to collect</option>
+              </select>
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Car
@@ -521,6 +597,15 @@ const OrderManagement = () => {
                         <div className="text-sm text-gray-500">
                           {order.paymentMethod}
                         </div>
+                        {order.cashCollection?.status === 'disputed' ? (
+                          <span className="inline-flex px-2 py-0.5 rounded-full text-xs bg-orange-100 text-orange-800">
+                            Cash disputed
+                          </span>
+                        ) : isCashOutstanding(order) && (
+                          <span className="inline-flex px-2 py-0.5 rounded-full text-xs bg-yellow-100 text-yellow-800">
+                            Cash to collect
+                          </span>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(order.status)}`}>
@@ -618,6 +703,16 @@ const OrderManagement = () => {
           </div>
         )}
 
+        {/* Inspection Modal */}
+        {inspection && (
+          <InspectionModal
+            booking={inspection.booking}
+            type={inspection.type}
+            onClose={() => setInspection(null)}
+            onComplete={handleInspectionComplete}
+          />
+        )}
+
         {/* Order Details Modal */}
         {showOrderDetails && (
           <OrderDetailsModal
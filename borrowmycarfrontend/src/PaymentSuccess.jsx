@@ -13,6 +13,7 @@ import {
 } from "lucide-react";
 import { Helmet } from "react-helmet-async";
 import API from "./api";
+import { downloadFromApi, downloadErrorMessage } from "./utils/downloadFile";
 
 const PaymentSuccess = () => {
   const [searchParams] = useSearchParams();
@@ -20,6 +21,7 @@ const PaymentSuccess = () => {
   const [loading, setLoading] = useState(true);
   const [booking, setBooking] = useState(null);
   const [error, setError] = useState("");
+  const [receiptError, setReceiptError] = useState("");
 
   useEffect(() => {
     const verifyPayment = async () => {
@@ -57,20 +59,17 @@ const PaymentSuccess = () => {
   }, [searchParams]);
 
   const downloadReceipt = async () => {
+    setReceiptError("");
     try {
-      const response = await API.get(`/bookings/${booking._id}/receipt`, {
-        responseType: "blob",
-      });
-
-      const url = window.URL.createObjectURL(new Blob([response.data]));
-      const link = document.createElement("a");
-      link.href = url;
-      link.setAttribute("download", `receipt-${booking._id}.pdf`);
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
+      await downloadFromApi(
+        `/bookings/${booking._id}/receipt`,
+        `receipt-${booking._id}.pdf`
+      );
     } catch (err) {
       console.error("Failed to download receipt:", err);
+      setReceiptError(
+        await downloadErrorMessage(err, "Failed to download the receipt")
+      );
     }
   };
 
@@ -333,6 +332,11 @@ const PaymentSuccess = () => {
                     Book Another Car
                   </Link>
                 </div>
+                {receiptError && (
+                  <p className="text-sm text-red-600 text-center">
+                    {receiptError}
+                  </p>
+                )}
               </div>
             </>
           )}
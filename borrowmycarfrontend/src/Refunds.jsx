@@ -18,34 +18,31 @@ const Refunds = () => {
   const { t } = useTranslation();
   const [activeTab, setActiveTab] = useState("policy");
 
-  const refundTiers = [
+  // Mirrors the tiers enforced by the backend (utils/cancellationPolicy.js).
+  // Fees apply to the rental amount; deposit and delivery fee are refunded.
+  const cancellationPolicies = [
     {
-      timeframe: "More than 24 hours before pickup",
-      refund: "100%",
-      fees: "No fees",
-      color: "green",
-      icon: CheckCircle,
+      name: "Flexible",
+      tiers: [
+        { timeframe: "24 hours or more before pickup", refund: "100%", fees: "No fees", color: "green", icon: CheckCircle },
+        { timeframe: "Less than 24 hours before pickup", refund: "50%", fees: "50% of the rental", color: "yellow", icon: Clock },
+      ],
     },
     {
-      timeframe: "24 hours to 2 hours before pickup",
-      refund: "50%",
-      fees: "50% cancellation fee",
-      color: "yellow",
-      icon: Clock,
+      name: "Moderate",
+      tiers: [
+        { timeframe: "3 days or more before pickup", refund: "100%", fees: "No fees", color: "green", icon: CheckCircle },
+        { timeframe: "1 to 3 days before pickup", refund: "50%", fees: "50% of the rental", color: "yellow", icon: Clock },
+        { timeframe: "Less than 24 hours before pickup", refund: "0%", fees: "Full rental", color: "red", icon: AlertCircle },
+      ],
     },
     {
-      timeframe: "Less than 2 hours before pickup",
-      refund: "0%",
-      fees: "No refund",
-      color: "red",
-      icon: AlertCircle,
-    },
-    {
-      timeframe: "After pickup time",
-      refund: "0%",
-      fees: "Full charge + late fee",
-      color: "red",
-      icon: AlertCircle,
+      name: "Strict",
+      tiers: [
+        { timeframe: "7 days or more before pickup", refund: "100%", fees: "No fees", color: "green", icon: CheckCircle },
+        { timeframe: "3 to 7 days before pickup", refund: "50%", fees: "50% of the rental", color: "yellow", icon: Clock },
+        { timeframe: "Less than 3 days before pickup", refund: "0%", fees: "Full rental", color: "red", icon: AlertCircle },
+      ],
     },
   ];
 
@@ -53,25 +50,25 @@ const Refunds = () => {
     {
       reason: "Standard Cancellation",
       description: "Cancelling due to change of plans",
-      policy: "Based on timing (see schedule above)",
+      policy: "Based on the car's policy (see schedule above)",
       processing: "1-3 business days",
     },
     {
       reason: "Owner Cancellation",
       description: "Owner cancels the booking",
-      policy: "100% refund + AED 50 inconvenience credit",
+      policy: "100% refund, no fees",
       processing: "1-2 business days",
     },
     {
       reason: "Vehicle Issues",
       description: "Car breakdown or safety concerns",
-      policy: "100% refund + replacement vehicle",
+      policy: "100% refund, no fees",
       processing: "Immediate/same day",
     },
     {
       reason: "Platform Error",
       description: "Technical issues or double booking",
-      policy: "100% refund + AED 100 credit",
+      policy: "100% refund, no fees",
       processing: "Same day",
     },
     {
@@ -210,35 +207,49 @@ const Refunds = () => {
               <h2 className="text-3xl font-bold text-gray-900 mb-8 text-center">
                 Cancellation & Refund Schedule
               </h2>
-              <div className="grid gap-6">
-                {refundTiers.map((tier, index) => {
-                  const IconComponent = tier.icon;
-                  const colorClasses = {
-                    green: "bg-green-50 border-green-200 text-green-700",
-                    yellow: "bg-yellow-50 border-yellow-200 text-yellow-700",
-                    red: "bg-red-50 border-red-200 text-red-700",
-                  };
+              <p className="text-center text-gray-600 mb-8">
+                Each car lists one of these policies. Requests the owner has not
+                accepted yet, and cancellations by the owner, are always
+                refunded in full.
+              </p>
+              <div className="space-y-10">
+                {cancellationPolicies.map((policy) => (
+                  <div key={policy.name}>
+                    <h3 className="text-xl font-semibold text-gray-900 mb-4">
+                      {policy.name}
+                    </h3>
+                    <div className="grid gap-4">
+                      {policy.tiers.map((tier, index) => {
+                        const IconComponent = tier.icon;
+                        const colorClasses = {
+                          green: "bg-green-50 border-green-200 text-green-700",
+                          yellow: "bg-yellow-50 border-yellow-200 text-yellow-700",
+                          red: "bg-red-50 border-red-200 text-red-700",
+                        };
 
-                  return (
-                    <div key={index} className={`border rounded-xl p-6 ${colorClasses[tier.color]}`}>
-                      <div className="flex items-center justify-between">
-                        <div className="flex items-center">
-                          <IconComponent className="h-6 w-6 mr-4" />
-                          <div>
-                            <h3 className="text-lg font-semibold">
-                              {tier.timeframe}
-                            </h3>
-                            <p className="text-sm opacity-75">{tier.fees}</p>
+                        return (
+                          <div key={index} className={`border rounded-xl p-6 ${colorClasses[tier.color]}`}>
+                            <div className="flex items-center justify-between">
+                              <div className="flex items-center">
+                                <IconComponent className="h-6 w-6 mr-4" />
+                                <div>
+                                  <h4 className="text-lg font-semibold">
+                                    {tier.timeframe}
+                                  </h4>
+                                  <p className="text-sm opacity-75">{tier.fees}</p>
+                                </div>
+                              </div>
+                              <div className="text-right">
+                                <div className="text-3xl font-bold">{tier.refund}</div>
+                                <div className="text-sm opacity-75">refund</div>
+                              </div>
+                            </div>
                           </div>
-                        </div>
-                        <div className="text-right">
-                          <div className="text-3xl font-bold">{tier.refund}</div>
-                          <div className="text-sm opacity-75">refund</div>
-                        </div>
-                      </div>
+                        );
+                      })}
                     </div>
-                  );
-                })}
+                  </div>
+                ))}
               </div>
             </div>
 
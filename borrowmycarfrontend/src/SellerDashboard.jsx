@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from "react";
 import { useAuth } from "./context/AuthContext";
 import api from "./api";
+import OwnerPayouts from "./components/OwnerPayouts";
+import PaymentHistory from "./components/PaymentHistory";
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -199,7 +201,7 @@ const SellerDashboard = () => {
             value={`AED ${overview.totalEarnings?.toLocaleString() || 0}`}
             icon={DollarSign}
             color="text-green-600"
-            subtitle={`${overview.completedBookings || 0} completed bookings`}
+            subtitle={`After ${overview.commissionPercent ?? 0}% platform commission`}
           />
           <StatCard
             title="Total Cars"
@@ -220,9 +222,21 @@ const SellerDashboard = () => {
             value={`AED ${overview.avgBookingValue?.toFixed(0) || 0}`}
             icon={TrendingUp}
             color="text-orange-600"
+            subtitle={
+              overview.promoDiscounts > 0
+                ? `After AED ${overview.promoDiscounts.toLocaleString()} in promo discounts`
+                : undefined
+            }
           />
         </div>
 
+        <OwnerPayouts period={period} />
+
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          <h3 className="text-lg font-semibold mb-4">Transactions</h3>
+          <PaymentHistory role="owner" />
+        </div>
+
         {/* Charts Section */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
           {/* Earnings Chart */}
@@ -316,7 +330,7 @@ const SellerDashboard = () => {
                       Car
                     </th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Total Earnings
+                      Rental Revenue
                     </th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Bookings
@@ -20,9 +20,12 @@ import {
   UserX,
   User,
   Edit3,
+  CreditCard,
 } from "lucide-react";
 import API from "./api";
 import ProfilePictureManager from "./components/ProfilePictureManager";
+import PaymentHistory from "./components/PaymentHistory";
+import SavedCards from "./components/SavedCards";
 import { useNotifications } from "./context/NotificationContext";
 
 const Settings = () => {
@@ -247,6 +250,7 @@ const Settings = () => {
     { id: "profile", label: "Profile", icon: User },
     { id: "security", label: "Security", icon: Shield },
     { id: "notifications", label: "Notifications", icon: Bell },
+    { id: "payments", label: "Payments", icon: CreditCard },
     { id: "privacy", label: "Privacy", icon: Eye },
     { id: "data", label: "Data & Account", icon: Database },
   ];
@@ -926,6 +930,28 @@ const Settings = () => {
               </div>
             )}
 
+            {/* Payments Tab */}
+            {activeTab === "payments" && (
+              <div className="space-y-8">
+                {user?.role !== "owner" && (
+                  <div>
+                    <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                      Saved Cards
+                    </h2>
+                    <SavedCards />
+                  </div>
+                )}
+                <div>
+                  <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                    Payment History
+                  </h2>
+                  <PaymentHistory
+                    role={user?.role === "owner" ? "owner" : "renter"}
+                  />
+                </div>
+              </div>
+            )}
+
             {/* Data & Account Tab */}
             {activeTab === "data" && (
               <div className="space-y-6">
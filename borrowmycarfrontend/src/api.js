@@ -14,6 +14,33 @@ const API = axios.create({
 // Cookie-based authentication - no token handling needed
 // Cookies are automatically sent with requests
 
+// Booking and payment changes carry an Idempotency-Key so a retry can't
+// create a second booking or charge; the server replays the first response
+const IDEMPOTENT_URL = /^\/(bookings|payments)(\/|$)/;
+const IDEMPOTENT_METHODS = ["post", "put", "patch", "delete"];
+const MAX_IDEMPOTENT_RETRIES = 2;
+
+const createIdempotencyKey = () =>
+  window.crypto?.randomUUID?.() ||
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+const needsIdempotencyKey = (req) =>
+  IDEMPOTENT_METHODS.includes(req.method?.toLowerCase()) &&
+  IDEMPOTENT_URL.test(req.url || "") &&
+  !(req.data instanceof FormData);
+
+// Retry when the request may never have reached the server, or the first
+// attempt is still running; the same key makes the retry safe
+const shouldRetryIdempotent = (error) => {
+  const config = error.config;
+  if (!config?.headers?.["Idempotency-Key"]) return false;
+  if ((config.idempotentRetries || 0) >= MAX_IDEMPOTENT_RETRIES) return false;
+  return (
+    !error.response ||
+    error.response.data?.code === "IDEMPOTENCY_REQUEST_IN_PROGRESS"
+  );
+};
+
 // Request interceptor for cookie-based auth
 API.interceptors.request.use(
   (req) => {
@@ -24,6 +51,11 @@ API.interceptors.request.use(
       delete req.headers["Content-Type"]; // Let browser set it for FormData
     }
 
+    // Kept on the config, so retries send the same key
+    if (needsIdempotencyKey(req) && !req.headers["Idempotency-Key"]) {
+      req.headers["Idempotency-Key"] = createIdempotencyKey();
+    }
+
     // Log request in development
     if (import.meta.env.DEV) {
       console.log(`🚀 ${req.method?.toUpperCase()} ${req.url}`, {
@@ -49,7 +81,21 @@ API.interceptors.response.use(
     }
     return response;
   },
-  (error) => {
+  async (error) => {
+    if (shouldRetryIdempotent(error)) {
+      const config = error.config;
+      config.idempotentRetries = (config.idempotentRetries || 0) + 1;
+      if (import.meta.env.DEV) {
+        console.log(
+          `🔁 Retrying ${config.method?.toUpperCase()} ${config.url} (attempt ${config.idempotentRetries})`
+        );
+      }
+      await new Promise((resolve) =>
+        setTimeout(resolve, 1000 * config.idempotentRetries)
+      );
+      return API(config);
+    }
+
     console.error("❌ API Error:", error);
 
     // Handle different error scenarios
@@ -203,7 +203,7 @@ class PaymentService {
   async getSavedPaymentMethods() {
     try {
       const response = await API.get("/payments/saved-methods");
-      return response.data.data.paymentMethods || [];
+      return response.data.data.cards || [];
     } catch (error) {
       console.error("Failed to fetch saved payment methods:", error);
       return [];
@@ -0,0 +1,88 @@
+// src/components/BookingInvoices.jsx - Tax invoices and credit notes of a booking
+import { useState } from "react";
+import { FileText, Download, ChevronDown, ChevronUp } from "lucide-react";
+import API from "../api";
+import { downloadFromApi, downloadErrorMessage } from "../utils/downloadFile";
+
+const BookingInvoices = ({ bookingId }) => {
+  const [open, setOpen] = useState(false);
+  const [invoices, setInvoices] = useState(null);
+  const [error, setError] = useState("");
+
+  const toggle = async () => {
+    setOpen(!open);
+    if (open || invoices) return;
+
+    try {
+      const response = await API.get(`/bookings/${bookingId}/invoices`);
+      setInvoices(response.data.data.invoices);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to load invoices");
+    }
+  };
+
+  const download = async (invoice) => {
+    setError("");
+    try {
+      await downloadFromApi(
+        `/bookings/${bookingId}/invoices/${invoice._id}`,
+        `${invoice.number}.pdf`
+      );
+    } catch (err) {
+      setError(await downloadErrorMessage(err, "Failed to download the invoice"));
+    }
+  };
+
+  return (
+    <div className="text-sm">
+      <button
+        type="button"
+        onClick={toggle}
+        className="flex items-center text-gray-700 hover:text-gray-900"
+      >
+        <FileText className="w-4 h-4 mr-1" />
+        Invoices & receipts
+        {open ? (
+          <ChevronUp className="w-4 h-4 ml-1" />
+        ) : (
+          <ChevronDown className="w-4 h-4 ml-1" />
+        )}
+      </button>
+
+      {open && (
+        <div className="mt-2 space-y-1">
+          {!invoices && !error && (
+            <div className="h-6 bg-gray-100 rounded animate-pulse" />
+          )}
+          {invoices?.length === 0 && (
+            <p className="text-gray-500">No invoices have been issued yet.</p>
+          )}
+          {invoices?.map((invoice) => (
+            <div
+              key={invoice._id}
+              className="flex items-center justify-between gap-2"
+            >
+              <span className="text-gray-600">
+                {invoice.type === "credit_note" ? "Credit note" : "Tax invoice"}{" "}
+                {invoice.number} ·{" "}
+                {new Date(invoice.issuedAt).toLocaleDateString()} ·{" "}
+                {invoice.type === "credit_note" ? "-" : ""}AED {invoice.total}
+              </span>
+              <button
+                type="button"
+                onClick={() => download(invoice)}
+                className="flex items-center text-green-600 hover:text-green-700"
+              >
+                <Download className="w-4 h-4 mr-1" />
+                PDF
+              </button>
+            </div>
+          ))}
+          {error && <p className="text-red-600">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BookingInvoices;
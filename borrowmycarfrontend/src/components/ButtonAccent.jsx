@@ -1,5 +1,5 @@
 // src/components/ButtonAccent.jsx - Simplified Payment Modal (Cash and Card Only)
-import { useState, useEffect } from "react";
+import { useState } from "react";
 import {
   X,
   CreditCard,
@@ -39,8 +39,6 @@ const PaymentModal = ({
   });
 
   const [errors, setErrors] = useState({});
-  const [_savedCards, _setSavedCards] = useState([]);
-  const [selectedSavedCard, setSelectedSavedCard] = useState("");
 
   // Payment Methods (Cash and Card only)
   const paymentMethods = [
@@ -62,22 +60,6 @@ const PaymentModal = ({
     },
   ];
 
-  // Fetch saved cards on modal open
-  useEffect(() => {
-    if (isOpen) {
-      fetchSavedCards();
-    }
-  }, [isOpen]);
-
-  const fetchSavedCards = async () => {
-    try {
-      const response = await API.get("/payments/saved-cards");
-      _setSavedCards(response.data.data?.cards || []);
-    } catch (error) {
-      console.error("Failed to fetch saved cards:", error);
-    }
-  };
-
   // Calculate fees function
   const calculateFees = () => {
     const baseAmount = bookingData?.totalAmount || 0;
@@ -99,24 +81,18 @@ const PaymentModal = ({
   const validateStripeForm = () => {
     const newErrors = {};
 
-    if (selectedSavedCard) {
-      if (!cardForm.cvv || cardForm.cvv.length < 3) {
-        newErrors.cvv = "CVV is required";
-      }
-    } else {
-      const cardNumber = cardForm.cardNumber.replace(/\s/g, "");
-      if (!cardNumber || cardNumber.length < 13 || cardNumber.length > 19) {
-        newErrors.cardNumber = "Valid card number is required";
-      }
-      if (!cardForm.expiryDate || !/^\d{2}\/\d{2}$/.test(cardForm.expiryDate)) {
-        newErrors.expiryDate = "Valid expiry date is required (MM/YY)";
-      }
-      if (!cardForm.cvv || cardForm.cvv.length < 3) {
-        newErrors.cvv = "Valid CVV is required";
-      }
-      if (!cardForm.cardholderName.trim()) {
-        newErrors.cardholderName = "Cardholder name is required";
-      }
+    const cardNumber = cardForm.cardNumber.replace(/\s/g, "");
+    if (!cardNumber || cardNumber.length < 13 || cardNumber.length > 19) {
+      newErrors.cardNumber = "Valid card number is required";
+    }
+    if (!cardForm.expiryDate || !/^\d{2}\/\d{2}$/.test(cardForm.expiryDate)) {
+      newErrors.expiryDate = "Valid expiry date is required (MM/YY)";
+    }
+    if (!cardForm.cvv || cardForm.cvv.length < 3) {
+      newErrors.cvv = "Valid CVV is required";
+    }
+    if (!cardForm.cardholderName.trim()) {
+      newErrors.cardholderName = "Cardholder name is required";
     }
 
     setErrors(newErrors);
@@ -163,9 +139,7 @@ const PaymentModal = ({
         case "stripe":
           isValid = validateStripeForm();
           if (isValid) {
-            paymentData.cardDetails = selectedSavedCard
-              ? { savedCardId: selectedSavedCard, cvv: cardForm.cvv }
-              : cardForm;
+            paymentData.cardDetails = cardForm;
           }
           break;
 
@@ -205,7 +179,6 @@ const PaymentModal = ({
   const handlePaymentMethodChange = (method) => {
     setPaymentMethod(method);
     setErrors({});
-    setSelectedSavedCard("");
   };
 
   if (!isOpen) return null;
@@ -0,0 +1,145 @@
+// src/components/CancelBookingModal.jsx - Shows the fee and refund before cancelling
+import { useState, useEffect } from "react";
+import { X, XCircle, AlertCircle } from "lucide-react";
+import API from "../api";
+
+const CancelBookingModal = ({ booking, onClose, onCancelled }) => {
+  const [preview, setPreview] = useState(null);
+  const [reason, setReason] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchPreview = async () => {
+      try {
+        const response = await API.get(
+          `/bookings/${booking._id}/cancellation-preview`
+        );
+        setPreview(response.data.data);
+      } catch (err) {
+        setError(
+          err.response?.data?.message || "Failed to load the refund preview"
+        );
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPreview();
+  }, [booking._id]);
+
+  const handleConfirm = async () => {
+    setSubmitting(true);
+    setError("");
+
+    try {
+      const response = await API.patch(`/bookings/${booking._id}/cancel`, {
+        cancellationReason: reason || undefined,
+      });
+      onCancelled?.(response.data.data.booking, response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to cancel the booking");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl max-w-md w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Cancel Booking</h2>
+            <p className="text-sm text-gray-500">{booking.car?.title}</p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {loading && (
+            <div className="h-24 bg-gray-100 rounded-lg animate-pulse" />
+          )}
+
+          {preview && (
+            <div className="bg-gray-50 rounded-lg p-4 space-y-2 text-sm">
+              <p className="text-gray-600 capitalize">
+                {preview.policy} policy
+                {preview.hoursBeforePickup > 0
+                  ? ` - ${Math.floor(preview.hoursBeforePickup)} hours before pickup`
+                  : " - pickup time has passed"}
+              </p>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Paid so far</span>
+                <span>AED {preview.amountPaid}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">
+                  Cancellation fee ({100 - preview.refundPercent}% of rental)
+                </span>
+                <span className={preview.cancellationFee > 0 ? "text-red-600" : ""}>
+                  AED {preview.cancellationFee}
+                </span>
+              </div>
+              <div className="flex justify-between font-semibold border-t pt-2">
+                <span>You get back</span>
+                <span className="text-green-600">AED {preview.refundAmount}</span>
+              </div>
+              {preview.refundAmount > 0 && (
+                <p className="text-gray-500">
+                  {preview.paymentMethod === "Card"
+                    ? "Refunded to your card, usually within 5-10 business days."
+                    : "The owner returns this amount to you."}
+                </p>
+              )}
+            </div>
+          )}
+
+          <textarea
+            rows={3}
+            maxLength={500}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason for cancelling (optional)"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-center text-sm text-red-700">
+              <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-3 p-6 border-t border-gray-200">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+          >
+            Keep Booking
+          </button>
+          <button
+            type="button"
+            onClick={handleConfirm}
+            disabled={submitting || !preview}
+            className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
+          >
+            <XCircle className="w-4 h-4 mr-1" />
+            {submitting ? "Cancelling..." : "Cancel Booking"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CancelBookingModal;
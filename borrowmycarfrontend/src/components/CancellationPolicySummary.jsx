@@ -0,0 +1,93 @@
+// src/components/CancellationPolicySummary.jsx - Refund tiers of a car's cancellation policy
+import { useState, useEffect } from "react";
+import { ShieldCheck } from "lucide-react";
+import API from "../api";
+
+const HOUR_MS = 1000 * 60 * 60;
+
+// The policy table rarely changes; fetch it once per page load
+let policiesRequest = null;
+const loadPolicies = () => {
+  if (!policiesRequest) {
+    policiesRequest = API.get("/cars/cancellation-policies")
+      .then((response) => response.data.data.policies)
+      .catch((err) => {
+        policiesRequest = null;
+        throw err;
+      });
+  }
+  return policiesRequest;
+};
+
+const describeHours = (hours) =>
+  hours >= 48 && hours % 24 === 0 ? `${hours / 24} days` : `${hours} hours`;
+
+const CancellationPolicySummary = ({ policyName = "moderate", startDate }) => {
+  const [policies, setPolicies] = useState(null);
+
+  useEffect(() => {
+    loadPolicies()
+      .then(setPolicies)
+      .catch((err) => console.error("Error fetching cancellation policies:", err));
+  }, []);
+
+  const policy = policies?.[policyName] || policies?.moderate;
+  if (!policy) return null;
+
+  const pickup = startDate ? new Date(startDate) : null;
+
+  const describeTier = (tier) => {
+    if (!pickup) {
+      return tier.hoursBefore > 0
+        ? `${describeHours(tier.hoursBefore)}+ before pickup`
+        : "Until pickup";
+    }
+    const deadline = new Date(pickup.getTime() - tier.hoursBefore * HOUR_MS);
+    return deadline > new Date()
+      ? `Cancel before ${deadline.toLocaleString([], {
+          dateStyle: "medium",
+          timeStyle: "short",
+        })}`
+      : null;
+  };
+
+  const tiers = policy.tiers
+    .map((tier) => ({ ...tier, label: describeTier(tier) }))
+    .filter((tier) => tier.label);
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg text-sm">
+      <p className="font-medium text-gray-900 flex items-center gap-2 mb-2">
+        <ShieldCheck className="w-4 h-4 text-green-600" />
+        {policy.label} cancellation policy
+      </p>
+      <ul className="space-y-1 text-gray-600">
+        {tiers.map((tier) => (
+          <li key={tier.hoursBefore} className="flex justify-between gap-2">
+            <span>{tier.label}</span>
+            <span
+              className={
+                tier.refundPercent === 100
+                  ? "text-green-600 font-medium"
+                  : tier.refundPercent > 0
+                  ? "text-yellow-700"
+                  : "text-red-600"
+              }
+            >
+              {tier.refundPercent}% refund
+            </span>
+          </li>
+        ))}
+        {pickup && tiers.length === 0 && (
+          <li className="text-red-600">No refund of the rental if cancelled</li>
+        )}
+      </ul>
+      <p className="text-xs text-gray-500 mt-2">
+        Refunds apply to the rental amount; the security deposit and delivery
+        fee are always returned.
+      </p>
+    </div>
+  );
+};
+
+export default CancellationPolicySummary;
@@ -13,17 +13,19 @@ import {
   Briefcase,
   Clock,
   CheckCircle,
+  Zap,
 } from "lucide-react";
 import UserAvatar from "./UserAvatar";
 
-const CarCard = ({ car, userLocation = null, showDistance = true }) => {
+const CarCard = ({ car, showDistance = true, tripQuery = "" }) => {
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
   const [touchStart, setTouchStart] = useState(null);
   const [touchEnd, setTouchEnd] = useState(null);
 
+  // distanceKm comes with near-me searches (measured to the fuzzed pin)
   const getDistanceText = () => {
-    if (!userLocation || !car.location || !showDistance) return null;
-    return `5.2 km away`;
+    if (!showDistance || car.distanceKm === undefined) return null;
+    return `~${car.distanceKm} km away`;
   };
 
   const getWeeklyPrice = () => {
@@ -92,7 +94,7 @@ const CarCard = ({ car, userLocation = null, showDistance = true }) => {
 
   return (
     <Link
-      to={`/cars/${car._id}`}
+      to={`/cars/${car._id}${tripQuery}`}
       className="bg-white border border-gray-200 rounded-lg overflow-hidden shadow-md hover:shadow-lg transition-shadow w-full text-left block"
       aria-label={`Rent ${car.title}`}
     >
@@ -243,6 +245,12 @@ const CarCard = ({ car, userLocation = null, showDistance = true }) => {
             <Clock className="w-4 h-4 mr-1" />
             <span className="whitespace-nowrap">Minimum {car.minimumRentalDays || 1} days rental</span>
           </div>
+          {car.isInstantApproval && (
+            <div className="flex items-center text-green-600" title="Booked instantly, no owner approval needed">
+              <Zap className="w-4 h-4 mr-1" />
+              <span className="whitespace-nowrap">Instant book</span>
+            </div>
+          )}
           {car.hasInsurance && (
             <div className="flex items-center text-green-600" title="Insurance Included">
               <CheckCircle className="w-4 h-4 mr-1" />
@@ -254,7 +262,7 @@ const CarCard = ({ car, userLocation = null, showDistance = true }) => {
         {/* Location */}
         <div className="flex items-center text-gray-600 text-sm mb-3">
           <MapPin className="w-4 h-4 mr-1" />
-          <span>{car.location || `${car.city}, ${car.city}`}</span>
+          <span>{car.city}</span>
           {getDistanceText() && (
             <>
               <Navigation className="w-4 h-4 ml-3 mr-1" />
@@ -314,6 +322,13 @@ const CarCard = ({ car, userLocation = null, showDistance = true }) => {
               AED {car.price || car.pricePerDay}
             </span>
             <span className="text-sm text-gray-500 block">per day</span>
+            {/* Searches with trip dates price the whole trip */}
+            {car.trip && (
+              <span className="text-sm font-medium text-green-700 block">
+                AED {car.trip.totalAmount} for {car.trip.totalDays}{" "}
+                {car.trip.totalDays === 1 ? "day" : "days"}
+              </span>
+            )}
           </div>
           <button
             className={`px-4 py-2 rounded-md font-medium transition-colors ${
@@ -0,0 +1,122 @@
+// src/components/CardPaymentModal.jsx - Pay an amount owed on a booking by card
+import { useState } from "react";
+import { Elements, CardElement, useStripe, useElements } from "@stripe/react-stripe-js";
+import { X, CreditCard, Lock } from "lucide-react";
+import { usePayment } from "../context/PaymentContext";
+
+// The server creates the PaymentIntent, Stripe.js confirms it with the card,
+// and the server records it only after checking it with Stripe. A hold is
+// only authorized on the card, not charged.
+const CardPaymentForm = ({ amount, hold, createPayment, confirmPayment, onPaid, onClose }) => {
+  const stripe = useStripe();
+  const elements = useElements();
+  const [paying, setPaying] = useState(false);
+  const [error, setError] = useState("");
+
+  const pay = async (e) => {
+    e.preventDefault();
+    if (!stripe || !elements) return;
+
+    setPaying(true);
+    setError("");
+    try {
+      const { clientSecret, paymentId } = await createPayment();
+      const { error: cardError, paymentIntent } = await stripe.confirmCardPayment(
+        clientSecret,
+        { payment_method: { card: elements.getElement(CardElement) } }
+      );
+      if (cardError) {
+        setError(cardError.message);
+        return;
+      }
+      if (paymentIntent.status !== (hold ? "requires_capture" : "succeeded")) {
+        setError("The card payment was not completed");
+        return;
+      }
+      onPaid(await confirmPayment(paymentId));
+    } catch (err) {
+      setError(err.response?.data?.message || "The payment could not be completed");
+    } finally {
+      setPaying(false);
+    }
+  };
+
+  return (
+    <form onSubmit={pay} className="p-6 space-y-4">
+      <div className="border border-gray-300 rounded-lg p-3 bg-white">
+        <CardElement options={{ hidePostalCode: true }} />
+      </div>
+      {error && <p className="text-red-600 text-sm">{error}</p>}
+      <p className="text-xs text-gray-500 flex items-center gap-1">
+        <Lock className="w-3 h-3" />
+        Payments are processed securely by Stripe
+      </p>
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={!stripe || paying}
+          className="flex-1 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm disabled:opacity-50"
+        >
+          {paying ? "Processing..." : `${hold ? "Authorize" : "Pay"} AED ${amount}`}
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          disabled={paying}
+          className="px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const CardPaymentModal = ({
+  title,
+  amount,
+  hold = false,
+  createPayment,
+  confirmPayment,
+  onPaid,
+  onClose,
+}) => {
+  const { stripePromise } = usePayment();
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl max-w-md w-full">
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+            <CreditCard className="w-5 h-5" />
+            {title}
+          </h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+        {stripePromise ? (
+          <Elements stripe={stripePromise}>
+            <CardPaymentForm
+              amount={amount}
+              hold={hold}
+              createPayment={createPayment}
+              confirmPayment={confirmPayment}
+              onPaid={onPaid}
+              onClose={onClose}
+            />
+          </Elements>
+        ) : (
+          <p className="p-6 text-sm text-red-600">Card payments are not available</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CardPaymentModal;
@@ -0,0 +1,174 @@
+// src/components/CashPaymentPanel.jsx - Record, acknowledge or dispute a cash payment
+import { useState } from "react";
+import { Banknote, CheckCircle, AlertTriangle } from "lucide-react";
+import API from "../api";
+
+// Bookings whose cash can be handed over (pickup through return)
+const CASH_COLLECTABLE_STATUSES = ["approved", "confirmed", "active", "completed"];
+
+const CashPaymentPanel = ({ booking, role, onUpdated }) => {
+  const cash = booking.cashCollection || { status: "none" };
+  const due = cash.expectedAmount ?? booking.totalPayable;
+  const [form, setForm] = useState(null); // "confirm", "dispute" or null
+  const [amount, setAmount] = useState(String(due));
+  const [text, setText] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  if (
+    booking.paymentMethod !== "Cash" ||
+    !CASH_COLLECTABLE_STATUSES.includes(booking.status)
+  ) {
+    return null;
+  }
+
+  const locked = ["disputed", "resolved"].includes(cash.status);
+  const canConfirm = role === "owner" && !locked && cash.status !== "acknowledged";
+  const canAcknowledge = role === "renter" && cash.status === "confirmed";
+  const canDispute = !locked && (role === "owner" || cash.status !== "none");
+
+  const submit = async (action, body) => {
+    setSubmitting(true);
+    setError("");
+    try {
+      const response = await API.post(`/bookings/${booking._id}/cash/${action}`, body);
+      setForm(null);
+      setText("");
+      onUpdated?.(response.data.data.booking);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to update the cash payment");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 p-3 rounded-lg border border-gray-200 bg-white text-sm">
+      <p className="flex items-center font-medium text-gray-900">
+        <Banknote className="h-4 w-4 mr-2" />
+        Cash payment
+      </p>
+
+      {cash.status === "none" ? (
+        <p className="text-gray-600 mt-1">
+          AED {due} {role === "owner" ? "to collect" : "to pay"} in cash at pickup.
+        </p>
+      ) : (
+        <p className="text-gray-600 mt-1">
+          AED {cash.amount} of AED {cash.expectedAmount} received
+          {cash.confirmedAt && ` on ${new Date(cash.confirmedAt).toLocaleDateString()}`}
+          {cash.status === "acknowledged" && (
+            <span className="inline-flex items-center text-green-700 ml-1">
+              <CheckCircle className="h-3 w-3 mr-1" /> confirmed by renter
+            </span>
+          )}
+        </p>
+      )}
+
+      {cash.status === "disputed" && (
+        <p className="flex items-start text-orange-700 mt-1">
+          <AlertTriangle className="h-4 w-4 mr-1 flex-shrink-0" />
+          Disputed by the {cash.dispute?.raisedByRole}: {cash.dispute?.reason}. Our
+          team will settle it.
+        </p>
+      )}
+      {cash.status === "resolved" && (
+        <p className="text-gray-600 mt-1">
+          Settled by our team: {cash.dispute?.resolution}
+        </p>
+      )}
+
+      {form === "confirm" && (
+        <div className="mt-2 space-y-2">
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            className="w-full border border-gray-300 rounded px-2 py-1"
+            placeholder="Amount received (AED)"
+          />
+          <input
+            type="text"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            maxLength={500}
+            className="w-full border border-gray-300 rounded px-2 py-1"
+            placeholder="Notes (optional)"
+          />
+          <button
+            onClick={() => submit("confirm", { amount, notes: text || undefined })}
+            disabled={submitting || !(parseFloat(amount) > 0)}
+            className="w-full bg-green-600 text-white py-1.5 rounded hover:bg-green-700 disabled:opacity-50"
+          >
+            {submitting ? "Saving..." : `Confirm AED ${amount || 0} received`}
+          </button>
+        </div>
+      )}
+
+      {form === "dispute" && (
+        <div className="mt-2 space-y-2">
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            maxLength={500}
+            rows={2}
+            className="w-full border border-gray-300 rounded px-2 py-1"
+            placeholder="What went wrong with the payment?"
+          />
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            className="w-full border border-gray-300 rounded px-2 py-1"
+            placeholder="Amount that actually changed hands (AED)"
+          />
+          <button
+            onClick={() => submit("dispute", { reason: text, claimedAmount: amount })}
+            disabled={submitting || !text.trim()}
+            className="w-full bg-orange-600 text-white py-1.5 rounded hover:bg-orange-700 disabled:opacity-50"
+          >
+            {submitting ? "Sending..." : "Raise dispute"}
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-red-600 mt-2">{error}</p>}
+
+      {!form && (canConfirm || canAcknowledge || canDispute) && (
+        <div className="flex flex-wrap gap-2 mt-2">
+          {canConfirm && (
+            <button
+              onClick={() => setForm("confirm")}
+              className="bg-green-600 text-white px-3 py-1 rounded hover:bg-green-700"
+            >
+              {cash.status === "none" ? "Confirm cash received" : "Update amount"}
+            </button>
+          )}
+          {canAcknowledge && (
+            <button
+              onClick={() => submit("acknowledge")}
+              disabled={submitting}
+              className="bg-green-600 text-white px-3 py-1 rounded hover:bg-green-700 disabled:opacity-50"
+            >
+              That's correct
+            </button>
+          )}
+          {canDispute && (
+            <button
+              onClick={() => setForm("dispute")}
+              className="border border-orange-600 text-orange-700 px-3 py-1 rounded hover:bg-orange-50"
+            >
+              Dispute
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CashPaymentPanel;
@@ -0,0 +1,168 @@
+// src/components/DamageClaimModal.jsx - Owner files a damage claim for a completed booking
+import { useState } from "react";
+import { X, Camera, AlertCircle } from "lucide-react";
+import API from "../api";
+import InspectionComparison from "./InspectionComparison";
+
+const DamageClaimModal = ({ booking, onClose, onFiled }) => {
+  const [photos, setPhotos] = useState([]);
+  const [description, setDescription] = useState("");
+  const [estimatedCost, setEstimatedCost] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handlePhotoSelect = (e) => {
+    const files = Array.from(e.target.files || []);
+    setPhotos((prev) => [...prev, ...files].slice(0, 10));
+    e.target.value = "";
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError("");
+
+    try {
+      const data = new FormData();
+      data.append("bookingId", booking._id);
+      data.append("description", description);
+      data.append("estimatedCost", estimatedCost);
+      photos.forEach((photo) => data.append("photos", photo));
+
+      const response = await API.post("/claims", data, {
+        headers: { "Content-Type": "multipart/form-data" },
+      });
+
+      onFiled?.(response.data.data.claim);
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+          err.response?.data?.errors?.[0]?.msg ||
+          "Failed to file the claim. Please try again."
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto"
+      >
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">
+              File a Damage Claim
+            </h2>
+            <p className="text-sm text-gray-500">{booking.car?.title}</p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {booking.inspections?.length > 0 && (
+            <div className="bg-gray-50 rounded-lg p-4">
+              <p className="text-sm text-gray-600 mb-3">
+                The pickup and return inspections are attached to the claim as
+                evidence.
+              </p>
+              <InspectionComparison inspections={booking.inspections} />
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              What was damaged?
+            </label>
+            <textarea
+              rows={4}
+              required
+              minLength={10}
+              maxLength={2000}
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Estimated repair cost (AED)
+            </label>
+            <input
+              type="number"
+              min="1"
+              step="0.01"
+              required
+              value={estimatedCost}
+              onChange={(e) => setEstimatedCost(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+            />
+            {booking.securityDeposit > 0 && (
+              <p className="text-xs text-gray-500 mt-1">
+                Up to AED {booking.securityDeposit} is taken from the security
+                deposit; anything above is charged to the renter.
+              </p>
+            )}
+          </div>
+
+          <div>
+            <label className="flex items-center justify-center gap-2 h-20 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-green-500 text-sm text-gray-600">
+              <Camera className="w-5 h-5" />
+              Add damage photos ({photos.length}/10)
+              <input
+                type="file"
+                accept="image/jpeg,image/png,image/webp"
+                multiple
+                className="hidden"
+                onChange={handlePhotoSelect}
+              />
+            </label>
+            {photos.length > 0 && (
+              <ul className="mt-2 text-xs text-gray-600 space-y-1">
+                {photos.map((photo, index) => (
+                  <li key={`${photo.name}-${index}`}>{photo.name}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-center text-sm text-red-700">
+              <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-3 p-6 border-t border-gray-200">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={submitting || photos.length === 0}
+            className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {submitting ? "Filing..." : "File Claim"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default DamageClaimModal;
@@ -0,0 +1,117 @@
+// src/components/DamageClaimPanel.jsx - Claim summary with the renter's accept/contest actions
+import { useState } from "react";
+import { AlertTriangle } from "lucide-react";
+import API from "../api";
+
+const STATUS_STYLES = {
+  open: "bg-yellow-100 text-yellow-800",
+  accepted: "bg-blue-100 text-blue-800",
+  contested: "bg-orange-100 text-orange-800",
+  upheld: "bg-red-100 text-red-800",
+  dismissed: "bg-gray-100 text-gray-800",
+};
+
+const DamageClaimPanel = ({ claim, isRenter, onUpdated }) => {
+  const [message, setMessage] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const respond = async (action) => {
+    setSubmitting(true);
+    setError("");
+    try {
+      const response = await API.patch(`/claims/${claim._id}/respond`, {
+        action,
+        message: message || undefined,
+      });
+      onUpdated?.(response.data.data.claim);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to respond to claim");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const { settlement } = claim;
+
+  return (
+    <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-medium text-red-900 flex items-center gap-2">
+          <AlertTriangle className="w-4 h-4" />
+          Damage claim: AED {claim.estimatedCost}
+        </h4>
+        <span
+          className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${
+            STATUS_STYLES[claim.status] || STATUS_STYLES.open
+          }`}
+        >
+          {claim.status}
+        </span>
+      </div>
+      <p className="text-sm text-red-800 mb-3">{claim.description}</p>
+
+      {claim.photos?.length > 0 && (
+        <div className="grid grid-cols-4 sm:grid-cols-6 gap-2 mb-3">
+          {claim.photos.map((photo) => (
+            <a key={photo} href={photo} target="_blank" rel="noreferrer">
+              <img
+                src={photo}
+                alt="Damage"
+                className="w-full h-16 object-cover rounded border border-red-200"
+              />
+            </a>
+          ))}
+        </div>
+      )}
+
+      {settlement?.amount > 0 && (
+        <p className="text-sm text-gray-700">
+          Settled AED {settlement.amount}: AED {settlement.depositDeducted} from
+          the deposit
+          {settlement.chargeAmount > 0 &&
+            `, AED ${settlement.chargeAmount} charged separately (${settlement.chargeStatus})`}
+          .
+        </p>
+      )}
+
+      {claim.resolution?.notes && (
+        <p className="text-sm text-gray-700 mt-1">
+          Admin decision: {claim.resolution.notes}
+        </p>
+      )}
+
+      {isRenter && claim.status === "open" && (
+        <div className="mt-3 space-y-2">
+          <textarea
+            rows={2}
+            maxLength={1000}
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            placeholder="Add a comment (required to contest)"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <div className="flex gap-2">
+            <button
+              onClick={() => respond("accept")}
+              disabled={submitting}
+              className="px-3 py-1.5 bg-gray-800 text-white text-sm rounded hover:bg-gray-900 disabled:opacity-50"
+            >
+              Accept Claim
+            </button>
+            <button
+              onClick={() => respond("contest")}
+              disabled={submitting || !message.trim()}
+              className="px-3 py-1.5 bg-orange-600 text-white text-sm rounded hover:bg-orange-700 disabled:opacity-50"
+            >
+              Contest
+            </button>
+          </div>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DamageClaimPanel;
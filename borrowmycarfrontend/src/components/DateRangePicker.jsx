@@ -8,6 +8,8 @@ const CarDateRangePicker = ({
   carId,
   startDate,
   endDate,
+  initialPickupTime = '10:00',
+  initialReturnTime = '18:00',
   onDateChange,
   onError,
   className = "",
@@ -20,8 +22,8 @@ const CarDateRangePicker = ({
   const [blockedDates, setBlockedDates] = useState(new Set());
   
   // Time and location states
-  const [pickupTime, setPickupTime] = useState('10:00');
-  const [returnTime, setReturnTime] = useState('18:00');
+  const [pickupTime, setPickupTime] = useState(initialPickupTime);
+  const [returnTime, setReturnTime] = useState(initialReturnTime);
   const [pickupLocation, setPickupLocation] = useState(null);
   const [returnLocation, setReturnLocation] = useState(null);
   const [showTimeSelector, setShowTimeSelector] = useState(false);
@@ -0,0 +1,220 @@
+// src/components/ExtendBookingModal.jsx - Renter picks a later return date
+import { useState, useEffect } from "react";
+import { X, CalendarPlus, AlertCircle, Zap } from "lucide-react";
+import API from "../api";
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const toInputDate = (date) => new Date(date).toISOString().split("T")[0];
+
+const ExtendBookingModal = ({ booking, onClose, onExtended }) => {
+  const [options, setOptions] = useState(null);
+  const [newEndDate, setNewEndDate] = useState("");
+  const [paymentMethod, setPaymentMethod] = useState("Card");
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const response = await API.get(
+          `/bookings/${booking._id}/extension-options`
+        );
+        setOptions(response.data.data);
+      } catch (err) {
+        setError(
+          err.response?.data?.message || "Failed to load extension options"
+        );
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOptions();
+  }, [booking._id]);
+
+  const currentEnd = options ? new Date(options.currentEndDate) : null;
+  const latestEnd = options ? new Date(options.latestEndDate) : null;
+  const canExtend = options && latestEnd - currentEnd >= DAY_MS;
+
+  // Keep the time of day of the current return
+  const requestedEnd = newEndDate
+    ? new Date(
+        `${newEndDate}T${currentEnd.toISOString().split("T")[1]}`
+      )
+    : null;
+  const extraDays = requestedEnd
+    ? Math.ceil((requestedEnd - currentEnd) / DAY_MS)
+    : 0;
+  // Weekend and seasonal rates can differ day to day
+  const extraCost = (options?.dailyRates || [])
+    .slice(0, extraDays)
+    .reduce((sum, day) => sum + day.rate, 0);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError("");
+
+    try {
+      const response = await API.post(`/bookings/${booking._id}/extend`, {
+        newEndDate: requestedEnd.toISOString(),
+        paymentMethod,
+      });
+      onExtended?.(response.data.data.booking, response.data.message);
+    } catch (err) {
+      setError(
+        err.response?.data?.message || "Failed to request the extension"
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-xl max-w-lg w-full max-h-[90vh] overflow-y-auto"
+      >
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+              <CalendarPlus className="w-5 h-5" />
+              Extend Rental
+            </h2>
+            <p className="text-sm text-gray-500">{booking.car?.title}</p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {loading && (
+            <div className="h-24 bg-gray-100 rounded-lg animate-pulse" />
+          )}
+
+          {options && (
+            <>
+              <p className="text-sm text-gray-600">
+                Current return: <strong>{currentEnd.toLocaleDateString()}</strong>
+              </p>
+
+              {canExtend ? (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    New return date
+                  </label>
+                  <input
+                    type="date"
+                    required
+                    min={toInputDate(currentEnd.getTime() + DAY_MS)}
+                    max={toInputDate(latestEnd)}
+                    value={newEndDate}
+                    onChange={(e) => setNewEndDate(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Available until {latestEnd.toLocaleDateString()} (max{" "}
+                    {options.maximumRentalDays} days in total)
+                  </p>
+                </div>
+              ) : (
+                <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                  This car is not free after your current return date.
+                </div>
+              )}
+
+              {options.unavailableDates.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-1">
+                    Already booked
+                  </p>
+                  <ul className="space-y-1">
+                    {options.unavailableDates.map((window) => (
+                      <li
+                        key={`${window.startDate}-${window.endDate}`}
+                        className="text-sm text-red-700 bg-red-50 rounded px-2 py-1"
+                      >
+                        {new Date(window.startDate).toLocaleDateString()} -{" "}
+                        {new Date(window.endDate).toLocaleDateString()}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {extraDays > 0 && (
+                <div className="bg-gray-50 rounded-lg p-4 space-y-2 text-sm">
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">
+                      {extraDays} extra day{extraDays !== 1 ? "s" : ""}
+                    </span>
+                    <span className="font-semibold">AED {extraCost}</span>
+                  </div>
+                  <div className="flex gap-4">
+                    {["Card", "Cash"].map((method) => (
+                      <label key={method} className="flex items-center gap-1">
+                        <input
+                          type="radio"
+                          name="paymentMethod"
+                          value={method}
+                          checked={paymentMethod === method}
+                          onChange={() => setPaymentMethod(method)}
+                        />
+                        {method === "Card" ? "Pay by card" : "Cash at return"}
+                      </label>
+                    ))}
+                  </div>
+                  <p className="text-gray-500 flex items-center gap-1">
+                    {options.instantApproval ? (
+                      <>
+                        <Zap className="w-3 h-3" />
+                        Instant book: the extension is confirmed right away.
+                      </>
+                    ) : (
+                      "The owner needs to approve the extension."
+                    )}
+                  </p>
+                </div>
+              )}
+            </>
+          )}
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-center text-sm text-red-700">
+              <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-3 p-6 border-t border-gray-200">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={submitting || !canExtend || extraDays < 1}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {submitting ? "Sending..." : "Request Extension"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ExtendBookingModal;
@@ -0,0 +1,70 @@
+// src/components/InspectionComparison.jsx - Before/after condition photos side by side
+import { Gauge, Fuel } from "lucide-react";
+
+const InspectionColumn = ({ title, inspections, emptyText }) => (
+  <div className="flex-1 min-w-0">
+    <h4 className="font-medium text-gray-900 mb-2">{title}</h4>
+    {inspections.length === 0 ? (
+      <div className="h-32 flex items-center justify-center bg-gray-50 border border-dashed border-gray-300 rounded-lg text-sm text-gray-500">
+        {emptyText}
+      </div>
+    ) : (
+      inspections.map((inspection, index) => (
+        <div key={inspection._id || index} className="mb-4">
+          <div className="grid grid-cols-2 gap-2 mb-2">
+            {inspection.photos?.map((photo) => (
+              <a key={photo} href={photo} target="_blank" rel="noreferrer">
+                <img
+                  src={photo}
+                  alt={`${title} condition`}
+                  className="w-full h-24 object-cover rounded-lg border border-gray-200"
+                />
+              </a>
+            ))}
+          </div>
+          <div className="flex flex-wrap items-center gap-3 text-xs text-gray-600">
+            <span className="capitalize font-medium">
+              {inspection.performedByRole}
+            </span>
+            <span className="flex items-center gap-1">
+              <Gauge className="w-3 h-3" />
+              {inspection.odometer?.toLocaleString()} km
+            </span>
+            <span className="flex items-center gap-1">
+              <Fuel className="w-3 h-3" />
+              {inspection.fuelLevel}%
+            </span>
+            <span>{new Date(inspection.performedAt).toLocaleString()}</span>
+          </div>
+          {inspection.notes && (
+            <p className="mt-1 text-sm text-gray-700">{inspection.notes}</p>
+          )}
+        </div>
+      ))
+    )}
+  </div>
+);
+
+const InspectionComparison = ({ inspections = [] }) => {
+  const checkIns = inspections.filter((i) => i.type === "check_in");
+  const checkOuts = inspections.filter((i) => i.type === "check_out");
+
+  if (checkIns.length === 0 && checkOuts.length === 0) return null;
+
+  return (
+    <div className="flex flex-col md:flex-row gap-4">
+      <InspectionColumn
+        title="Pickup (before)"
+        inspections={checkIns}
+        emptyText="No pickup inspection yet"
+      />
+      <InspectionColumn
+        title="Return (after)"
+        inspections={checkOuts}
+        emptyText="No return inspection yet"
+      />
+    </div>
+  );
+};
+
+export default InspectionComparison;
@@ -0,0 +1,324 @@
+// src/components/InspectionModal.jsx - Guided pickup/return inspection
+import { useState, useEffect, useRef } from "react";
+import { X, Camera, Gauge, CheckCircle, AlertCircle } from "lucide-react";
+import API from "../api";
+import InspectionComparison from "./InspectionComparison";
+
+const STEPS = ["Photos", "Readings", "Review"];
+
+const COPY = {
+  check_in: {
+    title: "Pickup Inspection",
+    endpoint: "check-in",
+    photoHint:
+      "Walk around the car and photograph every side, the interior, the dashboard and any existing scratches or dents.",
+    submitLabel: "Complete Check-in",
+  },
+  check_out: {
+    title: "Return Inspection",
+    endpoint: "check-out",
+    photoHint:
+      "Take the same shots as at pickup so both sides can compare the car's condition.",
+    submitLabel: "Complete Check-out",
+  },
+};
+
+const InspectionModal = ({ booking, type, onClose, onComplete }) => {
+  const copy = COPY[type];
+  const [step, setStep] = useState(0);
+  const [photos, setPhotos] = useState([]);
+  const [form, setForm] = useState({
+    odometer: "",
+    fuelLevel: 100,
+    notes: "",
+    damageReported: false,
+    damageDescription: "",
+  });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  // Free object URLs created for previews when the modal closes
+  const photosRef = useRef(photos);
+  photosRef.current = photos;
+  useEffect(
+    () => () =>
+      photosRef.current.forEach((photo) => URL.revokeObjectURL(photo.preview)),
+    []
+  );
+
+  const handlePhotoSelect = (e) => {
+    const files = Array.from(e.target.files || []);
+    const selected = files.map((file) => ({
+      file,
+      preview: URL.createObjectURL(file),
+    }));
+    setPhotos((prev) => [...prev, ...selected].slice(0, 10));
+    e.target.value = "";
+  };
+
+  const removePhoto = (index) => {
+    URL.revokeObjectURL(photos[index].preview);
+    setPhotos((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const canContinue =
+    (step === 0 && photos.length > 0) ||
+    (step === 1 && form.odometer !== "" && Number(form.odometer) >= 0) ||
+    step === 2;
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setError("");
+
+    try {
+      const data = new FormData();
+      photos.forEach((photo) => data.append("photos", photo.file));
+      data.append("odometer", form.odometer);
+      data.append("fuelLevel", form.fuelLevel);
+      if (form.notes) data.append("notes", form.notes);
+      if (type === "check_out" && form.damageReported) {
+        data.append("damageReported", "true");
+        data.append("damageDescription", form.damageDescription);
+      }
+
+      const response = await API.post(
+        `/bookings/${booking._id}/${copy.endpoint}`,
+        data,
+        { headers: { "Content-Type": "multipart/form-data" } }
+      );
+
+      onComplete?.(response.data.data.booking);
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+          err.response?.data?.errors?.[0]?.msg ||
+          "Failed to save the inspection. Please try again."
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Pending inspection shown next to what was recorded at pickup
+  const previewInspections = [
+    ...(booking.inspections || []),
+    {
+      type,
+      performedByRole: "you (not yet saved)",
+      photos: photos.map((photo) => photo.preview),
+      odometer: Number(form.odometer) || 0,
+      fuelLevel: form.fuelLevel,
+      notes: form.notes,
+      performedAt: new Date(),
+    },
+  ];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">{copy.title}</h2>
+            <p className="text-sm text-gray-500">{booking.car?.title}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {/* Step indicator */}
+        <div className="flex items-center gap-2 px-6 pt-4">
+          {STEPS.map((label, index) => (
+            <div key={label} className="flex items-center gap-2 flex-1">
+              <span
+                className={`w-7 h-7 rounded-full flex items-center justify-center text-sm font-medium ${
+                  index <= step
+                    ? "bg-green-600 text-white"
+                    : "bg-gray-200 text-gray-600"
+                }`}
+              >
+                {index + 1}
+              </span>
+              <span className="text-sm text-gray-700">{label}</span>
+            </div>
+          ))}
+        </div>
+
+        <div className="p-6">
+          {step === 0 && (
+            <div>
+              <p className="text-sm text-gray-600 mb-4">{copy.photoHint}</p>
+              <label className="flex flex-col items-center justify-center h-32 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-green-500">
+                <Camera className="w-8 h-8 text-gray-400 mb-2" />
+                <span className="text-sm text-gray-600">
+                  Add photos ({photos.length}/10)
+                </span>
+                <input
+                  type="file"
+                  accept="image/jpeg,image/png,image/webp"
+                  capture="environment"
+                  multiple
+                  className="hidden"
+                  onChange={handlePhotoSelect}
+                />
+              </label>
+              {photos.length > 0 && (
+                <div className="grid grid-cols-3 sm:grid-cols-5 gap-2 mt-4">
+                  {photos.map((photo, index) => (
+                    <div key={photo.preview} className="relative">
+                      <img
+                        src={photo.preview}
+                        alt={`Condition ${index + 1}`}
+                        className="w-full h-20 object-cover rounded-lg"
+                      />
+                      <button
+                        onClick={() => removePhoto(index)}
+                        className="absolute top-1 right-1 bg-black bg-opacity-60 text-white rounded-full p-0.5"
+                        aria-label="Remove photo"
+                      >
+                        <X className="w-3 h-3" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {step === 1 && (
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Odometer (km)
+                </label>
+                <div className="relative">
+                  <Gauge className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+                  <input
+                    type="number"
+                    min="0"
+                    value={form.odometer}
+                    onChange={(e) =>
+                      setForm({ ...form, odometer: e.target.value })
+                    }
+                    className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Fuel level: {form.fuelLevel}%
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  step="5"
+                  value={form.fuelLevel}
+                  onChange={(e) =>
+                    setForm({ ...form, fuelLevel: Number(e.target.value) })
+                  }
+                  className="w-full"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Notes
+                </label>
+                <textarea
+                  rows={3}
+                  maxLength={1000}
+                  value={form.notes}
+                  onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                  placeholder="Existing scratches, cleanliness, warning lights..."
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                />
+              </div>
+              {type === "check_out" && (
+                <div>
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.damageReported}
+                      onChange={(e) =>
+                        setForm({ ...form, damageReported: e.target.checked })
+                      }
+                    />
+                    The car has new damage
+                  </label>
+                  {form.damageReported && (
+                    <textarea
+                      rows={2}
+                      maxLength={1000}
+                      value={form.damageDescription}
+                      onChange={(e) =>
+                        setForm({ ...form, damageDescription: e.target.value })
+                      }
+                      placeholder="Describe the damage"
+                      className="mt-2 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                    />
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {step === 2 && (
+            <div>
+              <p className="text-sm text-gray-600 mb-4">
+                Check the photos and readings before saving. Inspections cannot
+                be edited afterwards.
+              </p>
+              <InspectionComparison inspections={previewInspections} />
+            </div>
+          )}
+
+          {error && (
+            <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center text-sm text-red-700">
+              <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-between gap-3 p-6 border-t border-gray-200">
+          <button
+            onClick={() => (step === 0 ? onClose() : setStep(step - 1))}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+          >
+            {step === 0 ? "Cancel" : "Back"}
+          </button>
+          {step < STEPS.length - 1 ? (
+            <button
+              onClick={() => setStep(step + 1)}
+              disabled={!canContinue}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Continue
+            </button>
+          ) : (
+            <button
+              onClick={handleSubmit}
+              disabled={submitting}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 flex items-center"
+            >
+              {submitting ? (
+                <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin mr-2" />
+              ) : (
+                <CheckCircle className="w-4 h-4 mr-2" />
+              )}
+              {copy.submitLabel}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InspectionModal;
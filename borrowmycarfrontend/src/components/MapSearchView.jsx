@@ -8,6 +8,7 @@ import {
   DollarSign,
   MapPin,
   Key,
+  Navigation,
 } from "lucide-react";
 import API from "../api";
 import GeocodingSearch from "./GeocodingSearch";
@@ -15,98 +16,70 @@ import GeocodingSearch from "./GeocodingSearch";
 const MapSearchView = () => {
   const navigate = useNavigate();
   const [cars, setCars] = useState([]);
-  const [filteredCars, setFilteredCars] = useState([]);
   const [loading, setLoading] = useState(false);
   const [viewMode, setViewMode] = useState("list"); // 'map' or 'list'
   const [filters, setFilters] = useState({
     priceMin: "",
     priceMax: "",
-    category: "",
     transmission: "",
-    location: "",
   });
   const [searchLocation, setSearchLocation] = useState(null);
+  const [radiusKm, setRadiusKm] = useState(25);
+  const [locating, setLocating] = useState(false);
 
+  // The server filters by distance and returns each car's fuzzed pin
+  // (displayLocation) and distanceKm; exact locations are never sent
   useEffect(() => {
-    fetchCars();
-  }, []);
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const params = { limit: 50 };
+        Object.entries(filters).forEach(([key, value]) => {
+          if (value) params[key] = value;
+        });
+        if (searchLocation) {
+          const [lng, lat] = searchLocation.coordinates;
+          Object.assign(params, { lat, lng, radiusKm, sortBy: "distance" });
+        }
 
-  useEffect(() => {
-    applyFilters();
-  }, [cars, filters, searchLocation]);
-
-  const fetchCars = async () => {
-    setLoading(true);
-    try {
-      const response = await API.get("/cars");
-      if (response.data.success) {
-        const carsWithLocation = response.data.data.cars.filter(
-          (car) => car.location && car.location.coordinates
-        );
-        setCars(carsWithLocation);
+        const response = await API.get("/cars", { params });
+        if (!cancelled && response.data.success) {
+          setCars(response.data.data.cars.filter((car) => car.displayLocation));
+        }
+      } catch (error) {
+        console.error("Error fetching cars:", error);
+      } finally {
+        if (!cancelled) setLoading(false);
       }
-    } catch (error) {
-      console.error("Error fetching cars:", error);
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const calculateDistance = (point1, point2) => {
-    const R = 6371; // Earth's radius in kilometers
-    const dLat = (point2[1] - point1[1]) * Math.PI / 180;
-    const dLon = (point2[0] - point1[0]) * Math.PI / 180;
-    const a = 
-      Math.sin(dLat/2) * Math.sin(dLat/2) +
-      Math.cos(point1[1] * Math.PI / 180) * Math.cos(point2[1] * Math.PI / 180) * 
-      Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
-  };
-
-  const applyFilters = () => {
-    let filtered = [...cars];
-
-    // Price filters
-    if (filters.priceMin) {
-      filtered = filtered.filter(
-        (car) => car.price >= parseFloat(filters.priceMin)
-      );
-    }
-    if (filters.priceMax) {
-      filtered = filtered.filter(
-        (car) => car.price <= parseFloat(filters.priceMax)
-      );
-    }
+    }, 300);
 
-    // Transmission filter
-    if (filters.transmission) {
-      filtered = filtered.filter(
-        (car) => car.transmission === filters.transmission
-      );
-    }
-
-    // Location-based filtering
-    if (searchLocation) {
-      const maxDistance = 50; // 50km radius
-      filtered = filtered.filter((car) => {
-        if (!car.location?.coordinates) return false;
-        const distance = calculateDistance(
-          searchLocation.coordinates,
-          car.location.coordinates
-        );
-        return distance <= maxDistance;
-      });
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [filters, searchLocation, radiusKm]);
 
-      // Sort by distance
-      filtered.sort((a, b) => {
-        const distA = calculateDistance(searchLocation.coordinates, a.location.coordinates);
-        const distB = calculateDistance(searchLocation.coordinates, b.location.coordinates);
-        return distA - distB;
-      });
+  const useMyLocation = () => {
+    if (!navigator.geolocation) {
+      alert("Geolocation is not supported by this browser.");
+      return;
     }
-
-    setFilteredCars(filtered);
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        setSearchLocation({
+          name: "your location",
+          coordinates: [coords.longitude, coords.latitude],
+        });
+        setLocating(false);
+      },
+      (error) => {
+        console.error("Error getting location:", error);
+        alert("Unable to get your current location.");
+        setLocating(false);
+      }
+    );
   };
 
   const handleLocationSelect = (location) => {
@@ -155,7 +128,7 @@ const MapSearchView = () => {
 
             {/* Results Count */}
             <span className="text-sm text-gray-600">
-              {filteredCars.length} cars found
+              {cars.length} cars found
             </span>
           </div>
         </div>
@@ -172,6 +145,14 @@ const MapSearchView = () => {
                 placeholder="Search for cars near a location..."
               />
             </div>
+            <button
+              onClick={useMyLocation}
+              disabled={locating}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm cursor-pointer disabled:opacity-50 flex items-center"
+            >
+              <Navigation className="w-4 h-4 mr-1" />
+              {locating ? "Locating..." : "Near me"}
+            </button>
             {searchLocation && (
               <button
                 onClick={clearLocationFilter}
@@ -183,7 +164,19 @@ const MapSearchView = () => {
           </div>
           {searchLocation && (
             <p className="text-xs text-gray-600 mt-1">
-              Showing cars within 50km of {searchLocation.name}
+              Showing cars within{" "}
+              <select
+                value={radiusKm}
+                onChange={(e) => setRadiusKm(Number(e.target.value))}
+                className="border border-gray-300 rounded px-1"
+              >
+                {[5, 10, 25, 50, 100].map((km) => (
+                  <option key={km} value={km}>
+                    {km}km
+                  </option>
+                ))}
+              </select>{" "}
+              of {searchLocation.name}, nearest first
             </p>
           )}
         </div>
@@ -241,13 +234,16 @@ const MapSearchView = () => {
                 Interactive map view coming soon
               </p>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4 max-w-2xl">
-                {filteredCars.slice(0, 4).map((car) => (
+                {cars.slice(0, 4).map((car) => (
                   <div key={car._id} className="bg-white p-3 rounded-lg shadow">
                     <div className="flex items-center space-x-2 mb-2">
                       <MapPin className="w-4 h-4 text-green-600" />
                       <span className="text-sm font-medium">{car.title}</span>
                     </div>
-                    <p className="text-xs text-gray-600">{car.location?.name}</p>
+                    <p className="text-xs text-gray-600">
+                      {car.city}
+                      {car.distanceKm !== undefined && ` · ${car.distanceKm}km away`}
+                    </p>
                     <p className="text-sm font-bold text-green-600">AED {car.price}/day</p>
                   </div>
                 ))}
@@ -261,53 +257,47 @@ const MapSearchView = () => {
           <div className="flex-1 overflow-y-auto">
             <div className="p-4">
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                {filteredCars.map((car) => {
-                  const distance = searchLocation && car.location?.coordinates 
-                    ? calculateDistance(searchLocation.coordinates, car.location.coordinates)
-                    : null;
-
-                  return (
-                    <div
-                      key={car._id}
-                      className="bg-white border border-gray-200 rounded-xl overflow-hidden shadow-sm hover:shadow-md transition-shadow"
-                    >
-                      <img
-                        src={car.images[0]}
-                        alt={car.title}
-                        className="w-full h-48 object-cover"
-                      />
-                      <div className="p-4">
-                        <h3 className="font-semibold text-gray-900 mb-1">
-                          {car.title}
-                        </h3>
-                        <div className="flex items-center text-sm text-gray-600 mb-2">
-                          <MapPin className="w-3 h-3 mr-1" />
-                          <span>{car.location?.name || car.city}</span>
-                          {distance && (
-                            <span className="ml-2 text-green-600 font-medium">
-                              ({distance.toFixed(1)}km away)
-                            </span>
-                          )}
-                        </div>
-                        <div className="flex justify-between items-center">
-                          <span className="text-green-600 font-bold">
-                            AED {car.price}/day
+                {cars.map((car) => (
+                  <div
+                    key={car._id}
+                    className="bg-white border border-gray-200 rounded-xl overflow-hidden shadow-sm hover:shadow-md transition-shadow"
+                  >
+                    <img
+                      src={car.images[0]}
+                      alt={car.title}
+                      className="w-full h-48 object-cover"
+                    />
+                    <div className="p-4">
+                      <h3 className="font-semibold text-gray-900 mb-1">
+                        {car.title}
+                      </h3>
+                      <div className="flex items-center text-sm text-gray-600 mb-2">
+                        <MapPin className="w-3 h-3 mr-1" />
+                        <span>{car.city}</span>
+                        {car.distanceKm !== undefined && (
+                          <span className="ml-2 text-green-600 font-medium">
+                            (~{car.distanceKm}km away)
                           </span>
-                          <button
-                            onClick={() => navigate(`/cars/${car._id}`)}
-                            className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded text-sm transition-colors flex items-center space-x-1 cursor-pointer"
-                          >
-                            <Key className="w-3 h-3" />
-                            <span>Rent Now</span>
-                          </button>
-                        </div>
+                        )}
+                      </div>
+                      <div className="flex justify-between items-center">
+                        <span className="text-green-600 font-bold">
+                          AED {car.price}/day
+                        </span>
+                        <button
+                          onClick={() => navigate(`/cars/${car._id}`)}
+                          className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded text-sm transition-colors flex items-center space-x-1 cursor-pointer"
+                        >
+                          <Key className="w-3 h-3" />
+                          <span>Rent Now</span>
+                        </button>
                       </div>
                     </div>
-                  );
-                })}
+                  </div>
+                ))}
               </div>
 
-              {filteredCars.length === 0 && !loading && (
+              {cars.length === 0 && !loading && (
                 <div className="text-center py-12">
                   <Car className="w-12 h-12 text-gray-400 mx-auto mb-4" />
                   <h3 className="text-lg font-medium text-gray-900 mb-2">
@@ -0,0 +1,294 @@
+// src/components/ModifyBookingModal.jsx - Renter changes dates, locations or delivery
+import { useState } from "react";
+import { X, Pencil, AlertCircle } from "lucide-react";
+import API from "../api";
+
+const toInputDate = (date) => new Date(date).toISOString().split("T")[0];
+
+// Keep the time of day of the original pickup/return
+const withTimeOf = (day, original) =>
+  new Date(`${day}T${new Date(original).toISOString().split("T")[1]}`);
+
+const ModifyBookingModal = ({ booking, onClose, onRequested }) => {
+  const [form, setForm] = useState({
+    startDate: toInputDate(booking.startDate),
+    endDate: toInputDate(booking.endDate),
+    pickupLocation: booking.pickupLocation || "",
+    returnLocation: booking.returnLocation || "",
+    deliveryRequested: booking.deliveryRequested || false,
+    deliveryAddress: booking.deliveryAddress || "",
+    notes: "",
+  });
+  const [preview, setPreview] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm((prev) => ({
+      ...prev,
+      [name]: type === "checkbox" ? checked : value,
+    }));
+    // Any edit invalidates the quoted difference
+    setPreview(null);
+  };
+
+  const buildPayload = () => ({
+    startDate: withTimeOf(form.startDate, booking.startDate).toISOString(),
+    endDate: withTimeOf(form.endDate, booking.endDate).toISOString(),
+    pickupLocation: form.pickupLocation,
+    returnLocation: form.returnLocation,
+    deliveryRequested: form.deliveryRequested,
+    deliveryAddress: form.deliveryRequested ? form.deliveryAddress : undefined,
+    notes: form.notes || undefined,
+  });
+
+  const handlePreview = async () => {
+    setChecking(true);
+    setError("");
+
+    try {
+      const response = await API.post(
+        `/bookings/${booking._id}/modifications/preview`,
+        buildPayload()
+      );
+      setPreview(response.data.data);
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+          err.response?.data?.errors?.[0]?.msg ||
+          "Failed to check the new terms"
+      );
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError("");
+
+    try {
+      const response = await API.post(
+        `/bookings/${booking._id}/modifications`,
+        buildPayload()
+      );
+      onRequested?.(response.data.data.booking, response.data.message);
+    } catch (err) {
+      setError(
+        err.response?.data?.message || "Failed to request the change"
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const paidByCard =
+    booking.paymentMethod === "Card" &&
+    ["paid", "partial"].includes(booking.paymentStatus);
+  const difference = preview?.priceDifference ?? 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-xl max-w-lg w-full max-h-[90vh] overflow-y-auto"
+      >
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+              <Pencil className="w-5 h-5" />
+              Change Booking
+            </h2>
+            <p className="text-sm text-gray-500">{booking.car?.title}</p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Pickup date
+              </label>
+              <input
+                type="date"
+                name="startDate"
+                required
+                value={form.startDate}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Return date
+              </label>
+              <input
+                type="date"
+                name="endDate"
+                required
+                min={form.startDate}
+                value={form.endDate}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Pickup location
+            </label>
+            <input
+              type="text"
+              name="pickupLocation"
+              maxLength={200}
+              value={form.pickupLocation}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Return location
+            </label>
+            <input
+              type="text"
+              name="returnLocation"
+              maxLength={200}
+              value={form.returnLocation}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+            />
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              name="deliveryRequested"
+              checked={form.deliveryRequested}
+              onChange={handleChange}
+            />
+            Deliver the car to me
+          </label>
+
+          {form.deliveryRequested && (
+            <input
+              type="text"
+              name="deliveryAddress"
+              required
+              maxLength={300}
+              placeholder="Delivery address"
+              value={form.deliveryAddress}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+            />
+          )}
+
+          <textarea
+            name="notes"
+            rows={2}
+            maxLength={500}
+            placeholder="Message for the owner (optional)"
+            value={form.notes}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+
+          {preview && (
+            <div className="bg-gray-50 rounded-lg p-4 space-y-2 text-sm">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Current total</span>
+                <span>AED {preview.original.totalPayable}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">
+                  New total ({preview.requested.totalDays} day
+                  {preview.requested.totalDays !== 1 ? "s" : ""}
+                  {preview.requested.deliveryFee > 0 &&
+                    `, AED ${preview.requested.deliveryFee} delivery`}
+                  )
+                </span>
+                <span>AED {preview.requested.totalPayable}</span>
+              </div>
+              <div className="flex justify-between font-semibold border-t pt-2">
+                <span>Difference</span>
+                <span
+                  className={
+                    difference > 0
+                      ? "text-red-600"
+                      : difference < 0
+                      ? "text-green-600"
+                      : ""
+                  }
+                >
+                  {difference > 0 ? "+" : ""}AED {difference}
+                </span>
+              </div>
+              <p className="text-gray-500">
+                {difference > 0 &&
+                  (paidByCard
+                    ? "Once the owner approves, you'll be asked to pay the difference."
+                    : "The new total is due instead of the original one.")}
+                {difference < 0 &&
+                  (paidByCard
+                    ? "Once the owner approves, the difference is refunded to your card."
+                    : "The new, lower total is due instead of the original one.")}
+                {difference === 0 && "The price stays the same."} The owner
+                needs to approve the change.
+              </p>
+            </div>
+          )}
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-center text-sm text-red-700">
+              <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-3 p-6 border-t border-gray-200">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+          >
+            Cancel
+          </button>
+          {preview ? (
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {submitting ? "Sending..." : "Request Change"}
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={handlePreview}
+              disabled={checking}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {checking ? "Checking..." : "Check Price"}
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ModifyBookingModal;
@@ -78,6 +78,9 @@ const NotificationItem = ({ notification, onClose, showDelete = false }) => {
           </div>
         );
       case "payment_successful":
+      case "payout_sent":
+      case "cash_payment_confirmed":
+      case "cash_payment_resolved":
         return (
           <div className="bg-green-100 p-2 rounded-full">
             <svg className="h-5 w-5 text-green-600" fill="currentColor" viewBox="0 0 20 20">
@@ -86,6 +89,7 @@ const NotificationItem = ({ notification, onClose, showDelete = false }) => {
           </div>
         );
       case "payment_failed":
+      case "cash_payment_disputed":
         return (
           <div className="bg-red-100 p-2 rounded-full">
             <svg className="h-5 w-5 text-red-600" fill="currentColor" viewBox="0 0 20 20">
@@ -131,6 +135,9 @@ const NotificationItem = ({ notification, onClose, showDelete = false }) => {
         return "/my-bookings";
       case "payment_successful":
       case "payment_failed":
+      case "cash_payment_confirmed":
+      case "cash_payment_disputed":
+      case "cash_payment_resolved":
         return "/my-bookings";
       default:
         return "/";
@@ -0,0 +1,181 @@
+// src/components/OwnerPayouts.jsx - Owner balance, ledger statement and payouts
+import { useState, useEffect } from "react";
+import { Wallet, Clock, Banknote, Percent } from "lucide-react";
+import API from "../api";
+
+const formatAmount = (amount) =>
+  `${amount < 0 ? "-" : ""}AED ${Math.abs(amount || 0).toLocaleString(undefined, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+const STATEMENT_TYPES = {
+  booking_payment: "Booking",
+  extension_payment: "Extension",
+  modification_charge: "Booking change",
+  modification_refund: "Booking change refund",
+  cancellation_refund: "Cancellation refund",
+  deposit_capture: "Damage charge",
+  deposit_deduction: "Damage charge",
+  payout: "Payout",
+};
+
+const OwnerPayouts = ({ period }) => {
+  const [balance, setBalance] = useState(null);
+  const [statement, setStatement] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const load = async () => {
+      setError("");
+      try {
+        const from = new Date(Date.now() - parseInt(period) * 24 * 60 * 60 * 1000);
+        const [balanceResponse, statementResponse] = await Promise.all([
+          API.get("/cars/seller/balance"),
+          API.get(`/cars/seller/statement?from=${from.toISOString()}`),
+        ]);
+        setBalance(balanceResponse.data.data);
+        setStatement(statementResponse.data.data);
+      } catch (err) {
+        setError(err.response?.data?.message || "Failed to load your balance");
+      }
+    };
+    load();
+  }, [period]);
+
+  if (error) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 mb-8 text-red-600">
+        {error}
+      </div>
+    );
+  }
+
+  if (!balance || !statement) {
+    return <div className="bg-white rounded-lg shadow-md p-6 mb-8 h-40 animate-pulse" />;
+  }
+
+  // Deposit holds and releases don't change what the owner is owed
+  const entries = statement.entries.filter((entry) => entry.amount !== 0);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <h3 className="text-lg font-semibold mb-4">Balance & Payouts</h3>
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+        <div className="p-4 rounded-lg bg-green-50">
+          <p className="flex items-center text-sm text-gray-600">
+            <Wallet className="h-4 w-4 mr-1" /> Balance
+          </p>
+          <p className="text-xl font-bold text-green-700">
+            {formatAmount(balance.balance)}
+          </p>
+        </div>
+        <div className="p-4 rounded-lg bg-blue-50">
+          <p className="flex items-center text-sm text-gray-600">
+            <Banknote className="h-4 w-4 mr-1" /> Available for payout
+          </p>
+          <p className="text-xl font-bold text-blue-700">
+            {formatAmount(balance.available)}
+          </p>
+        </div>
+        <div className="p-4 rounded-lg bg-yellow-50">
+          <p className="flex items-center text-sm text-gray-600">
+            <Clock className="h-4 w-4 mr-1" /> Pending
+          </p>
+          <p className="text-xl font-bold text-yellow-700">
+            {formatAmount(balance.pending)}
+          </p>
+          <p className="text-xs text-gray-500">Available once bookings finish</p>
+        </div>
+        <div className="p-4 rounded-lg bg-gray-50">
+          <p className="flex items-center text-sm text-gray-600">
+            <Percent className="h-4 w-4 mr-1" /> Platform commission
+          </p>
+          <p className="text-xl font-bold text-gray-700">
+            {balance.commissionPercent}%
+          </p>
+          <p className="text-xs text-gray-500">Of rent and delivery fees</p>
+        </div>
+      </div>
+
+      <h4 className="font-medium text-gray-900 mb-2">Statement</h4>
+      {entries.length > 0 ? (
+        <div className="overflow-x-auto mb-6">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Date</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Details</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Amount</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Balance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              <tr>
+                <td className="px-4 py-2 text-gray-500" colSpan={3}>
+                  Opening balance
+                </td>
+                <td className="px-4 py-2 text-right text-gray-900">
+                  {formatAmount(statement.openingBalance)}
+                </td>
+              </tr>
+              {entries.map((entry) => (
+                <tr key={entry._id}>
+                  <td className="px-4 py-2 whitespace-nowrap text-gray-600">
+                    {new Date(entry.date).toLocaleDateString()}
+                  </td>
+                  <td className="px-4 py-2 text-gray-900">
+                    {STATEMENT_TYPES[entry.type] || entry.description}
+                    {entry.booking?.car?.title && (
+                      <span className="text-gray-500"> · {entry.booking.car.title}</span>
+                    )}
+                    {entry.paymentMethod === "Cash" && entry.type !== "payout" && (
+                      <span className="text-gray-500"> · collected in cash</span>
+                    )}
+                    {entry.payout?.reference && (
+                      <span className="text-gray-500"> · ref. {entry.payout.reference}</span>
+                    )}
+                  </td>
+                  <td
+                    className={`px-4 py-2 text-right whitespace-nowrap ${
+                      entry.amount < 0 ? "text-red-600" : "text-green-700"
+                    }`}
+                  >
+                    {formatAmount(entry.amount)}
+                  </td>
+                  <td className="px-4 py-2 text-right whitespace-nowrap text-gray-900">
+                    {formatAmount(entry.balance)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-gray-500 mb-6">No ledger activity in this period.</p>
+      )}
+
+      <h4 className="font-medium text-gray-900 mb-2">Recent payouts</h4>
+      {balance.payouts.length > 0 ? (
+        <ul className="divide-y divide-gray-200 text-sm">
+          {balance.payouts.map((payout) => (
+            <li key={payout._id} className="flex justify-between py-2">
+              <span className="text-gray-600">
+                {new Date(payout.sentAt).toLocaleDateString()}
+                {payout.reference && ` · ref. ${payout.reference}`}
+              </span>
+              <span className="font-medium text-gray-900">
+                {formatAmount(payout.amount)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-500">No payouts yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default OwnerPayouts;
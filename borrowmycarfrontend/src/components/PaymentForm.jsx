@@ -51,17 +51,19 @@ const CheckoutForm = ({ booking, onSuccess, onError }) => {
   const [cardComplete, setCardComplete] = useState(false);
   const [cardError, setCardError] = useState("");
 
+  // Amount the server charges; card deposits are held at pickup, not charged
+  const [amountDue, setAmountDue] = useState(null);
+  const holdsDeposit =
+    booking.deposit?.status === "pending" && booking.securityDeposit > 0;
+
   useEffect(() => {
     // Create payment intent when component mounts
     const initPayment = async () => {
       try {
         clearError();
-        // Use booking ID or fallback amount for payment intent
-        const result = await createPaymentIntent(
-          booking._id, 
-          booking.totalPayable || 100
-        );
+        const result = await createPaymentIntent(booking._id);
         setClientSecret(result.data.clientSecret);
+        setAmountDue(result.data.amount);
         _setPaymentIntentId(result.data.paymentIntentId);
       } catch (error) {
         console.error("Payment initialization error:", error);
@@ -69,9 +71,10 @@ const CheckoutForm = ({ booking, onSuccess, onError }) => {
       }
     };
 
-    if (booking && (booking._id || booking.totalPayable)) {
+    if (booking?._id) {
       initPayment();
     }
+    // A new total (e.g. a promo code applied) needs a new intent
   }, [booking._id, booking.totalPayable]);
 
   const handleCardChange = (event) => {
@@ -121,16 +124,17 @@ const CheckoutForm = ({ booking, onSuccess, onError }) => {
         // Confirm payment on backend
         try {
           await confirmPayment(paymentIntent.id, booking._id);
-          onSuccess({
-            paymentIntent,
-            booking: booking,
-          });
         } catch (confirmError) {
           console.error("Backend confirmation failed:", confirmError);
           onError(
             "Payment successful but booking confirmation failed. Please contact support."
           );
+          return;
         }
+        onSuccess({
+          paymentIntent,
+          booking: booking,
+        });
       }
     } catch (error) {
       console.error("Payment error:", error);
@@ -159,7 +163,7 @@ const CheckoutForm = ({ booking, onSuccess, onError }) => {
             </span>
           </div>
 
-          {booking.securityDeposit > 0 && (
+          {booking.securityDeposit > 0 && !holdsDeposit && (
             <div className="flex justify-between">
               <span className="text-gray-600">Security Deposit</span>
               <span className="text-gray-900">
@@ -171,9 +175,16 @@ const CheckoutForm = ({ booking, onSuccess, onError }) => {
           <div className="border-t border-gray-200 pt-2 flex justify-between font-semibold">
             <span className="text-gray-900">Total Amount</span>
             <span className="text-green-600 text-lg">
-              AED {booking.totalPayable?.toFixed(2)}
+              AED {amountDue?.toFixed(2)}
             </span>
           </div>
+
+          {holdsDeposit && (
+            <div className="flex justify-between text-gray-600 pt-1">
+              <span>Security deposit (held on your card at pickup, not charged)</span>
+              <span>AED {booking.securityDeposit.toFixed(2)}</span>
+            </div>
+          )}
         </div>
       </div>
 
@@ -238,7 +249,7 @@ const CheckoutForm = ({ booking, onSuccess, onError }) => {
         ) : (
           <>
             <Lock className="w-5 h-5 mr-2" />
-            Pay AED {booking.totalPayable?.toFixed(2)}
+            {`Pay AED ${amountDue?.toFixed(2)}`}
           </>
         )}
       </button>
@@ -0,0 +1,314 @@
+// src/components/PaymentHistory.jsx - Transactions, monthly statements and CSV export
+import { useState, useEffect } from "react";
+import { Download, FileText } from "lucide-react";
+import API from "../api";
+import { downloadFromApi, downloadErrorMessage } from "../utils/downloadFile";
+
+const formatAmount = (amount) =>
+  `${amount < 0 ? "-" : ""}AED ${Math.abs(amount || 0).toLocaleString(undefined, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+const KIND_LABELS = {
+  charge: "Payment",
+  refund: "Refund",
+  deposit_hold: "Deposit hold",
+  deposit_release: "Deposit released",
+  damage_charge: "Damage charge",
+  payout: "Payout",
+};
+
+const STATUS_STYLES = {
+  completed: "bg-green-100 text-green-800",
+  pending: "bg-yellow-100 text-yellow-800",
+  failed: "bg-red-100 text-red-800",
+};
+
+const emptyFilters = { from: "", to: "", status: "", kind: "" };
+
+// Query string of the filters that are set; dates cover whole local days
+const filterParams = (filters, extra = {}) => {
+  const params = new URLSearchParams(extra);
+  Object.entries(filters).forEach(([key, value]) => {
+    if (!value) return;
+    if (key === "from") value = new Date(`${value}T00:00:00`).toISOString();
+    if (key === "to") value = new Date(`${value}T23:59:59.999`).toISOString();
+    params.set(key, value);
+  });
+  return params;
+};
+
+// role: "renter" shows what was paid, "owner" what was earned
+const PaymentHistory = ({ role = "renter" }) => {
+  const [filters, setFilters] = useState(emptyFilters);
+  const [page, setPage] = useState(1);
+  const [history, setHistory] = useState(null);
+  const [statements, setStatements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const params = filterParams(filters, { as: role, page, limit: 10 });
+        const response = await API.get(`/payments/history?${params}`);
+        setHistory(response.data.data);
+      } catch (err) {
+        setError(err.response?.data?.message || "Failed to load payment history");
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [filters, page, role]);
+
+  useEffect(() => {
+    API.get("/payments/statements")
+      .then((response) => setStatements(response.data.data.statements))
+      .catch((err) => console.error("Failed to load statements:", err));
+  }, []);
+
+  const updateFilter = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const exportCsv = async (params, fallbackName) => {
+    setError("");
+    try {
+      await downloadFromApi(`/payments/history/export?${params}`, fallbackName);
+    } catch (err) {
+      setError(await downloadErrorMessage(err, "Failed to export payments"));
+    }
+  };
+
+  const totals = history?.totals;
+  const summary =
+    role === "owner"
+      ? [
+          ["Earned", totals?.owner.earned],
+          ["Commission", totals?.owner.commission],
+          ["Net earnings", totals?.owner.netEarnings],
+          ["Paid out", totals?.owner.paidOut],
+        ]
+      : [
+          ["Paid", totals?.renter.charged],
+          ["Refunded", totals?.renter.refunded],
+          ["Net paid", totals?.renter.netPaid],
+          ["Pending", totals?.pending],
+        ];
+  const statementTotal = (statement) =>
+    role === "owner"
+      ? statement.totals.owner.netEarnings
+      : statement.totals.renter.netPaid;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-end gap-3">
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">From</label>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => updateFilter("from", e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">To</label>
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => updateFilter("to", e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">Status</label>
+          <select
+            value={filters.status}
+            onChange={(e) => updateFilter("status", e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="">All</option>
+            <option value="completed">Completed</option>
+            <option value="pending">Pending</option>
+            <option value="failed">Failed</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">Type</label>
+          <select
+            value={filters.kind}
+            onChange={(e) => updateFilter("kind", e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="">All</option>
+            {Object.entries(KIND_LABELS)
+              .filter(([kind]) =>
+                role === "owner" ? !kind.startsWith("deposit_") : kind !== "payout"
+              )
+              .map(([kind, label]) => (
+                <option key={kind} value={kind}>
+                  {label}
+                </option>
+              ))}
+          </select>
+        </div>
+        <button
+          onClick={() =>
+            exportCsv(filterParams(filters, { as: role }), "borrowmycar-payments.csv")
+          }
+          className="flex items-center px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm"
+        >
+          <Download className="w-4 h-4 mr-2" />
+          Download CSV
+        </button>
+      </div>
+
+      {error && <p className="text-red-600 text-sm">{error}</p>}
+
+      {totals && (
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+          {summary.map(([label, amount]) => (
+            <div key={label} className="p-4 rounded-lg bg-gray-50">
+              <p className="text-sm text-gray-600">{label}</p>
+              <p className="text-lg font-bold text-gray-900">
+                {formatAmount(amount)}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {loading && !history ? (
+        <div className="h-40 bg-gray-100 rounded-lg animate-pulse" />
+      ) : history?.payments.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Date</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Details</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Status</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Amount</th>
+                {role === "owner" && (
+                  <th className="px-4 py-2 text-right font-medium text-gray-500">Net</th>
+                )}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {history.payments.map((entry) => (
+                <tr key={entry.id}>
+                  <td className="px-4 py-2 whitespace-nowrap text-gray-600">
+                    {new Date(entry.date).toLocaleDateString()}
+                  </td>
+                  <td className="px-4 py-2 text-gray-900">
+                    {KIND_LABELS[entry.kind]}
+                    <span className="text-gray-500"> · {entry.description}</span>
+                    {entry.booking?.car?.title && (
+                      <span className="text-gray-500"> · {entry.booking.car.title}</span>
+                    )}
+                    {entry.paymentMethod === "Cash" && (
+                      <span className="text-gray-500"> · cash</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2">
+                    <span
+                      className={`px-2 py-1 rounded text-xs font-medium ${
+                        STATUS_STYLES[entry.status]
+                      }`}
+                    >
+                      {entry.status}
+                    </span>
+                  </td>
+                  <td
+                    className={`px-4 py-2 text-right whitespace-nowrap ${
+                      entry.amount < 0 ? "text-green-700" : "text-gray-900"
+                    }`}
+                  >
+                    {formatAmount(entry.amount)}
+                  </td>
+                  {role === "owner" && (
+                    <td className="px-4 py-2 text-right whitespace-nowrap text-gray-900">
+                      {entry.net !== undefined ? formatAmount(entry.net) : "-"}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-gray-500">No transactions match these filters.</p>
+      )}
+
+      {history?.pagination.totalPages > 1 && (
+        <div className="flex justify-between items-center text-sm">
+          <button
+            onClick={() => setPage((p) => p - 1)}
+            disabled={!history.pagination.hasPrev}
+            className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-gray-600">
+            Page {history.pagination.currentPage} of {history.pagination.totalPages}
+          </span>
+          <button
+            onClick={() => setPage((p) => p + 1)}
+            disabled={!history.pagination.hasNext}
+            className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      <div>
+        <h3 className="font-medium text-gray-900 mb-2">Monthly statements</h3>
+        {statements.length > 0 ? (
+          <ul className="divide-y divide-gray-200 text-sm">
+            {statements.map((statement) => (
+              <li key={statement.month} className="flex justify-between items-center py-2">
+                <span className="flex items-center text-gray-700">
+                  <FileText className="w-4 h-4 mr-2 text-gray-400" />
+                  {new Date(`${statement.month}-01T00:00:00`).toLocaleDateString(undefined, {
+                    month: "long",
+                    year: "numeric",
+                  })}
+                  <span className="text-gray-500 ml-2">
+                    {statement.count} transactions · {formatAmount(statementTotal(statement))}
+                  </span>
+                </span>
+                <button
+                  onClick={() =>
+                    exportCsv(
+                      new URLSearchParams({
+                        as: role,
+                        month: statement.month,
+                        status: "completed",
+                      }),
+                      `borrowmycar-statement-${statement.month}.csv`
+                    )
+                  }
+                  className="flex items-center text-green-700 hover:text-green-800"
+                >
+                  <Download className="w-4 h-4 mr-1" />
+                  CSV
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-gray-500 text-sm">No statements yet.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PaymentHistory;
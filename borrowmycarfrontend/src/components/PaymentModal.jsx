@@ -10,7 +10,9 @@ import {
   Banknote,
 } from "lucide-react";
 import API from "../api";
+import { usePayment } from "../context/PaymentContext";
 import TimeSelector from "./TimeSelector";
+import { groupPriceDays } from "../utils/pricingRules";
 
 const PaymentModal = ({
   isOpen,
@@ -19,6 +21,7 @@ const PaymentModal = ({
   onPaymentSuccess,
   onPaymentError,
 }) => {
+  const { stripePromise } = usePayment();
   const [paymentMethod, setPaymentMethod] = useState("stripe");
   const [processing, setProcessing] = useState(false);
   const [showTimeSelection, setShowTimeSelection] = useState(false);
@@ -47,6 +50,10 @@ const PaymentModal = ({
   const [errors, setErrors] = useState({});
   const [savedCards, setSavedCards] = useState([]);
   const [selectedSavedCard, setSelectedSavedCard] = useState("");
+  // Signed server price for the selected payment method
+  const [quote, setQuote] = useState(null);
+  const [quoteToken, setQuoteToken] = useState("");
+  const [quoteError, setQuoteError] = useState("");
 
 
   // Payment Methods
@@ -57,7 +64,7 @@ const PaymentModal = ({
       icon: CreditCard,
       description: "Pay securely with Visa, Mastercard, or American Express",
       processing: "Instant",
-      fees: "3.5% + AED 1.50",
+      fees: "Free",
     },
     {
       id: "cash_on_pickup",
@@ -76,10 +83,48 @@ const PaymentModal = ({
     }
   }, [isOpen]);
 
+  // Re-quote when the method changes: card deposits are held, not charged
+  useEffect(() => {
+    if (!isOpen || !bookingData?.carId) return;
+
+    let cancelled = false;
+    const fetchQuote = async () => {
+      setQuote(null);
+      setQuoteError("");
+      try {
+        const response = await API.get("/bookings/quote", {
+          params: {
+            carId: bookingData.carId,
+            startDate: bookingData.startDate,
+            endDate: bookingData.endDate,
+            deliveryRequested: bookingData.deliveryRequested || false,
+            paymentMethod: paymentMethod === "stripe" ? "Card" : "Cash",
+          },
+        });
+        if (cancelled) return;
+        setQuote(response.data.data.quote);
+        setQuoteToken(response.data.data.quoteToken);
+      } catch (error) {
+        if (cancelled) return;
+        setQuoteError(
+          error.response?.data?.message || "Failed to calculate the price"
+        );
+      }
+    };
+
+    fetchQuote();
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, paymentMethod, bookingData]);
+
   const fetchSavedCards = async () => {
     try {
       const response = await API.get("/payments/saved-cards");
-      setSavedCards(response.data.data?.cards || []);
+      const cards = response.data.data?.cards || [];
+      setSavedCards(cards);
+      // Offer the default card for one-click payment
+      setSelectedSavedCard(cards.find((card) => card.isDefault)?.id || "");
     } catch (error) {
       console.error("Failed to fetch saved cards:", error);
     }
@@ -110,11 +155,7 @@ const PaymentModal = ({
   const validateStripeForm = () => {
     const newErrors = {};
 
-    if (selectedSavedCard) {
-      if (!cardForm.cvv || cardForm.cvv.length < 3) {
-        newErrors.cvv = "CVV is required";
-      }
-    } else {
+    if (!selectedSavedCard) {
       const cardNumber = cardForm.cardNumber.replace(/\s/g, "");
       if (!cardNumber || cardNumber.length < 13 || cardNumber.length > 19) {
         newErrors.cardNumber = "Valid card number is required";
@@ -175,21 +216,33 @@ const PaymentModal = ({
     }
   };
 
-  // Calculate fees function
-  const calculateFees = () => {
-    const baseAmount = bookingData?.totalAmount || 0;
-    let fee = 0;
-    switch (paymentMethod) {
-      case "stripe":
-        fee = Math.round(baseAmount * 0.035 + 1.5);
-        break;
-      case "cash_on_pickup":
-        fee = 0;
-        break;
-      default:
-        fee = 0;
+  // Charge a saved card, completing 3-D Secure in Stripe.js if the bank asks
+  const payWithSavedCard = async () => {
+    const response = await API.post("/payments/create-intent", {
+      quoteToken,
+      paymentMethodId: selectedSavedCard,
+    });
+    const { clientSecret, paymentIntentId, amount } = response.data.data;
+    let { status } = response.data.data;
+
+    if (status === "requires_action") {
+      const stripe = await stripePromise;
+      if (!stripe) throw new Error("Card payments are not available");
+      const { error, paymentIntent } = await stripe.confirmCardPayment(clientSecret);
+      if (error) throw new Error(error.message);
+      status = paymentIntent.status;
     }
-    return fee;
+    if (status !== "succeeded") {
+      throw new Error("The card payment was not completed");
+    }
+
+    return {
+      paymentId: paymentIntentId,
+      paymentMethod: "Card",
+      status: "completed",
+      amount,
+      currency: "AED",
+    };
   };
 
   // Main payment processing function
@@ -204,14 +257,10 @@ const PaymentModal = ({
 
       let paymentData = {
         paymentMethod: normalizedPaymentMethod,
-        amount: bookingData.totalAmount,
+        quoteToken,
         currency: "AED",
         bookingId: bookingData.bookingId,
-        carId: bookingData.carId,
         carTitle: bookingData.carTitle,
-        startDate: bookingData.startDate,
-        endDate: bookingData.endDate,
-        numberOfDays: bookingData.numberOfDays,
         pickupTime: selectedTimes.pickupTime,
         returnTime: selectedTimes.returnTime,
       };
@@ -223,9 +272,7 @@ const PaymentModal = ({
         case "stripe":
           isValid = validateStripeForm();
           if (isValid) {
-            paymentData.cardDetails = selectedSavedCard
-              ? { savedCardId: selectedSavedCard, cvv: cardForm.cvv }
-              : cardForm;
+            paymentData.cardDetails = cardForm;
           }
           break;
 
@@ -242,11 +289,19 @@ const PaymentModal = ({
         return;
       }
 
+      if (paymentMethod === "stripe" && selectedSavedCard) {
+        const result = await payWithSavedCard();
+        onPaymentSuccess?.({ ...result, quoteToken });
+        onClose();
+        return;
+      }
+
       // Process payment via API
       const response = await API.post("/payments/process", paymentData);
 
       if (response.data.success) {
-        onPaymentSuccess?.(response.data.data);
+        // The booking is created against the same quote
+        onPaymentSuccess?.({ ...response.data.data, quoteToken });
         onClose();
       } else {
         throw new Error(response.data.message || "Payment failed");
@@ -265,7 +320,7 @@ const PaymentModal = ({
   const handlePaymentMethodChange = (method) => {
     setPaymentMethod(method);
     setErrors({});
-    setSelectedSavedCard("");
+    setSelectedSavedCard(savedCards.find((card) => card.isDefault)?.id || "");
     setShowTimeSelection(true);
     
     // Auto-set a sensible meeting time for cash on pickup
@@ -328,11 +383,17 @@ const PaymentModal = ({
                       <div className="flex items-center justify-between">
                         <div>
                           <span className="font-medium">
-                            •••• •••• •••• {card.lastFour}
+                            •••• •••• •••• {card.last4}
                           </span>
-                          <span className="text-sm text-gray-500 ml-2">
-                            {card.brand} • {card.expiryMonth}/{card.expiryYear}
+                          <span className="text-sm text-gray-500 ml-2 capitalize">
+                            {card.brand} • {String(card.expMonth).padStart(2, "0")}/
+                            {card.expYear}
                           </span>
+                          {card.isDefault && (
+                            <span className="ml-2 px-2 py-0.5 rounded text-xs bg-green-100 text-green-800">
+                              Default
+                            </span>
+                          )}
                         </div>
                         <input
                           type="radio"
@@ -468,28 +529,6 @@ const PaymentModal = ({
                 </div>
               </>
             )}
-
-            {/* CVV for saved cards */}
-            {selectedSavedCard && (
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  CVV
-                </label>
-                <input
-                  type="text"
-                  placeholder="123"
-                  value={cardForm.cvv}
-                  onChange={(e) => handleCardInputChange("cvv", e.target.value)}
-                  className={`w-full p-3 border rounded-lg ${
-                    errors.cvv ? "border-red-500" : "border-gray-300"
-                  }`}
-                  maxLength="4"
-                />
-                {errors.cvv && (
-                  <p className="text-red-500 text-sm mt-1">{errors.cvv}</p>
-                )}
-              </div>
-            )}
           </div>
         );
 
@@ -579,7 +618,7 @@ const PaymentModal = ({
                 <span className="text-sm font-medium text-yellow-800">Cash Payment Reminder</span>
               </div>
               <div className="text-sm text-yellow-700 space-y-1">
-                <p>• Bring exact amount: AED {bookingData?.totalAmount || 0}</p>
+                <p>• Bring exact amount: AED {quote?.amountDue ?? "-"}</p>
                 <p>• Meeting must be within your booking period</p>
                 <p>• Dates: {new Date(bookingData?.startDate).toLocaleDateString()} - {new Date(bookingData?.endDate).toLocaleDateString()}</p>
               </div>
@@ -594,8 +633,7 @@ const PaymentModal = ({
 
   if (!isOpen) return null;
 
-  const fees = calculateFees();
-  const totalWithFees = (bookingData?.totalAmount || 0) + fees;
+  const amountDue = quote ? quote.amountDue.toFixed(2) : "-";
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -622,10 +660,14 @@ const PaymentModal = ({
                 <span>Car:</span>
                 <span className="font-medium">{bookingData?.carTitle}</span>
               </div>
-              <div className="flex justify-between">
-                <span>Duration:</span>
-                <span>{bookingData?.numberOfDays} days</span>
-              </div>
+              {quote && (
+                <div className="flex justify-between">
+                  <span>Duration:</span>
+                  <span>
+                    {quote.totalDays} day{quote.totalDays !== 1 ? "s" : ""}
+                  </span>
+                </div>
+              )}
               <div className="flex justify-between">
                 <span>Dates:</span>
                 <span>
@@ -633,20 +675,63 @@ const PaymentModal = ({
                   {new Date(bookingData?.endDate).toLocaleDateString()}
                 </span>
               </div>
-              <div className="flex justify-between font-medium border-t pt-2 mt-2">
-                <span>Subtotal:</span>
-                <span>AED {bookingData?.totalAmount}</span>
-              </div>
-              {fees > 0 && (
-                <div className="flex justify-between text-sm text-gray-600">
-                  <span>Processing fee:</span>
-                  <span>AED {fees}</span>
-                </div>
+              {quote && (
+                <>
+                  <div className="border-t pt-2 mt-2" />
+                  {groupPriceDays(quote.priceBreakdown?.days).map((group) => (
+                    <div
+                      key={`${group.label}-${group.rate}`}
+                      className="flex justify-between"
+                    >
+                      <span>
+                        {group.label}: AED {group.rate} × {group.count} day
+                        {group.count !== 1 ? "s" : ""}
+                      </span>
+                      <span>AED {(group.rate * group.count).toFixed(2)}</span>
+                    </div>
+                  ))}
+                  {quote.priceBreakdown?.discount && (
+                    <div className="flex justify-between">
+                      <span>
+                        Long-stay discount ({quote.priceBreakdown.discount.percent}
+                        %):
+                      </span>
+                      <span>
+                        -AED {quote.priceBreakdown.discount.amount.toFixed(2)}
+                      </span>
+                    </div>
+                  )}
+                  {quote.deliveryFee > 0 && (
+                    <div className="flex justify-between">
+                      <span>Delivery fee:</span>
+                      <span>AED {quote.deliveryFee.toFixed(2)}</span>
+                    </div>
+                  )}
+                  {quote.securityDeposit > 0 && !quote.depositHold && (
+                    <div className="flex justify-between">
+                      <span>Security deposit:</span>
+                      <span>AED {quote.securityDeposit.toFixed(2)}</span>
+                    </div>
+                  )}
+                </>
+              )}
+              {!quote && !quoteError && (
+                <div className="h-5 bg-gray-200 rounded animate-pulse mt-2" />
+              )}
+              {quoteError && (
+                <p className="text-red-600 border-t pt-2 mt-2">{quoteError}</p>
               )}
               <div className="flex justify-between font-bold text-lg border-t pt-2 mt-2">
                 <span>Total:</span>
-                <span>AED {totalWithFees}</span>
+                <span>AED {amountDue}</span>
               </div>
+              {quote?.depositHold > 0 && (
+                <p className="text-xs text-gray-600">
+                  Plus a AED {quote.depositHold.toFixed(2)} security deposit
+                  held on your card at pickup, released after the car is returned
+                  without damage.
+                </p>
+              )}
             </div>
           </div>
 
@@ -739,7 +824,7 @@ const PaymentModal = ({
             </button>
             <button
               onClick={processPayment}
-              disabled={processing || !showTimeSelection || timeError}
+              disabled={processing || !showTimeSelection || timeError || !quote}
               className="flex-1 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed cursor-pointer flex items-center justify-center"
             >
               {processing ? (
@@ -750,7 +835,7 @@ const PaymentModal = ({
               ) : (
                 <>
                   <Lock className="h-4 w-4 mr-2" />
-                  Pay AED {totalWithFees}
+                  Pay AED {amountDue}
                 </>
               )}
             </button>
@@ -763,7 +848,7 @@ const PaymentModal = ({
                 Cash Payment Guidelines
               </h4>
               <div className="text-sm text-yellow-800 space-y-1">
-                <p>• Bring exact amount: AED {totalWithFees}</p>
+                <p>• Bring exact amount: AED {amountDue}</p>
                 <p>• Meeting time must be within booking period: {new Date(bookingData?.startDate).toLocaleDateString()} - {new Date(bookingData?.endDate).toLocaleDateString()}</p>
                 <p>• Meeting location will be confirmed upon booking</p>
                 <p>• Bring valid ID for verification</p>
@@ -0,0 +1,144 @@
+// src/components/PriceCalendar.jsx - Month view of a car's daily rates
+import { useState, useEffect } from "react";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+import API from "../api";
+
+const WEEKDAYS = ["Su", "Mo", "Tu", "We", "Th", "Fr", "Sa"];
+
+const RULE_STYLES = {
+  base: "bg-white text-gray-900",
+  weekend: "bg-blue-50 text-blue-900",
+  seasonal: "bg-amber-50 text-amber-900",
+};
+
+const monthKey = (date) => date.toISOString().slice(0, 7);
+
+const PriceCalendar = ({ carId, startDate, endDate }) => {
+  const [month, setMonth] = useState(() => {
+    const today = new Date();
+    return new Date(Date.UTC(today.getFullYear(), today.getMonth(), 1));
+  });
+  const [calendar, setCalendar] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    const daysInMonth = new Date(
+      Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 0)
+    ).getUTCDate();
+
+    API.get(`/cars/${carId}/price-calendar`, {
+      params: { from: `${monthKey(month)}-01`, days: daysInMonth },
+    })
+      .then((response) => {
+        if (!cancelled) setCalendar(response.data.data);
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err.response?.data?.message || "Failed to load prices");
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [carId, month]);
+
+  const shiftMonth = (delta) => {
+    setCalendar(null);
+    setMonth(
+      new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + delta, 1))
+    );
+  };
+
+  const isSelected = (date) =>
+    startDate && endDate && date >= startDate && date < endDate;
+
+  if (error) return null;
+
+  const leadingBlanks = month.getUTCDay();
+  const hasSpecialRates = calendar?.days.some((day) => day.rule !== "base");
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <button
+          type="button"
+          onClick={() => shiftMonth(-1)}
+          className="p-1 hover:bg-gray-100 rounded"
+          aria-label="Previous month"
+        >
+          <ChevronLeft className="w-4 h-4" />
+        </button>
+        <span className="font-medium text-gray-900">
+          {month.toLocaleDateString("en-US", {
+            month: "long",
+            year: "numeric",
+            timeZone: "UTC",
+          })}
+        </span>
+        <button
+          type="button"
+          onClick={() => shiftMonth(1)}
+          className="p-1 hover:bg-gray-100 rounded"
+          aria-label="Next month"
+        >
+          <ChevronRight className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-7 gap-1 text-center text-xs">
+        {WEEKDAYS.map((day) => (
+          <div key={day} className="text-gray-500 font-medium py-1">
+            {day}
+          </div>
+        ))}
+        {Array.from({ length: leadingBlanks }, (_, i) => (
+          <div key={`blank-${i}`} />
+        ))}
+        {calendar
+          ? calendar.days.map((day) => (
+              <div
+                key={day.date}
+                title={`${day.label}: AED ${day.rate}`}
+                className={`rounded py-1 border ${
+                  isSelected(day.date)
+                    ? "border-green-500 ring-1 ring-green-500"
+                    : "border-gray-100"
+                } ${RULE_STYLES[day.rule]}`}
+              >
+                <div>{Number(day.date.slice(8))}</div>
+                <div className="font-semibold">{day.rate}</div>
+              </div>
+            ))
+          : Array.from({ length: 28 }, (_, i) => (
+              <div key={i} className="h-10 bg-gray-100 rounded animate-pulse" />
+            ))}
+      </div>
+
+      {calendar && (
+        <div className="mt-3 space-y-1 text-xs text-gray-600">
+          <p>Daily rates in AED.</p>
+          {hasSpecialRates && (
+            <p className="flex gap-3">
+              <span className="flex items-center gap-1">
+                <span className="w-3 h-3 rounded bg-blue-100" /> Weekend
+              </span>
+              <span className="flex items-center gap-1">
+                <span className="w-3 h-3 rounded bg-amber-100" /> Season
+              </span>
+            </p>
+          )}
+          {calendar.weeklyDiscount > 0 && (
+            <p>{calendar.weeklyDiscount}% off rentals of 7 days or more.</p>
+          )}
+          {calendar.monthlyDiscount > 0 && (
+            <p>{calendar.monthlyDiscount}% off rentals of 28 days or more.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PriceCalendar;
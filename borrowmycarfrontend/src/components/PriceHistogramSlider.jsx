@@ -0,0 +1,83 @@
+// src/components/PriceHistogramSlider.jsx - Daily price range over the price distribution
+//
+// The handles snap to the histogram's bucket edges, so each bar lines up
+// with the stretch of slider it covers. Open ends ("" min or max) mean no
+// limit on that side.
+
+const THUMB =
+  "[&::-webkit-slider-thumb]:pointer-events-auto [&::-webkit-slider-thumb]:appearance-none [&::-webkit-slider-thumb]:w-4 [&::-webkit-slider-thumb]:h-4 [&::-webkit-slider-thumb]:rounded-full [&::-webkit-slider-thumb]:bg-green-600 [&::-moz-range-thumb]:pointer-events-auto [&::-moz-range-thumb]:w-4 [&::-moz-range-thumb]:h-4 [&::-moz-range-thumb]:rounded-full [&::-moz-range-thumb]:bg-green-600 [&::-moz-range-thumb]:border-0";
+
+// Index of the bucket edge closest to a price
+const nearestEdge = (edges, price) =>
+  edges.reduce(
+    (best, edge, i) =>
+      Math.abs(edge - price) < Math.abs(edges[best] - price) ? i : best,
+    0
+  );
+
+const PriceHistogramSlider = ({ buckets = [], priceMin, priceMax, onChange }) => {
+  if (buckets.length === 0) return null;
+
+  const edges = [...buckets.map((bucket) => bucket.min), buckets.at(-1).max];
+  const last = edges.length - 1;
+  const low = priceMin ? nearestEdge(edges, Number(priceMin)) : 0;
+  const high = priceMax ? nearestEdge(edges, Number(priceMax)) : last;
+  const tallest = Math.max(1, ...buckets.map((bucket) => bucket.count));
+
+  const update = (nextLow, nextHigh) =>
+    onChange(
+      nextLow === 0 ? "" : String(edges[nextLow]),
+      nextHigh === last ? "" : String(edges[nextHigh])
+    );
+
+  const label = (index, open) =>
+    index === (open === "min" ? 0 : last) ? "Any" : `AED ${edges[index]}`;
+
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-gray-600 mb-1">
+        <span>Price per day</span>
+        <span>
+          {label(low, "min")} – {label(high, "max")}
+        </span>
+      </div>
+
+      {/* Distribution */}
+      <div className="flex items-end gap-px h-10" aria-hidden="true">
+        {buckets.map((bucket, i) => (
+          <div
+            key={bucket.min}
+            title={`AED ${bucket.min}–${bucket.max}: ${bucket.count} cars`}
+            className={`flex-1 rounded-t ${
+              i >= low && i < high ? "bg-green-400" : "bg-gray-200"
+            }`}
+            style={{ height: `${Math.max(4, (bucket.count / tallest) * 100)}%` }}
+          />
+        ))}
+      </div>
+
+      <div className="relative h-4">
+        <input
+          type="range"
+          min={0}
+          max={last}
+          value={low}
+          onChange={(e) => update(Math.min(Number(e.target.value), high - 1), high)}
+          aria-label="Minimum price"
+          className={`absolute inset-0 w-full appearance-none bg-transparent pointer-events-none ${THUMB}`}
+        />
+        <input
+          type="range"
+          min={0}
+          max={last}
+          value={high}
+          onChange={(e) => update(low, Math.max(Number(e.target.value), low + 1))}
+          aria-label="Maximum price"
+          className={`absolute inset-0 w-full appearance-none bg-transparent pointer-events-none ${THUMB}`}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default PriceHistogramSlider;
@@ -0,0 +1,208 @@
+// src/components/PricingRulesEditor.jsx - Weekend, seasonal and length-of-stay pricing of a car
+import { Plus, Trash2 } from "lucide-react";
+import { DEFAULT_PRICING_RULES } from "../utils/pricingRules";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Common UAE peak seasons; dates move every year so owners fill them in
+const SEASON_PRESETS = [
+  "Ramadan",
+  "Eid al-Fitr",
+  "Eid al-Adha",
+  "Dubai Shopping Festival",
+  "New Year",
+];
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent";
+
+const PricingRulesEditor = ({ value, onChange, basePrice }) => {
+  const rules = value || DEFAULT_PRICING_RULES;
+  const update = (changes) => onChange({ ...rules, ...changes });
+
+  const toggleWeekday = (day) =>
+    update({
+      weekendDays: rules.weekendDays.includes(day)
+        ? rules.weekendDays.filter((d) => d !== day)
+        : [...rules.weekendDays, day].sort((a, b) => a - b),
+    });
+
+  const updateSeason = (index, changes) =>
+    update({
+      seasonalRates: rules.seasonalRates.map((season, i) =>
+        i === index ? { ...season, ...changes } : season
+      ),
+    });
+
+  const addSeason = (name = "") =>
+    update({
+      seasonalRates: [
+        ...rules.seasonalRates,
+        { name, startDate: "", endDate: "", dailyRate: basePrice || "" },
+      ],
+    });
+
+  const removeSeason = (index) =>
+    update({
+      seasonalRates: rules.seasonalRates.filter((_, i) => i !== index),
+    });
+
+  return (
+    <div className="space-y-6">
+      {/* Weekend rate */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Weekend rate (AED/day)
+          </label>
+          <input
+            type="number"
+            min="50"
+            max="5000"
+            value={rules.weekendRate}
+            placeholder={basePrice ? `Same as daily price (${basePrice})` : ""}
+            onChange={(e) => update({ weekendRate: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <span className="block text-sm font-medium text-gray-700 mb-2">
+            Weekend days
+          </span>
+          <div className="flex flex-wrap gap-2">
+            {WEEKDAYS.map((label, day) => (
+              <button
+                key={label}
+                type="button"
+                onClick={() => toggleWeekday(day)}
+                className={`px-3 py-1 rounded-full text-sm border ${
+                  rules.weekendDays.includes(day)
+                    ? "bg-green-600 text-white border-green-600"
+                    : "border-gray-300 text-gray-700 hover:bg-gray-100"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Seasonal rates */}
+      <div>
+        <span className="block text-sm font-medium text-gray-700 mb-2">
+          Seasonal rates
+        </span>
+        <p className="text-xs text-gray-500 mb-3">
+          Seasonal rates replace the daily and weekend rate on those dates.
+          Where seasons overlap, the one starting later applies.
+        </p>
+
+        <div className="space-y-3">
+          {rules.seasonalRates.map((season, index) => (
+            <div
+              key={index}
+              className="grid grid-cols-2 md:grid-cols-[2fr_1fr_1fr_1fr_auto] gap-2 items-end"
+            >
+              <input
+                type="text"
+                value={season.name}
+                placeholder="Season name"
+                maxLength={50}
+                onChange={(e) => updateSeason(index, { name: e.target.value })}
+                className={inputClass}
+              />
+              <input
+                type="date"
+                value={season.startDate}
+                onChange={(e) =>
+                  updateSeason(index, { startDate: e.target.value })
+                }
+                className={inputClass}
+              />
+              <input
+                type="date"
+                value={season.endDate}
+                min={season.startDate || undefined}
+                onChange={(e) => updateSeason(index, { endDate: e.target.value })}
+                className={inputClass}
+              />
+              <input
+                type="number"
+                min="50"
+                max="5000"
+                value={season.dailyRate}
+                placeholder="AED/day"
+                onChange={(e) =>
+                  updateSeason(index, { dailyRate: e.target.value })
+                }
+                className={inputClass}
+              />
+              <button
+                type="button"
+                onClick={() => removeSeason(index)}
+                className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                aria-label={`Remove ${season.name || "season"}`}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap gap-2 mt-3">
+          {SEASON_PRESETS.map((name) => (
+            <button
+              key={name}
+              type="button"
+              onClick={() => addSeason(name)}
+              className="px-3 py-1 text-sm border border-dashed border-gray-300 rounded-full hover:bg-gray-100"
+            >
+              + {name}
+            </button>
+          ))}
+          <button
+            type="button"
+            onClick={() => addSeason()}
+            className="flex items-center px-3 py-1 text-sm text-green-700 hover:bg-green-50 rounded-full"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            Custom season
+          </button>
+        </div>
+      </div>
+
+      {/* Length-of-stay discounts */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Weekly discount (% off 7+ days)
+          </label>
+          <input
+            type="number"
+            min="0"
+            max="50"
+            value={rules.weeklyDiscount}
+            onChange={(e) => update({ weeklyDiscount: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Monthly discount (% off 28+ days)
+          </label>
+          <input
+            type="number"
+            min="0"
+            max="70"
+            value={rules.monthlyDiscount}
+            onChange={(e) => update({ monthlyDiscount: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PricingRulesEditor;
@@ -0,0 +1,77 @@
+// src/components/PricingRulesModal.jsx - Owner edits the pricing rules of a listed car
+import { useState } from "react";
+import { X } from "lucide-react";
+import API from "../api";
+import PricingRulesEditor from "./PricingRulesEditor";
+import { toEditableRules, toPricingRulesPayload } from "../utils/pricingRules";
+
+const PricingRulesModal = ({ car, onClose, onSaved }) => {
+  const [rules, setRules] = useState(() => toEditableRules(car.pricingRules));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError("");
+    try {
+      const response = await API.put(`/cars/${car._id}/pricing-rules`, {
+        pricingRules: toPricingRulesPayload(rules),
+      });
+      onSaved?.(response.data.data.pricingRules);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to save pricing rules");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b">
+          <div>
+            <h2 className="text-xl font-semibold">Pricing rules</h2>
+            <p className="text-sm text-gray-600">
+              {car.title} · AED {car.price}/day
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-full"
+            disabled={saving}
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="p-6">
+          <PricingRulesEditor
+            value={rules}
+            onChange={setRules}
+            basePrice={car.price}
+          />
+          {error && <p className="text-sm text-red-600 mt-4">{error}</p>}
+        </div>
+
+        <div className="flex gap-3 p-6 border-t">
+          <button
+            onClick={onClose}
+            disabled={saving}
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? "Saving..." : "Save pricing"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PricingRulesModal;
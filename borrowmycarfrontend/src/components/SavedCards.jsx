@@ -0,0 +1,194 @@
+// src/components/SavedCards.jsx - Cards saved on the user's Stripe Customer
+import { useState, useEffect } from "react";
+import { Elements, CardElement, useStripe, useElements } from "@stripe/react-stripe-js";
+import { CreditCard, Trash2, Plus } from "lucide-react";
+import API from "../api";
+import { usePayment } from "../context/PaymentContext";
+
+// Saves a card with a SetupIntent; the bank may ask for 3-D Secure
+const AddCardForm = ({ onSaved, onCancel }) => {
+  const stripe = useStripe();
+  const elements = useElements();
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const saveCard = async (e) => {
+    e.preventDefault();
+    if (!stripe || !elements) return;
+
+    setSaving(true);
+    setError("");
+    try {
+      const response = await API.post("/payments/setup-intent");
+      const { error: setupError, setupIntent } = await stripe.confirmCardSetup(
+        response.data.data.clientSecret,
+        { payment_method: { card: elements.getElement(CardElement) } }
+      );
+      if (setupError) {
+        setError(setupError.message);
+        return;
+      }
+      await onSaved(setupIntent.payment_method);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to save the card");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={saveCard} className="mt-3 p-4 border border-gray-200 rounded-lg">
+      <div className="border border-gray-300 rounded-lg p-3 bg-white">
+        <CardElement options={{ hidePostalCode: true }} />
+      </div>
+      {error && <p className="text-red-600 text-sm mt-2">{error}</p>}
+      <div className="flex gap-2 mt-3">
+        <button
+          type="submit"
+          disabled={!stripe || saving}
+          className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save card"}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const SavedCards = () => {
+  const { stripePromise } = usePayment();
+  const [cards, setCards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [updating, setUpdating] = useState(null);
+  const [adding, setAdding] = useState(false);
+  const [error, setError] = useState("");
+
+  const loadCards = () =>
+    API.get("/payments/saved-cards")
+      .then((response) => setCards(response.data.data.cards))
+      .catch((err) =>
+        setError(err.response?.data?.message || "Failed to load saved cards")
+      );
+
+  useEffect(() => {
+    loadCards().finally(() => setLoading(false));
+  }, []);
+
+  const makeDefault = async (cardId) => {
+    setUpdating(cardId);
+    setError("");
+    try {
+      await API.post(`/payments/saved-methods/${cardId}/default`);
+      setCards((prev) => prev.map((c) => ({ ...c, isDefault: c.id === cardId })));
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to update the default card");
+    } finally {
+      setUpdating(null);
+    }
+  };
+
+  // The first card saved becomes the default
+  const cardSaved = async (paymentMethodId) => {
+    setAdding(false);
+    if (!cards.some((c) => c.isDefault)) {
+      await API.post(`/payments/saved-methods/${paymentMethodId}/default`).catch(
+        (err) => console.error("Failed to set default card:", err)
+      );
+    }
+    await loadCards();
+  };
+
+  const removeCard = async (card) => {
+    if (!window.confirm(`Remove the ${card.brand} card ending in ${card.last4}?`)) {
+      return;
+    }
+    setUpdating(card.id);
+    setError("");
+    try {
+      await API.delete(`/payments/saved-methods/${card.id}`);
+      setCards((prev) => prev.filter((c) => c.id !== card.id));
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to remove the card");
+    } finally {
+      setUpdating(null);
+    }
+  };
+
+  if (loading) {
+    return <div className="h-16 bg-gray-100 rounded-lg animate-pulse" />;
+  }
+
+  return (
+    <div>
+      {error && <p className="text-red-600 text-sm mb-2">{error}</p>}
+      {cards.length > 0 ? (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {cards.map((card) => (
+            <li key={card.id} className="flex items-center justify-between px-4 py-3">
+              <span className="flex items-center text-gray-900">
+                <CreditCard className="w-5 h-5 mr-3 text-gray-400" />
+                <span className="capitalize">{card.brand}</span>
+                <span className="ml-2">•••• {card.last4}</span>
+                <span className="ml-3 text-sm text-gray-500">
+                  Expires {String(card.expMonth).padStart(2, "0")}/{card.expYear}
+                </span>
+                {card.isDefault && (
+                  <span className="ml-3 px-2 py-0.5 rounded text-xs bg-green-100 text-green-800">
+                    Default
+                  </span>
+                )}
+              </span>
+              <span className="flex items-center gap-3">
+                {!card.isDefault && (
+                  <button
+                    onClick={() => makeDefault(card.id)}
+                    disabled={updating === card.id}
+                    className="text-sm text-green-700 hover:text-green-800 disabled:opacity-50"
+                  >
+                    Make default
+                  </button>
+                )}
+                <button
+                  onClick={() => removeCard(card)}
+                  disabled={updating === card.id}
+                  className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                  title="Remove card"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-500 text-sm">
+          No saved cards. Add one to pay for bookings in one click.
+        </p>
+      )}
+
+      {stripePromise &&
+        (adding ? (
+          <Elements stripe={stripePromise}>
+            <AddCardForm onSaved={cardSaved} onCancel={() => setAdding(false)} />
+          </Elements>
+        ) : (
+          <button
+            onClick={() => setAdding(true)}
+            className="flex items-center mt-3 text-sm text-green-700 hover:text-green-800"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            Add card
+          </button>
+        ))}
+    </div>
+  );
+};
+
+export default SavedCards;
@@ -0,0 +1,138 @@
+// src/components/SearchAutocomplete.jsx - Car search box with make/model suggestions
+import { useState, useEffect, useRef } from "react";
+import { Search, X } from "lucide-react";
+import API from "../api";
+
+const SearchAutocomplete = ({ initialValue = "", onSearch }) => {
+  const [query, setQuery] = useState(initialValue);
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    setQuery(initialValue);
+  }, [initialValue]);
+
+  // Suggestions for what's typed; Arabic names and small typos are matched
+  // by the server
+  useEffect(() => {
+    const q = query.trim();
+    if (!q) {
+      setSuggestions([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      API.get("/cars/suggest", { params: { q } })
+        .then((response) => {
+          if (cancelled) return;
+          setSuggestions(response.data.data.suggestions);
+          setHighlighted(-1);
+        })
+        .catch((err) => console.error("Failed to load suggestions:", err));
+    }, 200);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, []);
+
+  const submit = (value) => {
+    setQuery(value);
+    setOpen(false);
+    onSearch(value.trim());
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" && suggestions.length) {
+      e.preventDefault();
+      setOpen(true);
+      setHighlighted((prev) => (prev + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp" && suggestions.length) {
+      e.preventDefault();
+      setHighlighted((prev) => (prev <= 0 ? suggestions.length - 1 : prev - 1));
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      submit(open && highlighted >= 0 ? suggestions[highlighted].label : query);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative w-full max-w-xl">
+      <div className="flex items-center bg-white border border-gray-300 rounded-lg focus-within:ring-1 focus-within:ring-green-500">
+        <Search className="w-4 h-4 text-gray-400 ml-3" />
+        <input
+          type="text"
+          dir="auto"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search make or model, e.g. Toyota or تويوتا"
+          className="flex-1 px-3 py-2 text-sm outline-none rounded-lg"
+          role="combobox"
+          aria-expanded={open && suggestions.length > 0}
+          aria-autocomplete="list"
+          autoComplete="off"
+        />
+        {query && (
+          <button
+            onClick={() => submit("")}
+            className="p-2 text-gray-400 hover:text-gray-600 cursor-pointer"
+            aria-label="Clear search"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      {open && suggestions.length > 0 && (
+        <ul
+          role="listbox"
+          className="absolute top-full left-0 right-0 mt-1 bg-white border rounded-lg shadow-lg z-20 max-h-72 overflow-y-auto"
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={`${suggestion.type}-${suggestion.label}`}
+              role="option"
+              aria-selected={index === highlighted}
+              onMouseDown={(e) => {
+                e.preventDefault();
+                submit(suggestion.label);
+              }}
+              className={`flex justify-between px-3 py-2 text-sm cursor-pointer ${
+                index === highlighted ? "bg-green-50" : "hover:bg-gray-50"
+              }`}
+            >
+              <span className={suggestion.type === "make" ? "font-medium" : ""}>
+                {suggestion.label}
+              </span>
+              <span className="text-xs text-gray-500">
+                {suggestion.count} {suggestion.count === 1 ? "car" : "cars"}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchAutocomplete;
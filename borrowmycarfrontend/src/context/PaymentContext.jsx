@@ -18,16 +18,14 @@ export const PaymentProvider = ({ children }) => {
   const [paymentLoading, setPaymentLoading] = useState(false);
   const [paymentError, setPaymentError] = useState(null);
 
-  const createPaymentIntent = async (bookingId, amount) => {
+  // The server charges the booking, or the signed quote when there's none yet
+  const createPaymentIntent = async (bookingId, quoteToken) => {
     setPaymentLoading(true);
     setPaymentError(null);
 
     try {
-      const payload = { bookingId };
-      if (amount && !bookingId) {
-        payload.amount = amount;
-      }
-      
+      const payload = bookingId ? { bookingId } : { quoteToken };
+
       const response = await API.post("/payments/create-intent", payload);
       return response.data;
     } catch (error) {
@@ -54,6 +52,33 @@ export const PaymentProvider = ({ children }) => {
     }
   };
 
+  // Security deposits are authorized on the card and captured only if needed
+  const createDepositHold = async (bookingId) => {
+    try {
+      const response = await API.post("/payments/deposit-hold", { bookingId });
+      return response.data;
+    } catch (error) {
+      const errorMessage =
+        error.response?.data?.message || "Failed to hold the security deposit";
+      setPaymentError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
+  const confirmDepositHold = async (bookingId) => {
+    try {
+      const response = await API.post("/payments/deposit-hold/confirm", {
+        bookingId,
+      });
+      return response.data;
+    } catch (error) {
+      const errorMessage =
+        error.response?.data?.message || "Failed to confirm the deposit hold";
+      setPaymentError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
   const getPaymentHistory = async () => {
     try {
       const response = await API.get("/payments/history");
@@ -78,6 +103,8 @@ export const PaymentProvider = ({ children }) => {
         paymentError,
         createPaymentIntent,
         confirmPayment,
+        createDepositHold,
+        confirmDepositHold,
         getPaymentHistory,
         setPaymentError,
         clearError,
@@ -8,6 +8,7 @@ import {
 } from "react-router-dom";
 import App from "./App.jsx";
 import BrowseCars from "./BrowseCars.jsx";
+import MapSearchView from "./components/MapSearchView.jsx";
 import Login from "./Login.jsx";
 import Signup from "./Signup.jsx";
 import ForgotPassword from "./ForgotPassword.jsx";
@@ -88,6 +89,10 @@ const router = createBrowserRouter([
         path: "browse",
         element: <BrowseCars />,
       },
+      {
+        path: "map",
+        element: <MapSearchView />,
+      },
       {
         path: "how-it-works",
         element: <HowItWorks />,
@@ -299,6 +304,22 @@ const router = createBrowserRouter([
             path: "bookings",
             element: <AdminDashboard />,
           },
+          {
+            path: "disputes",
+            element: <AdminDashboard />,
+          },
+          {
+            path: "promos",
+            element: <AdminDashboard />,
+          },
+          {
+            path: "payouts",
+            element: <AdminDashboard />,
+          },
+          {
+            path: "webhooks",
+            element: <AdminDashboard />,
+          },
           {
             path: "reports",
             element: <AdminDashboard />,
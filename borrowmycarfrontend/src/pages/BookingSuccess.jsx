@@ -22,6 +22,7 @@ import {
   AlertCircle,
   Info,
 } from "lucide-react";
+import { downloadFromApi, downloadErrorMessage } from "../utils/downloadFile";
 
 const BookingSuccess = () => {
   const navigate = useNavigate();
@@ -51,43 +52,16 @@ const BookingSuccess = () => {
     return () => clearInterval(timer);
   }, [navigate, paymentIntent, booking]);
 
-  const handleDownloadReceipt = () => {
-    const receiptData = {
-      bookingReference: booking?._id?.slice(-8).toUpperCase() || "UNKNOWN",
-      paymentId: paymentIntent?.id?.slice(-8).toUpperCase(),
-      carTitle: car?.title,
-      carCity: car?.city,
-      bookingDates: {
-        start: booking?.startDate,
-        end: booking?.endDate,
-        duration: booking?.totalDays,
-      },
-      payment: {
-        amount: paymentIntent?.amount
-          ? (paymentIntent.amount / 100).toFixed(2)
-          : "0.00",
-        currency: paymentIntent?.currency?.toUpperCase() || "AED",
-        method: "Credit Card",
-        status: "Paid",
-      },
-      timestamp: new Date().toISOString(),
-      customerInfo: {
-        name: booking?.renter?.name || "Customer",
-        email: booking?.renter?.email || "N/A",
-      },
-    };
-
-    const dataStr = JSON.stringify(receiptData, null, 2);
-    const dataBlob = new Blob([dataStr], { type: "application/json" });
-    const url = URL.createObjectURL(dataBlob);
-
-    const link = document.createElement("a");
-    link.href = url;
-    link.download = `BorrowMyCar_Receipt_${receiptData.bookingReference}.json`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+  const handleDownloadReceipt = async () => {
+    try {
+      await downloadFromApi(
+        `/bookings/${booking._id}/receipt`,
+        `BorrowMyCar_Receipt_${booking._id.slice(-8).toUpperCase()}.pdf`
+      );
+    } catch (err) {
+      console.error("Failed to download receipt:", err);
+      alert(await downloadErrorMessage(err, "Failed to download the receipt"));
+    }
   };
 
   const handleShare = () => {
@@ -10,8 +10,11 @@ import {
   Clock,
   Shield,
   AlertCircle,
+  Tag,
+  X,
 } from "lucide-react";
 import PaymentForm from "../components/PaymentForm";
+import { groupPriceDays } from "../utils/pricingRules";
 import API from "../api";
 
 const Checkout = () => {
@@ -21,9 +24,13 @@ const Checkout = () => {
 
   const [car, setCar] = useState(null);
   const [booking, setBooking] = useState(null);
+  const [quote, setQuote] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [paymentError, setPaymentError] = useState("");
+  const [promoCode, setPromoCode] = useState("");
+  const [promoError, setPromoError] = useState("");
+  const [promoLoading, setPromoLoading] = useState(false);
 
   useEffect(() => {
     const initializeCheckout = async () => {
@@ -67,15 +74,31 @@ const Checkout = () => {
         if (paymentMethod === "cash_on_pickup") paymentMethod = "Cash";
         if (paymentMethod === "stripe") paymentMethod = "Card";
 
-        // Create booking on backend
+        const deliveryRequested = bookingData.deliveryRequested || false;
+
+        // The server prices the booking; we show and pay that quote
+        const quoteResponse = await API.get("/bookings/quote", {
+          params: {
+            carId,
+            startDate: bookingData.startDate,
+            endDate: bookingData.endDate,
+            deliveryRequested,
+            paymentMethod,
+          },
+        });
+        const { quote: priceQuote, quoteToken } = quoteResponse.data.data;
+        setQuote(priceQuote);
+
+        // Create booking on backend at the quoted price
         const bookingResponse = await API.post("/bookings", {
           carId: carId,
           startDate: bookingData.startDate,
           endDate: bookingData.endDate,
           paymentMethod: paymentMethod,
+          quoteToken,
           pickupLocation: bookingData.pickupLocation || "To be determined",
           returnLocation: bookingData.returnLocation || "To be determined",
-          deliveryRequested: bookingData.deliveryRequested || false,
+          deliveryRequested,
           deliveryAddress: bookingData.deliveryAddress || "",
           renterNotes: bookingData.renterNotes || "",
         });
@@ -94,6 +117,38 @@ const Checkout = () => {
     initializeCheckout();
   }, [carId, location.state, navigate]);
 
+  // Promo codes are checked and priced by the server on the booking itself
+  const handleApplyPromo = async (e) => {
+    e.preventDefault();
+    if (!promoCode.trim()) return;
+    setPromoLoading(true);
+    setPromoError("");
+    try {
+      const response = await API.post(`/bookings/${booking._id}/promo`, {
+        promoCode: promoCode.trim(),
+      });
+      setBooking(response.data.data.booking);
+      setPromoCode("");
+    } catch (err) {
+      setPromoError(err.response?.data?.message || "Failed to apply promo code");
+    } finally {
+      setPromoLoading(false);
+    }
+  };
+
+  const handleRemovePromo = async () => {
+    setPromoLoading(true);
+    setPromoError("");
+    try {
+      const response = await API.delete(`/bookings/${booking._id}/promo`);
+      setBooking(response.data.data.booking);
+    } catch (err) {
+      setPromoError(err.response?.data?.message || "Failed to remove promo code");
+    } finally {
+      setPromoLoading(false);
+    }
+  };
+
   const handlePaymentSuccess = async (paymentResult) => {
     try {
       // Clear saved booking data
@@ -153,7 +208,7 @@ const Checkout = () => {
     );
   }
 
-  if (error || !car || !booking) {
+  if (error || !car || !booking || !quote) {
     return (
       <>
         <Helmet>
@@ -185,6 +240,11 @@ const Checkout = () => {
     );
   }
 
+  // Card deposits are held on the card rather than charged with the rental
+  const depositHeld = quote.depositHold > 0;
+  const appliedPromo = booking.promo?.released ? null : booking.promo;
+  const amountDue = booking.totalPayable - quote.depositHold;
+
   return (
     <>
       <Helmet>
@@ -326,30 +386,69 @@ const Checkout = () => {
               </h3>
 
               <div className="space-y-3">
-                <div className="flex justify-between">
-                  <span className="text-gray-600">
-                    AED {car.price} × {booking.totalDays} day
-                    {booking.totalDays !== 1 ? "s" : ""}
-                  </span>
-                  <span className="text-gray-900">
-                    AED {booking.totalAmount?.toFixed(2)}
-                  </span>
-                </div>
+                {groupPriceDays(quote.priceBreakdown?.days).map((group) => (
+                  <div
+                    key={`${group.label}-${group.rate}`}
+                    className="flex justify-between"
+                  >
+                    <span className="text-gray-600">
+                      {group.label}: AED {group.rate} × {group.count} day
+                      {group.count !== 1 ? "s" : ""}
+                    </span>
+                    <span className="text-gray-900">
+                      AED {(group.rate * group.count).toFixed(2)}
+                    </span>
+                  </div>
+                ))}
+
+                {quote.priceBreakdown?.discount && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">
+                      {quote.priceBreakdown.discount.period === "monthly"
+                        ? "Monthly"
+                        : "Weekly"}{" "}
+                      discount ({quote.priceBreakdown.discount.percent}%)
+                    </span>
+                    <span className="text-green-600">
+                      -AED {quote.priceBreakdown.discount.amount.toFixed(2)}
+                    </span>
+                  </div>
+                )}
+
+                {appliedPromo && (
+                  <div className="flex justify-between items-center">
+                    <span className="text-gray-600 flex items-center">
+                      Promo {appliedPromo.code}
+                      <button
+                        type="button"
+                        onClick={handleRemovePromo}
+                        disabled={promoLoading}
+                        className="ml-1 p-0.5 text-gray-400 hover:text-red-600 rounded"
+                        aria-label="Remove promo code"
+                      >
+                        <X className="w-3 h-3" />
+                      </button>
+                    </span>
+                    <span className="text-green-600">
+                      -AED {appliedPromo.amount.toFixed(2)}
+                    </span>
+                  </div>
+                )}
 
-                {booking.serviceFee > 0 && (
+                {quote.deliveryFee > 0 && (
                   <div className="flex justify-between">
-                    <span className="text-gray-600">Service fee</span>
+                    <span className="text-gray-600">Delivery fee</span>
                     <span className="text-gray-900">
-                      AED {booking.serviceFee?.toFixed(2)}
+                      AED {quote.deliveryFee.toFixed(2)}
                     </span>
                   </div>
                 )}
 
-                {booking.securityDeposit > 0 && (
+                {quote.securityDeposit > 0 && !depositHeld && (
                   <div className="flex justify-between">
                     <span className="text-gray-600">Security deposit</span>
                     <span className="text-gray-900">
-                      AED {booking.securityDeposit?.toFixed(2)}
+                      AED {quote.securityDeposit.toFixed(2)}
                     </span>
                   </div>
                 )}
@@ -361,11 +460,53 @@ const Checkout = () => {
                     Total
                   </span>
                   <span className="text-lg font-bold text-green-600">
-                    AED {booking.totalPayable?.toFixed(2)}
+                    AED {amountDue.toFixed(2)}
                   </span>
                 </div>
+
+                {depositHeld && (
+                  <p className="text-sm text-gray-600">
+                    Plus a AED {quote.depositHold.toFixed(2)} security
+                    deposit held on your card at pickup. It is not charged and is
+                    released after the car is returned without damage.
+                  </p>
+                )}
               </div>
 
+              {/* Promo Code */}
+              {!appliedPromo && booking.paymentStatus === "pending" && (
+                <form onSubmit={handleApplyPromo} className="mt-6">
+                  <label
+                    htmlFor="promoCode"
+                    className="flex items-center text-sm font-medium text-gray-700 mb-2"
+                  >
+                    <Tag className="w-4 h-4 mr-1" />
+                    Promo code
+                  </label>
+                  <div className="flex gap-2">
+                    <input
+                      id="promoCode"
+                      type="text"
+                      value={promoCode}
+                      maxLength={30}
+                      onChange={(e) => setPromoCode(e.target.value.toUpperCase())}
+                      placeholder="Enter code"
+                      className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                    />
+                    <button
+                      type="submit"
+                      disabled={promoLoading || !promoCode.trim()}
+                      className="px-4 py-2 bg-gray-900 text-white rounded-lg hover:bg-gray-800 disabled:opacity-50"
+                    >
+                      {promoLoading ? "..." : "Apply"}
+                    </button>
+                  </div>
+                </form>
+              )}
+              {promoError && (
+                <p className="text-sm text-red-600 mt-2">{promoError}</p>
+              )}
+
               {/* Security Badges */}
               <div className="mt-6 pt-6 border-t border-gray-200">
                 <div className="flex items-center text-sm text-gray-600 mb-3">
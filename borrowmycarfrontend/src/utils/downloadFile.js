@@ -0,0 +1,32 @@
+// src/utils/downloadFile.js - Save a file served by the API (receipts, invoices)
+import API from "../api";
+
+export const downloadFromApi = async (path, fallbackName) => {
+  const response = await API.get(path, { responseType: "blob" });
+
+  const disposition = response.headers["content-disposition"] || "";
+  const filename =
+    disposition.match(/filename="?([^";]+)"?/)?.[1] || fallbackName;
+
+  const url = window.URL.createObjectURL(response.data);
+  const link = document.createElement("a");
+  link.href = url;
+  link.setAttribute("download", filename);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+// Blob responses hide the JSON error body; read its message back out
+export const downloadErrorMessage = async (error, fallback) => {
+  const data = error.response?.data;
+  if (data instanceof Blob) {
+    try {
+      return JSON.parse(await data.text()).message || fallback;
+    } catch {
+      return fallback;
+    }
+  }
+  return data?.message || fallback;
+};
@@ -0,0 +1,47 @@
+// src/utils/pricingRules.js - Car pricing rules as edited in listing forms
+export const DEFAULT_PRICING_RULES = {
+  weekendRate: "",
+  weekendDays: [5, 6],
+  seasonalRates: [],
+  weeklyDiscount: 0,
+  monthlyDiscount: 0,
+};
+
+const toInputDate = (date) => (date ? String(date).slice(0, 10) : "");
+
+// Rules as stored on a car, in the shape the editor works with
+export const toEditableRules = (rules) => ({
+  ...DEFAULT_PRICING_RULES,
+  ...rules,
+  weekendRate: rules?.weekendRate ?? "",
+  seasonalRates: (rules?.seasonalRates || []).map((season) => ({
+    ...season,
+    startDate: toInputDate(season.startDate),
+    endDate: toInputDate(season.endDate),
+  })),
+});
+
+// Rules in the shape the API expects; empty inputs mean "not set"
+export const toPricingRulesPayload = (rules) => ({
+  weekendRate: rules.weekendRate === "" ? null : Number(rules.weekendRate),
+  weekendDays: rules.weekendDays,
+  seasonalRates: rules.seasonalRates.map((season) => ({
+    ...season,
+    dailyRate: Number(season.dailyRate),
+  })),
+  weeklyDiscount: Number(rules.weeklyDiscount) || 0,
+  monthlyDiscount: Number(rules.monthlyDiscount) || 0,
+});
+
+// Rental days of a price breakdown grouped by rate, e.g. 2 weekend days
+export const groupPriceDays = (days = []) => {
+  const groups = [];
+  days.forEach((day) => {
+    const group = groups.find(
+      (g) => g.label === day.label && g.rate === day.rate
+    );
+    if (group) group.count += 1;
+    else groups.push({ label: day.label, rate: day.rate, count: 1 });
+  });
+  return groups;
+};
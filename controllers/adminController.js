@@ -3,8 +3,27 @@ import User from "../models/User.js";
 import Car from "../models/Car.js";
 import Booking from "../models/Booking.js";
 import Notification from "../models/Notification.js";
+import JobRun from "../models/JobRun.js";
+import DamageClaim from "../models/DamageClaim.js";
+import Promo from "../models/Promo.js";
+import WebhookEvent from "../models/WebhookEvent.js";
+import { getRegisteredJobs } from "../jobs/index.js";
 import { handleAsyncError } from "../utils/errorHandler.js";
+import { readPageRequest, paginate, pageInfo } from "../utils/pagination.js";
 import EmailService from "../utils/emailService.js";
+import { stripe } from "../config/stripe-backend.js";
+import {
+  settleDamageClaim,
+  chargeDamageRemainder,
+  notifyClaimParties,
+} from "../utils/damageSettlement.js";
+import { settleDepositHold } from "../utils/depositHold.js";
+import { releasePromoRedemptions } from "../utils/promos.js";
+import { syncBookingLedgerSafely } from "../utils/ledger.js";
+import { deleteStripeCustomer } from "../utils/stripeCustomers.js";
+import { processWebhookEvent, STALE_WEBHOOK_MS } from "./paymentController.js";
+import { CASH_OUTSTANDING_FILTER, applyCashAmount } from "../utils/cashPayments.js";
+import { syncBookingInvoicesSafely } from "../utils/invoices.js";
 
 // ADMIN DASHBOARD STATS
 export const getAdminStats = handleAsyncError(async (req, res) => {
@@ -129,8 +148,6 @@ export const getAdminStats = handleAsyncError(async (req, res) => {
 // GET ALL USERS (ADMIN ONLY)
 export const getAllUsers = handleAsyncError(async (req, res) => {
   const {
-    page = 1,
-    limit = 20,
     role,
     isApproved,
     search,
@@ -150,35 +167,29 @@ export const getAllUsers = handleAsyncError(async (req, res) => {
     ];
   }
 
-  // Pagination
-  const skip = (parseInt(page) - 1) * parseInt(limit);
+  // Cursor or page pagination, ties broken by _id
   const sortOptions = {};
   sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
 
-  const [users, totalCount] = await Promise.all([
-    User.find(filter)
-      .select("-password")
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean(),
+  const [result, totalCount] = await Promise.all([
+    paginate(
+      (pageFilter, sort, skip, pageLimit) =>
+        User.find(pageFilter)
+          .select("-password")
+          .sort(sort)
+          .skip(skip)
+          .limit(pageLimit)
+          .lean(),
+      { filter, sort: sortOptions, request: readPageRequest(req.query) }
+    ),
     User.countDocuments(filter),
   ]);
 
-  const totalPages = Math.ceil(totalCount / parseInt(limit));
-
   res.json({
     success: true,
     data: {
-      users,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalCount,
-        hasNext: parseInt(page) < totalPages,
-        hasPrev: parseInt(page) > 1,
-        limit: parseInt(limit),
-      },
+      users: result.docs,
+      pagination: pageInfo(result, totalCount),
     },
   });
 });
@@ -232,8 +243,6 @@ export const updateUserApproval = handleAsyncError(async (req, res) => {
 // GET ALL CARS (ADMIN)
 export const getAllCars = handleAsyncError(async (req, res) => {
   const {
-    page = 1,
-    limit = 20,
     status,
     city,
     search,
@@ -253,35 +262,29 @@ export const getAllCars = handleAsyncError(async (req, res) => {
     ];
   }
 
-  // Pagination
-  const skip = (parseInt(page) - 1) * parseInt(limit);
+  // Cursor or page pagination, ties broken by _id
   const sortOptions = {};
   sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
 
-  const [cars, totalCount] = await Promise.all([
-    Car.find(filter)
-      .populate("owner", "name email phone")
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean(),
+  const [result, totalCount] = await Promise.all([
+    paginate(
+      (pageFilter, sort, skip, pageLimit) =>
+        Car.find(pageFilter)
+          .populate("owner", "name email phone")
+          .sort(sort)
+          .skip(skip)
+          .limit(pageLimit)
+          .lean(),
+      { filter, sort: sortOptions, request: readPageRequest(req.query) }
+    ),
     Car.countDocuments(filter),
   ]);
 
-  const totalPages = Math.ceil(totalCount / parseInt(limit));
-
   res.json({
     success: true,
     data: {
-      cars,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalCount,
-        hasNext: parseInt(page) < totalPages,
-        hasPrev: parseInt(page) > 1,
-        limit: parseInt(limit),
-      },
+      cars: result.docs,
+      pagination: pageInfo(result, totalCount),
     },
   });
 });
@@ -315,53 +318,105 @@ export const updateCarApproval = handleAsyncError(async (req, res) => {
 // GET ALL BOOKINGS (ADMIN)
 export const getAllBookings = handleAsyncError(async (req, res) => {
   const {
-    page = 1,
-    limit = 20,
     status,
     paymentStatus,
+    cash, // "outstanding" or "disputed"
     sortBy = "createdAt",
     sortOrder = "desc",
   } = req.query;
 
   // Build filter
   const filter = {};
+  if (cash === "outstanding") Object.assign(filter, CASH_OUTSTANDING_FILTER);
+  if (cash === "disputed") filter["cashCollection.status"] = "disputed";
   if (status) filter.status = status;
   if (paymentStatus) filter.paymentStatus = paymentStatus;
 
-  // Pagination
-  const skip = (parseInt(page) - 1) * parseInt(limit);
+  // Cursor or page pagination, ties broken by _id
   const sortOptions = {};
   sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
 
-  const [bookings, totalCount] = await Promise.all([
-    Booking.find(filter)
-      .populate("renter", "name email phone")
-      .populate("car", "title make model year city")
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean(),
+  const [result, totalCount] = await Promise.all([
+    paginate(
+      (pageFilter, sort, skip, pageLimit) =>
+        Booking.find(pageFilter)
+          .populate("renter", "name email phone")
+          .populate("car", "title make model year city")
+          .sort(sort)
+          .skip(skip)
+          .limit(pageLimit)
+          .lean(),
+      { filter, sort: sortOptions, request: readPageRequest(req.query) }
+    ),
     Booking.countDocuments(filter),
   ]);
 
-  const totalPages = Math.ceil(totalCount / parseInt(limit));
-
   res.json({
     success: true,
     data: {
-      bookings,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalCount,
-        hasNext: parseInt(page) < totalPages,
-        hasPrev: parseInt(page) > 1,
-        limit: parseInt(limit),
-      },
+      bookings: result.docs,
+      pagination: pageInfo(result, totalCount),
     },
   });
 });
 
+// RESOLVE CASH PAYMENT DISPUTE - settle how much cash changed hands
+export const resolveCashDispute = handleAsyncError(async (req, res) => {
+  const { bookingId } = req.params;
+  const { amount, resolution } = req.body;
+
+  const booking = await Booking.findById(bookingId).populate("car", "title owner");
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: "Booking not found",
+      code: "BOOKING_NOT_FOUND",
+    });
+  }
+
+  if (booking.cashCollection?.status !== "disputed") {
+    return res.status(409).json({
+      success: false,
+      message: "This booking has no open cash payment dispute",
+      code: "NO_CASH_DISPUTE",
+    });
+  }
+
+  const now = new Date();
+  booking.cashCollection.status = "resolved";
+  booking.cashCollection.dispute.resolvedBy = req.user.id;
+  booking.cashCollection.dispute.resolvedAt = now;
+  booking.cashCollection.dispute.resolution = resolution;
+  applyCashAmount(booking, parseFloat(amount), now);
+  await booking.save();
+  await syncBookingInvoicesSafely(booking._id);
+  await syncBookingLedgerSafely(booking._id);
+
+  for (const userId of [booking.renter, booking.car.owner]) {
+    try {
+      await Notification.createBookingNotification(
+        userId,
+        "cash_payment_resolved",
+        booking._id,
+        booking.car.title,
+        { carId: booking.car._id }
+      );
+    } catch (notificationError) {
+      console.error("Failed to send cash dispute notification:", notificationError);
+    }
+  }
+
+  console.log(
+    `⚖️ Admin ${req.user.id} settled the cash dispute of booking ${bookingId} at AED ${booking.cashCollection.amount}`
+  );
+
+  res.json({
+    success: true,
+    message: `Cash payment settled at AED ${booking.cashCollection.amount}`,
+    data: { booking },
+  });
+});
+
 // MODIFY USER (ADMIN)
 export const modifyUser = handleAsyncError(async (req, res) => {
   const { userId } = req.params;
@@ -470,6 +525,9 @@ export const deleteUser = handleAsyncError(async (req, res) => {
     user.deletedAt = new Date();
     user.email = `deleted_${timestamp}_${user._id}@deleted.com`;
     user.phone = `deleted_${timestamp}_${user._id}`;
+
+    // Saved cards go with the Stripe Customer
+    await deleteStripeCustomer(stripe, user).catch(console.error);
     
     // Disable validation for this save to avoid phone validation issues
     await user.save({ validateBeforeSave: false });
@@ -555,6 +613,7 @@ export const deleteCar = handleAsyncError(async (req, res) => {
         cancelledAt: new Date(),
       }
     );
+    await releasePromoRedemptions(populatedBookings);
 
     // Send notifications and emails to affected users
     for (const booking of populatedBookings) {
@@ -862,4 +921,402 @@ export const exportData = handleAsyncError(async (req, res) => {
       recordCount: Object.values(data)[0]?.length || 0,
     },
   });
-});
\ No newline at end of file
+});
+
+// GET RECENT BACKGROUND JOB RUNS
+export const getJobRuns = handleAsyncError(async (req, res) => {
+  const { job, status, limit = 50 } = req.query;
+
+  const filter = {};
+  if (job) filter.job = job;
+  if (status) filter.status = status;
+
+  const runs = await JobRun.find(filter)
+    .sort({ startedAt: -1 })
+    .limit(Math.min(parseInt(limit) || 50, 200))
+    .lean();
+
+  res.json({
+    success: true,
+    data: {
+      jobs: getRegisteredJobs(),
+      runs,
+    },
+  });
+});
+
+// GET STRIPE WEBHOOK EVENTS
+export const getWebhookEvents = handleAsyncError(async (req, res) => {
+  const { status = "failed", type, page = 1, limit = 20 } = req.query;
+
+  const filter = status === "all" ? {} : { status };
+  if (type) filter.type = type;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [events, totalCount, statusCounts] = await Promise.all([
+    WebhookEvent.find(filter)
+      .select("-payload")
+      .sort({ receivedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    WebhookEvent.countDocuments(filter),
+    WebhookEvent.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+  ]);
+
+  const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+  res.json({
+    success: true,
+    data: {
+      events,
+      counts: Object.fromEntries(statusCounts.map((c) => [c._id, c.count])),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalCount,
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1,
+        limit: parseInt(limit),
+      },
+    },
+  });
+});
+
+// GET STRIPE WEBHOOK EVENT (with payload)
+export const getWebhookEvent = handleAsyncError(async (req, res) => {
+  const event = await WebhookEvent.findOne({ eventId: req.params.eventId })
+    .populate("lastReplayedBy", "name email")
+    .lean();
+
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: "Webhook event not found",
+      code: "WEBHOOK_EVENT_NOT_FOUND",
+    });
+  }
+
+  res.json({ success: true, data: { event } });
+});
+
+// REPLAY STRIPE WEBHOOK EVENT - run a stored event through its handler again
+export const replayWebhookEvent = handleAsyncError(async (req, res) => {
+  const { eventId } = req.params;
+
+  // Claim the event so a replay can't overlap a delivery or another replay
+  const event = await WebhookEvent.findOneAndUpdate(
+    {
+      eventId,
+      $or: [
+        { status: { $ne: "processing" } },
+        { processingStartedAt: { $lt: new Date(Date.now() - STALE_WEBHOOK_MS) } },
+      ],
+    },
+    {
+      $set: {
+        status: "processing",
+        lastReplayedAt: new Date(),
+        lastReplayedBy: req.user.id,
+      },
+      $inc: { replayCount: 1 },
+    },
+    { new: true }
+  );
+
+  if (!event) {
+    const exists = await WebhookEvent.exists({ eventId });
+    return res.status(exists ? 409 : 404).json({
+      success: false,
+      message: exists
+        ? "This event is being processed right now"
+        : "Webhook event not found",
+      code: exists ? "WEBHOOK_EVENT_PROCESSING" : "WEBHOOK_EVENT_NOT_FOUND",
+    });
+  }
+
+  await processWebhookEvent(event);
+  console.log(`🔁 Admin ${req.user.id} replayed webhook ${eventId}: ${event.status}`);
+
+  const summary = {
+    eventId: event.eventId,
+    type: event.type,
+    status: event.status,
+    attempts: event.attempts,
+    lastError: event.lastError,
+    processedAt: event.processedAt,
+    replayCount: event.replayCount,
+  };
+
+  if (event.status === "failed") {
+    return res.status(500).json({
+      success: false,
+      message: `Replay failed: ${event.lastError}`,
+      code: "WEBHOOK_REPLAY_FAILED",
+      data: { event: summary },
+    });
+  }
+
+  res.json({
+    success: true,
+    message: event.status === "ignored" ? "Event has no handler" : "Event processed",
+    data: { event: summary },
+  });
+});
+
+// GET DAMAGE CLAIM DISPUTES
+export const getDisputes = handleAsyncError(async (req, res) => {
+  const { status = "contested", page = 1, limit = 20 } = req.query;
+
+  const filter = status === "all" ? {} : { status };
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [claims, totalCount] = await Promise.all([
+    DamageClaim.find(filter)
+      .populate("car", "title make model images")
+      .populate("owner", "name email phone")
+      .populate("renter", "name email phone")
+      .populate("booking", "startDate endDate securityDeposit depositDeducted")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    DamageClaim.countDocuments(filter),
+  ]);
+
+  const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+  res.json({
+    success: true,
+    data: {
+      claims,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalCount,
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1,
+        limit: parseInt(limit),
+      },
+    },
+  });
+});
+
+// RESOLVE A CONTESTED DAMAGE CLAIM
+export const resolveDispute = handleAsyncError(async (req, res) => {
+  const { claimId } = req.params;
+  const { decision, approvedAmount, notes } = req.body;
+
+  const claim = await DamageClaim.findById(claimId).populate("car", "title");
+  if (!claim) {
+    return res.status(404).json({
+      success: false,
+      message: "Damage claim not found",
+      code: "CLAIM_NOT_FOUND",
+    });
+  }
+
+  if (claim.status !== "contested") {
+    return res.status(409).json({
+      success: false,
+      message: "Only contested claims can be arbitrated",
+      code: "CLAIM_NOT_CONTESTED",
+    });
+  }
+
+  const amount =
+    approvedAmount !== undefined
+      ? parseFloat(approvedAmount)
+      : claim.estimatedCost;
+
+  if (decision === "uphold" && (amount <= 0 || amount > claim.estimatedCost)) {
+    return res.status(400).json({
+      success: false,
+      message: `Approved amount must be between 1 and ${claim.estimatedCost}`,
+      code: "INVALID_AMOUNT",
+    });
+  }
+
+  claim.status = decision === "uphold" ? "upheld" : "dismissed";
+  claim.resolution = {
+    decidedBy: req.user.id,
+    approvedAmount: decision === "uphold" ? amount : 0,
+    notes,
+    decidedAt: new Date(),
+  };
+  claim.history.push({
+    action: claim.status,
+    actor: req.user.id,
+    actorRole: "admin",
+    note: notes,
+  });
+
+  // Upholding captures what the deposit covers; dismissing releases it
+  const booking = await Booking.findById(claim.booking);
+  if (decision === "uphold") {
+    const settlement = settleDamageClaim(claim, booking, amount);
+    await settleDepositHold(stripe, booking, settlement.depositDeducted);
+    await chargeDamageRemainder(stripe, claim, booking);
+  } else {
+    await settleDepositHold(stripe, booking);
+  }
+  await booking.save();
+  await syncBookingLedgerSafely(booking._id);
+
+  await claim.save();
+
+  await notifyClaimParties(
+    claim,
+    "damage_claim_resolved",
+    claim.car?.title || "your car"
+  );
+
+  console.log(`⚖️ Admin ${req.user.id} ${claim.status} damage claim ${claimId}`);
+
+  res.json({
+    success: true,
+    message: `Claim ${claim.status}`,
+    data: { claim },
+  });
+});
+
+// Promo fields an admin can set; the code itself is fixed once created
+const PROMO_FIELDS = [
+  "description",
+  "discountType",
+  "discountValue",
+  "maxDiscount",
+  "validFrom",
+  "validTo",
+  "maxRedemptions",
+  "perUserLimit",
+  "minRentalDays",
+  "cities",
+  "cars",
+  "isActive",
+];
+
+const pickPromoFields = (body) =>
+  Object.fromEntries(
+    PROMO_FIELDS.filter((field) => body[field] !== undefined).map((field) => [
+      field,
+      body[field],
+    ])
+  );
+
+// GET PROMO CODES
+export const getPromos = handleAsyncError(async (req, res) => {
+  const { status = "all", page = 1, limit = 20 } = req.query;
+
+  const now = new Date();
+  const filter = {};
+  if (status === "active") {
+    Object.assign(filter, {
+      isActive: true,
+      validFrom: { $lte: now },
+      validTo: { $gte: now },
+    });
+  } else if (status === "expired") {
+    filter.validTo = { $lt: now };
+  } else if (status === "inactive") {
+    filter.isActive = false;
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [promos, totalCount] = await Promise.all([
+    Promo.find(filter)
+      .populate("cars", "title")
+      .populate("createdBy", "name")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Promo.countDocuments(filter),
+  ]);
+
+  const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+  res.json({
+    success: true,
+    data: {
+      promos,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalCount,
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1,
+        limit: parseInt(limit),
+      },
+    },
+  });
+});
+
+// CREATE PROMO CODE
+export const createPromo = handleAsyncError(async (req, res) => {
+  const promo = await Promo.create({
+    ...pickPromoFields(req.body),
+    code: req.body.code,
+    createdBy: req.user.id,
+  });
+
+  console.log(`🏷️ Admin ${req.user.id} created promo ${promo.code}`);
+
+  res.status(201).json({
+    success: true,
+    message: "Promo code created",
+    data: { promo },
+  });
+});
+
+// UPDATE PROMO CODE
+export const updatePromo = handleAsyncError(async (req, res) => {
+  const promo = await Promo.findById(req.params.promoId);
+  if (!promo) {
+    return res.status(404).json({
+      success: false,
+      message: "Promo code not found",
+      code: "PROMO_NOT_FOUND",
+    });
+  }
+
+  promo.set(pickPromoFields(req.body));
+  await promo.save();
+
+  console.log(`🏷️ Admin ${req.user.id} updated promo ${promo.code}`);
+
+  res.json({
+    success: true,
+    message: "Promo code updated",
+    data: { promo },
+  });
+});
+
+// DELETE PROMO CODE - only codes no booking has used
+export const deletePromo = handleAsyncError(async (req, res) => {
+  const { promoId } = req.params;
+
+  const used = await Booking.exists({ "promo.promoId": promoId });
+  if (used) {
+    return res.status(409).json({
+      success: false,
+      message: "This promo code has been used. Deactivate it instead.",
+      code: "PROMO_IN_USE",
+    });
+  }
+
+  const promo = await Promo.findByIdAndDelete(promoId);
+  if (!promo) {
+    return res.status(404).json({
+      success: false,
+      message: "Promo code not found",
+      code: "PROMO_NOT_FOUND",
+    });
+  }
+
+  console.log(`🗑️ Admin ${req.user.id} deleted promo ${promo.code}`);
+
+  res.json({
+    success: true,
+    message: "Promo code deleted",
+  });
+});
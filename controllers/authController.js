@@ -10,6 +10,8 @@ import {
 } from "../utils/cloudUploader.js";
 import { formatUAEPhone, validateUAEPhone } from "../utils/phoneUtils.js";
 import emailService from "../utils/emailService.js";
+import { stripe } from "../config/stripe-backend.js";
+import { deleteStripeCustomer } from "../utils/stripeCustomers.js";
 
 // Enhanced async error handler
 const handleAsyncErrorLocal = (fn) => {
@@ -957,6 +959,9 @@ export const deleteAccount = handleAsyncErrorLocal(async (req, res) => {
       await deleteImagesFromCloud(imagesToDelete).catch(console.error);
     }
 
+    // Saved cards go with the Stripe Customer
+    await deleteStripeCustomer(stripe, user).catch(console.error);
+
     // Soft delete
     user.deletedAt = new Date();
     user.email = `deleted_${user._id}@borrowmycar.deleted`;
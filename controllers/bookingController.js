@@ -3,63 +3,71 @@ import Booking from "../models/Booking.js"; // Default import
 import Car from "../models/Car.js"; // Default import
 import Notification from "../models/Notification.js"; // Default import
 import User from "../models/User.js"; // Default import
+import Promo from "../models/Promo.js";
 
 import { handleAsyncError } from "../utils/errorHandler.js";
 import emailService from "../utils/emailService.js";
-
-// Check for booking conflicts
-const checkBookingConflicts = async (
-  carId,
-  startDate,
-  endDate,
-  excludeBookingId = null
-) => {
-  const requestStart = new Date(startDate);
-  const requestEnd = new Date(endDate);
-  
-  const filter = {
-    car: carId,
-    status: { $in: ["pending", "approved", "confirmed", "active"] },
-    $and: [
-      { startDate: { $lt: requestEnd } },
-      { endDate: { $gt: requestStart } }
-    ]
-  };
-
-  if (excludeBookingId) {
-    filter._id = { $ne: excludeBookingId };
-  }
-
-  const conflictingBooking = await Booking.findOne(filter);
-  return conflictingBooking;
-};
-
-// Calculate booking pricing
-const calculateBookingPricing = (
-  car,
-  startDate,
-  endDate,
-  deliveryRequested = false
-) => {
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  const totalDays = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
-
-  const dailyRate = car.price;
-  const totalAmount = dailyRate * totalDays;
-  const securityDeposit = car.securityDeposit || 0;
-  const deliveryFee = deliveryRequested ? car.deliveryFee || 0 : 0;
-  const totalPayable = totalAmount + securityDeposit + deliveryFee;
-
-  return {
-    totalDays,
-    dailyRate,
-    totalAmount,
-    securityDeposit,
-    deliveryFee,
-    totalPayable,
-  };
-};
+import { uploadImagesToCloud } from "../utils/cloudUploader.js";
+import { stripe } from "../config/stripe-backend.js";
+import {
+  getBookingRole,
+  canTransition,
+  transitionBooking,
+  InvalidTransitionError,
+  invalidTransitionResponse,
+} from "../utils/bookingStateMachine.js";
+import {
+  BLOCKING_STATUSES,
+  checkBookingConflicts,
+  datesUnavailableResponse,
+  findBlackout,
+  blackoutMessage,
+  findNextAvailableWindow,
+  withCarReservationLock,
+} from "../utils/bookingAvailability.js";
+import {
+  CANCELLATION_POLICIES,
+  calculateCancellation,
+} from "../utils/cancellationPolicy.js";
+import {
+  calculateBookingPricing,
+  priceModification,
+  applyPromoDiscount,
+  checkRentalRequest,
+  createQuote,
+  verifyQuote,
+  quoteMatchesRequest,
+  QuoteError,
+  quoteErrorResponse,
+} from "../utils/bookingPricing.js";
+import { buildPriceCalendar, toDayKey } from "../utils/pricingRules.js";
+import { resolvePromo, PromoError, promoErrorResponse } from "../utils/promos.js";
+import { isDepositHoldMissing, settleDepositHold } from "../utils/depositHold.js";
+import {
+  CashPaymentError,
+  cashPaymentErrorResponse,
+  checkCashAction,
+  recordCashCollection,
+} from "../utils/cashPayments.js";
+import { syncBookingInvoicesSafely } from "../utils/invoices.js";
+import { applyFullRefund, refundBooking } from "../utils/bookingRefunds.js";
+import { readPageRequest, paginate, pageInfo } from "../utils/pagination.js";
+import { getCommissionPercent, syncBookingLedgerSafely } from "../utils/ledger.js";
+import {
+  checkPaymentIntent,
+  paymentVerificationErrorResponse,
+} from "../utils/paymentVerification.js";
+import { issueRefund } from "./paymentController.js";
+
+// Pending requests expire if the owner doesn't answer within this window
+const PENDING_BOOKING_TTL_MS = 24 * 60 * 60 * 1000;
+
+const paymentAlreadyUsed = (res) =>
+  res.status(409).json({
+    success: false,
+    message: "This payment has already been used for another booking",
+    code: "PAYMENT_ALREADY_USED",
+  });
 
 // CREATE BOOKING
 export const createBooking = handleAsyncError(async (req, res) => {
@@ -74,6 +82,9 @@ export const createBooking = handleAsyncError(async (req, res) => {
     deliveryRequested = false,
     deliveryAddress,
     renterNotes,
+    paymentId,
+    quoteToken,
+    promoCode,
   } = req.body;
 
   // Basic validation
@@ -103,12 +114,15 @@ export const createBooking = handleAsyncError(async (req, res) => {
       });
     }
 
-    // Check if car is available
-    if (car.status !== "active") {
-      return res.status(400).json({
-        success: false,
-        message: "Car is not available for booking",
-      });
+    // Listed, free of blackouts, within the availability window and the
+    // rental length limits, with delivery offered if requested
+    const problem = checkRentalRequest(car, {
+      startDate,
+      endDate,
+      deliveryRequested,
+    });
+    if (problem) {
+      return res.status(400).json({ success: false, ...problem });
     }
 
     // Check if car has valid insurance
@@ -135,18 +149,7 @@ export const createBooking = handleAsyncError(async (req, res) => {
       console.warn(`Booking created for uninsured car: ${carId}`);
     }
 
-    // Check if dates are within car availability range
     const requestStart = new Date(startDate);
-    const requestEnd = new Date(endDate);
-    const carAvailableFrom = new Date(car.availabilityFrom);
-    const carAvailableTo = new Date(car.availabilityTo);
-
-    if (requestStart < carAvailableFrom || requestEnd > carAvailableTo) {
-      return res.status(400).json({
-        success: false,
-        message: `Selected dates must be between ${carAvailableFrom.toDateString()} and ${carAvailableTo.toDateString()}`,
-      });
-    }
 
     // Ensure user is not booking their own car
     if (car.owner.toString() === user.id) {
@@ -156,23 +159,48 @@ export const createBooking = handleAsyncError(async (req, res) => {
       });
     }
 
-    // Check for booking conflicts
-    const conflict = await checkBookingConflicts(carId, startDate, endDate);
-    if (conflict) {
-      return res.status(409).json({
-        success: false,
-        message: "Car is not available for the selected dates",
-        conflictingBooking: conflict._id,
-      });
-    }
-
-    // Calculate pricing
-    const pricing = calculateBookingPricing(
+    // Calculate pricing, less any promo code
+    const basePricing = calculateBookingPricing(
       car,
       startDate,
       endDate,
       deliveryRequested
     );
+    const promo = promoCode
+      ? await resolvePromo(promoCode, { car, userId: user.id, pricing: basePricing })
+      : null;
+    const pricing = applyPromoDiscount(basePricing, promo);
+
+    // The renter confirmed a quoted price: book only at that price
+    if (quoteToken) {
+      const quote = verifyQuote(quoteToken, user.id);
+      if (
+        !quoteMatchesRequest(quote, {
+          carId,
+          startDate,
+          endDate,
+          deliveryRequested,
+          promoCode: promo?.code,
+        })
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "The price quote does not match this booking",
+          code: "QUOTE_MISMATCH",
+        });
+      }
+      if (quote.totalPayable !== pricing.totalPayable) {
+        return res.status(409).json({
+          success: false,
+          message: "The price has changed since it was quoted",
+          code: "QUOTE_PRICE_CHANGED",
+          totalPayable: pricing.totalPayable,
+        });
+      }
+    }
+
+    // Instant-book cars skip the owner approval step
+    const isInstantBooking = car.isInstantApproval === true;
 
     // Create booking
     const booking = new Booking({
@@ -183,6 +211,8 @@ export const createBooking = handleAsyncError(async (req, res) => {
       totalDays: pricing.totalDays,
       dailyRate: pricing.dailyRate,
       totalAmount: pricing.totalAmount,
+      priceBreakdown: pricing.priceBreakdown,
+      promo,
       securityDeposit: pricing.securityDeposit,
       deliveryFee: pricing.deliveryFee,
       totalPayable: pricing.totalPayable,
@@ -192,16 +222,136 @@ export const createBooking = handleAsyncError(async (req, res) => {
       deliveryRequested,
       deliveryAddress,
       renterNotes: renterNotes || "",
+      cancellationPolicy: car.cancellationPolicy,
+      commissionPercent: getCommissionPercent(),
+      // Never leave a request pending past the start of the trip
+      expiresAt: isInstantBooking
+        ? undefined
+        : new Date(
+            Math.min(Date.now() + PENDING_BOOKING_TTL_MS, requestStart.getTime())
+          ),
+      statusHistory: [
+        {
+          to: "pending",
+          actor: user.id,
+          actorRole: "renter",
+          reason: "Booking requested",
+        },
+      ],
+    });
+
+    // Card paid up front (checkout flow): trust Stripe, not the client,
+    // and only for the amount this booking actually costs. The payment must
+    // have been made by this renter for this car and these dates, and can
+    // only ever pay for one booking.
+    let depositCharged = false;
+    if (paymentMethod === "Card" && paymentId && stripe) {
+      let paymentIntent;
+      try {
+        paymentIntent = await stripe.paymentIntents.retrieve(paymentId);
+      } catch (stripeError) {
+        console.error("Failed to verify payment intent:", stripeError.message);
+      }
+
+      // Unfinished payments leave the booking to be paid later
+      if (paymentIntent?.status === "succeeded") {
+        const rentalCharge = pricing.totalPayable - pricing.securityDeposit;
+        const problem = checkPaymentIntent(paymentIntent, {
+          amount: [pricing.totalPayable, rentalCharge],
+          metadata: {
+            carId: car._id.toString(),
+            renterId: user.id,
+            startDate: new Date(startDate).toISOString(),
+            endDate: new Date(endDate).toISOString(),
+          },
+        });
+        if (problem) {
+          console.warn(
+            `⚠️ Payment ${paymentId} rejected for car ${carId}: ${problem.message}`
+          );
+          return res.status(problem.statusCode).json(paymentVerificationErrorResponse(problem));
+        }
+
+        if (
+          await Booking.exists({
+            $or: [{ transactionId: paymentId }, { paymentIntentId: paymentId }],
+          })
+        ) {
+          return paymentAlreadyUsed(res);
+        }
+
+        const amountPaid = paymentIntent.amount / 100;
+        booking.paymentStatus = "paid";
+        booking.paidAt = new Date();
+        booking.transactionId = paymentIntent.id;
+        booking.paymentIntentId = paymentIntent.id;
+        depositCharged =
+          pricing.securityDeposit > 0 && amountPaid === pricing.totalPayable;
+      }
+    }
+
+    // Card deposits are held on the card at payment time, not charged
+    if (
+      paymentMethod === "Card" &&
+      pricing.securityDeposit > 0 &&
+      !depositCharged
+    ) {
+      booking.deposit = { status: "pending", amount: pricing.securityDeposit };
+    }
+
+    if (isInstantBooking) {
+      transitionBooking(booking, "approved", {
+        role: "system",
+        reason: "Instant book",
+      });
+      if (canTransition(booking, "confirmed", "system")) {
+        transitionBooking(booking, "confirmed", {
+          role: "system",
+          reason: "Payment received",
+        });
+      }
+    }
+
+    // Check for overlaps and save under the car's lock so two renters
+    // can't both take the same dates
+    const outcome = await withCarReservationLock(carId, async (confirmLease) => {
+      const conflict = await checkBookingConflicts(carId, startDate, endDate);
+      if (conflict) return { conflict };
+      await confirmLease();
+      if (promo && !(await Promo.reserveRedemption(promo.promoId))) {
+        return { promoExhausted: true };
+      }
+      try {
+        return { savedBooking: await booking.save() };
+      } catch (saveError) {
+        if (promo) await Promo.releaseRedemption(promo.promoId);
+        throw saveError;
+      }
     });
 
-    const savedBooking = await booking.save();
+    if (outcome.promoExhausted) {
+      return res.status(409).json({
+        success: false,
+        message: "This promo code has reached its redemption limit",
+        code: "PROMO_EXHAUSTED",
+      });
+    }
+
+    if (outcome.conflict) {
+      const nextWindow = await findNextAvailableWindow(car, startDate, endDate);
+      return res
+        .status(409)
+        .json(datesUnavailableResponse(outcome.conflict, nextWindow));
+    }
+
+    const { savedBooking } = outcome;
 
     // Send notifications
     try {
       // Notify renter about booking creation
       await Notification.createBookingNotification(
         user.id,
-        "booking_created",
+        isInstantBooking ? "booking_approved" : "booking_created",
         savedBooking._id,
         car.title,
         { carId: car._id }
@@ -210,7 +360,7 @@ export const createBooking = handleAsyncError(async (req, res) => {
       // Notify owner about new booking request
       await Notification.createBookingNotification(
         car.owner,
-        "new_booking_request",
+        isInstantBooking ? "instant_booking_confirmed" : "new_booking_request",
         savedBooking._id,
         car.title,
         { carId: car._id }
@@ -233,7 +383,8 @@ export const createBooking = handleAsyncError(async (req, res) => {
             pickupLocation: savedBooking.pickupLocation,
             returnLocation: savedBooking.returnLocation,
             deliveryRequested: savedBooking.deliveryRequested,
-            deliveryAddress: savedBooking.deliveryAddress
+            deliveryAddress: savedBooking.deliveryAddress,
+            isInstantBooking,
           };
           
           await emailService.sendBookingNotificationEmail(owner.email, bookingData);
@@ -250,10 +401,32 @@ export const createBooking = handleAsyncError(async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: "Booking created successfully",
-      data: { booking: savedBooking },
+      message: isInstantBooking
+        ? "Booking confirmed instantly"
+        : "Booking created successfully",
+      data: { booking: savedBooking, instantBooking: isInstantBooking },
     });
   } catch (error) {
+    if (error.code === "RESERVATION_BUSY") {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    // Another booking was saved with the same payment in the meantime
+    if (
+      error.code === 11000 &&
+      (error.keyPattern?.transactionId || error.keyPattern?.paymentIntentId)
+    ) {
+      return paymentAlreadyUsed(res);
+    }
+    if (error instanceof QuoteError) {
+      return res.status(error.statusCode).json(quoteErrorResponse(error));
+    }
+    if (error instanceof PromoError) {
+      return res.status(error.statusCode).json(promoErrorResponse(error));
+    }
     console.error("Booking creation error:", error);
     res.status(500).json({
       success: false,
@@ -263,37 +436,272 @@ export const createBooking = handleAsyncError(async (req, res) => {
   }
 });
 
+// GET PRICE QUOTE - server-calculated price, signed for checkout
+export const getPriceQuote = handleAsyncError(async (req, res) => {
+  const {
+    carId,
+    startDate,
+    endDate,
+    paymentMethod = "Card",
+    promoCode,
+  } = req.query;
+  const deliveryRequested = req.query.deliveryRequested === "true";
+
+  try {
+    const car = await Car.findById(carId);
+    if (!car) {
+      return res.status(404).json({
+        success: false,
+        message: "Car not found",
+        code: "CAR_NOT_FOUND",
+      });
+    }
+
+    if (car.owner.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot book your own car",
+        code: "OWN_CAR",
+      });
+    }
+
+    const problem = checkRentalRequest(car, {
+      startDate,
+      endDate,
+      deliveryRequested,
+    });
+    if (problem) {
+      return res.status(400).json({ success: false, ...problem });
+    }
+
+    const conflict = await checkBookingConflicts(carId, startDate, endDate);
+    if (conflict) {
+      const nextWindow = await findNextAvailableWindow(car, startDate, endDate);
+      return res
+        .status(409)
+        .json(datesUnavailableResponse(conflict, nextWindow));
+    }
+
+    const promo = promoCode
+      ? await resolvePromo(promoCode, {
+          car,
+          userId: req.user.id,
+          pricing: calculateBookingPricing(car, startDate, endDate, deliveryRequested),
+        })
+      : null;
+
+    const { quote, token } = createQuote(
+      car,
+      { startDate, endDate, deliveryRequested, paymentMethod },
+      req.user.id,
+      promo
+    );
+
+    res.json({
+      success: true,
+      data: { quote, quoteToken: token },
+    });
+  } catch (error) {
+    if (error instanceof PromoError) {
+      return res.status(error.statusCode).json(promoErrorResponse(error));
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to calculate price",
+      error: error.message,
+    });
+  }
+});
+
+// Statuses in which a renter can still add or remove a promo code, as
+// long as nothing has been paid and the booking hasn't been extended
+const PROMO_EDITABLE_STATUSES = ["pending", "approved", "confirmed"];
+
+const findPromoEditableBooking = async (req, res) => {
+  const booking = await Booking.findById(req.params.id).populate("car");
+
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: "Booking not found",
+      code: "BOOKING_NOT_FOUND",
+    });
+    return null;
+  }
+
+  if (getBookingRole(booking, req.user) !== "renter") {
+    res.status(403).json({
+      success: false,
+      message: "Only the renter can change the promo code",
+      code: "INSUFFICIENT_PERMISSIONS",
+    });
+    return null;
+  }
+
+  if (
+    !PROMO_EDITABLE_STATUSES.includes(booking.status) ||
+    booking.paymentStatus !== "pending" ||
+    booking.extensions.length > 0 ||
+    booking.modifications.some((m) => m.status === "approved")
+  ) {
+    res.status(409).json({
+      success: false,
+      message: "Promo codes can only be changed before the booking is paid",
+      code: "PROMO_LOCKED",
+    });
+    return null;
+  }
+
+  return booking;
+};
+
+// APPLY PROMO CODE to an unpaid booking (renter, at checkout)
+export const applyBookingPromo = handleAsyncError(async (req, res) => {
+  try {
+    const booking = await findPromoEditableBooking(req, res);
+    if (!booking) return;
+
+    if (booking.promo?.promoId && !booking.promo.released) {
+      return res.status(409).json({
+        success: false,
+        message: "Remove the current promo code before applying another",
+        code: "PROMO_ALREADY_APPLIED",
+      });
+    }
+
+    const promo = await resolvePromo(req.body.promoCode, {
+      car: booking.car,
+      userId: req.user.id,
+      pricing: { totalDays: booking.totalDays, totalAmount: booking.totalAmount },
+    });
+
+    if (!(await Promo.reserveRedemption(promo.promoId))) {
+      return res.status(409).json({
+        success: false,
+        message: "This promo code has reached its redemption limit",
+        code: "PROMO_EXHAUSTED",
+      });
+    }
+
+    booking.promo = promo;
+    booking.totalAmount =
+      Math.round((booking.totalAmount - promo.amount) * 100) / 100;
+    try {
+      await booking.save();
+    } catch (saveError) {
+      await Promo.releaseRedemption(promo.promoId);
+      throw saveError;
+    }
+
+    console.log(`🏷️ Promo ${promo.code} applied to booking ${booking._id}`);
+
+    res.json({
+      success: true,
+      message: `Promo code ${promo.code} applied`,
+      data: { booking },
+    });
+  } catch (error) {
+    if (error instanceof PromoError) {
+      return res.status(error.statusCode).json(promoErrorResponse(error));
+    }
+    console.error("Apply promo error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to apply promo code",
+      error: error.message,
+    });
+  }
+});
+
+// REMOVE PROMO CODE from an unpaid booking
+export const removeBookingPromo = handleAsyncError(async (req, res) => {
+  const booking = await findPromoEditableBooking(req, res);
+  if (!booking) return;
+
+  if (!booking.promo?.promoId || booking.promo.released) {
+    return res.status(404).json({
+      success: false,
+      message: "No promo code is applied to this booking",
+      code: "PROMO_NOT_APPLIED",
+    });
+  }
+
+  const { promoId, amount } = booking.promo;
+  booking.totalAmount = Math.round((booking.totalAmount + amount) * 100) / 100;
+  booking.promo = null;
+  await booking.save();
+  await Promo.releaseRedemption(promoId);
+
+  res.json({
+    success: true,
+    message: "Promo code removed",
+    data: { booking },
+  });
+});
+
 // GET MY BOOKINGS
 export const getMyBookings = handleAsyncError(async (req, res) => {
+  // Pages only when asked (?limit, ?cursor or ?page); otherwise the whole
+  // list, as before
+  const { limit, cursor, page } = req.query;
+  const pageRequest = limit || cursor || page ? readPageRequest(req.query) : null;
+
   try {
     // Get bookings based on user role
-    let bookings;
-    if (req.user.role === "owner") {
+    const isOwner = req.user.role === "owner";
+    let filter;
+    if (isOwner) {
       // For owners, show bookings for their cars
       const ownedCars = await Car.find({ owner: req.user.id }).select("_id");
       const carIds = ownedCars.map((car) => car._id);
-      
-      bookings = await Booking.find({ car: { $in: carIds } })
-        .populate("car", "title make model year price images city")
-        .populate("renter", "name email phone")
-        .sort({ createdAt: -1 });
+      filter = { car: { $in: carIds } };
     } else {
       // For renters, show their bookings
-      bookings = await Booking.find({ renter: req.user.id })
-        .populate("car", "title make model year price images city")
-        .populate({
+      filter = { renter: req.user.id };
+    }
+
+    const findBookings = (pageFilter, sort, skip = 0, pageLimit = 0) => {
+      const query = Booking.find(pageFilter).populate(
+        "car",
+        "title make model year price images city"
+      );
+      if (isOwner) {
+        query.populate("renter", "name email phone");
+      } else {
+        query.populate({
           path: "car",
           populate: {
             path: "owner",
             select: "name email phone"
           }
-        })
-        .sort({ createdAt: -1 });
+        });
+      }
+      return query.sort(sort).skip(skip).limit(pageLimit);
+    };
+
+    if (!pageRequest) {
+      const bookings = await findBookings(filter, { createdAt: -1, _id: -1 });
+      return res.json({
+        success: true,
+        data: { bookings },
+      });
     }
 
+    const [result, totalCount] = await Promise.all([
+      paginate(findBookings, {
+        filter,
+        sort: { createdAt: -1 },
+        request: pageRequest,
+      }),
+      Booking.countDocuments(filter),
+    ]);
+
     res.json({
       success: true,
-      data: { bookings },
+      data: {
+        bookings: result.docs,
+        pagination: pageInfo(result, totalCount),
+      },
     });
   } catch (error) {
     res.status(500).json({
@@ -341,7 +749,7 @@ export const getBookingsForOwner = handleAsyncError(async (req, res) => {
 // UPDATE BOOKING STATUS
 export const updateBookingStatus = handleAsyncError(async (req, res) => {
   const { id } = req.params;
-  const { status } = req.body;
+  const { status, reason, rejectionReason } = req.body;
 
   try {
     const booking = await Booking.findById(id).populate("car");
@@ -353,43 +761,45 @@ export const updateBookingStatus = handleAsyncError(async (req, res) => {
       });
     }
 
-    // Enhanced authorization check
-    const isOwner = booking.car.owner.toString() === req.user.id;
-    const isRenter = booking.renter.toString() === req.user.id;
-    const isAdmin = req.user.role === "admin";
-
-    if (!isOwner && !isRenter && !isAdmin) {
+    const role = getBookingRole(booking, req.user);
+    if (!role) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to update this booking",
         code: "INSUFFICIENT_PERMISSIONS",
       });
     }
-
-    // Additional business logic checks
-    if (isRenter && !["cancelled"].includes(status)) {
-      return res.status(403).json({
-        success: false,
-        message: "Renters can only cancel bookings",
-        code: "INVALID_STATUS_CHANGE",
-      });
-    }
-
-    if (isOwner && status === "cancelled" && booking.status !== "pending") {
-      return res.status(400).json({
-        success: false,
-        message: "Owners cannot cancel bookings that are already approved",
-        code: "INVALID_STATUS_CHANGE",
-      });
+    const isRenter = role === "renter";
+
+    // Approving a booking the renter already paid for confirms it directly
+    const targetStatus =
+      status === "approved" && booking.paymentStatus === "paid"
+        ? "confirmed"
+        : status;
+
+    // Rentals end with the return check-out inspection, not a status update
+    transitionBooking(booking, targetStatus, {
+      actor: req.user,
+      role,
+      reason: reason || rejectionReason,
+      manual: true,
+    });
+    if (targetStatus === "cancelled") {
+      booking.cancelledBy = role;
+      if (reason) booking.cancellationReason = reason;
+      applyCancellationTerms(booking, role);
+    } else if (targetStatus === "rejected") {
+      // The renter may already have paid by card; all of it goes back
+      applyFullRefund(booking);
     }
-
-    // Update booking status
-    booking.status = status;
     await booking.save();
+    if (["cancelled", "rejected"].includes(targetStatus)) {
+      await refundBooking(stripe, booking);
+    }
 
     // Send notifications based on status change
     try {
-      if (status === "approved") {
+      if (["approved", "confirmed"].includes(targetStatus)) {
         // Notify renter about booking approval
         await Notification.createBookingNotification(
           booking.renter,
@@ -398,7 +808,7 @@ export const updateBookingStatus = handleAsyncError(async (req, res) => {
           booking.car.title,
           { carId: booking.car._id }
         );
-      } else if (status === "rejected") {
+      } else if (targetStatus === "rejected") {
         // Notify renter about booking rejection
         await Notification.createBookingNotification(
           booking.renter,
@@ -407,17 +817,7 @@ export const updateBookingStatus = handleAsyncError(async (req, res) => {
           booking.car.title,
           { carId: booking.car._id }
         );
-      } else if (status === "completed") {
-        // Notify both renter and owner about completion
-        await Notification.createBookingNotification(
-          booking.renter,
-          "booking_completed",
-          booking._id,
-          booking.car.title,
-          { carId: booking.car._id }
-        );
-        // Note: Owner can also get a completion notification if needed
-      } else if (status === "cancelled") {
+      } else if (targetStatus === "cancelled") {
         // Notify the other party about cancellation
         const notificationReceiver = isRenter ? booking.car.owner : booking.renter;
         await Notification.createBookingNotification(
@@ -435,10 +835,16 @@ export const updateBookingStatus = handleAsyncError(async (req, res) => {
 
     res.json({
       success: true,
-      message: "Booking status updated successfully",
+      message:
+        targetStatus === "cancelled"
+          ? cancellationMessage(booking)
+          : "Booking status updated successfully",
       data: { booking },
     });
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.statusCode).json(invalidTransitionResponse(error));
+    }
     res.status(500).json({
       success: false,
       message: "Failed to update booking status",
@@ -476,6 +882,80 @@ export const getBookingById = handleAsyncError(async (req, res) => {
   }
 });
 
+// Record the fee and refund owed under the booking's cancellation policy.
+// The caller saves the booking, then calls refundBooking.
+const applyCancellationTerms = (booking, role) => {
+  const terms = calculateCancellation(booking, {
+    policy: booking.cancellationPolicy || booking.car?.cancellationPolicy,
+    role,
+  });
+
+  booking.cancellationFee = terms.cancellationFee;
+  booking.refundAmount = terms.refundAmount;
+  booking.refundStatus = terms.refundAmount > 0 ? "pending" : "none";
+  return terms;
+};
+
+const cancellationMessage = (booking) => {
+  if (booking.refundStatus === "completed") {
+    return `Booking cancelled. AED ${booking.refundAmount} has been refunded to your card.`;
+  }
+  if (booking.refundStatus === "failed") {
+    return `Booking cancelled. The AED ${booking.refundAmount} refund could not be issued automatically; our team will follow up.`;
+  }
+  if (booking.refundStatus === "pending") {
+    return `Booking cancelled. AED ${booking.refundAmount} is due back to you.`;
+  }
+  return "Booking cancelled successfully";
+};
+
+// GET CANCELLATION PREVIEW - fee and refund if cancelled now
+export const getCancellationPreview = handleAsyncError(async (req, res) => {
+  const booking = await Booking.findById(req.params.id).populate(
+    "car",
+    "title owner cancellationPolicy"
+  );
+
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: "Booking not found",
+      code: "BOOKING_NOT_FOUND",
+    });
+  }
+
+  const role = getBookingRole(booking, req.user);
+  if (!role) {
+    return res.status(403).json({
+      success: false,
+      message: "Not authorized to view this booking",
+      code: "INSUFFICIENT_PERMISSIONS",
+    });
+  }
+
+  if (!canTransition(booking, "cancelled", role)) {
+    return res.status(400).json({
+      success: false,
+      message: `A ${booking.status} booking cannot be cancelled`,
+      code: "BOOKING_NOT_CANCELLABLE",
+    });
+  }
+
+  const terms = calculateCancellation(booking, {
+    policy: booking.cancellationPolicy || booking.car?.cancellationPolicy,
+    role,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      ...terms,
+      tiers: CANCELLATION_POLICIES[terms.policy].tiers,
+      paymentMethod: booking.paymentMethod,
+    },
+  });
+});
+
 // CANCEL BOOKING
 export const cancelBooking = handleAsyncError(async (req, res) => {
   const { id } = req.params;
@@ -493,11 +973,12 @@ export const cancelBooking = handleAsyncError(async (req, res) => {
     }
 
     // Authorization check - only renter, owner, or admin can cancel
-    const isOwner = booking.car.owner.toString() === req.user.id;
-    const isRenter = booking.renter.toString() === req.user.id;
-    const isAdmin = req.user.role === "admin";
+    const role = getBookingRole(booking, req.user);
+    const isOwner = role === "owner";
+    const isRenter = role === "renter";
+    const isAdmin = role === "admin";
 
-    if (!isOwner && !isRenter && !isAdmin) {
+    if (!role) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to cancel this booking",
@@ -505,39 +986,19 @@ export const cancelBooking = handleAsyncError(async (req, res) => {
       });
     }
 
-    // Business logic checks
-    if (booking.status === "cancelled") {
-      return res.status(400).json({
-        success: false,
-        message: "Booking is already cancelled",
-        code: "ALREADY_CANCELLED",
-      });
-    }
-
-    if (booking.status === "completed") {
-      return res.status(400).json({
-        success: false,
-        message: "Cannot cancel a completed booking",
-        code: "BOOKING_COMPLETED",
-      });
-    }
-
-    // Additional restrictions for owners
-    if (isOwner && booking.status !== "pending") {
-      return res.status(400).json({
-        success: false,
-        message: "Owners can only cancel pending bookings",
-        code: "INVALID_STATUS_CHANGE",
-      });
-    }
-
     // Update booking with cancellation details
-    booking.status = "cancelled";
-    booking.cancelledBy = isRenter ? "renter" : isOwner ? "owner" : "admin";
+    transitionBooking(booking, "cancelled", {
+      actor: req.user,
+      role,
+      reason: cancellationReason,
+    });
+    booking.cancelledBy = role;
     if (cancellationReason) {
       booking.cancellationReason = cancellationReason;
     }
+    applyCancellationTerms(booking, role);
     await booking.save();
+    await refundBooking(stripe, booking);
 
     // Send cancellation notifications
     try {
@@ -655,10 +1116,13 @@ export const cancelBooking = handleAsyncError(async (req, res) => {
 
     res.json({
       success: true,
-      message: "Booking cancelled successfully",
+      message: cancellationMessage(booking),
       data: { booking },
     });
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.statusCode).json(invalidTransitionResponse(error));
+    }
     console.error("Cancel booking error:", error);
     res.status(500).json({
       success: false,
@@ -669,6 +1133,1218 @@ export const cancelBooking = handleAsyncError(async (req, res) => {
   }
 });
 
+// Pickup (check-in) and return (check-out) inspections share one flow
+const INSPECTION_STEPS = {
+  check_in: {
+    targetStatus: "active",
+    notification: "booking_started",
+    label: "Check-in",
+  },
+  check_out: {
+    targetStatus: "completed",
+    notification: "booking_completed",
+    label: "Check-out",
+  },
+};
+
+const appendConditionNote = (existing, role, notes) =>
+  [existing, `[${role}] ${notes}`].filter(Boolean).join("\n");
+
+const recordInspection = async (req, res, type) => {
+  const step = INSPECTION_STEPS[type];
+  const { id } = req.params;
+  const { odometer, fuelLevel, notes, damageReported, damageDescription } =
+    req.body;
+
+  try {
+    const booking = await Booking.findById(id).populate("car", "title owner");
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+        code: "BOOKING_NOT_FOUND",
+      });
+    }
+
+    const role = getBookingRole(booking, req.user);
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to inspect this booking",
+        code: "INSUFFICIENT_PERMISSIONS",
+      });
+    }
+
+    // The first party moves the booking on; the other can still add theirs.
+    // A renter's check-out only records the return: the rental stays active
+    // until the owner has inspected the car.
+    const alreadyMoved = booking.status === step.targetStatus;
+    const renterReturn =
+      type === "check_out" && role === "renter" && booking.status === "active";
+    if (
+      (alreadyMoved || renterReturn) &&
+      booking.inspections.some(
+        (inspection) =>
+          inspection.type === type && inspection.performedByRole === role
+      )
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: `${step.label} has already been recorded`,
+        code: "INSPECTION_ALREADY_RECORDED",
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one condition photo is required",
+        code: "PHOTOS_REQUIRED",
+      });
+    }
+
+    const reading = parseFloat(odometer);
+    if (type === "check_out") {
+      const pickupReadings = booking.inspections
+        .filter((inspection) => inspection.type === "check_in")
+        .map((inspection) => inspection.odometer);
+      if (pickupReadings.length && reading < Math.max(...pickupReadings)) {
+        return res.status(400).json({
+          success: false,
+          message: "Odometer reading cannot be lower than at pickup",
+          code: "INVALID_ODOMETER",
+        });
+      }
+    }
+
+    const movesBooking = !alreadyMoved && !renterReturn;
+    // The card deposit is held at pickup; the car isn't handed over without it
+    if (movesBooking && type === "check_in" && isDepositHoldMissing(booking)) {
+      return res.status(409).json({
+        success: false,
+        message: "The renter must authorize the security deposit before pickup",
+        code: "DEPOSIT_NOT_AUTHORIZED",
+      });
+    }
+    if (movesBooking) {
+      transitionBooking(booking, step.targetStatus, {
+        actor: req.user.id,
+        role,
+        reason: `${step.label} inspection`,
+      });
+    }
+
+    const photos = await uploadImagesToCloud(req.files);
+    const now = new Date();
+
+    booking.inspections.push({
+      type,
+      performedBy: req.user.id,
+      performedByRole: role,
+      photos,
+      odometer: reading,
+      fuelLevel: parseFloat(fuelLevel),
+      notes,
+      performedAt: now,
+    });
+
+    if (type === "check_in") {
+      if (!booking.actualPickupTime) booking.actualPickupTime = now;
+      if (notes) {
+        booking.preRentalCondition = appendConditionNote(
+          booking.preRentalCondition,
+          role,
+          notes
+        );
+      }
+    } else {
+      if (!booking.actualReturnTime) booking.actualReturnTime = now;
+      booking.isOverdue = false;
+      if (notes) {
+        booking.postRentalCondition = appendConditionNote(
+          booking.postRentalCondition,
+          role,
+          notes
+        );
+      }
+      if (damageReported === true || damageReported === "true") {
+        booking.damageReported = true;
+        booking.damageDescription = damageDescription || notes;
+      }
+      // The owner found no damage: give the held deposit back. Reported
+      // damage keeps the hold for the damage claim to capture.
+      if (role !== "renter" && !booking.damageReported) {
+        await settleDepositHold(stripe, booking);
+      }
+    }
+
+    await booking.save();
+
+    if (movesBooking || renterReturn) {
+      try {
+        const recipients = renterReturn
+          ? [booking.car.owner]
+          : [booking.renter, booking.car.owner];
+        for (const userId of recipients) {
+          await Notification.createBookingNotification(
+            userId,
+            renterReturn ? "booking_returned" : step.notification,
+            booking._id,
+            booking.car.title,
+            { carId: booking.car._id }
+          );
+        }
+      } catch (notificationError) {
+        console.error("Failed to send inspection notifications:", notificationError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `${step.label} recorded successfully`,
+      data: { booking },
+    });
+  } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(409).json(invalidTransitionResponse(error));
+    }
+    console.error(`${step.label} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to record ${step.label.toLowerCase()}`,
+      error: error.message,
+    });
+  }
+};
+
+// CHECK IN (pickup inspection)
+export const checkInBooking = handleAsyncError((req, res) =>
+  recordInspection(req, res, "check_in")
+);
+
+// CHECK OUT (return inspection)
+export const checkOutBooking = handleAsyncError((req, res) =>
+  recordInspection(req, res, "check_out")
+);
+
+// Load a booking for a cash payment step, or answer with why it can't be taken
+const findCashBooking = async (req, res, action) => {
+  const booking = await Booking.findById(req.params.id).populate("car", "title owner");
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: "Booking not found",
+      code: "BOOKING_NOT_FOUND",
+    });
+    return null;
+  }
+
+  const role = getBookingRole(booking, req.user);
+  const error = role
+    ? checkCashAction(booking, action, role)
+    : new CashPaymentError(
+        "Not authorized to access this booking",
+        403,
+        "INSUFFICIENT_PERMISSIONS"
+      );
+  if (error) {
+    res.status(error.statusCode).json(cashPaymentErrorResponse(error));
+    return null;
+  }
+  return { booking, role };
+};
+
+// CONFIRM CASH RECEIVED (owner) - usually at the pickup check-in
+export const confirmCashPayment = handleAsyncError(async (req, res) => {
+  const found = await findCashBooking(req, res, "confirm");
+  if (!found) return;
+  const { booking } = found;
+
+  recordCashCollection(booking, {
+    amount: parseFloat(req.body.amount),
+    notes: req.body.notes,
+    by: req.user.id,
+  });
+  await booking.save();
+  await syncBookingInvoicesSafely(booking._id);
+  await syncBookingLedgerSafely(booking._id);
+
+  console.log(
+    `💵 Owner ${req.user.id} recorded AED ${booking.cashCollection.amount} cash for booking ${booking._id}`
+  );
+  await notifyBookingChange(booking.renter, "cash_payment_confirmed", booking);
+
+  const { amount, expectedAmount } = booking.cashCollection;
+  res.json({
+    success: true,
+    message:
+      booking.paymentStatus === "paid"
+        ? `AED ${amount} cash received. The booking is paid.`
+        : `AED ${amount} of AED ${expectedAmount} received. AED ${Math.round((expectedAmount - amount) * 100) / 100} is still due.`,
+    data: { booking },
+  });
+});
+
+// ACKNOWLEDGE CASH PAYMENT (renter) - agree with the amount the owner recorded
+export const acknowledgeCashPayment = handleAsyncError(async (req, res) => {
+  const found = await findCashBooking(req, res, "acknowledge");
+  if (!found) return;
+  const { booking } = found;
+
+  booking.cashCollection.status = "acknowledged";
+  booking.cashCollection.acknowledgedAt = new Date();
+  await booking.save();
+
+  res.json({
+    success: true,
+    message: "Thanks for confirming your cash payment",
+    data: { booking },
+  });
+});
+
+// DISPUTE CASH PAYMENT (renter or owner) - admins settle the amount
+export const disputeCashPayment = handleAsyncError(async (req, res) => {
+  const found = await findCashBooking(req, res, "dispute");
+  if (!found) return;
+  const { booking, role } = found;
+  const { reason, claimedAmount } = req.body;
+
+  booking.cashCollection.status = "disputed";
+  booking.cashCollection.dispute = {
+    raisedBy: req.user.id,
+    raisedByRole: role,
+    reason,
+    claimedAmount:
+      claimedAmount !== undefined && claimedAmount !== ""
+        ? parseFloat(claimedAmount)
+        : undefined,
+    raisedAt: new Date(),
+  };
+  await booking.save();
+
+  console.log(`⚖️ ${role} ${req.user.id} disputed the cash payment of booking ${booking._id}`);
+  await notifyBookingChange(
+    role === "renter" ? booking.car.owner : booking.renter,
+    "cash_payment_disputed",
+    booking
+  );
+
+  res.json({
+    success: true,
+    message: "Dispute raised. Our team will review the cash payment.",
+    data: { booking },
+  });
+});
+
+// Bookings that can still be extended
+const EXTENDABLE_STATUSES = ["confirmed", "active"];
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Move the booking's end date and totals to an approved extension.
+// The caller saves the booking.
+const applyExtension = (booking, extension, decidedBy = null, reason) => {
+  extension.status = "approved";
+  extension.decidedAt = new Date();
+  extension.decidedBy = decidedBy;
+  extension.decisionReason = reason;
+
+  booking.endDate = extension.newEndDate;
+  booking.totalAmount += extension.additionalAmount;
+  booking.totalPayable += extension.additionalAmount;
+  if (extension.newEndDate > new Date()) booking.isOverdue = false;
+  // The extra days are still owed
+  if (booking.paymentStatus === "paid") booking.paymentStatus = "partial";
+};
+
+const notifyBookingChange = async (userId, type, booking) => {
+  try {
+    await Notification.createBookingNotification(
+      userId,
+      type,
+      booking._id,
+      booking.car.title,
+      { carId: booking.car._id }
+    );
+  } catch (notificationError) {
+    console.error(`Failed to send ${type} notification:`, notificationError);
+  }
+};
+
+// GET EXTENSION OPTIONS - latest possible end date and blocked windows
+export const getExtensionOptions = handleAsyncError(async (req, res) => {
+  const booking = await Booking.findById(req.params.id).populate("car");
+
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: "Booking not found",
+      code: "BOOKING_NOT_FOUND",
+    });
+  }
+
+  if (!getBookingRole(booking, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: "Not authorized to view this booking",
+      code: "INSUFFICIENT_PERMISSIONS",
+    });
+  }
+
+  const car = booking.car;
+  const upcoming = await Booking.find({
+    car: car._id,
+    _id: { $ne: booking._id },
+    status: { $in: BLOCKING_STATUSES },
+    endDate: { $gt: booking.endDate },
+  })
+    .select("startDate endDate")
+    .sort({ startDate: 1 })
+    .lean();
+
+  const maximumRentalDays = car.maximumRentalDays || 30;
+  const limits = [
+    booking.startDate.getTime() + maximumRentalDays * DAY_MS,
+    upcoming[0]?.startDate.getTime(),
+    car.availabilityTo && new Date(car.availabilityTo).getTime(),
+  ].filter(Boolean);
+
+  const latestEndDate = new Date(Math.min(...limits));
+  const extensionDays = Math.max(
+    0,
+    Math.ceil((latestEndDate - booking.endDate) / DAY_MS)
+  );
+
+  res.json({
+    success: true,
+    data: {
+      currentEndDate: booking.endDate,
+      latestEndDate,
+      dailyRate: car.price,
+      // Rate of each day the booking could be extended by
+      dailyRates: buildPriceCalendar(
+        car,
+        toDayKey(booking.endDate),
+        extensionDays
+      ),
+      maximumRentalDays,
+      instantApproval: car.isInstantApproval === true,
+      unavailableDates: upcoming.map(({ startDate, endDate }) => ({
+        startDate,
+        endDate,
+      })),
+    },
+  });
+});
+
+// REQUEST EXTENSION (renter)
+export const requestExtension = handleAsyncError(async (req, res) => {
+  const { id } = req.params;
+  const { newEndDate, paymentMethod = "Card" } = req.body;
+
+  try {
+    const booking = await Booking.findById(id).populate("car");
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+        code: "BOOKING_NOT_FOUND",
+      });
+    }
+
+    if (getBookingRole(booking, req.user) !== "renter") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the renter can extend this booking",
+        code: "INSUFFICIENT_PERMISSIONS",
+      });
+    }
+
+    if (!EXTENDABLE_STATUSES.includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${booking.status} booking cannot be extended`,
+        code: "BOOKING_NOT_EXTENDABLE",
+      });
+    }
+
+    const hasPendingExtension = booking.extensions.some(
+      (extension) => extension.status === "pending"
+    );
+    if (hasPendingExtension) {
+      return res.status(409).json({
+        success: false,
+        message: "An extension request is already waiting for the owner",
+        code: "EXTENSION_PENDING",
+      });
+    }
+
+    if (booking.modifications.some((m) => m.status === "pending")) {
+      return res.status(409).json({
+        success: false,
+        message: "A booking change is already waiting for the owner",
+        code: "MODIFICATION_PENDING",
+      });
+    }
+
+    const car = booking.car;
+    const requestedEnd = new Date(newEndDate);
+
+    if (requestedEnd <= booking.endDate) {
+      return res.status(400).json({
+        success: false,
+        message: "The new end date must be after the current end date",
+        code: "INVALID_EXTENSION_DATE",
+      });
+    }
+
+    if (car.availabilityTo && requestedEnd > new Date(car.availabilityTo)) {
+      return res.status(400).json({
+        success: false,
+        message: `This car is only listed until ${new Date(car.availabilityTo).toDateString()}`,
+        code: "OUTSIDE_AVAILABILITY",
+      });
+    }
+
+    const blackout = findBlackout(car, booking.endDate, requestedEnd);
+    if (blackout) {
+      return res.status(400).json({
+        success: false,
+        message: blackoutMessage(blackout),
+        code: "DATES_BLACKED_OUT",
+      });
+    }
+
+    const maximumRentalDays = car.maximumRentalDays || 30;
+    const totalDays = Math.ceil((requestedEnd - booking.startDate) / DAY_MS);
+    if (totalDays > maximumRentalDays) {
+      return res.status(400).json({
+        success: false,
+        message: `This car can be rented for at most ${maximumRentalDays} days`,
+        code: "MAX_RENTAL_DAYS_EXCEEDED",
+      });
+    }
+
+    const pricing = calculateBookingPricing(car, booking.endDate, requestedEnd);
+    const isInstantExtension = car.isInstantApproval === true;
+
+    const outcome = await withCarReservationLock(car._id, async (confirmLease) => {
+      const conflict = await checkBookingConflicts(
+        car._id,
+        booking.endDate,
+        requestedEnd,
+        booking._id
+      );
+      if (conflict) return { conflict };
+      await confirmLease();
+
+      booking.extensions.push({
+        previousEndDate: booking.endDate,
+        newEndDate: requestedEnd,
+        additionalDays: pricing.totalDays,
+        additionalAmount: pricing.totalAmount,
+        priceBreakdown: pricing.priceBreakdown,
+        paymentMethod,
+      });
+      const extension = booking.extensions[booking.extensions.length - 1];
+
+      if (isInstantExtension) {
+        applyExtension(booking, extension, null, "Instant book");
+      }
+
+      await booking.save();
+      return { extension };
+    });
+
+    if (outcome.conflict) {
+      return res
+        .status(409)
+        .json(datesUnavailableResponse(outcome.conflict, null));
+    }
+
+    if (isInstantExtension) {
+      await notifyBookingChange(booking.renter, "extension_approved", booking);
+      await notifyBookingChange(car.owner, "extension_approved", booking);
+    } else {
+      await notifyBookingChange(car.owner, "extension_requested", booking);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: isInstantExtension
+        ? "Booking extended successfully"
+        : "Extension requested. The owner will review it.",
+      data: { booking, extension: outcome.extension },
+    });
+  } catch (error) {
+    if (error.code === "RESERVATION_BUSY") {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error("Extension request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to request extension",
+      error: error.message,
+    });
+  }
+});
+
+// APPROVE / REJECT EXTENSION (owner or admin)
+export const respondToExtension = handleAsyncError(async (req, res) => {
+  const { id, extensionId } = req.params;
+  const { decision, reason } = req.body;
+
+  try {
+    const booking = await Booking.findById(id).populate("car");
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+        code: "BOOKING_NOT_FOUND",
+      });
+    }
+
+    const role = getBookingRole(booking, req.user);
+    if (!["owner", "admin"].includes(role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the car owner can answer extension requests",
+        code: "INSUFFICIENT_PERMISSIONS",
+      });
+    }
+
+    const extension = booking.extensions.id(extensionId);
+    if (!extension) {
+      return res.status(404).json({
+        success: false,
+        message: "Extension request not found",
+        code: "EXTENSION_NOT_FOUND",
+      });
+    }
+
+    if (extension.status !== "pending") {
+      return res.status(409).json({
+        success: false,
+        message: `This extension has already been ${extension.status}`,
+        code: "EXTENSION_NOT_PENDING",
+      });
+    }
+
+    if (decision === "approve") {
+      if (!EXTENDABLE_STATUSES.includes(booking.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `A ${booking.status} booking cannot be extended`,
+          code: "BOOKING_NOT_EXTENDABLE",
+        });
+      }
+
+      // The dates weren't held while the request was pending
+      const carId = booking.car._id;
+      const outcome = await withCarReservationLock(carId, async (confirmLease) => {
+        const conflict = await checkBookingConflicts(
+          carId,
+          extension.previousEndDate,
+          extension.newEndDate,
+          booking._id
+        );
+        if (conflict) return { conflict };
+        await confirmLease();
+
+        applyExtension(booking, extension, req.user.id, reason);
+        await booking.save();
+        return {};
+      });
+
+      if (outcome.conflict) {
+        return res
+          .status(409)
+          .json(datesUnavailableResponse(outcome.conflict, null));
+      }
+    } else {
+      extension.status = "rejected";
+      extension.decidedAt = new Date();
+      extension.decidedBy = req.user.id;
+      extension.decisionReason = reason;
+      await booking.save();
+    }
+
+    await notifyBookingChange(
+      booking.renter,
+      decision === "approve" ? "extension_approved" : "extension_rejected",
+      booking
+    );
+
+    res.json({
+      success: true,
+      message: `Extension ${extension.status}`,
+      data: { booking, extension },
+    });
+  } catch (error) {
+    if (error.code === "RESERVATION_BUSY") {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error("Extension decision error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update extension",
+      error: error.message,
+    });
+  }
+});
+
+// Bookings whose dates, locations or delivery can still be changed
+const MODIFIABLE_STATUSES = ["pending", "approved", "confirmed"];
+
+// The terms a modification can change, as stored on the booking
+const bookingTerms = (booking) => ({
+  startDate: booking.startDate,
+  endDate: booking.endDate,
+  totalDays: booking.totalDays,
+  pickupLocation: booking.pickupLocation,
+  returnLocation: booking.returnLocation,
+  deliveryRequested: booking.deliveryRequested,
+  deliveryAddress: booking.deliveryAddress,
+  totalAmount: booking.totalAmount,
+  deliveryFee: booking.deliveryFee,
+  totalPayable: booking.totalPayable,
+});
+
+// Validate the requested changes against the car and price them.
+// Returns { error } or { original, requested, priceDifference }.
+const buildModification = (booking, changes) => {
+  const car = booking.car;
+  const original = bookingTerms(booking);
+  const fail = (status, code, message) => ({ error: { status, code, message } });
+
+  const startDate = changes.startDate
+    ? new Date(changes.startDate)
+    : booking.startDate;
+  const endDate = changes.endDate ? new Date(changes.endDate) : booking.endDate;
+  const deliveryRequested =
+    changes.deliveryRequested ?? booking.deliveryRequested ?? false;
+  const deliveryAddress = deliveryRequested
+    ? changes.deliveryAddress ?? booking.deliveryAddress
+    : undefined;
+
+  if (
+    startDate.getTime() !== booking.startDate.getTime() &&
+    startDate < new Date()
+  ) {
+    return fail(400, "INVALID_DATES", "The new start date cannot be in the past");
+  }
+
+  if (endDate <= startDate) {
+    return fail(400, "INVALID_DATES", "End date must be after start date");
+  }
+
+  if (
+    (car.availabilityFrom && startDate < new Date(car.availabilityFrom)) ||
+    (car.availabilityTo && endDate > new Date(car.availabilityTo))
+  ) {
+    return fail(
+      400,
+      "OUTSIDE_AVAILABILITY",
+      `Selected dates must be between ${new Date(car.availabilityFrom).toDateString()} and ${new Date(car.availabilityTo).toDateString()}`
+    );
+  }
+
+  const datesChanged =
+    startDate.getTime() !== booking.startDate.getTime() ||
+    endDate.getTime() !== booking.endDate.getTime();
+  const blackout = datesChanged && findBlackout(car, startDate, endDate);
+  if (blackout) {
+    return fail(400, "DATES_BLACKED_OUT", blackoutMessage(blackout));
+  }
+
+  const totalDays = Math.ceil((endDate - startDate) / DAY_MS);
+  const minimumRentalDays = car.minimumRentalDays || 1;
+  const maximumRentalDays = car.maximumRentalDays || 30;
+  if (totalDays < minimumRentalDays) {
+    return fail(
+      400,
+      "MIN_RENTAL_DAYS_NOT_MET",
+      `This car must be rented for at least ${minimumRentalDays} days`
+    );
+  }
+  if (totalDays > maximumRentalDays) {
+    return fail(
+      400,
+      "MAX_RENTAL_DAYS_EXCEEDED",
+      `This car can be rented for at most ${maximumRentalDays} days`
+    );
+  }
+
+  if (deliveryRequested && !booking.deliveryRequested && !car.deliveryAvailable) {
+    return fail(400, "DELIVERY_UNAVAILABLE", "This car is not offered with delivery");
+  }
+  if (deliveryRequested && !deliveryAddress) {
+    return fail(
+      400,
+      "DELIVERY_ADDRESS_REQUIRED",
+      "A delivery address is required when delivery is requested"
+    );
+  }
+
+  const pricing = priceModification(car, booking, {
+    startDate,
+    endDate,
+    deliveryRequested,
+  });
+
+  const requested = {
+    startDate,
+    endDate,
+    totalDays: pricing.totalDays,
+    pickupLocation: changes.pickupLocation || booking.pickupLocation,
+    returnLocation: changes.returnLocation || booking.returnLocation,
+    deliveryRequested,
+    deliveryAddress,
+    totalAmount: pricing.totalAmount,
+    deliveryFee: pricing.deliveryFee,
+    totalPayable: pricing.totalPayable,
+  };
+
+  const unchanged = [
+    "startDate",
+    "endDate",
+    "pickupLocation",
+    "returnLocation",
+    "deliveryRequested",
+    "deliveryAddress",
+  ].every(
+    (key) => String(requested[key] ?? "") === String(original[key] ?? "")
+  );
+  if (unchanged) {
+    return fail(400, "NO_CHANGES", "The request does not change the booking");
+  }
+
+  return {
+    original,
+    requested,
+    priceDifference:
+      Math.round((pricing.totalPayable - booking.totalPayable) * 100) / 100,
+    ...(pricing.priceBreakdown && { priceBreakdown: pricing.priceBreakdown }),
+  };
+};
+
+// Move the booking to the approved terms. The caller saves the booking
+// and settles the price difference.
+const applyModification = (booking, modification, decidedBy, reason) => {
+  modification.status = "approved";
+  modification.decidedAt = new Date();
+  modification.decidedBy = decidedBy;
+  modification.decisionReason = reason;
+
+  if (!booking.originalTerms?.startDate) {
+    booking.originalTerms = modification.original.toObject();
+  }
+
+  const { requested } = modification;
+  booking.startDate = requested.startDate;
+  booking.endDate = requested.endDate;
+  booking.pickupLocation = requested.pickupLocation;
+  booking.returnLocation = requested.returnLocation;
+  booking.deliveryRequested = requested.deliveryRequested;
+  booking.deliveryAddress = requested.deliveryAddress;
+  booking.totalAmount = requested.totalAmount;
+  booking.deliveryFee = requested.deliveryFee;
+  booking.totalPayable = requested.totalPayable;
+  // Day rates as priced when the change was requested
+  if (modification.priceBreakdown?.days?.length) {
+    const { days, subtotal, discount } = modification.priceBreakdown;
+    booking.priceBreakdown = modification.priceBreakdown.toObject();
+    booking.dailyRate =
+      Math.round(((subtotal - (discount?.amount || 0)) / days.length) * 100) / 100;
+  }
+
+  // A pending request still has to be answered before the trip starts
+  if (booking.expiresAt && booking.expiresAt > requested.startDate) {
+    booking.expiresAt = requested.startDate;
+  }
+};
+
+// Charge or refund the difference of an approved modification. Only card
+// bookings that were already paid need settling; otherwise the new total is
+// simply what's due.
+const settleModification = async (booking, modification) => {
+  const difference = modification.priceDifference;
+  const paidByCard =
+    booking.paymentMethod === "Card" &&
+    ["paid", "partial"].includes(booking.paymentStatus);
+
+  if (!paidByCard || difference === 0) {
+    modification.settlement = { type: "none" };
+    return;
+  }
+
+  if (difference > 0) {
+    // The renter pays the difference from My Bookings
+    modification.settlement = { type: "charge", status: "pending" };
+    booking.paymentStatus = "partial";
+    return;
+  }
+
+  const paymentIntentId = booking.paymentIntentId || booking.transactionId;
+  modification.settlement = { type: "refund", status: "pending" };
+
+  if (!paymentIntentId) {
+    modification.settlement.status = "failed";
+    return;
+  }
+
+  try {
+    const refund = await issueRefund(paymentIntentId, -difference, {
+      metadata: {
+        type: "booking_modification",
+        bookingId: booking._id.toString(),
+        modificationId: modification._id.toString(),
+      },
+    });
+    modification.settlement.refundId = refund.id;
+    modification.settlement.status = "completed";
+    modification.settlement.settledAt = new Date();
+  } catch (refundError) {
+    console.error("Modification refund error:", refundError);
+    modification.settlement.status = "failed";
+  }
+};
+
+const findModifiableBooking = async (req, res) => {
+  const booking = await Booking.findById(req.params.id).populate("car");
+
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: "Booking not found",
+      code: "BOOKING_NOT_FOUND",
+    });
+    return null;
+  }
+
+  if (getBookingRole(booking, req.user) !== "renter") {
+    res.status(403).json({
+      success: false,
+      message: "Only the renter can change this booking",
+      code: "INSUFFICIENT_PERMISSIONS",
+    });
+    return null;
+  }
+
+  if (!MODIFIABLE_STATUSES.includes(booking.status)) {
+    res.status(400).json({
+      success: false,
+      message: `A ${booking.status} booking cannot be changed`,
+      code: "BOOKING_NOT_MODIFIABLE",
+    });
+    return null;
+  }
+
+  return booking;
+};
+
+// PREVIEW MODIFICATION - new terms, price difference and availability
+export const previewModification = handleAsyncError(async (req, res) => {
+  const booking = await findModifiableBooking(req, res);
+  if (!booking) return;
+
+  const modification = buildModification(booking, req.body);
+  if (modification.error) {
+    const { status, code, message } = modification.error;
+    return res.status(status).json({ success: false, message, code });
+  }
+
+  const { requested } = modification;
+  const conflict = await checkBookingConflicts(
+    booking.car._id,
+    requested.startDate,
+    requested.endDate,
+    booking._id
+  );
+  if (conflict) {
+    const nextWindow = await findNextAvailableWindow(
+      booking.car,
+      requested.startDate,
+      requested.endDate,
+      booking._id
+    );
+    return res.status(409).json(datesUnavailableResponse(conflict, nextWindow));
+  }
+
+  res.json({
+    success: true,
+    data: modification,
+  });
+});
+
+// REQUEST MODIFICATION (renter)
+export const requestModification = handleAsyncError(async (req, res) => {
+  try {
+    const booking = await findModifiableBooking(req, res);
+    if (!booking) return;
+
+    const hasPendingChange =
+      booking.modifications.some((m) => m.status === "pending") ||
+      booking.extensions.some((e) => e.status === "pending");
+    if (hasPendingChange) {
+      return res.status(409).json({
+        success: false,
+        message: "Another change to this booking is already waiting for the owner",
+        code: "MODIFICATION_PENDING",
+      });
+    }
+
+    const modification = buildModification(booking, req.body);
+    if (modification.error) {
+      const { status, code, message } = modification.error;
+      return res.status(status).json({ success: false, message, code });
+    }
+
+    const car = booking.car;
+    const outcome = await withCarReservationLock(car._id, async (confirmLease) => {
+      const conflict = await checkBookingConflicts(
+        car._id,
+        modification.requested.startDate,
+        modification.requested.endDate,
+        booking._id
+      );
+      if (conflict) return { conflict };
+      await confirmLease();
+
+      booking.modifications.push({
+        ...modification,
+        requestedBy: req.user.id,
+        renterNotes: req.body.notes,
+      });
+      await booking.save();
+      return {
+        modification: booking.modifications[booking.modifications.length - 1],
+      };
+    });
+
+    if (outcome.conflict) {
+      const nextWindow = await findNextAvailableWindow(
+        car,
+        modification.requested.startDate,
+        modification.requested.endDate,
+        booking._id
+      );
+      return res
+        .status(409)
+        .json(datesUnavailableResponse(outcome.conflict, nextWindow));
+    }
+
+    await notifyBookingChange(car.owner, "modification_requested", booking);
+
+    res.status(201).json({
+      success: true,
+      message: "Change requested. The owner will review it.",
+      data: { booking, modification: outcome.modification },
+    });
+  } catch (error) {
+    if (error.code === "RESERVATION_BUSY") {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error("Modification request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to request booking change",
+      error: error.message,
+    });
+  }
+});
+
+// WITHDRAW MODIFICATION (renter)
+export const withdrawModification = handleAsyncError(async (req, res) => {
+  const booking = await Booking.findById(req.params.id).populate("car");
+
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: "Booking not found",
+      code: "BOOKING_NOT_FOUND",
+    });
+  }
+
+  if (getBookingRole(booking, req.user) !== "renter") {
+    return res.status(403).json({
+      success: false,
+      message: "Only the renter can withdraw this request",
+      code: "INSUFFICIENT_PERMISSIONS",
+    });
+  }
+
+  const modification = booking.modifications.id(req.params.modificationId);
+  if (!modification) {
+    return res.status(404).json({
+      success: false,
+      message: "Change request not found",
+      code: "MODIFICATION_NOT_FOUND",
+    });
+  }
+
+  if (modification.status !== "pending") {
+    return res.status(409).json({
+      success: false,
+      message: `This change has already been ${modification.status}`,
+      code: "MODIFICATION_NOT_PENDING",
+    });
+  }
+
+  modification.status = "withdrawn";
+  modification.decidedAt = new Date();
+  modification.decidedBy = req.user.id;
+  await booking.save();
+
+  res.json({
+    success: true,
+    message: "Change request withdrawn",
+    data: { booking, modification },
+  });
+});
+
+// APPROVE / REJECT MODIFICATION (owner or admin)
+export const respondToModification = handleAsyncError(async (req, res) => {
+  const { id, modificationId } = req.params;
+  const { decision, reason } = req.body;
+
+  try {
+    const booking = await Booking.findById(id).populate("car");
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+        code: "BOOKING_NOT_FOUND",
+      });
+    }
+
+    const role = getBookingRole(booking, req.user);
+    if (!["owner", "admin"].includes(role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the car owner can answer change requests",
+        code: "INSUFFICIENT_PERMISSIONS",
+      });
+    }
+
+    const modification = booking.modifications.id(modificationId);
+    if (!modification) {
+      return res.status(404).json({
+        success: false,
+        message: "Change request not found",
+        code: "MODIFICATION_NOT_FOUND",
+      });
+    }
+
+    if (modification.status !== "pending") {
+      return res.status(409).json({
+        success: false,
+        message: `This change has already been ${modification.status}`,
+        code: "MODIFICATION_NOT_PENDING",
+      });
+    }
+
+    if (decision === "approve") {
+      if (!MODIFIABLE_STATUSES.includes(booking.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `A ${booking.status} booking cannot be changed`,
+          code: "BOOKING_NOT_MODIFIABLE",
+        });
+      }
+
+      // The new dates weren't held while the request was pending
+      const carId = booking.car._id;
+      const outcome = await withCarReservationLock(carId, async (confirmLease) => {
+        const conflict = await checkBookingConflicts(
+          carId,
+          modification.requested.startDate,
+          modification.requested.endDate,
+          booking._id
+        );
+        if (conflict) return { conflict };
+        await confirmLease();
+
+        applyModification(booking, modification, req.user.id, reason);
+        await booking.save();
+        return {};
+      });
+
+      if (outcome.conflict) {
+        return res
+          .status(409)
+          .json(datesUnavailableResponse(outcome.conflict, null));
+      }
+
+      await settleModification(booking, modification);
+      await booking.save();
+      if (modification.settlement.status === "completed") {
+        await syncBookingInvoicesSafely(booking._id);
+        await syncBookingLedgerSafely(booking._id);
+      }
+    } else {
+      modification.status = "rejected";
+      modification.decidedAt = new Date();
+      modification.decidedBy = req.user.id;
+      modification.decisionReason = reason;
+      await booking.save();
+    }
+
+    await notifyBookingChange(
+      booking.renter,
+      decision === "approve" ? "modification_approved" : "modification_rejected",
+      booking
+    );
+
+    const settlementMessages = {
+      charge: `The renter owes AED ${modification.priceDifference} more`,
+      refund:
+        modification.settlement?.status === "completed"
+          ? `AED ${-modification.priceDifference} refunded to the renter`
+          : `The AED ${-modification.priceDifference} refund could not be issued automatically`,
+    };
+    const settlementMessage =
+      settlementMessages[modification.settlement?.type];
+
+    res.json({
+      success: true,
+      message: settlementMessage
+        ? `Change ${modification.status}. ${settlementMessage}.`
+        : `Change ${modification.status}`,
+      data: { booking, modification },
+    });
+  } catch (error) {
+    if (error.code === "RESERVATION_BUSY") {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error("Modification decision error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update booking change",
+      error: error.message,
+    });
+  }
+});
+
 // ADD REVIEW
 export const addReview = handleAsyncError(async (req, res) => {
   const { id } = req.params;
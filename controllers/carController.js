@@ -6,6 +6,45 @@ import {
   deleteImagesFromCloud,
 } from "../utils/cloudUploader.js";
 import { handleAsyncError } from "../utils/errorHandler.js";
+import {
+  BLOCKING_STATUSES,
+  tripAvailabilityFilter,
+  findBookedCarIds,
+  normalizeBlackoutDates,
+} from "../utils/bookingAvailability.js";
+import { calculateBookingPricing } from "../utils/bookingPricing.js";
+import {
+  buildFilterClauses,
+  combineFilterClauses,
+  buildFacetStage,
+  formatFacets,
+} from "../utils/carSearch.js";
+import {
+  expandSearchTerms,
+  buildTextSearchFilter,
+  rankSuggestions,
+  loadSearchCatalog,
+} from "../utils/carTextSearch.js";
+import { readPageRequest, paginate, pageInfo } from "../utils/pagination.js";
+import { CANCELLATION_POLICIES } from "../utils/cancellationPolicy.js";
+import {
+  normalizePricingRules,
+  buildPriceCalendar,
+  toDayKey,
+} from "../utils/pricingRules.js";
+import { releasePromoRedemptions } from "../utils/promos.js";
+import { CASH_OUTSTANDING_FILTER } from "../utils/cashPayments.js";
+import { getCommissionPercent, getOwnerEarnings } from "../utils/ledger.js";
+import {
+  toGeoPoint,
+  withinRadius,
+  nearestWithin,
+  withPublicLocation,
+  DEFAULT_SEARCH_RADIUS_KM,
+} from "../utils/carLocation.js";
+
+// Longest range the price calendar returns at once
+const MAX_CALENDAR_DAYS = 92;
 
 // Enhanced car data sanitizer with FIXED field mapping
 const sanitizeCarData = (data) => {
@@ -16,6 +55,7 @@ const sanitizeCarData = (data) => {
   if (data.description)
     sanitized.description = data.description.toString().trim();
   if (data.city) sanitized.city = data.city.toString().trim();
+  if (data.location) sanitized.location = toGeoPoint(data.location);
   if (data.make) sanitized.make = data.make.toString().trim();
   if (data.model) sanitized.model = data.model.toString().trim();
   if (data.color) sanitized.color = data.color.toString().trim();
@@ -52,14 +92,22 @@ const sanitizeCarData = (data) => {
   // Date fields
   if (data.availabilityFrom) sanitized.availabilityFrom = data.availabilityFrom;
   if (data.availabilityTo) sanitized.availabilityTo = data.availabilityTo;
+  if (data.blackoutDates) sanitized.blackoutDates = normalizeBlackoutDates(data.blackoutDates);
 
   // Insurance fields
   if (data.hasInsurance !== undefined) sanitized.hasInsurance = data.hasInsurance === true || data.hasInsurance === 'true';
   if (data.insuranceProvider) sanitized.insuranceProvider = data.insuranceProvider.toString().trim();
   if (data.insurancePolicyNumber) sanitized.insurancePolicyNumber = data.insurancePolicyNumber.toString().trim();
   if (data.insuranceExpiryDate) sanitized.insuranceExpiryDate = data.insuranceExpiryDate;
+
+  // Booking settings
+  if (data.isInstantApproval !== undefined) sanitized.isInstantApproval = data.isInstantApproval === true || data.isInstantApproval === 'true';
+  if (data.cancellationPolicy) sanitized.cancellationPolicy = data.cancellationPolicy.toString().trim();
   if (data.insuranceType) sanitized.insuranceType = data.insuranceType.toString().trim();
 
+  // Pricing rules (JSON string when sent with the listing's images)
+  if (data.pricingRules) sanitized.pricingRules = normalizePricingRules(data.pricingRules);
+
   return sanitized;
 };
 
@@ -162,124 +210,187 @@ export const createCar = handleAsyncError(async (req, res) => {
   });
 });
 
+// Filters every car search shares: listed, free for the trip dates (or
+// still listed at all), matching the search text and, for near-me
+// searches, the search origin
+const searchScope = async ({ startDate, endDate, lat, lng, radiusKm, search }) => {
+  const filter = { status: "active" };
+
+  // Arabic/English text search on the text index, typos corrected
+  let textSearch = false;
+  if (search) {
+    const { vocabulary } = await loadSearchCatalog();
+    const textFilter = buildTextSearchFilter(expandSearchTerms(search, vocabulary));
+    if (textFilter) {
+      Object.assign(filter, textFilter);
+      textSearch = true;
+    }
+  }
+
+  // Only show available cars: free for the whole trip when dates are
+  // given, otherwise still listed
+  const hasTrip = Boolean(startDate && endDate);
+  if (hasTrip) {
+    Object.assign(filter, tripAvailabilityFilter(startDate, endDate));
+    filter._id = { $nin: await findBookedCarIds(startDate, endDate) };
+  } else {
+    filter.availabilityTo = { $gte: new Date() };
+  }
+
+  const origin = lat !== undefined ? [parseFloat(lng), parseFloat(lat)] : null;
+  return {
+    filter,
+    hasTrip,
+    textSearch,
+    origin,
+    radiusKm: parseFloat(radiusKm ?? DEFAULT_SEARCH_RADIUS_KM),
+  };
+};
+
 // GET CARS - FIXED to handle both price fields
 export const getCars = handleAsyncError(async (req, res) => {
   const {
-    page = 1,
-    limit = 12,
-    city,
-    priceMin,
-    priceMax,
-    makeModel,
-    make,
-    year,
-    transmission,
-    fuelType,
-    seatingCapacity,
-    features,
-    deliveryAvailable,
     sortBy = "createdAt",
     sortOrder = "desc",
-    search,
+    startDate,
+    endDate,
   } = req.query;
 
   console.log("GET Cars query params:", req.query);
 
-  // Build filter object
-  const filter = { status: "active" };
-
-  // City filter
-  if (city) filter.city = city;
-
-  // Price range filter
-  if (priceMin || priceMax) {
-    filter.price = {};
-    if (priceMin) filter.price.$gte = parseFloat(priceMin);
-    if (priceMax) filter.price.$lte = parseFloat(priceMax);
-  }
-
-  // Car specifications
-  if (make) filter.make = new RegExp(make, "i");
-  if (makeModel) {
-    filter.$or = [
-      { make: new RegExp(makeModel, "i") },
-      { model: new RegExp(makeModel, "i") },
-      { title: new RegExp(makeModel, "i") },
-    ];
-  }
-  if (year) filter.year = parseInt(year);
-  if (transmission) filter.transmission = transmission;
-  if (fuelType) filter.fuelType = fuelType;
-  if (seatingCapacity) filter.seatingCapacity = parseInt(seatingCapacity);
+  const { filter, hasTrip, textSearch, origin, radiusKm } = await searchScope(
+    req.query
+  );
+  const clauses = buildFilterClauses(req.query);
 
-  // Features filter
-  if (features) {
-    const featureArray = Array.isArray(features) ? features : [features];
-    filter.features = { $in: featureArray };
+  // Near-me search: cars within radiusKm of lat/lng. $nearSphere sorts by
+  // distance but can't be counted, so the count uses the same circle.
+  const byDistance = sortBy === "distance";
+  if (byDistance && !origin) {
+    return res.status(400).json({
+      success: false,
+      message: "Sorting by distance needs a location",
+      code: "LOCATION_REQUIRED",
+    });
   }
-
-  // Search in title, description, make, and model
-  if (search) {
-    filter.$or = [
-      { title: new RegExp(search, "i") },
-      { description: new RegExp(search, "i") },
-      { make: new RegExp(search, "i") },
-      { model: new RegExp(search, "i") },
-    ];
+  // MongoDB can't combine $text with $nearSphere
+  if (byDistance && textSearch) {
+    return res.status(400).json({
+      success: false,
+      message: "Text search results can't be sorted by distance",
+      code: "SEARCH_DISTANCE_UNSUPPORTED",
+    });
   }
+  const countFilter = combineFilterClauses(
+    origin ? { ...filter, searchLocation: withinRadius(origin, radiusKm) } : filter,
+    clauses
+  );
+  const queryFilter = byDistance
+    ? { ...countFilter, searchLocation: nearestWithin(origin, radiusKm) }
+    : countFilter;
 
-  // Only show available cars
-  filter.availabilityTo = { $gte: new Date() };
-
-  console.log("Cars filter:", filter);
+  console.log("Cars filter:", queryFilter);
 
-  // Pagination
-  const skip = (parseInt(page) - 1) * parseInt(limit);
+  // Cursor or page pagination; relevance and distance page by offset
+  const pageRequest = readPageRequest(req.query, 12);
   const sortOptions = {};
-  sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
+  if (textSearch && (sortBy === "relevance" || !req.query.sortBy)) {
+    sortOptions.score = { $meta: "textScore" };
+    sortOptions._id = -1;
+  } else if (sortBy === "relevance") {
+    sortOptions.createdAt = -1;
+  } else if (!byDistance) {
+    sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
+  }
 
   // Execute query with LEAN for better performance
-  const [cars, totalCount] = await Promise.all([
-    Car.find(filter)
-      .populate("owner", "name email phone profileImage averageRating")
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean(),
-    Car.countDocuments(filter),
+  const [result, totalCount] = await Promise.all([
+    paginate(
+      (pageFilter, sort, skip, pageLimit) =>
+        Car.find(pageFilter)
+          .select("+location")
+          .populate("owner", "name email phone profileImage averageRating")
+          .sort(sort)
+          .skip(skip)
+          .limit(pageLimit)
+          .lean(),
+      { filter: queryFilter, sort: sortOptions, request: pageRequest }
+    ),
+    Car.countDocuments(countFilter),
   ]);
 
+  const cars = result.docs;
   console.log(`Found ${cars.length} cars out of ${totalCount} total`);
 
-  // ADD pricePerDay field for frontend compatibility
-  const enhancedCars = cars.map((car) => ({
-    ...car,
-    pricePerDay: car.price, // Frontend expects this field
-  }));
-
-  const totalPages = Math.ceil(totalCount / parseInt(limit));
+  // ADD pricePerDay field for frontend compatibility; the exact location
+  // becomes a fuzzed pin and the distance to it. Trip searches also get
+  // the trip's price (before delivery, deposit and promos).
+  const enhancedCars = cars.map((car) => {
+    const enhanced = {
+      ...withPublicLocation(car, origin),
+      pricePerDay: car.price, // Frontend expects this field
+    };
+    if (hasTrip) {
+      const pricing = calculateBookingPricing(car, startDate, endDate);
+      enhanced.trip = {
+        startDate,
+        endDate,
+        totalDays: pricing.totalDays,
+        dailyRate: pricing.dailyRate,
+        totalAmount: pricing.totalAmount,
+        discount: pricing.priceBreakdown.discount,
+      };
+    }
+    return enhanced;
+  });
 
   res.json({
     success: true,
     data: {
       cars: enhancedCars,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalCount,
-        hasNext: parseInt(page) < totalPages,
-        hasPrev: parseInt(page) > 1,
-        limit: parseInt(limit),
-      },
+      pagination: pageInfo(result, totalCount),
     },
   });
 });
 
+// Counts per filter value and the price distribution under the current
+// filters, for the browse page's filter bar
+export const getCarFacets = handleAsyncError(async (req, res) => {
+  const { filter, origin, radiusKm } = await searchScope(req.query);
+  const base = origin
+    ? { ...filter, searchLocation: withinRadius(origin, radiusKm) }
+    : filter;
+
+  const [result] = await Car.aggregate([
+    { $match: base },
+    buildFacetStage(buildFilterClauses(req.query)),
+  ]);
+
+  res.json({
+    success: true,
+    data: { facets: formatFacets(result) },
+  });
+});
+
+// Autocomplete for the search box: listed makes and models matching the
+// typed text, in Arabic or English
+export const getSearchSuggestions = handleAsyncError(async (req, res) => {
+  const { q = "", limit } = req.query;
+  const count = Math.min(Math.max(parseInt(limit, 10) || 8, 1), 20);
+  const { entries } = await loadSearchCatalog();
+
+  res.json({
+    success: true,
+    data: { suggestions: rankSuggestions(q, entries, count) },
+  });
+});
+
 // Get single car by ID - FIXED
 export const getCarById = handleAsyncError(async (req, res) => {
   const { id } = req.params;
 
   let car = await Car.findById(id)
+    .select("+location")
     .populate(
       "owner",
       "name email phone profileImage averageRating totalBookings createdAt"
@@ -305,6 +416,7 @@ export const getCarById = handleAsyncError(async (req, res) => {
   }
 
   // CRITICAL FIX: Add pricePerDay for frontend compatibility
+  car = withPublicLocation(car);
   car.pricePerDay = car.price;
 
   res.json({
@@ -429,6 +541,7 @@ export const deleteCar = handleAsyncError(async (req, res) => {
         cancelledAt: new Date(),
       }
     );
+    await releasePromoRedemptions(activeBookings);
 
     // Send notifications and emails to affected users
     for (const booking of activeBookings) {
@@ -517,20 +630,11 @@ export const getCarsByOwner = handleAsyncError(async (req, res) => {
     pricePerDay: car.price,
   }));
 
-  const totalPages = Math.ceil(totalCount / parseInt(limit));
-
   res.json({
     success: true,
     data: {
       cars: enhancedCars,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalCount,
-        hasNext: parseInt(page) < totalPages,
-        hasPrev: parseInt(page) > 1,
-        limit: parseInt(limit),
-      },
+      pagination: pageInfo(result, totalCount),
     },
   });
 });
@@ -559,7 +663,12 @@ export const getMyCars = handleAsyncError(async (req, res) => {
 
   // Execute query
   const [cars, totalCount] = await Promise.all([
-    Car.find(filter).sort(sortOptions).skip(skip).limit(parseInt(limit)).lean(),
+    Car.find(filter)
+      .select("+location") // Owners see their exact pickup point
+      .sort(sortOptions)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
     Car.countDocuments(filter),
   ]);
 
@@ -606,20 +715,11 @@ export const getMyCars = handleAsyncError(async (req, res) => {
     })
   );
 
-  const totalPages = Math.ceil(totalCount / parseInt(limit));
-
   res.json({
     success: true,
     data: {
       cars: enhancedCars,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalCount,
-        hasNext: parseInt(page) < totalPages,
-        hasPrev: parseInt(page) > 1,
-        limit: parseInt(limit),
-      },
+      pagination: pageInfo(result, totalCount),
     },
   });
 });
@@ -653,8 +753,10 @@ export const getSellerDashboard = handleAsyncError(async (req, res) => {
       $group: {
         _id: null,
         totalBookings: { $sum: 1 },
-        totalEarnings: { $sum: "$totalPayable" },
-        avgBookingValue: { $avg: "$totalPayable" },
+        // Rent only: deposits go back to renters
+        avgBookingValue: { $avg: "$totalAmount" },
+        // Earnings are net of promo codes; show what the codes took off
+        promoDiscounts: { $sum: { $ifNull: ["$promo.amount", 0] } },
         completedBookings: {
           $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] }
         },
@@ -687,20 +789,45 @@ export const getSellerDashboard = handleAsyncError(async (req, res) => {
           month: { $month: "$createdAt" },
           day: { $dayOfMonth: "$createdAt" }
         },
-        dailyEarnings: { $sum: "$totalPayable" },
+        dailyPromoDiscounts: { $sum: { $ifNull: ["$promo.amount", 0] } },
         dailyBookings: { $sum: 1 }
       }
     },
     { $sort: { "_id.year": 1, "_id.month": 1, "_id.day": 1 } }
   ]);
 
+  // Earnings come from the ledger: what the owner is owed after
+  // commission, refunds and damage charges
+  const ownerEarnings = await getOwnerEarnings(user._id, startDate);
+  const dayKey = ({ year, month, day }) => `${year}-${month}-${day}`;
+  const earningsByDay = new Map(
+    ownerEarnings.daily.map((d) => [dayKey(d._id), d.earnings])
+  );
+  for (const day of earningsByPeriod) {
+    day.dailyEarnings = earningsByDay.get(dayKey(day._id)) || 0;
+    earningsByDay.delete(dayKey(day._id));
+  }
+  for (const d of ownerEarnings.daily) {
+    if (!earningsByDay.has(dayKey(d._id))) continue;
+    earningsByPeriod.push({
+      _id: d._id,
+      dailyEarnings: d.earnings,
+      dailyPromoDiscounts: 0,
+      dailyBookings: 0,
+    });
+  }
+  earningsByPeriod.sort(
+    (a, b) =>
+      a._id.year - b._id.year || a._id.month - b._id.month || a._id.day - b._id.day
+  );
+
   // Get top performing cars
   const topCars = await Booking.aggregate([
     { $match: { car: { $in: carIds } } },
     {
       $group: {
         _id: "$car",
-        totalEarnings: { $sum: "$totalPayable" },
+        totalEarnings: { $sum: "$totalAmount" },
         totalBookings: { $sum: 1 },
         avgRating: { $avg: "$renterReview.rating" }
       }
@@ -741,8 +868,8 @@ export const getSellerDashboard = handleAsyncError(async (req, res) => {
 
   const stats = overallStats || {
     totalBookings: 0,
-    totalEarnings: 0,
     avgBookingValue: 0,
+    promoDiscounts: 0,
     completedBookings: 0,
     activeBookings: 0
   };
@@ -753,8 +880,11 @@ export const getSellerDashboard = handleAsyncError(async (req, res) => {
       overview: {
         totalCars: userCars.length,
         totalBookings: stats.totalBookings,
-        totalEarnings: stats.totalEarnings,
+        totalEarnings: ownerEarnings.earnings,
+        commissionPaid: ownerEarnings.commission,
+        commissionPercent: getCommissionPercent(),
         avgBookingValue: stats.avgBookingValue || 0,
+        promoDiscounts: stats.promoDiscounts,
         completedBookings: stats.completedBookings,
         activeBookings: stats.activeBookings,
         completionRate: stats.totalBookings > 0 ? (stats.completedBookings / stats.totalBookings * 100).toFixed(1) : 0
@@ -777,6 +907,7 @@ export const getSellerOrders = handleAsyncError(async (req, res) => {
     startDate,
     endDate,
     carId,
+    cash, // "outstanding": cash not yet recorded as collected
     sortBy = "createdAt",
     sortOrder = "desc"
   } = req.query;
@@ -796,7 +927,8 @@ export const getSellerOrders = handleAsyncError(async (req, res) => {
 
   // Build filter
   const filter = { car: { $in: carIds } };
-  
+  if (cash === "outstanding") Object.assign(filter, CASH_OUTSTANDING_FILTER);
+
   if (status) filter.status = status;
   if (carId) filter.car = carId;
   if (startDate || endDate) {
@@ -857,15 +989,22 @@ export const getCarAvailability = handleAsyncError(async (req, res, next) => {
   // Get all approved bookings for this car
   const existingBookings = await Booking.find({
     car: id,
-    status: { $in: ["pending", "approved", "confirmed", "in_progress"] }, // Include all active booking statuses
+    status: { $in: BLOCKING_STATUSES },
   }).select("startDate endDate status");
 
-  // Create array of unavailable date ranges
-  const unavailableDates = existingBookings.map(booking => ({
-    startDate: booking.startDate,
-    endDate: booking.endDate,
-    status: booking.status,
-  }));
+  // Create array of unavailable date ranges: bookings and the owner's blackouts
+  const unavailableDates = [
+    ...existingBookings.map(booking => ({
+      startDate: booking.startDate,
+      endDate: booking.endDate,
+      status: booking.status,
+    })),
+    ...(car.blackoutDates || []).map(blackout => ({
+      startDate: blackout.startDate,
+      endDate: blackout.endDate,
+      status: "blackout",
+    })),
+  ];
 
   res.status(200).json({
     success: true,
@@ -968,7 +1107,7 @@ export const duplicateCarListing = handleAsyncError(async (req, res) => {
   const user = req.user;
   const { id } = req.params;
 
-  const originalCar = await Car.findById(id);
+  const originalCar = await Car.findById(id).select("+location");
   if (!originalCar) {
     return res.status(404).json({
       success: false,
@@ -1008,3 +1147,84 @@ export const duplicateCarListing = handleAsyncError(async (req, res) => {
     data: { car: { ...duplicatedCar.toObject(), pricePerDay: duplicatedCar.price } }
   });
 });
+
+// GET CANCELLATION POLICIES - tiers owners can choose from
+export const getCancellationPolicies = handleAsyncError(async (req, res) => {
+  res.json({
+    success: true,
+    data: { policies: CANCELLATION_POLICIES },
+  });
+});
+
+// UPDATE PRICING RULES - weekend, seasonal and length-of-stay pricing
+export const updatePricingRules = handleAsyncError(async (req, res) => {
+  const car = await Car.findById(req.params.id);
+  if (!car) {
+    return res.status(404).json({
+      success: false,
+      message: "Car not found",
+      code: "CAR_NOT_FOUND",
+    });
+  }
+
+  if (car.owner.toString() !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: "You can only update your own cars",
+      code: "UNAUTHORIZED",
+    });
+  }
+
+  const pricingRules = normalizePricingRules(req.body.pricingRules ?? req.body);
+  const updatedCar = await Car.findByIdAndUpdate(
+    car._id,
+    { pricingRules },
+    { new: true, runValidators: true }
+  );
+
+  res.json({
+    success: true,
+    message: "Pricing rules updated",
+    data: { pricingRules: updatedCar.pricingRules },
+  });
+});
+
+// GET PRICE CALENDAR - daily rate of each day from a date
+export const getPriceCalendar = handleAsyncError(async (req, res) => {
+  const car = await Car.findById(req.params.id).select(
+    "price pricingRules availabilityFrom availabilityTo blackoutDates"
+  );
+  if (!car) {
+    return res.status(404).json({
+      success: false,
+      message: "Car not found",
+      code: "CAR_NOT_FOUND",
+    });
+  }
+
+  const from = req.query.from ? new Date(req.query.from) : new Date();
+  if (Number.isNaN(from.getTime())) {
+    return res.status(400).json({
+      success: false,
+      message: "Please provide a valid start date",
+      code: "INVALID_DATES",
+    });
+  }
+  const days = Math.min(
+    Math.max(parseInt(req.query.days) || 31, 1),
+    MAX_CALENDAR_DAYS
+  );
+
+  res.json({
+    success: true,
+    data: {
+      basePrice: car.price,
+      weeklyDiscount: car.pricingRules?.weeklyDiscount || 0,
+      monthlyDiscount: car.pricingRules?.monthlyDiscount || 0,
+      availabilityFrom: car.availabilityFrom,
+      availabilityTo: car.availabilityTo,
+      blackoutDates: car.blackoutDates,
+      days: buildPriceCalendar(car, toDayKey(from), days),
+    },
+  });
+});
@@ -0,0 +1,280 @@
+// controllers/claimController.js - Damage claims between owners and renters
+import Booking from "../models/Booking.js";
+import DamageClaim from "../models/DamageClaim.js";
+import { handleAsyncError } from "../utils/errorHandler.js";
+import { uploadImagesToCloud } from "../utils/cloudUploader.js";
+import { stripe } from "../config/stripe-backend.js";
+import {
+  CLAIM_WINDOW_MS,
+  settleDamageClaim,
+  chargeDamageRemainder,
+  notifyClaimParties,
+} from "../utils/damageSettlement.js";
+import { settleDepositHold } from "../utils/depositHold.js";
+import { syncBookingLedgerSafely } from "../utils/ledger.js";
+
+const claimPopulate = [
+  { path: "car", select: "title make model images" },
+  { path: "owner", select: "name email phone" },
+  { path: "renter", select: "name email phone" },
+  {
+    path: "booking",
+    select: "startDate endDate securityDeposit depositDeducted status",
+  },
+];
+
+// FILE A DAMAGE CLAIM (owner)
+export const createDamageClaim = handleAsyncError(async (req, res) => {
+  const { bookingId, description, estimatedCost } = req.body;
+
+  try {
+    const booking = await Booking.findById(bookingId).populate(
+      "car",
+      "title owner"
+    );
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+        code: "BOOKING_NOT_FOUND",
+      });
+    }
+
+    if (booking.car?.owner?.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the car owner can file a damage claim",
+        code: "INSUFFICIENT_PERMISSIONS",
+      });
+    }
+
+    if (booking.status !== "completed") {
+      return res.status(400).json({
+        success: false,
+        message: "Damage claims can only be filed for completed bookings",
+        code: "BOOKING_NOT_COMPLETED",
+      });
+    }
+
+    const returnedAt = booking.actualReturnTime || booking.completedAt;
+    if (returnedAt && Date.now() - returnedAt.getTime() > CLAIM_WINDOW_MS) {
+      return res.status(400).json({
+        success: false,
+        message: "The 14-day window for damage claims has closed",
+        code: "CLAIM_WINDOW_CLOSED",
+      });
+    }
+
+    const existing = await DamageClaim.findOne({ booking: booking._id });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: "A damage claim already exists for this booking",
+        code: "CLAIM_EXISTS",
+        claimId: existing._id,
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one photo of the damage is required",
+        code: "PHOTOS_REQUIRED",
+      });
+    }
+
+    const photos = await uploadImagesToCloud(req.files);
+
+    const claim = await DamageClaim.create({
+      booking: booking._id,
+      car: booking.car._id,
+      owner: req.user.id,
+      renter: booking.renter,
+      description,
+      photos,
+      estimatedCost: parseFloat(estimatedCost),
+      evidence: booking.inspections.map((inspection) => ({
+        type: inspection.type,
+        performedByRole: inspection.performedByRole,
+        photos: inspection.photos,
+        odometer: inspection.odometer,
+        fuelLevel: inspection.fuelLevel,
+        notes: inspection.notes,
+        performedAt: inspection.performedAt,
+      })),
+      history: [
+        {
+          action: "opened",
+          actor: req.user.id,
+          actorRole: "owner",
+          note: description,
+        },
+      ],
+    });
+
+    booking.damageReported = true;
+    booking.damageDescription = description;
+    await booking.save();
+
+    await notifyClaimParties(claim, "damage_claim_opened", booking.car.title);
+
+    res.status(201).json({
+      success: true,
+      message: "Damage claim filed successfully",
+      data: { claim },
+    });
+  } catch (error) {
+    console.error("Create damage claim error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to file damage claim",
+      error: error.message,
+    });
+  }
+});
+
+// GET MY CLAIMS (as owner or renter)
+export const getMyClaims = handleAsyncError(async (req, res) => {
+  try {
+    const claims = await DamageClaim.find({
+      $or: [{ owner: req.user.id }, { renter: req.user.id }],
+    })
+      .populate(claimPopulate)
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { claims },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch damage claims",
+      error: error.message,
+    });
+  }
+});
+
+// GET CLAIM BY ID
+export const getClaimById = handleAsyncError(async (req, res) => {
+  try {
+    const claim = await DamageClaim.findById(req.params.id).populate(
+      claimPopulate
+    );
+
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: "Damage claim not found",
+        code: "CLAIM_NOT_FOUND",
+      });
+    }
+
+    const isParty = [claim.owner._id, claim.renter._id].some(
+      (id) => id.toString() === req.user.id
+    );
+    if (!isParty && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this claim",
+        code: "INSUFFICIENT_PERMISSIONS",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { claim },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch damage claim",
+      error: error.message,
+    });
+  }
+});
+
+// RESPOND TO A CLAIM (renter accepts or contests)
+export const respondToClaim = handleAsyncError(async (req, res) => {
+  const { action, message } = req.body;
+
+  try {
+    const claim = await DamageClaim.findById(req.params.id).populate(
+      "car",
+      "title"
+    );
+
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: "Damage claim not found",
+        code: "CLAIM_NOT_FOUND",
+      });
+    }
+
+    if (claim.renter.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the renter can respond to this claim",
+        code: "INSUFFICIENT_PERMISSIONS",
+      });
+    }
+
+    if (claim.status !== "open") {
+      return res.status(409).json({
+        success: false,
+        message: `This claim has already been ${claim.status}`,
+        code: "CLAIM_NOT_OPEN",
+      });
+    }
+
+    claim.renterResponse = { message, respondedAt: new Date() };
+    claim.history.push({
+      action: action === "accept" ? "accepted" : "contested",
+      actor: req.user.id,
+      actorRole: "renter",
+      note: message,
+    });
+
+    if (action === "accept") {
+      const booking = await Booking.findById(claim.booking);
+      claim.status = "accepted";
+      const settlement = settleDamageClaim(
+        claim,
+        booking,
+        claim.estimatedCost
+      );
+      await settleDepositHold(stripe, booking, settlement.depositDeducted);
+      await chargeDamageRemainder(stripe, claim, booking);
+      await booking.save();
+      await syncBookingLedgerSafely(booking._id);
+    } else {
+      claim.status = "contested";
+    }
+
+    await claim.save();
+
+    await notifyClaimParties(
+      claim,
+      action === "accept" ? "damage_claim_accepted" : "damage_claim_contested",
+      claim.car?.title || "your car"
+    );
+
+    res.json({
+      success: true,
+      message:
+        action === "accept"
+          ? "Claim accepted and settled"
+          : "Claim contested. An admin will review it.",
+      data: { claim },
+    });
+  } catch (error) {
+    console.error("Respond to claim error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to respond to damage claim",
+      error: error.message,
+    });
+  }
+});
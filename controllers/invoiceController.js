@@ -0,0 +1,126 @@
+// controllers/invoiceController.js - Booking receipts, tax invoices and credit notes
+import Booking from "../models/Booking.js";
+import Invoice from "../models/Invoice.js";
+import { handleAsyncError } from "../utils/errorHandler.js";
+import { getBookingRole } from "../utils/bookingStateMachine.js";
+import { syncBookingInvoices } from "../utils/invoices.js";
+
+// Load the booking and check the user is its renter, owner or an admin.
+// Sends the error response and returns null otherwise.
+const findBookingForUser = async (req, res) => {
+  const booking = await Booking.findById(req.params.id).populate(
+    "car",
+    "owner"
+  );
+
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: "Booking not found",
+      code: "BOOKING_NOT_FOUND",
+    });
+    return null;
+  }
+
+  if (!getBookingRole(booking, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: "Not authorized to view this booking's invoices",
+      code: "INSUFFICIENT_PERMISSIONS",
+    });
+    return null;
+  }
+
+  return booking;
+};
+
+const sendInvoicePdf = (res, invoice) => {
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${invoice.number}.pdf"`,
+    "Content-Length": invoice.pdf.length,
+  });
+  res.send(invoice.pdf);
+};
+
+// GET BOOKING RECEIPT - the tax invoice for the booking payment, as a PDF
+export const getBookingReceipt = handleAsyncError(async (req, res) => {
+  try {
+    const booking = await findBookingForUser(req, res);
+    if (!booking) return;
+
+    // Issues anything missing, e.g. for bookings paid through the webhook
+    const documents = await syncBookingInvoices(booking._id);
+    const receipt = documents.find(
+      (doc) => doc.type === "invoice" && doc.source.type === "booking"
+    );
+
+    if (!receipt) {
+      return res.status(409).json({
+        success: false,
+        message: "A receipt is available once the booking has been paid",
+        code: "RECEIPT_NOT_AVAILABLE",
+      });
+    }
+
+    const invoice = await Invoice.findById(receipt._id).select("+pdf");
+    sendInvoicePdf(res, invoice);
+  } catch (error) {
+    console.error("Receipt error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate receipt",
+      error: error.message,
+    });
+  }
+});
+
+// GET BOOKING INVOICES - every invoice and credit note for a booking
+export const getBookingInvoices = handleAsyncError(async (req, res) => {
+  try {
+    const booking = await findBookingForUser(req, res);
+    if (!booking) return;
+
+    const invoices = await syncBookingInvoices(booking._id);
+
+    res.json({
+      success: true,
+      data: { invoices },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch invoices",
+      error: error.message,
+    });
+  }
+});
+
+// DOWNLOAD INVOICE - the stored PDF of one invoice or credit note
+export const downloadInvoice = handleAsyncError(async (req, res) => {
+  try {
+    const booking = await findBookingForUser(req, res);
+    if (!booking) return;
+
+    const invoice = await Invoice.findOne({
+      _id: req.params.invoiceId,
+      booking: booking._id,
+    }).select("+pdf");
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+        code: "INVOICE_NOT_FOUND",
+      });
+    }
+
+    sendInvoicePdf(res, invoice);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to download invoice",
+      error: error.message,
+    });
+  }
+});
@@ -0,0 +1,408 @@
+// controllers/ledgerController.js - Owner balances, payouts and ledger reconciliation
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import JobLock from "../models/JobLock.js";
+import LedgerTransaction from "../models/LedgerTransaction.js";
+import Payout from "../models/Payout.js";
+import User from "../models/User.js";
+import Notification from "../models/Notification.js";
+import { handleAsyncError } from "../utils/errorHandler.js";
+import {
+  getCommissionPercent,
+  getOwnerBalances,
+  reconcileBooking,
+  OWNER_ACCOUNTS,
+} from "../utils/ledger.js";
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+// Longest statement or reconciliation window returned at once
+const MAX_WINDOW_DAYS = 366;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const emptyBalance = { balance: 0, available: 0, pending: 0 };
+
+// Parse ?from&to into a window ending now and starting `days` back by default
+const dateWindow = (query, days = 30) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - days * DAY_MS);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+    return null;
+  }
+  if (to - from > MAX_WINDOW_DAYS * DAY_MS) return null;
+  return { from, to };
+};
+
+const invalidWindow = (res) =>
+  res.status(400).json({
+    success: false,
+    message: `Provide a valid date range of up to ${MAX_WINDOW_DAYS} days`,
+    code: "INVALID_DATE_RANGE",
+  });
+
+// The owner's share of a transaction (positive = owed to the owner)
+const ownerAmount = (transaction, ownerId) =>
+  round2(
+    -transaction.lines
+      .filter(
+        (l) =>
+          OWNER_ACCOUNTS.includes(l.account) &&
+          l.owner?.toString() === ownerId.toString()
+      )
+      .reduce((sum, l) => sum + l.amount, 0)
+  );
+
+// GET MY BALANCE (owner)
+export const getMyBalance = handleAsyncError(async (req, res) => {
+  const ownerId = toObjectId(req.user.id);
+
+  const [[balance], payouts] = await Promise.all([
+    getOwnerBalances(ownerId),
+    Payout.find({ owner: ownerId }).sort({ sentAt: -1 }).limit(10),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      ...emptyBalance,
+      ...balance,
+      owner: ownerId,
+      currency: "AED",
+      commissionPercent: getCommissionPercent(),
+      payouts,
+    },
+  });
+});
+
+// GET MY STATEMENT (owner) - ledger entries with a running balance
+export const getMyStatement = handleAsyncError(async (req, res) => {
+  const window = dateWindow(req.query);
+  if (!window) return invalidWindow(res);
+
+  const ownerId = toObjectId(req.user.id);
+  const ownerFilter = { "lines.owner": ownerId };
+
+  try {
+    const [before, transactions] = await Promise.all([
+      LedgerTransaction.find({ ...ownerFilter, occurredAt: { $lt: window.from } })
+        .select("lines")
+        .lean(),
+      LedgerTransaction.find({
+        ...ownerFilter,
+        occurredAt: { $gte: window.from, $lte: window.to },
+      })
+        .populate({
+          path: "booking",
+          select: "car startDate endDate",
+          populate: { path: "car", select: "title" },
+        })
+        .populate("payout", "reference batchId")
+        .sort({ occurredAt: 1 })
+        .lean(),
+    ]);
+
+    const openingBalance = round2(
+      before.reduce((sum, t) => sum + ownerAmount(t, ownerId), 0)
+    );
+
+    let running = openingBalance;
+    const entries = transactions.map((transaction) => {
+      const amount = ownerAmount(transaction, ownerId);
+      running = round2(running + amount);
+      return {
+        _id: transaction._id,
+        date: transaction.occurredAt,
+        type: transaction.type,
+        description: transaction.description,
+        paymentMethod: transaction.paymentMethod,
+        booking: transaction.booking,
+        payout: transaction.payout,
+        // The lines that concern the owner, for the statement detail
+        lines: transaction.lines.filter(
+          (l) =>
+            OWNER_ACCOUNTS.includes(l.account) || l.account === "platform_commission"
+        ),
+        amount,
+        balance: running,
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        from: window.from,
+        to: window.to,
+        currency: "AED",
+        openingBalance,
+        closingBalance: running,
+        entries,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to load statement",
+      error: error.message,
+    });
+  }
+});
+
+// GET OWNER BALANCES (admin) - owners with money to pay out
+export const getPayoutBalances = handleAsyncError(async (req, res) => {
+  const balances = (await getOwnerBalances()).filter((b) => b.balance !== 0);
+  const owners = await User.find({
+    _id: { $in: balances.map((b) => b.owner) },
+  })
+    .select("name email phone")
+    .lean();
+  const ownersById = new Map(owners.map((o) => [o._id.toString(), o]));
+
+  res.json({
+    success: true,
+    data: {
+      balances: balances
+        .map((b) => ({ ...b, owner: ownersById.get(b.owner.toString()) || b.owner }))
+        .sort((a, b) => b.available - a.available),
+      totals: {
+        balance: round2(balances.reduce((sum, b) => sum + b.balance, 0)),
+        available: round2(balances.reduce((sum, b) => sum + b.available, 0)),
+      },
+    },
+  });
+});
+
+// A payout for one owner at a time, across requests and instances
+const PAYOUT_LOCK_TTL_MS = 60 * 1000;
+
+const withOwnerPayoutLock = async (ownerId, fn) => {
+  const name = `payout:${ownerId}`;
+  const holder = crypto.randomUUID();
+  if (!(await JobLock.acquire(name, holder, PAYOUT_LOCK_TTL_MS))) return null;
+
+  try {
+    return await fn();
+  } finally {
+    await JobLock.release(name, holder).catch((error) =>
+      console.error(`Failed to release payout lock for ${ownerId}:`, error)
+    );
+  }
+};
+
+// Pay out one owner's available balance. The ledger entry is written first,
+// keyed by the batch, so the balance drops as soon as the money is recorded
+// as sent and a retry of the same batch finds it instead of paying again.
+const sendOwnerPayout = async (ownerId, batch) => {
+  const key = `payout:${batch.batchKey}:${ownerId}`;
+  const payoutFields = (payoutId, amount, sentAt) => ({
+    _id: payoutId,
+    owner: ownerId,
+    amount,
+    batchId: batch.batchId,
+    batchKey: batch.batchKey,
+    reference: batch.reference,
+    notes: batch.notes,
+    sentAt,
+    sentBy: batch.sentBy,
+  });
+
+  const recorded = await LedgerTransaction.findOne({ key });
+  if (recorded) {
+    // Sent by an earlier attempt at this batch; finish its payout record
+    const amount = recorded.lines.find((l) => l.account === "owner_payable").amount;
+    const payout =
+      (await Payout.findById(recorded.payout)) ||
+      (await Payout.create(payoutFields(recorded.payout, amount, recorded.occurredAt)));
+    return { payout, alreadySent: true };
+  }
+
+  const [balance] = await getOwnerBalances(toObjectId(ownerId));
+  if (!balance || balance.available <= 0) return { payout: null };
+
+  const payoutId = new mongoose.Types.ObjectId();
+  const sentAt = new Date();
+  await LedgerTransaction.create({
+    key,
+    type: "payout",
+    owner: ownerId,
+    payout: payoutId,
+    description: batch.reference ? `Payout ${batch.reference}` : "Payout",
+    occurredAt: sentAt,
+    lines: [
+      { account: "owner_payable", amount: balance.available, owner: ownerId, memo: "Paid out" },
+      { account: "platform_cash", amount: -balance.available, memo: "Paid out" },
+    ],
+  });
+
+  const payout = await Payout.create(payoutFields(payoutId, balance.available, sentAt));
+  return { payout, alreadySent: false };
+};
+
+// CREATE PAYOUT BATCH (admin) - record owners' available balances as sent.
+// `batchKey` is chosen by the client and kept across retries, so sending
+// the same batch twice pays nobody twice.
+export const createPayoutBatch = handleAsyncError(async (req, res) => {
+  const { ownerIds, batchKey, reference, notes } = req.body;
+
+  const earlierAttempt = await Payout.findOne({ batchKey }).select("batchId");
+  const batchId =
+    earlierAttempt?.batchId ||
+    `PB-${new Date().toISOString().slice(0, 10).replace(/-/g, "")}-${crypto
+      .randomBytes(3)
+      .toString("hex")
+      .toUpperCase()}`;
+  const batch = { batchKey, batchId, reference, notes, sentBy: req.user.id };
+  const payouts = [];
+  const skipped = [];
+
+  for (const ownerId of [...new Set(ownerIds)]) {
+    const result = await withOwnerPayoutLock(ownerId, () =>
+      sendOwnerPayout(ownerId, batch)
+    );
+    if (!result) {
+      skipped.push({ owner: ownerId, reason: "Another payout to this owner is in progress" });
+      continue;
+    }
+    if (!result.payout) {
+      skipped.push({ owner: ownerId, reason: "Nothing available to pay out" });
+      continue;
+    }
+
+    const { payout, alreadySent } = result;
+    payouts.push(payout);
+    if (alreadySent) continue;
+
+    try {
+      await Notification.create({
+        user: ownerId,
+        type: "payout_sent",
+        title: "Payout sent",
+        message: `AED ${payout.amount.toFixed(2)} has been sent to you${reference ? ` (ref. ${reference})` : ""}.`,
+        data: { amount: payout.amount, redirectUrl: "/seller/dashboard" },
+      });
+    } catch (notificationError) {
+      console.error("Failed to send payout notification:", notificationError);
+    }
+  }
+
+  console.log(
+    `💸 Admin ${req.user.id} sent payout batch ${batchId}: ${payouts.length} payouts`
+  );
+
+  res.status(payouts.length > 0 ? 201 : 200).json({
+    success: true,
+    message:
+      payouts.length > 0
+        ? `${payouts.length} payout${payouts.length !== 1 ? "s" : ""} marked as sent`
+        : "No payouts were due",
+    data: {
+      batchId,
+      payouts,
+      skipped,
+      total: round2(payouts.reduce((sum, p) => sum + p.amount, 0)),
+    },
+  });
+});
+
+// GET PAYOUTS (admin)
+export const getPayouts = handleAsyncError(async (req, res) => {
+  const { batchId, owner, page = 1, limit = 50 } = req.query;
+
+  const filter = {};
+  if (batchId) filter.batchId = batchId;
+  if (owner) filter.owner = owner;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [payouts, totalCount] = await Promise.all([
+    Payout.find(filter)
+      .populate("owner", "name email")
+      .populate("sentBy", "name")
+      .sort({ sentAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Payout.countDocuments(filter),
+  ]);
+
+  const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+  res.json({
+    success: true,
+    data: {
+      payouts,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalCount,
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1,
+        limit: parseInt(limit),
+      },
+    },
+  });
+});
+
+// GET LEDGER RECONCILIATION (admin) - bookings whose ledger doesn't balance
+export const getLedgerReconciliation = handleAsyncError(async (req, res) => {
+  const window = dateWindow(req.query);
+  if (!window) return invalidWindow(res);
+
+  try {
+    const bookings = await Booking.find({
+      updatedAt: { $gte: window.from, $lte: window.to },
+    }).populate("car", "title owner");
+
+    const recorded = await LedgerTransaction.find({
+      booking: { $in: bookings.map((b) => b._id) },
+    }).lean();
+    const recordedByBooking = new Map();
+    for (const transaction of recorded) {
+      const key = transaction.booking.toString();
+      if (!recordedByBooking.has(key)) recordedByBooking.set(key, []);
+      recordedByBooking.get(key).push(transaction);
+    }
+
+    const flagged = [];
+    for (const booking of bookings) {
+      if (!booking.car) continue;
+      const issues = reconcileBooking(
+        booking,
+        recordedByBooking.get(booking._id.toString()) || []
+      );
+      if (issues.length > 0) {
+        flagged.push({
+          booking: {
+            _id: booking._id,
+            status: booking.status,
+            paymentStatus: booking.paymentStatus,
+            paymentMethod: booking.paymentMethod,
+            car: booking.car.title,
+          },
+          issues,
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: window.from,
+        to: window.to,
+        checked: bookings.length,
+        flaggedCount: flagged.length,
+        flagged,
+      },
+    });
+  } catch (error) {
+    console.error("Ledger reconciliation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reconcile ledger",
+      error: error.message,
+    });
+  }
+});
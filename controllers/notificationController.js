@@ -1,4 +1,5 @@
 import Notification from "../models/Notification.js";
+import { readPageRequest, paginate, pageInfo } from "../utils/pagination.js";
 
 // Enhanced async error handler
 const handleAsyncErrorLocal = (fn) => {
@@ -11,14 +12,11 @@ const handleAsyncErrorLocal = (fn) => {
 export const getUserNotifications = handleAsyncErrorLocal(async (req, res) => {
   const userId = req.user.id;
   const {
-    page = 1,
-    limit = 20,
     unreadOnly = false,
     type,
     priority,
   } = req.query;
 
-  const skip = (page - 1) * limit;
   const query = { user: userId, deletedAt: null };
 
   // Apply filters
@@ -32,28 +30,33 @@ export const getUserNotifications = handleAsyncErrorLocal(async (req, res) => {
     query.priority = priority;
   }
 
-  const notifications = await Notification.find(query)
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(parseInt(limit))
-    .populate("data.bookingId", "startDate endDate totalAmount status")
-    .populate("data.carId", "title images city")
-    .populate("data.actionBy", "name email");
+  // Newest first, ties broken by _id; ?cursor or ?page
+  const result = await paginate(
+    (pageFilter, sort, skip, pageLimit) =>
+      Notification.find(pageFilter)
+        .sort(sort)
+        .skip(skip)
+        .limit(pageLimit)
+        .populate("data.bookingId", "startDate endDate totalAmount status")
+        .populate("data.carId", "title images city")
+        .populate("data.actionBy", "name email"),
+    { filter: query, sort: { createdAt: -1 }, request: readPageRequest(req.query) }
+  );
 
   const totalNotifications = await Notification.countDocuments(query);
   const unreadCount = await Notification.getUnreadCount(userId);
+  const pagination = pageInfo(result, totalNotifications);
 
   res.status(200).json({
     success: true,
     message: "Notifications retrieved successfully",
     data: {
-      notifications,
+      notifications: result.docs,
       pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(totalNotifications / limit),
+        ...pagination,
         totalNotifications,
-        hasNextPage: page * limit < totalNotifications,
-        hasPrevPage: page > 1,
+        hasNextPage: pagination.hasNext,
+        hasPrevPage: pagination.hasPrev,
       },
       unreadCount,
     },
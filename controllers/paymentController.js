@@ -1,13 +1,120 @@
 import Stripe from "stripe";
+import mongoose from "mongoose";
 import Booking from "../models/Booking.js";
 import Car from "../models/Car.js";
 import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import WebhookEvent from "../models/WebhookEvent.js";
 import { handleAsyncError } from "../utils/errorHandler.js";
+import {
+  canTransition,
+  transitionBooking,
+  InvalidTransitionError,
+  invalidTransitionResponse,
+} from "../utils/bookingStateMachine.js";
+import {
+  getRentalCharge,
+  canPlaceDepositHold,
+  isDepositHoldMissing,
+  createDepositHold,
+  syncDepositHold,
+} from "../utils/depositHold.js";
+import {
+  syncBookingInvoicesSafely,
+  issueRefundCreditNote,
+} from "../utils/invoices.js";
+import { syncBookingLedgerSafely } from "../utils/ledger.js";
+import {
+  ensureStripeCustomer,
+  findCustomerCard,
+  formatSavedCard,
+  createCardSetupIntent,
+} from "../utils/stripeCustomers.js";
+import {
+  getAmountDue,
+  verifyQuote,
+  QuoteError,
+  quoteErrorResponse,
+} from "../utils/bookingPricing.js";
+import {
+  PaymentVerificationError,
+  paymentVerificationErrorResponse,
+  checkPaymentIntent,
+  retrieveVerifiedPayment,
+} from "../utils/paymentVerification.js";
 
 const stripe = process.env.STRIPE_SECRET_KEY
   ? new Stripe(process.env.STRIPE_SECRET_KEY)
   : null;
 
+// Only bookings that are still awaiting payment can be paid for
+const assertPayable = (booking) => {
+  if (!["pending", "approved"].includes(booking.status)) {
+    throw new InvalidTransitionError(booking.status, "confirmed");
+  }
+};
+
+// Record a successful card payment. Approved bookings move to "confirmed";
+// pending ones stay pending until the owner approves them.
+const markBookingPaid = (booking, transactionId, reason) => {
+  booking.paymentStatus = "paid";
+  booking.paymentMethod = "Card";
+  booking.paidAt = new Date();
+  if (transactionId) booking.transactionId = transactionId;
+
+  if (canTransition(booking, "confirmed", "system")) {
+    transitionBooking(booking, "confirmed", { role: "system", reason });
+  }
+};
+
+// The booking is fully paid again once no approved extension or
+// modification still has an amount outstanding
+const restorePaidStatus = (booking) => {
+  const outstanding =
+    booking.extensions.some(
+      (e) => e.status === "approved" && e.paymentStatus !== "paid"
+    ) ||
+    booking.modifications.some(
+      (m) => m.settlement?.type === "charge" && m.settlement.status !== "completed"
+    );
+  if (booking.paymentStatus === "partial" && !outstanding) {
+    booking.paymentStatus = "paid";
+  }
+};
+
+// What an extension's PaymentIntent is tagged with; checked again before
+// the payment is recorded
+const extensionPaymentMetadata = (booking, extension) => ({
+  type: "booking_extension",
+  bookingId: booking._id.toString(),
+  extensionId: extension._id.toString(),
+  renterId: booking.renter.toString(),
+});
+
+// Record payment for an approved extension
+const markExtensionPaid = (booking, extension, transactionId) => {
+  extension.paymentStatus = "paid";
+  extension.paidAt = new Date();
+  extension.paymentIntentId = transactionId;
+  restorePaidStatus(booking);
+};
+
+// What a modification's PaymentIntent is tagged with
+const modificationPaymentMetadata = (booking, modification) => ({
+  type: "booking_modification",
+  bookingId: booking._id.toString(),
+  modificationId: modification._id.toString(),
+  renterId: booking.renter.toString(),
+});
+
+// Record payment of the price difference of an approved modification
+const markModificationPaid = (booking, modification, transactionId) => {
+  modification.settlement.status = "completed";
+  modification.settlement.paymentIntentId = transactionId;
+  modification.settlement.settledAt = new Date();
+  restorePaidStatus(booking);
+};
+
 // Get Stripe Configuration
 export const getStripeConfig = handleAsyncError(async (req, res) => {
   if (!process.env.STRIPE_PUBLISHABLE_KEY) {
@@ -28,26 +135,39 @@ export const getStripeConfig = handleAsyncError(async (req, res) => {
   });
 });
 
+// Payments without a saved booking are charged from a signed price quote,
+// never from an amount sent by the client
+const quoteRequired = (res) =>
+  res.status(400).json({
+    success: false,
+    message: "A price quote is required to pay before booking",
+    code: "QUOTE_REQUIRED",
+  });
+
+const notBookingRenter = (res) =>
+  res.status(403).json({
+    success: false,
+    message: "Not authorized to pay for this booking",
+    code: "INSUFFICIENT_PERMISSIONS",
+  });
+
 // Process Payment Endpoint (handles cash and card payments only)
 export const processPayment = handleAsyncError(async (req, res) => {
   const {
     paymentMethod,
     bookingId,
-    amount,
+    quoteToken,
     currency = "aed",
     cashDetails,
-    carId,
     carTitle,
-    startDate,
-    endDate,
-    numberOfDays,
   } = req.body;
 
-  console.log("Processing payment:", { paymentMethod, bookingId, amount });
+  console.log("Processing payment:", { paymentMethod, bookingId });
 
   try {
     let result = {};
     let booking;
+    let quote;
 
     // If bookingId is provided, find existing booking
     if (bookingId && !bookingId.startsWith('temp_')) {
@@ -62,6 +182,16 @@ export const processPayment = handleAsyncError(async (req, res) => {
           code: "BOOKING_NOT_FOUND",
         });
       }
+
+      if (booking.renter._id.toString() !== req.user.id) {
+        return notBookingRenter(res);
+      }
+
+      assertPayable(booking);
+    } else if (quoteToken) {
+      quote = verifyQuote(quoteToken, req.user.id);
+    } else {
+      return quoteRequired(res);
     }
 
     // Process based on payment method
@@ -77,16 +207,26 @@ export const processPayment = handleAsyncError(async (req, res) => {
         }
 
         try {
-          // Create payment intent with Stripe
+          // Charged what is owed, without the deposit held on the card
+          const chargeAmount = booking
+            ? getRentalCharge(booking)
+            : getAmountDue(quote, "Card");
+
+          // Create payment intent with Stripe. The client confirms it with
+          // Stripe.js; the booking is paid once /confirm or the webhook
+          // sees it succeed.
           const paymentIntent = await stripe.paymentIntents.create({
-            amount: Math.round(amount * 100), // Convert AED to fils
+            amount: Math.round(chargeAmount * 100), // Convert AED to fils
             currency: "aed",
             payment_method_types: ["card"],
             metadata: {
               bookingId: bookingId || "temp",
-              carId: carId || "",
-              carTitle: carTitle || "",
-              numberOfDays: numberOfDays || "1",
+              renterId: req.user.id,
+              carId: booking ? booking.car._id.toString() : quote.carId,
+              carTitle: booking ? booking.car.title : carTitle || "",
+              numberOfDays: String(booking ? booking.totalDays : quote.totalDays),
+              promoCode: (booking ? booking.promo?.code : quote.promo?.code) || "",
+              ...(quote && { startDate: quote.startDate, endDate: quote.endDate }),
             },
           });
 
@@ -94,32 +234,11 @@ export const processPayment = handleAsyncError(async (req, res) => {
             success: true,
             paymentId: paymentIntent.id,
             paymentMethod: "Card",
-            status: "completed",
-            amount: amount,
+            status: paymentIntent.status,
+            amount: chargeAmount,
             currency: currency,
             clientSecret: paymentIntent.client_secret,
           };
-
-          // Update booking if it exists
-          if (booking) {
-            booking.paymentStatus = "paid";
-            booking.paymentMethod = "Card";
-            booking.status = "confirmed";
-            booking.paidAt = new Date();
-            await booking.save();
-
-            // Send payment success notification
-            try {
-              await Notification.createPaymentNotification(
-                booking.renter,
-                "payment_successful",
-                booking.totalAmount,
-                booking._id
-              );
-            } catch (notificationError) {
-              console.error("Failed to send payment success notification:", notificationError);
-            }
-          }
         } catch (stripeError) {
           console.error("Stripe error:", stripeError);
           return res.status(400).json({
@@ -149,16 +268,17 @@ export const processPayment = handleAsyncError(async (req, res) => {
             location: cashDetails.meetingLocation,
             time: cashDetails.meetingTime,
             notes: cashDetails.notes,
-            amount: amount,
+            amount: booking
+              ? booking.totalPayable
+              : getAmountDue(quote, "Cash"),
             currency: currency,
           },
         };
 
-        // Update booking if it exists
+        // Update booking if it exists (status stays with the owner's decision)
         if (booking) {
           booking.paymentStatus = "pending";
           booking.paymentMethod = "Cash";
-          booking.status = "approved";
           booking.pickupLocation = cashDetails.meetingLocation;
           await booking.save();
         }
@@ -177,6 +297,12 @@ export const processPayment = handleAsyncError(async (req, res) => {
       data: result,
     });
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.statusCode).json(invalidTransitionResponse(error));
+    }
+    if (error instanceof QuoteError) {
+      return res.status(error.statusCode).json(quoteErrorResponse(error));
+    }
     console.error("Payment processing error:", error);
     res.status(500).json({
       success: false,
@@ -189,7 +315,7 @@ export const processPayment = handleAsyncError(async (req, res) => {
 
 // Create Payment Intent (Stripe specific)
 export const createPaymentIntent = handleAsyncError(async (req, res) => {
-  const { bookingId, amount, currency = "aed" } = req.body;
+  const { bookingId, quoteToken, paymentMethodId, currency = "aed" } = req.body;
 
   if (!stripe) {
     return res.status(500).json({
@@ -200,23 +326,64 @@ export const createPaymentIntent = handleAsyncError(async (req, res) => {
   }
 
   try {
-    let bookingAmount = amount;
+    let bookingAmount;
+    const metadata = { bookingId: bookingId || "temp", renterId: req.user.id };
 
-    // If bookingId is provided, get amount from booking
+    // Existing bookings are charged what they owe, anything else its quote
     if (bookingId && !bookingId.startsWith("temp_")) {
       const booking = await Booking.findById(bookingId);
-      if (booking) {
-        bookingAmount = booking.totalPayable;
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: "Booking not found",
+          code: "BOOKING_NOT_FOUND",
+        });
       }
+      if (booking.renter.toString() !== req.user.id) {
+        return notBookingRenter(res);
+      }
+      bookingAmount = getRentalCharge(booking);
+      metadata.carId = booking.car.toString();
+      if (booking.promo?.code) metadata.promoCode = booking.promo.code;
+    } else if (quoteToken) {
+      const quote = verifyQuote(quoteToken, req.user.id);
+      bookingAmount = getAmountDue(quote, "Card");
+      Object.assign(metadata, {
+        carId: quote.carId,
+        startDate: quote.startDate,
+        endDate: quote.endDate,
+      });
+      if (quote.promo) metadata.promoCode = quote.promo.code;
+    } else {
+      return quoteRequired(res);
+    }
+
+    // A saved card is charged straight away; the client only steps in
+    // when the bank asks for 3-D Secure (status "requires_action")
+    let savedCard = {};
+    if (paymentMethodId) {
+      const user = await User.findById(req.user.id).select("stripeCustomerId");
+      const paymentMethod = await findCustomerCard(stripe, user, paymentMethodId);
+      if (!paymentMethod) {
+        return res.status(404).json({
+          success: false,
+          message: "Saved card not found",
+          code: "PAYMENT_METHOD_NOT_FOUND",
+        });
+      }
+      savedCard = {
+        customer: user.stripeCustomerId,
+        payment_method: paymentMethod.id,
+        confirm: true,
+      };
     }
 
     const paymentIntent = await stripe.paymentIntents.create({
       amount: Math.round(bookingAmount * 100), // Convert to fils
       currency: currency,
       payment_method_types: ["card"],
-      metadata: {
-        bookingId: bookingId || "temp",
-      },
+      metadata,
+      ...savedCard,
     });
 
     res.json({
@@ -224,11 +391,23 @@ export const createPaymentIntent = handleAsyncError(async (req, res) => {
       data: {
         clientSecret: paymentIntent.client_secret,
         paymentIntentId: paymentIntent.id,
+        status: paymentIntent.status,
         amount: bookingAmount,
         currency: currency,
       },
     });
   } catch (error) {
+    if (error instanceof QuoteError) {
+      return res.status(error.statusCode).json(quoteErrorResponse(error));
+    }
+    // Saved cards are confirmed on creation, so a decline surfaces here
+    if (error.type === "StripeCardError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: "STRIPE_ERROR",
+      });
+    }
     console.error("Create payment intent error:", error);
     res.status(500).json({
       success: false,
@@ -238,10 +417,19 @@ export const createPaymentIntent = handleAsyncError(async (req, res) => {
   }
 });
 
-// Confirm Payment
+// Confirm Payment: record a card payment the client completed with
+// Stripe.js, once Stripe confirms it paid this booking in full
 export const confirmPayment = handleAsyncError(async (req, res) => {
   const { paymentIntentId, bookingId } = req.body;
 
+  if (!stripe) {
+    return res.status(500).json({
+      success: false,
+      message: "Card payments not available",
+      code: "STRIPE_NOT_CONFIGURED",
+    });
+  }
+
   try {
     let booking;
 
@@ -255,12 +443,30 @@ export const confirmPayment = handleAsyncError(async (req, res) => {
         });
       }
 
+      if (booking.renter.toString() !== req.user.id) {
+        return notBookingRenter(res);
+      }
+
+      // Already recorded, e.g. by the payment_intent.succeeded webhook
+      if (booking.paymentStatus === "paid" && booking.transactionId === paymentIntentId) {
+        return res.json({
+          success: true,
+          message: "Payment confirmed successfully",
+          data: { booking },
+        });
+      }
+
+      assertPayable(booking);
+      await retrieveVerifiedPayment(stripe, paymentIntentId, {
+        amount: getRentalCharge(booking),
+        metadata: { bookingId: booking._id.toString() },
+      });
+
       // Update booking status
-      booking.status = "confirmed";
-      booking.paymentStatus = "paid";
-      booking.paidAt = new Date();
-      booking.transactionId = paymentIntentId;
+      markBookingPaid(booking, paymentIntentId, "Card payment confirmed");
       await booking.save();
+      await syncBookingInvoicesSafely(booking._id);
+      await syncBookingLedgerSafely(booking._id);
 
       // Send payment success notification
       try {
@@ -281,6 +487,12 @@ export const confirmPayment = handleAsyncError(async (req, res) => {
       data: { booking },
     });
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.statusCode).json(invalidTransitionResponse(error));
+    }
+    if (error instanceof PaymentVerificationError) {
+      return res.status(error.statusCode).json(paymentVerificationErrorResponse(error));
+    }
     console.error("Confirm payment error:", error);
     res.status(500).json({
       success: false,
@@ -290,71 +502,649 @@ export const confirmPayment = handleAsyncError(async (req, res) => {
   }
 });
 
-// Get Payment History
-export const getPaymentHistory = handleAsyncError(async (req, res) => {
-  const { page = 1, limit = 10 } = req.query;
+// Pay for an approved rental extension by card
+export const payExtension = handleAsyncError(async (req, res) => {
+  const { bookingId, extensionId } = req.body;
+
+  if (!stripe) {
+    return res.status(500).json({
+      success: false,
+      message: "Card payments not available",
+      code: "STRIPE_NOT_CONFIGURED",
+    });
+  }
 
   try {
-    const bookings = await Booking.find({
-      renter: req.user.id,
-      paymentStatus: { $ne: "pending" },
-    })
-      .populate("car", "title make model images")
-      .sort({ paidAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await Booking.countDocuments({
-      renter: req.user.id,
-      paymentStatus: { $ne: "pending" },
+    const booking = await Booking.findById(bookingId).populate("car", "title");
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+        code: "BOOKING_NOT_FOUND",
+      });
+    }
+
+    if (booking.renter.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to pay for this booking",
+        code: "INSUFFICIENT_PERMISSIONS",
+      });
+    }
+
+    const extension = booking.extensions.id(extensionId);
+    if (!extension || extension.status !== "approved") {
+      return res.status(400).json({
+        success: false,
+        message: "Only approved extensions can be paid",
+        code: "EXTENSION_NOT_APPROVED",
+      });
+    }
+
+    if (extension.paymentStatus === "paid") {
+      return res.status(409).json({
+        success: false,
+        message: "This extension has already been paid",
+        code: "ALREADY_PAID",
+      });
+    }
+
+    // The renter confirms this with Stripe.js; the extension is paid once
+    // confirmExtensionPayment or the webhook sees it succeed
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: Math.round(extension.additionalAmount * 100), // Convert AED to fils
+      currency: "aed",
+      payment_method_types: ["card"],
+      metadata: {
+        ...extensionPaymentMetadata(booking, extension),
+        carTitle: booking.car?.title || "",
+      },
     });
 
     res.json({
       success: true,
       data: {
-        payments: bookings,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(total / limit),
-          totalCount: total,
-          hasNext: parseInt(page) < Math.ceil(total / limit),
-          hasPrev: parseInt(page) > 1,
-        },
+        paymentId: paymentIntent.id,
+        clientSecret: paymentIntent.client_secret,
+        amount: extension.additionalAmount,
+      },
+    });
+  } catch (error) {
+    console.error("Extension payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      code: "PAYMENT_PROCESSING_ERROR",
+    });
+  }
+});
+
+// Record an extension payment the renter completed with Stripe.js
+export const confirmExtensionPayment = handleAsyncError(async (req, res) => {
+  const { bookingId, extensionId, paymentIntentId } = req.body;
+
+  if (!stripe) {
+    return res.status(500).json({
+      success: false,
+      message: "Card payments not available",
+      code: "STRIPE_NOT_CONFIGURED",
+    });
+  }
+
+  try {
+    const booking = await Booking.findById(bookingId);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+        code: "BOOKING_NOT_FOUND",
+      });
+    }
+
+    if (booking.renter.toString() !== req.user.id) {
+      return notBookingRenter(res);
+    }
+
+    const extension = booking.extensions.id(extensionId);
+    if (!extension || extension.status !== "approved") {
+      return res.status(400).json({
+        success: false,
+        message: "Only approved extensions can be paid",
+        code: "EXTENSION_NOT_APPROVED",
+      });
+    }
+
+    // Already recorded, e.g. by the payment_intent.succeeded webhook
+    if (extension.paymentStatus !== "paid") {
+      await retrieveVerifiedPayment(stripe, paymentIntentId, {
+        amount: extension.additionalAmount,
+        metadata: extensionPaymentMetadata(booking, extension),
+      });
+
+      markExtensionPaid(booking, extension, paymentIntentId);
+      await booking.save();
+      await syncBookingInvoicesSafely(booking._id);
+      await syncBookingLedgerSafely(booking._id);
+
+      try {
+        await Notification.createPaymentNotification(
+          booking.renter,
+          "payment_successful",
+          extension.additionalAmount,
+          booking._id
+        );
+      } catch (notificationError) {
+        console.error("Failed to send payment success notification:", notificationError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: "Extension paid successfully",
+      data: { booking },
+    });
+  } catch (error) {
+    if (error instanceof PaymentVerificationError) {
+      return res.status(error.statusCode).json(paymentVerificationErrorResponse(error));
+    }
+    console.error("Confirm extension payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      code: "PAYMENT_CONFIRMATION_ERROR",
+    });
+  }
+});
+
+// Pay the price difference of an approved booking modification by card
+export const payModification = handleAsyncError(async (req, res) => {
+  const { bookingId, modificationId } = req.body;
+
+  if (!stripe) {
+    return res.status(500).json({
+      success: false,
+      message: "Card payments not available",
+      code: "STRIPE_NOT_CONFIGURED",
+    });
+  }
+
+  try {
+    const booking = await Booking.findById(bookingId).populate("car", "title");
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+        code: "BOOKING_NOT_FOUND",
+      });
+    }
+
+    if (booking.renter.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to pay for this booking",
+        code: "INSUFFICIENT_PERMISSIONS",
+      });
+    }
+
+    const modification = booking.modifications.id(modificationId);
+    if (
+      !modification ||
+      modification.status !== "approved" ||
+      modification.settlement?.type !== "charge"
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "This booking change has nothing to pay",
+        code: "NOTHING_TO_PAY",
+      });
+    }
+
+    if (modification.settlement.status === "completed") {
+      return res.status(409).json({
+        success: false,
+        message: "This booking change has already been paid",
+        code: "ALREADY_PAID",
+      });
+    }
+
+    // The renter confirms this with Stripe.js; the change is paid once
+    // confirmModificationPayment or the webhook sees it succeed
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: Math.round(modification.priceDifference * 100), // Convert AED to fils
+      currency: "aed",
+      payment_method_types: ["card"],
+      metadata: {
+        ...modificationPaymentMetadata(booking, modification),
+        carTitle: booking.car?.title || "",
+      },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        paymentId: paymentIntent.id,
+        clientSecret: paymentIntent.client_secret,
+        amount: modification.priceDifference,
+      },
+    });
+  } catch (error) {
+    console.error("Modification payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      code: "PAYMENT_PROCESSING_ERROR",
+    });
+  }
+});
+
+// Record a price difference the renter paid with Stripe.js
+export const confirmModificationPayment = handleAsyncError(async (req, res) => {
+  const { bookingId, modificationId, paymentIntentId } = req.body;
+
+  if (!stripe) {
+    return res.status(500).json({
+      success: false,
+      message: "Card payments not available",
+      code: "STRIPE_NOT_CONFIGURED",
+    });
+  }
+
+  try {
+    const booking = await Booking.findById(bookingId);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+        code: "BOOKING_NOT_FOUND",
+      });
+    }
+
+    if (booking.renter.toString() !== req.user.id) {
+      return notBookingRenter(res);
+    }
+
+    const modification = booking.modifications.id(modificationId);
+    if (
+      !modification ||
+      modification.status !== "approved" ||
+      modification.settlement?.type !== "charge"
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "This booking change has nothing to pay",
+        code: "NOTHING_TO_PAY",
+      });
+    }
+
+    // Already recorded, e.g. by the payment_intent.succeeded webhook
+    if (modification.settlement.status !== "completed") {
+      await retrieveVerifiedPayment(stripe, paymentIntentId, {
+        amount: modification.priceDifference,
+        metadata: modificationPaymentMetadata(booking, modification),
+      });
+
+      markModificationPaid(booking, modification, paymentIntentId);
+      await booking.save();
+      await syncBookingInvoicesSafely(booking._id);
+      await syncBookingLedgerSafely(booking._id);
+
+      try {
+        await Notification.createPaymentNotification(
+          booking.renter,
+          "payment_successful",
+          modification.priceDifference,
+          booking._id
+        );
+      } catch (notificationError) {
+        console.error("Failed to send payment success notification:", notificationError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: "Price difference paid successfully",
+      data: { booking },
+    });
+  } catch (error) {
+    if (error instanceof PaymentVerificationError) {
+      return res.status(error.statusCode).json(paymentVerificationErrorResponse(error));
+    }
+    console.error("Confirm modification payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      code: "PAYMENT_CONFIRMATION_ERROR",
+    });
+  }
+});
+
+// Start the security deposit hold for a card booking
+export const placeDepositHold = handleAsyncError(async (req, res) => {
+  const { bookingId } = req.body;
+
+  if (!stripe) {
+    return res.status(500).json({
+      success: false,
+      message: "Card payments not available",
+      code: "STRIPE_NOT_CONFIGURED",
+    });
+  }
+
+  try {
+    const booking = await Booking.findById(bookingId);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+        code: "BOOKING_NOT_FOUND",
+      });
+    }
+
+    if (booking.renter.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to pay for this booking",
+        code: "INSUFFICIENT_PERMISSIONS",
+      });
+    }
+
+    if (!isDepositHoldMissing(booking)) {
+      return res.status(409).json({
+        success: false,
+        message:
+          booking.deposit?.status === "authorized"
+            ? "The deposit is already authorized"
+            : "This booking has no deposit to hold",
+        code: "DEPOSIT_NOT_PENDING",
+      });
+    }
+
+    // Authorizations lapse after a week, so the hold is placed at pickup
+    if (!canPlaceDepositHold(booking)) {
+      return res.status(409).json({
+        success: false,
+        message:
+          booking.status === "confirmed"
+            ? "The deposit can be authorized from the day before pickup"
+            : `A ${booking.status} booking needs no deposit hold`,
+        code: "DEPOSIT_HOLD_NOT_DUE",
+      });
+    }
+
+    // Holds are re-authorized off-session, which needs a Stripe Customer
+    const user = await User.findById(req.user.id);
+    const customerId = await ensureStripeCustomer(stripe, user);
+
+    const paymentIntent = await createDepositHold(stripe, booking, customerId);
+    await booking.save();
+
+    if (booking.deposit.status === "authorized") {
+      return res.status(409).json({
+        success: false,
+        message: "The deposit is already authorized",
+        code: "DEPOSIT_NOT_PENDING",
+        data: { deposit: booking.deposit },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        clientSecret: paymentIntent.client_secret,
+        paymentIntentId: paymentIntent.id,
+        amount: booking.deposit.amount,
       },
     });
   } catch (error) {
-    console.error("Get payment history error:", error);
+    console.error("Deposit hold error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      code: "DEPOSIT_HOLD_ERROR",
+    });
+  }
+});
+
+// Record the hold once the renter has authorized it with their card
+export const confirmDepositHold = handleAsyncError(async (req, res) => {
+  const { bookingId } = req.body;
+
+  if (!stripe) {
+    return res.status(500).json({
+      success: false,
+      message: "Card payments not available",
+      code: "STRIPE_NOT_CONFIGURED",
+    });
+  }
+
+  try {
+    const booking = await Booking.findById(bookingId);
+
+    if (!booking || !booking.deposit?.paymentIntentId) {
+      return res.status(404).json({
+        success: false,
+        message: "Deposit hold not found",
+        code: "DEPOSIT_NOT_FOUND",
+      });
+    }
+
+    if (booking.renter.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to pay for this booking",
+        code: "INSUFFICIENT_PERMISSIONS",
+      });
+    }
+
+    const status = await syncDepositHold(stripe, booking);
+    await booking.save();
+
+    if (status !== "authorized") {
+      return res.status(400).json({
+        success: false,
+        message: "The deposit has not been authorized yet",
+        code: "DEPOSIT_NOT_AUTHORIZED",
+        data: { deposit: booking.deposit },
+      });
+    }
+
+    console.log(`🔒 Deposit of AED ${booking.deposit.amount} held for booking ${booking._id}`);
+
+    res.json({
+      success: true,
+      message: "Security deposit authorized",
+      data: { deposit: booking.deposit },
+    });
+  } catch (error) {
+    console.error("Confirm deposit hold error:", error);
     res.status(500).json({
       success: false,
       message: error.message,
-      code: "PAYMENT_HISTORY_ERROR",
+      code: "DEPOSIT_HOLD_ERROR",
     });
   }
 });
 
-// Get Saved Payment Methods
+// Cards the renter saved on their Stripe Customer
 export const getSavedPaymentMethods = handleAsyncError(async (req, res) => {
-  // For demo purposes, return empty array
-  // In a real app, you'd fetch from Stripe Customer API
-  res.json({
-    success: true,
-    data: {
-      cards: [], // Would contain saved cards from Stripe
-    },
-  });
+  const user = await User.findById(req.user.id).select("stripeCustomerId");
+  if (!stripe || !user?.stripeCustomerId) {
+    return res.json({ success: true, data: { cards: [] } });
+  }
+
+  try {
+    const [customer, paymentMethods] = await Promise.all([
+      stripe.customers.retrieve(user.stripeCustomerId),
+      stripe.paymentMethods.list({ customer: user.stripeCustomerId, type: "card" }),
+    ]);
+    const defaultId = customer.invoice_settings?.default_payment_method;
+
+    res.json({
+      success: true,
+      data: {
+        cards: paymentMethods.data.map((method) => formatSavedCard(method, defaultId)),
+      },
+    });
+  } catch (error) {
+    console.error("Get saved cards error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      code: "SAVED_CARDS_ERROR",
+    });
+  }
 });
 
-// Delete Saved Payment Method
+// Remove a saved card from the renter's Stripe Customer
 export const deleteSavedPaymentMethod = handleAsyncError(async (req, res) => {
   const { paymentMethodId } = req.params;
 
-  // For demo purposes
-  res.json({
-    success: true,
-    message: "Payment method deleted successfully",
-  });
+  const user = await User.findById(req.user.id).select("stripeCustomerId");
+  if (!stripe || !user?.stripeCustomerId) {
+    return res.status(404).json({
+      success: false,
+      message: "Saved card not found",
+      code: "PAYMENT_METHOD_NOT_FOUND",
+    });
+  }
+
+  try {
+    // Only cards on the user's own Customer can be removed
+    const paymentMethod = await findCustomerCard(stripe, user, paymentMethodId);
+    if (!paymentMethod) {
+      return res.status(404).json({
+        success: false,
+        message: "Saved card not found",
+        code: "PAYMENT_METHOD_NOT_FOUND",
+      });
+    }
+
+    // Deposit holds re-authorize off-session with the card they were made with
+    const heldWith = await Booking.exists({
+      renter: req.user.id,
+      "deposit.status": { $in: ["pending", "authorized"] },
+      "deposit.paymentMethodId": paymentMethodId,
+    });
+    if (heldWith) {
+      return res.status(409).json({
+        success: false,
+        message: "This card is holding a security deposit and can't be removed yet",
+        code: "PAYMENT_METHOD_IN_USE",
+      });
+    }
+
+    await stripe.paymentMethods.detach(paymentMethodId);
+    console.log(`🗑️ User ${req.user.id} removed saved card ${paymentMethodId}`);
+
+    res.json({
+      success: true,
+      message: "Payment method deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete saved card error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      code: "SAVED_CARDS_ERROR",
+    });
+  }
+});
+
+// Start saving a card: the client confirms the SetupIntent with Stripe.js,
+// which attaches the card to the user's Stripe Customer
+export const createSetupIntent = handleAsyncError(async (req, res) => {
+  if (!stripe) {
+    return res.status(500).json({
+      success: false,
+      message: "Card payments not available",
+      code: "STRIPE_NOT_CONFIGURED",
+    });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    const customerId = await ensureStripeCustomer(stripe, user);
+    const setupIntent = await createCardSetupIntent(stripe, customerId, user._id);
+
+    res.json({
+      success: true,
+      data: {
+        clientSecret: setupIntent.client_secret,
+        setupIntentId: setupIntent.id,
+      },
+    });
+  } catch (error) {
+    console.error("Create setup intent error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      code: "SAVED_CARDS_ERROR",
+    });
+  }
+});
+
+// Make a saved card the one offered first at checkout
+export const setDefaultPaymentMethod = handleAsyncError(async (req, res) => {
+  const { paymentMethodId } = req.params;
+
+  const user = await User.findById(req.user.id).select("stripeCustomerId");
+  if (!stripe || !user?.stripeCustomerId) {
+    return res.status(404).json({
+      success: false,
+      message: "Saved card not found",
+      code: "PAYMENT_METHOD_NOT_FOUND",
+    });
+  }
+
+  try {
+    const paymentMethod = await findCustomerCard(stripe, user, paymentMethodId);
+    if (!paymentMethod) {
+      return res.status(404).json({
+        success: false,
+        message: "Saved card not found",
+        code: "PAYMENT_METHOD_NOT_FOUND",
+      });
+    }
+
+    await stripe.customers.update(user.stripeCustomerId, {
+      invoice_settings: { default_payment_method: paymentMethodId },
+    });
+
+    res.json({
+      success: true,
+      message: "Default card updated",
+      data: { card: formatSavedCard(paymentMethod, paymentMethodId) },
+    });
+  } catch (error) {
+    console.error("Set default card error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      code: "SAVED_CARDS_ERROR",
+    });
+  }
 });
 
+// Refund a card payment in full, or partly when an amount (AED) is given.
+// Used by the refund endpoint and by booking cancellations/modifications.
+export const issueRefund = async (paymentIntentId, amount, options = {}) => {
+  if (!stripe) {
+    throw new Error("Stripe not configured");
+  }
+
+  return stripe.refunds.create({
+    payment_intent: paymentIntentId,
+    amount: amount ? Math.round(amount * 100) : undefined, // Convert AED to fils
+    reason: options.reason || "requested_by_customer",
+    metadata: options.metadata,
+  });
+};
+
 // Refund Payment
 export const refundPayment = handleAsyncError(async (req, res) => {
   const { paymentId } = req.params;
@@ -369,11 +1159,19 @@ export const refundPayment = handleAsyncError(async (req, res) => {
   }
 
   try {
-    const refund = await stripe.refunds.create({
-      payment_intent: paymentId,
-      amount: amount ? Math.round(amount * 100) : undefined,
-      reason: reason || "requested_by_customer",
-    });
+    const refund = await issueRefund(paymentId, amount, { reason });
+
+    // Record the refund on the booking's invoices
+    const booking = await Booking.findOne({
+      $or: [{ paymentIntentId: paymentId }, { transactionId: paymentId }],
+    }).select("_id");
+    if (booking) {
+      try {
+        await issueRefundCreditNote(booking._id, refund, reason);
+      } catch (invoiceError) {
+        console.error("Failed to issue refund credit note:", invoiceError);
+      }
+    }
 
     res.json({
       success: true,
@@ -394,6 +1192,290 @@ export const refundPayment = handleAsyncError(async (req, res) => {
   }
 });
 
+// Stripe webhooks
+//
+// Every verified event is stored in WebhookEvent before it is processed,
+// so Stripe retries of an event that was already handled are skipped and
+// failed events can be inspected and replayed by admins. Handlers must be
+// safe to run twice: a replay re-runs them on the stored event.
+
+// Checkout payments are made before their booking exists and carry a
+// placeholder bookingId ("temp"), which is not a booking to look up
+const hasBookingId = (metadata = {}) => mongoose.isValidObjectId(metadata.bookingId);
+
+// Bookings are found by the metadata set when the payment was created,
+// falling back to the payment intent for payments made before metadata
+const findBookingForPayment = async (paymentIntentId, metadata = {}) => {
+  if (hasBookingId(metadata)) {
+    const booking = await Booking.findById(metadata.bookingId);
+    if (booking) return booking;
+  }
+  if (!paymentIntentId) return null;
+  return Booking.findOne({
+    $or: [
+      { paymentIntentId },
+      { transactionId: paymentIntentId },
+      { "deposit.paymentIntentId": paymentIntentId },
+    ],
+  });
+};
+
+const handlePaymentSucceeded = async (paymentIntent) => {
+  console.log("Payment succeeded:", paymentIntent.id);
+  // Captured deposits and damage charges are recorded by the claim settlement
+  if (["security_deposit", "damage_charge"].includes(paymentIntent.metadata.type)) {
+    return;
+  }
+
+  // Extension payments only settle the extension
+  if (paymentIntent.metadata.type === "booking_extension") {
+    const booking = await Booking.findById(paymentIntent.metadata.bookingId);
+    const extension = booking?.extensions.id(paymentIntent.metadata.extensionId);
+    if (
+      extension &&
+      extension.paymentStatus !== "paid" &&
+      !checkPaymentIntent(paymentIntent, { amount: extension.additionalAmount })
+    ) {
+      markExtensionPaid(booking, extension, paymentIntent.id);
+      await booking.save();
+      await syncBookingInvoicesSafely(booking._id);
+      await syncBookingLedgerSafely(booking._id);
+    }
+    return;
+  }
+
+  // Modification payments only settle the price difference
+  if (paymentIntent.metadata.type === "booking_modification") {
+    const booking = await Booking.findById(paymentIntent.metadata.bookingId);
+    const modification = booking?.modifications.id(
+      paymentIntent.metadata.modificationId
+    );
+    if (
+      modification?.settlement?.type === "charge" &&
+      modification.settlement.status !== "completed" &&
+      !checkPaymentIntent(paymentIntent, { amount: modification.priceDifference })
+    ) {
+      markModificationPaid(booking, modification, paymentIntent.id);
+      await booking.save();
+      await syncBookingInvoicesSafely(booking._id);
+      await syncBookingLedgerSafely(booking._id);
+    }
+    return;
+  }
+
+  if (!hasBookingId(paymentIntent.metadata)) return;
+
+  const booking = await Booking.findById(paymentIntent.metadata.bookingId);
+  // Already recorded by confirmPayment (or an earlier delivery)
+  if (!booking || booking.paymentStatus === "paid") return;
+
+  const problem = checkPaymentIntent(paymentIntent, { amount: getRentalCharge(booking) });
+  if (problem) {
+    console.warn(`⚠️ Payment ${paymentIntent.id} not recorded for booking ${booking._id}: ${problem.message}`);
+    return;
+  }
+
+  markBookingPaid(booking, paymentIntent.id, "Stripe payment_intent.succeeded");
+  await booking.save();
+  await syncBookingInvoicesSafely(booking._id);
+  await syncBookingLedgerSafely(booking._id);
+
+  try {
+    await Notification.createPaymentNotification(
+      booking.renter,
+      "payment_successful",
+      booking.totalAmount,
+      booking._id
+    );
+  } catch (notificationError) {
+    console.error("Failed to send payment success notification:", notificationError);
+  }
+};
+
+// A deposit hold was authorized
+const handleAmountCapturable = async (hold) => {
+  if (hold.metadata.type !== "security_deposit") return;
+
+  const booking = await Booking.findById(hold.metadata.bookingId);
+  if (booking?.deposit?.paymentIntentId === hold.id) {
+    await syncDepositHold(stripe, booking);
+    await booking.save();
+  }
+};
+
+const handlePaymentFailed = async (failedPayment) => {
+  console.log("Payment failed:", failedPayment.id);
+
+  if (!hasBookingId(failedPayment.metadata)) return;
+
+  const booking = await Booking.findById(failedPayment.metadata.bookingId);
+  if (!booking || booking.paymentStatus === "paid") return;
+
+  try {
+    await Notification.createPaymentNotification(
+      booking.renter,
+      "payment_failed",
+      booking.totalAmount,
+      booking._id
+    );
+  } catch (notificationError) {
+    console.error("Failed to send payment failure notification:", notificationError);
+  }
+};
+
+// Canceled deposit holds are released; a canceled rent payment leaves the
+// booking free to start a new one
+const handlePaymentCanceled = async (paymentIntent) => {
+  console.log("Payment canceled:", paymentIntent.id);
+  const booking = await findBookingForPayment(paymentIntent.id, paymentIntent.metadata);
+  if (!booking) return;
+
+  if (booking.deposit?.paymentIntentId === paymentIntent.id) {
+    if (booking.deposit.status === "released") return;
+    await syncDepositHold(stripe, booking);
+    await booking.save();
+    await syncBookingLedgerSafely(booking._id);
+    return;
+  }
+
+  if (
+    booking.paymentIntentId === paymentIntent.id &&
+    booking.paymentStatus !== "paid"
+  ) {
+    booking.paymentIntentId = undefined;
+    await booking.save();
+  }
+};
+
+// Refunds issued by cancellations and modifications, which record their
+// own credit notes
+const REFUNDS_RECORDED_BY_FLOWS = ["booking_cancellation", "booking_modification"];
+
+// Refunds made in the Stripe dashboard get a credit note like any other
+const handleChargeRefunded = async (charge) => {
+  const booking = await findBookingForPayment(charge.payment_intent, charge.metadata);
+  if (!booking) {
+    console.log(`Refund for unknown payment ${charge.payment_intent}`);
+    return;
+  }
+
+  const refunds = await stripe.refunds.list({ charge: charge.id, limit: 100 });
+  for (const refund of refunds.data) {
+    if (
+      refund.status !== "succeeded" ||
+      REFUNDS_RECORDED_BY_FLOWS.includes(refund.metadata?.type)
+    ) {
+      continue;
+    }
+    try {
+      await issueRefundCreditNote(booking._id, refund, refund.reason || "Refunded");
+      console.log(`💸 Recorded Stripe refund ${refund.id} for booking ${booking._id}`);
+    } catch (error) {
+      // Credit note already issued for this refund
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  if (
+    charge.refunded &&
+    (booking.paymentIntentId || booking.transactionId) === charge.payment_intent &&
+    booking.paymentStatus === "paid"
+  ) {
+    booking.paymentStatus = "refunded";
+    await booking.save();
+  }
+};
+
+// A cancellation refund that fails after it was issued is owed again
+const handleRefundUpdated = async (refund) => {
+  if (!["failed", "canceled"].includes(refund.status)) return;
+
+  const booking = await Booking.findOne({ refundId: refund.id });
+  if (!booking || booking.refundStatus !== "completed") return;
+
+  booking.refundStatus = "failed";
+  await booking.save();
+  console.error(
+    `❌ Refund ${refund.id} for booking ${booking._id} ${refund.status}: ${refund.failure_reason || "no reason given"}`
+  );
+};
+
+// Chargebacks are recorded on the booking for the team to respond to
+const handleDispute = async (dispute) => {
+  const paymentIntentId =
+    dispute.payment_intent ||
+    (await stripe.charges.retrieve(dispute.charge)).payment_intent;
+  const booking = await findBookingForPayment(paymentIntentId, dispute.metadata);
+  if (!booking) {
+    console.log(`Dispute ${dispute.id} for unknown payment ${paymentIntentId}`);
+    return;
+  }
+
+  const isClosed = ["won", "lost", "warning_closed"].includes(dispute.status);
+  booking.chargeback = {
+    disputeId: dispute.id,
+    amount: dispute.amount / 100, // Stripe amounts are in fils
+    reason: dispute.reason,
+    status: dispute.status,
+    evidenceDueBy: dispute.evidence_details?.due_by
+      ? new Date(dispute.evidence_details.due_by * 1000)
+      : undefined,
+    openedAt: new Date(dispute.created * 1000),
+    closedAt: isClosed ? booking.chargeback?.closedAt || new Date() : undefined,
+  };
+  await booking.save();
+  console.warn(
+    `⚠️ Chargeback ${dispute.id} on booking ${booking._id}: ${dispute.status} (${dispute.reason})`
+  );
+};
+
+const webhookHandlers = {
+  "payment_intent.succeeded": handlePaymentSucceeded,
+  "payment_intent.amount_capturable_updated": handleAmountCapturable,
+  "payment_intent.payment_failed": handlePaymentFailed,
+  "payment_intent.canceled": handlePaymentCanceled,
+  "charge.refunded": handleChargeRefunded,
+  "charge.refund.updated": handleRefundUpdated,
+  "refund.updated": handleRefundUpdated,
+  "refund.failed": handleRefundUpdated,
+  "charge.dispute.created": handleDispute,
+  "charge.dispute.updated": handleDispute,
+  "charge.dispute.closed": handleDispute,
+};
+
+// Events stuck in processing this long are assumed abandoned (e.g. a crash)
+export const STALE_WEBHOOK_MS = 10 * 60 * 1000;
+
+// Run a stored event through its handler and record the outcome.
+// Used for new deliveries and admin replays.
+export const processWebhookEvent = async (webhookEvent) => {
+  const handler = webhookHandlers[webhookEvent.type];
+  if (!handler) {
+    console.log(`Unhandled event type ${webhookEvent.type}`);
+    webhookEvent.status = "ignored";
+    await webhookEvent.save();
+    return webhookEvent;
+  }
+
+  webhookEvent.status = "processing";
+  webhookEvent.processingStartedAt = new Date();
+  webhookEvent.attempts += 1;
+  await webhookEvent.save();
+
+  try {
+    await handler(webhookEvent.payload.data.object, webhookEvent.payload);
+    webhookEvent.status = "processed";
+    webhookEvent.processedAt = new Date();
+    webhookEvent.lastError = undefined;
+  } catch (error) {
+    console.error(`Webhook ${webhookEvent.eventId} (${webhookEvent.type}) failed:`, error);
+    webhookEvent.status = "failed";
+    webhookEvent.lastError = error.message;
+  }
+  await webhookEvent.save();
+  return webhookEvent;
+};
+
 // Webhook Handler
 export const handleStripeWebhook = handleAsyncError(async (req, res) => {
   const sig = req.headers["stripe-signature"];
@@ -402,77 +1484,61 @@ export const handleStripeWebhook = handleAsyncError(async (req, res) => {
     return res.json({ received: true });
   }
 
+  let event;
   try {
-    const event = stripe.webhooks.constructEvent(
+    event = stripe.webhooks.constructEvent(
       req.body,
       sig,
       process.env.STRIPE_WEBHOOK_SECRET
     );
+  } catch (err) {
+    console.error("Webhook error:", err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
 
-    switch (event.type) {
-      case "payment_intent.succeeded":
-        const paymentIntent = event.data.object;
-        console.log("Payment succeeded:", paymentIntent.id);
-        // Update booking status based on metadata
-        if (
-          paymentIntent.metadata.bookingId &&
-          !paymentIntent.metadata.bookingId.startsWith("temp_")
-        ) {
-          const booking = await Booking.findById(
-            paymentIntent.metadata.bookingId
-          );
-          if (booking) {
-            booking.status = "confirmed";
-            booking.paymentStatus = "paid";
-            booking.paidAt = new Date();
-            booking.transactionId = paymentIntent.id;
-            await booking.save();
-
-            // Send payment success notification
-            try {
-              await Notification.createPaymentNotification(
-                booking.renter,
-                "payment_successful",
-                booking.totalAmount,
-                booking._id
-              );
-            } catch (notificationError) {
-              console.error("Failed to send payment success notification:", notificationError);
-            }
-          }
-        }
-        break;
-      case "payment_intent.payment_failed":
-        const failedPayment = event.data.object;
-        console.log("Payment failed:", failedPayment.id);
-        
-        // Send payment failure notification
-        if (
-          failedPayment.metadata.bookingId &&
-          !failedPayment.metadata.bookingId.startsWith("temp_")
-        ) {
-          try {
-            const booking = await Booking.findById(failedPayment.metadata.bookingId);
-            if (booking) {
-              await Notification.createPaymentNotification(
-                booking.renter,
-                "payment_failed",
-                booking.totalAmount,
-                booking._id
-              );
-            }
-          } catch (notificationError) {
-            console.error("Failed to send payment failure notification:", notificationError);
-          }
-        }
-        break;
-      default:
-        console.log(`Unhandled event type ${event.type}`);
+  try {
+    await WebhookEvent.create({
+      eventId: event.id,
+      type: event.type,
+      livemode: event.livemode,
+      payload: event,
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Claim the event; a retry only gets it if the last attempt failed or
+  // was abandoned mid-handler (e.g. the process died)
+  const webhookEvent = await WebhookEvent.findOneAndUpdate(
+    {
+      eventId: event.id,
+      $or: [
+        { status: { $in: ["received", "failed"] } },
+        {
+          status: "processing",
+          processingStartedAt: { $lt: new Date(Date.now() - STALE_WEBHOOK_MS) },
+        },
+      ],
+    },
+    { $set: { status: "processing", processingStartedAt: new Date() } },
+    { new: true }
+  );
+  if (!webhookEvent) {
+    // Still being handled elsewhere: answer with an error so Stripe comes
+    // back, and reclaims it then if that attempt was abandoned
+    const inFlight = await WebhookEvent.exists({ eventId: event.id, status: "processing" });
+    if (inFlight) {
+      return res.status(409).json({ received: true, processed: false });
     }
+    console.log(`Skipping duplicate webhook ${event.id}`);
+    return res.json({ received: true, duplicate: true });
+  }
 
-    res.json({ received: true });
-  } catch (err) {
-    console.error("Webhook error:", err.message);
-    res.status(400).send(`Webhook Error: ${err.message}`);
+  await processWebhookEvent(webhookEvent);
+
+  // A failed event is answered with an error so Stripe retries it
+  if (webhookEvent.status === "failed") {
+    return res.status(500).json({ received: true, processed: false });
   }
-});
\ No newline at end of file
+  res.json({ received: true });
+});
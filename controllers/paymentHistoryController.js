@@ -0,0 +1,139 @@
+// controllers/paymentHistoryController.js - Transaction history, monthly statements and CSV export
+import { handleAsyncError } from "../utils/errorHandler.js";
+import {
+  getUserPaymentEntries,
+  filterPaymentEntries,
+  summarizePaymentEntries,
+  buildMonthlyStatements,
+  statementMonthRange,
+  paymentEntriesToCsv,
+} from "../utils/paymentHistory.js";
+
+// Filters from ?from&to&status&kind&as, or a whole ?month=YYYY-MM
+const historyFilters = (query) => {
+  const range = query.month ? statementMonthRange(query.month) : {};
+  return {
+    from: query.from ? new Date(query.from) : range.from,
+    to: query.to ? new Date(query.to) : range.to,
+    status: query.status,
+    kind: query.kind,
+    as: query.as, // "renter" or "owner"
+  };
+};
+
+// GET PAYMENT HISTORY - charges, refunds, deposits, damage charges and payouts
+export const getPaymentHistory = handleAsyncError(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  try {
+    const entries = filterPaymentEntries(
+      await getUserPaymentEntries(req.user.id),
+      historyFilters(req.query)
+    );
+    const totalCount = entries.length;
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      success: true,
+      data: {
+        payments: entries.slice((page - 1) * limit, page * limit),
+        totals: summarizePaymentEntries(entries),
+        currency: "AED",
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get payment history error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      code: "PAYMENT_HISTORY_ERROR",
+    });
+  }
+});
+
+// GET PAYMENT STATEMENTS - months with activity and their totals
+export const getPaymentStatements = handleAsyncError(async (req, res) => {
+  try {
+    const entries = await getUserPaymentEntries(req.user.id);
+
+    res.json({
+      success: true,
+      data: { statements: buildMonthlyStatements(entries), currency: "AED" },
+    });
+  } catch (error) {
+    console.error("Get payment statements error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      code: "PAYMENT_HISTORY_ERROR",
+    });
+  }
+});
+
+// GET PAYMENT STATEMENT - one month's completed transactions, oldest first
+export const getPaymentStatement = handleAsyncError(async (req, res) => {
+  const { month } = req.params;
+  const { from, to } = statementMonthRange(month);
+
+  try {
+    const entries = filterPaymentEntries(await getUserPaymentEntries(req.user.id), {
+      from,
+      to,
+      status: "completed",
+    }).reverse();
+
+    res.json({
+      success: true,
+      data: {
+        month,
+        from,
+        to,
+        currency: "AED",
+        totals: summarizePaymentEntries(entries),
+        entries,
+      },
+    });
+  } catch (error) {
+    console.error("Get payment statement error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      code: "PAYMENT_HISTORY_ERROR",
+    });
+  }
+});
+
+// EXPORT PAYMENT HISTORY - the filtered history (or a month) as CSV
+export const exportPaymentHistory = handleAsyncError(async (req, res) => {
+  try {
+    const entries = filterPaymentEntries(
+      await getUserPaymentEntries(req.user.id),
+      historyFilters(req.query)
+    );
+    const filename = req.query.month
+      ? `borrowmycar-statement-${req.query.month}.csv`
+      : `borrowmycar-payments-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.set({
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    });
+    // BOM so spreadsheet apps read the file as UTF-8 (Arabic car titles)
+    res.send(`\uFEFF${paymentEntriesToCsv(entries)}`);
+  } catch (error) {
+    console.error("Export payment history error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      code: "PAYMENT_HISTORY_ERROR",
+    });
+  }
+});
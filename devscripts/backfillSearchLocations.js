@@ -0,0 +1,42 @@
+// scripts/backfillSearchLocations.js - Store the fuzzed search pin on cars
+// listed before near-me searches moved off the exact location, or again
+// after LOCATION_FUZZ_SECRET changes
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Car from "../models/Car.js";
+import { fuzzedPoint } from "../utils/carLocation.js";
+
+dotenv.config();
+
+const backfillSearchLocations = async () => {
+  try {
+    console.log("📍 Backfilling car search locations...");
+
+    await mongoose.connect(process.env.MONGO_URI, {
+      dbName: "borrowmycar",
+    });
+    console.log("✅ Connected to MongoDB");
+
+    const cars = await Car.find({ "location.coordinates.0": { $exists: true } })
+      .select("+location")
+      .lean();
+
+    for (const car of cars) {
+      await Car.updateOne(
+        { _id: car._id },
+        { $set: { searchLocation: fuzzedPoint(car.location.coordinates, car._id) } }
+      );
+    }
+    console.log(`✅ Updated ${cars.length} cars`);
+
+    await Car.syncIndexes();
+    console.log("✅ Car indexes synced");
+  } catch (error) {
+    console.error("❌ Backfill failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+backfillSearchLocations();
@@ -63,6 +63,7 @@ const cleanupDuplicateIndexes = async () => {
         .createIndex({ availabilityFrom: 1, availabilityTo: 1 });
       await db.collection("cars").createIndex({ owner: 1 });
       await db.collection("cars").createIndex({ status: 1 });
+      await db.collection("cars").createIndex({ searchLocation: "2dsphere" });
       await db.collection("cars").createIndex({
         title: "text",
         description: "text",
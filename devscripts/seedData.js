@@ -119,6 +119,7 @@ const seedDatabase = async () => {
       description:
         "Premium Toyota Camry with leather seats, GPS navigation, and excellent fuel economy. Perfect for business trips or family outings.",
       city: "Dubai",
+      location: { type: "Point", coordinates: [55.1415, 25.0805] },
       price: 180, // Using 'price' field consistently
       availabilityFrom: new Date(),
       availabilityTo: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000), // 90 days
@@ -152,6 +153,7 @@ const seedDatabase = async () => {
       description:
         "Luxury SUV with premium sound system and spacious interior. Ideal for family adventures.",
       city: "Dubai",
+      location: { type: "Point", coordinates: [55.2634, 25.1867] },
       price: 320,
       availabilityFrom: new Date(),
       availabilityTo: new Date(Date.now() + 60 * 24 * 60 * 60 * 1000), // 60 days
@@ -186,6 +188,7 @@ const seedDatabase = async () => {
       description:
         "Fuel-efficient and reliable Honda Civic, perfect for city driving and daily commutes.",
       city: "Abu Dhabi",
+      location: { type: "Point", coordinates: [54.5770, 24.4195] },
       price: 150,
       availabilityFrom: new Date(),
       availabilityTo: new Date(Date.now() + 120 * 24 * 60 * 60 * 1000), // 120 days
@@ -219,6 +222,7 @@ const seedDatabase = async () => {
       description:
         "Elegant Mercedes C-Class with premium interior, advanced safety features, and smooth performance.",
       city: "Abu Dhabi",
+      location: { type: "Point", coordinates: [54.4040, 24.4990] },
       price: 280,
       availabilityFrom: new Date(),
       availabilityTo: new Date(Date.now() + 75 * 24 * 60 * 60 * 1000), // 75 days
@@ -253,6 +257,7 @@ const seedDatabase = async () => {
       description:
         "Spacious family SUV perfect for desert trips and large groups. Comes with advanced safety features.",
       city: "Dubai",
+      location: { type: "Point", coordinates: [55.1952, 25.1124] },
       price: 250,
       availabilityFrom: new Date(),
       availabilityTo: new Date(Date.now() + 45 * 24 * 60 * 60 * 1000), // 45 days
@@ -287,6 +292,7 @@ const seedDatabase = async () => {
       description:
         "Affordable and fuel-efficient sedan, perfect for daily commuting and city driving.",
       city: "Sharjah",
+      location: { type: "Point", coordinates: [55.3840, 25.3260] },
       price: 120,
       availabilityFrom: new Date(),
       availabilityTo: new Date(Date.now() + 100 * 24 * 60 * 60 * 1000), // 100 days
@@ -29,6 +29,7 @@ import { connectDB, checkDBHealth } from "./config/db.js";
 import { globalErrorHandler } from "./utils/errorHandler.js";
 import { generalLimiter } from "./utils/validators.js";
 import { checkCloudinaryHealth } from "./utils/cloudinary.js";
+import { startJobs, stopScheduler } from "./jobs/index.js";
 
 // Routes
 import authRoutes from "./routes/authRoutes.js";
@@ -37,6 +38,7 @@ import bookingRoutes from "./routes/bookingRoutes.js";
 import paymentRoutes from "./routes/paymentRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
 import notificationRoutes from "./routes/notificationRoutes.js";
+import claimRoutes from "./routes/claimRoutes.js";
 
 const app = express();
 
@@ -46,6 +48,11 @@ const initializeDatabase = async () => {
     console.log("🔄 Attempting database connection...");
     await connectDB();
     console.log("✅ Database connected");
+
+    // Background jobs run in-process unless a standalone worker handles them
+    if (process.env.RUN_SCHEDULER !== "false") {
+      startJobs();
+    }
   } catch (err) {
     console.error("❌ Database connection failed:", err.message);
     console.log("⚠️ Continuing without database - some features may not work");
@@ -96,7 +103,9 @@ const corsOptions = {
     "X-Requested-With",
     "Accept",
     "stripe-signature", // For Stripe webhooks
+    "Idempotency-Key", // Safe retries of booking and payment requests
   ],
+  exposedHeaders: ["Content-Disposition", "Idempotent-Replayed"], // Invoice PDF file names, replayed responses
 };
 
 // Middlewares
@@ -128,6 +137,7 @@ app.use("/api/bookings", bookingRoutes);
 app.use("/api/payments", paymentRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/notifications", notificationRoutes);
+app.use("/api/claims", claimRoutes);
 
 // Health check endpoint
 app.get("/api/health", async (req, res) => {
@@ -233,6 +243,7 @@ const server = startServer(PORT);
 // Graceful shutdown
 process.on("SIGTERM", () => {
   console.log("👋 SIGTERM received. Shutting down...");
+  stopScheduler();
   server.close(() => {
     console.log("💥 Server closed.");
   });
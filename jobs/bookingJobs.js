@@ -0,0 +1,129 @@
+// jobs/bookingJobs.js - Booking lifecycle maintenance jobs
+import Booking from "../models/Booking.js";
+import Notification from "../models/Notification.js";
+import { stripe } from "../config/stripe-backend.js";
+import { transitionBooking } from "../utils/bookingStateMachine.js";
+import { CLAIM_WINDOW_MS } from "../utils/damageSettlement.js";
+import { applyFullRefund, refundBooking } from "../utils/bookingRefunds.js";
+
+const MINUTE = 60 * 1000;
+
+const notify = async (userId, type, booking) => {
+  try {
+    await Notification.createBookingNotification(
+      userId,
+      type,
+      booking._id,
+      booking.car?.title || "your car",
+      { carId: booking.car?._id }
+    );
+  } catch (notificationError) {
+    console.error(`Failed to send ${type} notification:`, notificationError);
+  }
+};
+
+// Run fn on each booking, so one that fails doesn't stop the rest.
+// Returns how many succeeded and how many failed.
+const forEachBooking = async (bookings, label, fn) => {
+  let done = 0;
+  let failed = 0;
+  for (const booking of bookings) {
+    try {
+      await fn(booking);
+      done++;
+    } catch (error) {
+      failed++;
+      console.error(`❌ Failed to ${label} booking ${booking._id}:`, error);
+    }
+  }
+  return { done, failed };
+};
+
+// Expire pending bookings the owner never answered
+export const expireStalePendingBookings = async (now = new Date()) => {
+  const stale = await Booking.find({
+    status: "pending",
+    $or: [
+      { expiresAt: { $lte: now } },
+      // Bookings created before expiresAt was set: expire once the trip starts
+      { expiresAt: null, startDate: { $lte: now } },
+    ],
+  }).populate("car", "title owner");
+
+  const { done, failed } = await forEachBooking(stale, "expire", async (booking) => {
+    transitionBooking(booking, "expired", {
+      role: "system",
+      reason: "Owner did not respond before the request expired",
+    });
+    // A renter who already paid by card gets all of it back
+    applyFullRefund(booking);
+    await booking.save();
+    await refundBooking(stripe, booking);
+    await notify(booking.renter, "booking_expired", booking);
+  });
+
+  return { expired: done, failed };
+};
+
+// Flag active rentals that are past their return date
+export const flagOverdueRentals = async (now = new Date()) => {
+  const overdue = await Booking.find({
+    status: "active",
+    endDate: { $lt: now },
+    actualReturnTime: null,
+    isOverdue: { $ne: true },
+  }).populate("car", "title owner");
+
+  const { done, failed } = await forEachBooking(overdue, "flag", async (booking) => {
+    booking.isOverdue = true;
+    booking.overdueAt = now;
+    await booking.save();
+    await notify(booking.renter, "booking_overdue", booking);
+    await notify(booking.car?.owner, "booking_overdue", booking);
+  });
+
+  return { flagged: done, failed };
+};
+
+// Complete rentals the renter returned but the owner never inspected. The
+// owner's check-out normally completes them; once the claim window is over
+// there is nothing left for that inspection to decide.
+export const completeReturnedRentals = async (now = new Date()) => {
+  const returned = await Booking.find({
+    status: "active",
+    actualReturnTime: { $lte: new Date(now.getTime() - CLAIM_WINDOW_MS) },
+  }).populate("car", "title owner");
+
+  const { done, failed } = await forEachBooking(returned, "complete", async (booking) => {
+    transitionBooking(booking, "completed", {
+      role: "system",
+      reason: "Car returned and not inspected by the owner",
+    });
+    booking.isOverdue = false;
+    await booking.save();
+    await notify(booking.renter, "booking_completed", booking);
+  });
+
+  return { completed: done, failed };
+};
+
+export const bookingJobs = [
+  {
+    name: "expire-pending-bookings",
+    description: "Expire pending bookings the owner never answered",
+    intervalMs: 15 * MINUTE,
+    handler: () => expireStalePendingBookings(),
+  },
+  {
+    name: "flag-overdue-rentals",
+    description: "Flag active rentals past their end date as overdue",
+    intervalMs: 30 * MINUTE,
+    handler: () => flagOverdueRentals(),
+  },
+  {
+    name: "complete-returned-rentals",
+    description: "Complete returned rentals the owner never inspected",
+    intervalMs: 15 * MINUTE,
+    handler: () => completeReturnedRentals(),
+  },
+];
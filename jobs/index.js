@@ -0,0 +1,16 @@
+// jobs/index.js - Registers every background job with the scheduler
+import { registerJob, startScheduler } from "./scheduler.js";
+import { bookingJobs } from "./bookingJobs.js";
+import { paymentJobs } from "./paymentJobs.js";
+
+// Registration only records the jobs; nothing runs until startJobs()
+bookingJobs.forEach(registerJob);
+paymentJobs.forEach(registerJob);
+
+export const startJobs = () => startScheduler();
+
+export {
+  runJob,
+  getRegisteredJobs,
+  stopScheduler,
+} from "./scheduler.js";
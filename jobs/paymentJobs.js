@@ -0,0 +1,134 @@
+// jobs/paymentJobs.js - Security deposit hold maintenance jobs
+import Booking from "../models/Booking.js";
+import DamageClaim from "../models/DamageClaim.js";
+import { stripe } from "../config/stripe-backend.js";
+import {
+  REAUTHORIZE_WITHIN_MS,
+  reauthorizeDeposit,
+  settleDepositHold,
+} from "../utils/depositHold.js";
+import { CLAIM_WINDOW_MS } from "../utils/damageSettlement.js";
+import { syncBookingLedgerSafely } from "../utils/ledger.js";
+
+const MINUTE = 60 * 1000;
+
+// Bookings whose deposit may still be needed: rentals in progress, and
+// returns that can still be (or already are) under a damage claim. Only the
+// owner's (or an admin's) return inspection clears a return early.
+export const stillNeedsDeposit = async (booking, now) => {
+  if (["confirmed", "active"].includes(booking.status)) return true;
+  if (booking.status !== "completed") return false;
+
+  const openClaim = await DamageClaim.exists({
+    booking: booking._id,
+    status: { $in: ["open", "contested"] },
+  });
+  if (openClaim) return true;
+
+  const inspectedByOwner = (booking.inspections || []).some(
+    (inspection) =>
+      inspection.type === "check_out" && inspection.performedByRole !== "renter"
+  );
+  if (inspectedByOwner && !booking.damageReported) return false;
+
+  const returnedAt = booking.actualReturnTime || booking.endDate;
+  return now.getTime() - new Date(returnedAt).getTime() <= CLAIM_WINDOW_MS;
+};
+
+// Renew holds before the card network drops them on long rentals
+export const reauthorizeExpiringDepositHolds = async (now = new Date()) => {
+  if (!stripe) return { skipped: "Stripe not configured" };
+
+  const expiring = await Booking.find({
+    "deposit.status": "authorized",
+    "deposit.expiresAt": { $lte: new Date(now.getTime() + REAUTHORIZE_WITHIN_MS) },
+  });
+
+  // One booking failing doesn't stop the others
+  let reauthorized = 0;
+  let failed = 0;
+  for (const booking of expiring) {
+    try {
+      if (!(await stillNeedsDeposit(booking, now))) continue;
+
+      const renewed = await reauthorizeDeposit(stripe, booking, now);
+      await booking.save();
+      if (renewed) {
+        reauthorized++;
+      } else {
+        failed++;
+        console.error(
+          `❌ Deposit re-authorization failed for booking ${booking._id}: ${booking.deposit.lastError}`
+        );
+      }
+    } catch (error) {
+      failed++;
+      console.error(`❌ Failed to re-authorize deposit of booking ${booking._id}:`, error);
+    }
+  }
+
+  return { reauthorized, failed };
+};
+
+// Release holds that are no longer needed (cancelled, rejected or expired
+// requests, and returns past the claim window)
+export const releaseStaleDepositHolds = async (now = new Date()) => {
+  if (!stripe) return { skipped: "Stripe not configured" };
+
+  const held = await Booking.find({
+    "deposit.status": { $in: ["pending", "authorized"] },
+    status: { $in: ["cancelled", "rejected", "expired", "completed"] },
+  });
+
+  let released = 0;
+  let failed = 0;
+  for (const booking of held) {
+    try {
+      if (await stillNeedsDeposit(booking, now)) continue;
+
+      await settleDepositHold(stripe, booking);
+      await booking.save();
+      await syncBookingLedgerSafely(booking._id);
+      if (booking.deposit.status === "released") released++;
+    } catch (error) {
+      failed++;
+      console.error(`❌ Failed to release deposit of booking ${booking._id}:`, error);
+    }
+  }
+
+  return { released, failed };
+};
+
+// Catch up ledger entries the request path failed to record
+export const syncRecentBookingLedgers = async (now = new Date()) => {
+  const recent = await Booking.find({
+    updatedAt: { $gte: new Date(now.getTime() - 24 * 60 * MINUTE) },
+  }).select("_id");
+
+  for (const booking of recent) {
+    await syncBookingLedgerSafely(booking._id);
+  }
+
+  return { synced: recent.length };
+};
+
+export const paymentJobs = [
+  {
+    name: "reauthorize-deposit-holds",
+    description: "Renew security deposit holds that are about to expire",
+    intervalMs: 60 * MINUTE,
+    handler: () => reauthorizeExpiringDepositHolds(),
+  },
+  {
+    name: "release-stale-deposit-holds",
+    description: "Release security deposit holds no longer needed",
+    intervalMs: 60 * MINUTE,
+    handler: () => releaseStaleDepositHolds(),
+  },
+  {
+    name: "sync-booking-ledger",
+    description: "Record ledger entries for recently updated bookings",
+    intervalMs: 60 * MINUTE,
+    handler: () => syncRecentBookingLedgers(),
+  },
+];
@@ -0,0 +1,94 @@
+// jobs/scheduler.js - In-process interval scheduler with per-job locks
+import os from "os";
+import mongoose from "mongoose";
+import JobLock from "../models/JobLock.js";
+import JobRun from "../models/JobRun.js";
+
+// Identifies this process when holding job locks
+const HOLDER_ID = `${os.hostname()}:${process.pid}`;
+
+const registry = new Map();
+const timers = new Map();
+
+// Register a job: { name, intervalMs, handler, lockTtlMs }
+export const registerJob = (job) => {
+  if (!job.name || typeof job.handler !== "function" || !job.intervalMs) {
+    throw new Error("A job needs a name, an intervalMs and a handler");
+  }
+  registry.set(job.name, {
+    lockTtlMs: Math.max(job.intervalMs, 5 * 60 * 1000),
+    ...job,
+  });
+};
+
+export const getRegisteredJobs = () =>
+  Array.from(registry.values()).map(({ name, intervalMs, description }) => ({
+    name,
+    intervalMs,
+    description,
+    scheduled: timers.has(name),
+  }));
+
+// Run a job once if this instance can take its lock.
+// Returns the JobRun document, or null if another instance holds the lock.
+export const runJob = async (name, { trigger = "schedule" } = {}) => {
+  const job = registry.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  if (mongoose.connection.readyState !== 1) {
+    console.warn(`⏭️ Skipping job ${name}: database not connected`);
+    return null;
+  }
+
+  const acquired = await JobLock.acquire(name, HOLDER_ID, job.lockTtlMs);
+  if (!acquired) {
+    return null;
+  }
+
+  const run = await JobRun.create({ job: name, host: HOLDER_ID, trigger });
+
+  try {
+    const result = await job.handler();
+    run.status = "succeeded";
+    run.result = result;
+  } catch (error) {
+    console.error(`❌ Job ${name} failed:`, error);
+    run.status = "failed";
+    run.error = error.message;
+  } finally {
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+    await JobLock.release(name, HOLDER_ID).catch((error) =>
+      console.error(`Failed to release lock for ${name}:`, error)
+    );
+  }
+
+  return run;
+};
+
+export const startScheduler = () => {
+  for (const job of registry.values()) {
+    if (timers.has(job.name)) continue;
+
+    const tick = () =>
+      runJob(job.name).catch((error) =>
+        console.error(`❌ Scheduler error in ${job.name}:`, error)
+      );
+
+    const timer = setInterval(tick, job.intervalMs);
+    timers.set(job.name, timer);
+    tick(); // Catch up on anything missed while no instance was running
+  }
+
+  console.log(`⏰ Scheduler started with ${timers.size} job(s) as ${HOLDER_ID}`);
+};
+
+export const stopScheduler = () => {
+  for (const timer of timers.values()) {
+    clearInterval(timer);
+  }
+  timers.clear();
+};
@@ -0,0 +1,128 @@
+// middlewares/idempotency.js - Honor Idempotency-Key on mutating requests
+//
+// The first response to a key is stored and replayed for retries with the
+// same key, so a network retry can't create a second booking or charge.
+// Requests without the header are handled as usual. Must run after protect.
+// Multipart bodies are parsed later by multer, so only their path counts
+// towards the request fingerprint.
+import crypto from "crypto";
+import IdempotencyKey from "../models/IdempotencyKey.js";
+
+const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+const MAX_KEY_LENGTH = 255;
+// A key still in progress this long after the first request is taken over
+const IN_PROGRESS_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Same JSON for the same data whatever the key order
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+// Identifies what a key was first used for
+export const requestFingerprint = (method, path, body) =>
+  crypto
+    .createHash("sha256")
+    .update(`${method} ${path} ${stableStringify(body || {})}`)
+    .digest("hex");
+
+const storeResponse = async (record, statusCode, body) => {
+  try {
+    if (statusCode >= 500) {
+      // Let the client retry the request with the same key
+      await IdempotencyKey.deleteOne({ _id: record._id });
+      return;
+    }
+    await IdempotencyKey.updateOne(
+      { _id: record._id },
+      {
+        $set: {
+          status: "completed",
+          responseStatus: statusCode,
+          // Plain copy of the response; Mongoose documents don't store as-is
+          responseBody: JSON.parse(JSON.stringify(body ?? null)),
+          completedAt: new Date(),
+        },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Failed to store idempotent response:", error);
+  }
+};
+
+export const idempotency = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (!key || !MUTATING_METHODS.includes(req.method)) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+      code: "INVALID_IDEMPOTENCY_KEY",
+    });
+  }
+
+  const path = `${req.baseUrl}${req.path}`;
+  let claim;
+  try {
+    claim = await IdempotencyKey.claim(
+      {
+        user: req.user._id,
+        key,
+        requestHash: requestFingerprint(req.method, path, req.body),
+        method: req.method,
+        path,
+      },
+      IN_PROGRESS_TIMEOUT_MS
+    );
+  } catch (error) {
+    return next(error);
+  }
+
+  const { record, created } = claim;
+  if (!created) {
+    if (record.requestHash !== requestFingerprint(req.method, path, req.body)) {
+      return res.status(422).json({
+        success: false,
+        message: "This Idempotency-Key was already used for a different request",
+        code: "IDEMPOTENCY_KEY_REUSED",
+      });
+    }
+    if (record.status === "in_progress") {
+      return res.status(409).json({
+        success: false,
+        message: "The original request with this Idempotency-Key is still being processed",
+        code: "IDEMPOTENCY_REQUEST_IN_PROGRESS",
+      });
+    }
+
+    console.log(`🔁 Replaying ${record.method} ${record.path} for key ${key}`);
+    res.set("Idempotent-Replayed", "true");
+    return res.status(record.responseStatus).json(record.responseBody);
+  }
+
+  // Store whatever JSON the route responds with; a response that isn't JSON
+  // releases the key
+  let stored = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    stored = true;
+    storeResponse(record, res.statusCode, body);
+    return json(body);
+  };
+  res.on("finish", () => {
+    if (!stored) {
+      IdempotencyKey.deleteOne({ _id: record._id }).catch((error) =>
+        console.error("❌ Failed to release idempotency key:", error)
+      );
+    }
+  });
+
+  next();
+};
@@ -53,5 +53,9 @@ export const uploadUserDocuments = upload.fields([
 
 export const uploadProfileImage = upload.single("profileImage");
 
+export const uploadInspectionPhotos = upload.array("photos", 10);
+
+export const uploadClaimPhotos = upload.array("photos", 10);
+
 // Default export for backward compatibility
 export default upload;
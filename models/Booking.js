@@ -1,5 +1,51 @@
 // models/Booking.js - FIXED to remove duplicate indexes
 import mongoose from "mongoose";
+import Promo from "./Promo.js";
+
+// Snapshot of the terms a modification can change
+const bookingTermsSchema = new mongoose.Schema(
+  {
+    startDate: { type: Date },
+    endDate: { type: Date },
+    totalDays: { type: Number },
+    pickupLocation: { type: String },
+    returnLocation: { type: String },
+    deliveryRequested: { type: Boolean },
+    deliveryAddress: { type: String },
+    totalAmount: { type: Number },
+    deliveryFee: { type: Number },
+    totalPayable: { type: Number },
+  },
+  { _id: false }
+);
+
+// Rate of each rental day and any length-of-stay discount, as priced
+const priceBreakdownSchema = new mongoose.Schema(
+  {
+    days: [
+      {
+        _id: false,
+        date: { type: String }, // YYYY-MM-DD, UAE calendar day
+        rate: { type: Number },
+        rule: { type: String, enum: ["base", "weekend", "seasonal"] },
+        label: { type: String },
+      },
+    ],
+    subtotal: { type: Number },
+    discount: {
+      type: new mongoose.Schema(
+        {
+          period: { type: String, enum: ["weekly", "monthly"] },
+          percent: { type: Number },
+          amount: { type: Number },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+  },
+  { _id: false }
+);
 
 const bookingSchema = new mongoose.Schema(
   {
@@ -18,11 +64,64 @@ const bookingSchema = new mongoose.Schema(
     endDate: { type: Date, required: true },
     totalDays: { type: Number, required: true, min: 1 },
     // Pricing
-    dailyRate: { type: Number, required: true },
+    dailyRate: { type: Number, required: true }, // Average agreed rate
     totalAmount: { type: Number, required: true },
+    priceBreakdown: { type: priceBreakdownSchema },
+    // Promo code applied at checkout; totalAmount is already net of it
+    promo: {
+      type: new mongoose.Schema(
+        {
+          promoId: { type: mongoose.Schema.Types.ObjectId, ref: "Promo" },
+          code: { type: String },
+          discountType: { type: String, enum: ["percentage", "fixed"] },
+          discountValue: { type: Number },
+          amount: { type: Number }, // AED taken off the rental
+          released: { type: Boolean, default: false }, // Redemption given back
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
     securityDeposit: { type: Number, default: 0 },
+    // Card deposits are held on a separate manual-capture PaymentIntent.
+    // "none" means the deposit is paid with the rent or in cash.
+    deposit: {
+      status: {
+        type: String,
+        enum: [
+          "none",
+          "pending", // Waiting for the renter to authorize the card
+          "authorized",
+          "captured",
+          "partially_captured",
+          "released",
+          "failed", // Authorization or re-authorization failed
+        ],
+        default: "none",
+      },
+      amount: { type: Number, default: 0 },
+      paymentIntentId: { type: String },
+      paymentMethodId: { type: String },
+      customerId: { type: String },
+      authorizedAt: { type: Date },
+      expiresAt: { type: Date }, // When the authorization lapses
+      reauthorizedCount: { type: Number, default: 0 },
+      capturedAmount: { type: Number, default: 0 },
+      capturedAt: { type: Date },
+      releasedAt: { type: Date },
+      lastError: { type: String },
+    },
+    depositDeducted: { type: Number, default: 0 }, // Kept for settled damage claims
+    // Damage beyond the deposit, charged to the renter's saved card
+    damageCharge: {
+      amount: { type: Number, default: 0 },
+      paymentIntentId: { type: String },
+      chargedAt: { type: Date },
+    },
     deliveryFee: { type: Number, default: 0 },
     totalPayable: { type: Number, required: true }, // totalAmount + securityDeposit + deliveryFee
+    // Platform commission on rent and delivery, copied when booked (see utils/ledger.js)
+    commissionPercent: { type: Number, min: 0, max: 100 },
     // Status tracking
     status: {
       type: String,
@@ -38,6 +137,22 @@ const bookingSchema = new mongoose.Schema(
       ],
       default: "pending",
     },
+    // Audit trail of every status change (see utils/bookingStateMachine.js)
+    statusHistory: [
+      {
+        from: { type: String },
+        to: { type: String, required: true },
+        actor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        actorRole: {
+          type: String,
+          enum: ["renter", "owner", "admin", "system"],
+          required: true,
+        },
+        reason: { type: String, maxlength: 500 },
+        changedAt: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
     // Payment details
     paymentMethod: {
       type: String,
@@ -58,7 +173,11 @@ const bookingSchema = new mongoose.Schema(
     returnLocation: { type: String, required: true },
     pickupTime: { type: Date },
     returnTime: { type: Date },
+    actualPickupTime: { type: Date }, // Set at check-in
     actualReturnTime: { type: Date },
+    // Set by the scheduler when an active rental runs past endDate
+    isOverdue: { type: Boolean, default: false },
+    overdueAt: { type: Date },
     // Delivery options
     deliveryRequested: { type: Boolean, default: false },
     deliveryAddress: { type: String },
@@ -71,13 +190,151 @@ const bookingSchema = new mongoose.Schema(
     postRentalCondition: { type: String }, // Photos/notes after return
     damageReported: { type: Boolean, default: false },
     damageDescription: { type: String },
+    // Requests to keep the car longer (see POST /bookings/:id/extend)
+    extensions: [
+      {
+        previousEndDate: { type: Date, required: true },
+        newEndDate: { type: Date, required: true },
+        additionalDays: { type: Number, required: true, min: 1 },
+        additionalAmount: { type: Number, required: true },
+        priceBreakdown: { type: priceBreakdownSchema },
+        status: {
+          type: String,
+          enum: ["pending", "approved", "rejected", "cancelled"],
+          default: "pending",
+        },
+        paymentMethod: { type: String, enum: ["Cash", "Card"], default: "Card" },
+        paymentStatus: {
+          type: String,
+          enum: ["pending", "paid"],
+          default: "pending",
+        },
+        paymentIntentId: { type: String },
+        paidAt: { type: Date },
+        requestedAt: { type: Date, default: Date.now },
+        decidedAt: { type: Date },
+        decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        decisionReason: { type: String, maxlength: 500 },
+      },
+    ],
+    // Changes to dates, locations or delivery, approved by the owner
+    modifications: [
+      {
+        status: {
+          type: String,
+          enum: ["pending", "approved", "rejected", "withdrawn"],
+          default: "pending",
+        },
+        original: { type: bookingTermsSchema, required: true },
+        requested: { type: bookingTermsSchema, required: true },
+        priceDifference: { type: Number, required: true }, // + owed, - refund
+        priceBreakdown: { type: priceBreakdownSchema }, // New dates, as priced
+        // How the difference was settled once approved
+        settlement: {
+          type: {
+            type: String,
+            enum: ["none", "charge", "refund"],
+            default: "none",
+          },
+          status: {
+            type: String,
+            enum: ["pending", "completed", "failed"],
+          },
+          paymentIntentId: { type: String },
+          refundId: { type: String },
+          settledAt: { type: Date },
+        },
+        requestedAt: { type: Date, default: Date.now },
+        requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        renterNotes: { type: String, maxlength: 500 },
+        decidedAt: { type: Date },
+        decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        decisionReason: { type: String, maxlength: 500 },
+      },
+    ],
+    // Terms as first booked, kept once the booking is modified
+    originalTerms: { type: bookingTermsSchema },
+    // Pickup/return inspections recorded by either party
+    inspections: [
+      {
+        type: {
+          type: String,
+          enum: ["check_in", "check_out"],
+          required: true,
+        },
+        performedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        performedByRole: {
+          type: String,
+          enum: ["renter", "owner", "admin"],
+          required: true,
+        },
+        photos: [{ type: String }], // Cloudinary URLs
+        odometer: { type: Number, min: 0, required: true }, // km
+        fuelLevel: { type: Number, min: 0, max: 100, required: true }, // %
+        notes: { type: String, maxlength: 1000 },
+        performedAt: { type: Date, default: Date.now },
+      },
+    ],
     // Cancellation
     cancellationReason: { type: String },
     cancelledBy: {
       type: String,
       enum: ["renter", "owner", "admin", "system"],
     },
+    // Copied from the car when booked so later listing edits don't apply
+    cancellationPolicy: {
+      type: String,
+      enum: ["flexible", "moderate", "strict"],
+    },
     cancellationFee: { type: Number, default: 0 },
+    refundAmount: { type: Number, default: 0 },
+    refundStatus: {
+      type: String,
+      enum: ["none", "pending", "completed", "failed"],
+      default: "none",
+    },
+    refundId: { type: String }, // Stripe refund
+    refundedAt: { type: Date },
+    // Cash collected by the owner at pickup (utils/cashPayments.js)
+    cashCollection: {
+      status: {
+        type: String,
+        enum: [
+          "none",
+          "confirmed", // Owner recorded the cash
+          "acknowledged", // Renter agreed with the amount
+          "disputed",
+          "resolved", // Admin settled a dispute
+        ],
+        default: "none",
+      },
+      amount: { type: Number }, // AED collected
+      expectedAmount: { type: Number }, // AED due when recorded
+      notes: { type: String, maxlength: 500 },
+      confirmedAt: { type: Date },
+      confirmedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      acknowledgedAt: { type: Date },
+      dispute: {
+        raisedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        raisedByRole: { type: String, enum: ["renter", "owner"] },
+        reason: { type: String, maxlength: 500 },
+        claimedAmount: { type: Number }, // What the disputing party says changed hands
+        raisedAt: { type: Date },
+        resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        resolvedAt: { type: Date },
+        resolution: { type: String, maxlength: 500 },
+      },
+    },
+    // Card payment disputed by the renter's bank (Stripe webhooks)
+    chargeback: {
+      disputeId: { type: String },
+      amount: { type: Number }, // AED
+      reason: { type: String },
+      status: { type: String }, // Stripe dispute status, e.g. "won", "lost"
+      evidenceDueBy: { type: Date },
+      openedAt: { type: Date },
+      closedAt: { type: Date },
+    },
     // Review system
     renterReview: {
       rating: { type: Number, min: 1, max: 5 },
@@ -107,7 +364,15 @@ bookingSchema.index({ startDate: 1, endDate: 1 }); // Date range queries
 bookingSchema.index({ status: 1, expiresAt: 1 }); // For cleanup jobs
 bookingSchema.index({ status: 1 }); // General status queries
 bookingSchema.index({ paymentStatus: 1 }); // Payment status queries
+bookingSchema.index({ paymentMethod: 1, "cashCollection.status": 1 }); // Outstanding cash
+bookingSchema.index({ "deposit.status": 1, "deposit.expiresAt": 1 }); // Hold re-authorization
 bookingSchema.index({ createdAt: -1 }); // Recent bookings first
+bookingSchema.index({ "promo.promoId": 1, renter: 1 }); // Per-user promo limits
+// A payment can only pay for one booking
+bookingSchema.index({ transactionId: 1 }, { unique: true, sparse: true });
+bookingSchema.index({ paymentIntentId: 1 }, { unique: true, sparse: true });
+
+const PROMO_RELEASING_STATUSES = ["cancelled", "rejected", "expired"];
 
 // Calculate total days before saving
 bookingSchema.pre("save", function () {
@@ -131,6 +396,24 @@ bookingSchema.pre("save", function () {
       (this.securityDeposit || 0) +
       (this.deliveryFee || 0);
   }
+
+  // Bookings that never go ahead give their promo redemption back
+  if (
+    this.isModified("status") &&
+    PROMO_RELEASING_STATUSES.includes(this.status) &&
+    this.promo?.promoId &&
+    !this.promo.released
+  ) {
+    this.promo.released = true;
+    this.$locals.releasePromoId = this.promo.promoId;
+  }
+});
+
+bookingSchema.post("save", async function () {
+  const promoId = this.$locals.releasePromoId;
+  if (!promoId) return;
+  delete this.$locals.releasePromoId;
+  await Promo.releaseRedemption(promoId);
 });
 
 // Static method to find conflicting bookings
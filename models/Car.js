@@ -1,5 +1,47 @@
 // models/Car.js - FIXED to remove duplicate indexes
 import mongoose from "mongoose";
+import { fuzzedPoint } from "../utils/carLocation.js";
+
+// A date range (e.g. Ramadan, Eid, DSF, New Year) with its own daily rate
+const seasonalRateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Season name is required"],
+      trim: true,
+      maxlength: [50, "Season name cannot exceed 50 characters"],
+    },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true }, // Inclusive
+    dailyRate: {
+      type: Number,
+      required: true,
+      min: [50, "Seasonal rate cannot be less than AED 50 per day"],
+      max: [5000, "Seasonal rate cannot exceed AED 5000 per day"],
+    },
+  },
+  { _id: false }
+);
+
+// Dates the owner keeps the car off the road (servicing, own use). Like a
+// booking, the car is unavailable from startDate until endDate.
+const blackoutDateSchema = new mongoose.Schema(
+  {
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    reason: { type: String, trim: true, maxlength: 100 },
+  },
+  { _id: false }
+);
+
+// GeoJSON point of where the car is picked up
+const pointSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["Point"], required: true },
+    coordinates: { type: [Number], required: true }, // [lng, lat]
+  },
+  { _id: false }
+);
 
 const carSchema = new mongoose.Schema(
   {
@@ -128,6 +170,11 @@ const carSchema = new mongoose.Schema(
         message: "Please select a valid UAE city",
       },
     },
+    // Exact pickup point. Only the owner sees it; renters get a fuzzed pin
+    // (see utils/carLocation), so it is left out of queries by default.
+    location: { type: pointSchema, select: false },
+    // The fuzzed pin renters see, kept for near-me searches
+    searchLocation: { type: pointSchema, select: false },
     // FIXED: Consistent pricing field
     price: {
       type: Number,
@@ -135,6 +182,18 @@ const carSchema = new mongoose.Schema(
       min: [50, "Price cannot be less than AED 50 per day"],
       max: [5000, "Price cannot exceed AED 5000 per day"],
     },
+    // Rates that replace or discount the daily price (see utils/pricingRules)
+    pricingRules: {
+      weekendRate: {
+        type: Number,
+        min: [50, "Weekend rate cannot be less than AED 50 per day"],
+        max: [5000, "Weekend rate cannot exceed AED 5000 per day"],
+      },
+      weekendDays: { type: [Number], default: [5, 6] }, // 0 = Sunday
+      seasonalRates: { type: [seasonalRateSchema], default: [] },
+      weeklyDiscount: { type: Number, default: 0, min: 0, max: 50 }, // % off 7+ days
+      monthlyDiscount: { type: Number, default: 0, min: 0, max: 70 }, // % off 28+ days
+    },
     // Availability dates
     availabilityFrom: {
       type: Date,
@@ -144,6 +203,7 @@ const carSchema = new mongoose.Schema(
       type: Date,
       required: [true, "Availability end date is required"],
     },
+    blackoutDates: { type: [blackoutDateSchema], default: [] },
     // Car specifications
     make: {
       type: String,
@@ -263,6 +323,11 @@ const carSchema = new mongoose.Schema(
     },
     // Additional settings
     isInstantApproval: { type: Boolean, default: true },
+    cancellationPolicy: {
+      type: String,
+      enum: ["flexible", "moderate", "strict"],
+      default: "moderate",
+    },
     minimumRentalDays: { type: Number, default: 1, min: 1 },
     maximumRentalDays: { type: Number, default: 30, min: 1 },
     deliveryAvailable: { type: Boolean, default: false },
@@ -339,6 +404,7 @@ carSchema.index({ make: 1, model: 1 }); // Make + model searches
 carSchema.index({ availabilityFrom: 1, availabilityTo: 1 }); // Date range queries
 carSchema.index({ owner: 1 }); // Owner's cars
 carSchema.index({ status: 1 }); // Status queries
+carSchema.index({ searchLocation: "2dsphere" }); // Near-me searches
 carSchema.index({
   title: "text",
   description: "text",
@@ -353,6 +419,20 @@ carSchema.pre("save", function (next) {
     const error = new Error("Availability end date must be after start date");
     return next(error);
   }
+  if (this.location?.coordinates?.length && this.isModified("location")) {
+    this.searchLocation = fuzzedPoint(this.location.coordinates, this._id);
+  }
+  next();
+});
+
+// Listing edits go through findByIdAndUpdate; move the search pin with the car
+carSchema.pre("findOneAndUpdate", function (next) {
+  const update = this.getUpdate() || {};
+  const location = update.location || update.$set?.location;
+  const carId = this.getQuery()._id;
+  if (location?.coordinates?.length && carId) {
+    this.set("searchLocation", fuzzedPoint(location.coordinates, carId));
+  }
   next();
 });
 
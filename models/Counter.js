@@ -0,0 +1,47 @@
+// models/Counter.js - Named sequences for document numbers
+import mongoose from "mongoose";
+
+const counterSchema = new mongoose.Schema(
+  {
+    _id: { type: String }, // Sequence name, e.g. "invoice-2026"
+    seq: { type: Number, default: 0 },
+    // Numbers taken but never used on a document, kept so every gap in the
+    // sequence is accounted for
+    voided: {
+      type: [
+        {
+          seq: { type: Number, required: true },
+          reason: { type: String },
+          voidedAt: { type: Date, default: Date.now },
+          _id: false,
+        },
+      ],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Atomically take the next number of a sequence, starting at 1. Numbers
+// only go up, so they follow the order documents were issued in.
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+// Record a number that ended up on no document
+counterSchema.statics.void = function (name, seq, reason) {
+  return this.updateOne(
+    { _id: name },
+    { $push: { voided: { seq, reason, voidedAt: new Date() } } }
+  );
+};
+
+const Counter = mongoose.model("Counter", counterSchema);
+export default Counter;
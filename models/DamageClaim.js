@@ -0,0 +1,102 @@
+// models/DamageClaim.js - Owner damage claims against completed bookings
+import mongoose from "mongoose";
+
+const damageClaimSchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+    },
+    car: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Car",
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    renter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    description: { type: String, required: true, maxlength: 2000 },
+    photos: [{ type: String }], // Cloudinary URLs
+    estimatedCost: { type: Number, required: true, min: 1 }, // AED
+    // Check-in/check-out records from the booking, copied at filing time
+    evidence: [
+      {
+        type: { type: String, enum: ["check_in", "check_out"] },
+        performedByRole: { type: String },
+        photos: [{ type: String }],
+        odometer: { type: Number },
+        fuelLevel: { type: Number },
+        notes: { type: String },
+        performedAt: { type: Date },
+        _id: false,
+      },
+    ],
+    status: {
+      type: String,
+      enum: [
+        "open", // Waiting for the renter to respond
+        "accepted", // Renter accepted, settled
+        "contested", // Renter disputes it, waiting for admin
+        "upheld", // Admin sided with the owner (fully or partly), settled
+        "dismissed", // Admin sided with the renter
+      ],
+      default: "open",
+    },
+    renterResponse: {
+      message: { type: String, maxlength: 1000 },
+      respondedAt: { type: Date },
+    },
+    resolution: {
+      decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      approvedAmount: { type: Number, min: 0 },
+      notes: { type: String, maxlength: 1000 },
+      decidedAt: { type: Date },
+    },
+    // How the agreed amount was collected
+    settlement: {
+      amount: { type: Number, default: 0 },
+      depositDeducted: { type: Number, default: 0 },
+      chargeAmount: { type: Number, default: 0 }, // Beyond the deposit
+      chargeStatus: {
+        type: String,
+        enum: ["none", "pending", "paid", "failed"],
+        default: "none",
+      },
+      // Off-session charge to the renter's saved card
+      chargePaymentIntentId: { type: String },
+      chargeAttempts: { type: Number, default: 0 },
+      chargeError: { type: String },
+      chargedAt: { type: Date },
+      settledAt: { type: Date },
+    },
+    history: [
+      {
+        action: { type: String, required: true },
+        actor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        actorRole: { type: String, enum: ["renter", "owner", "admin"] },
+        note: { type: String, maxlength: 1000 },
+        at: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+damageClaimSchema.index({ booking: 1 });
+damageClaimSchema.index({ owner: 1, createdAt: -1 });
+damageClaimSchema.index({ renter: 1, createdAt: -1 });
+damageClaimSchema.index({ status: 1, createdAt: -1 }); // Admin dispute queue
+
+const DamageClaim = mongoose.model("DamageClaim", damageClaimSchema);
+export default DamageClaim;
@@ -0,0 +1,71 @@
+// models/IdempotencyKey.js - First response to a mutating request, replayed for retries
+import mongoose from "mongoose";
+
+// How long a key is remembered
+export const IDEMPOTENCY_KEY_TTL_SECONDS = 24 * 60 * 60;
+
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true }, // Idempotency-Key header
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    requestHash: { type: String, required: true }, // Method, path and body
+    method: { type: String, required: true },
+    path: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["in_progress", "completed"],
+      default: "in_progress",
+    },
+    lockedAt: { type: Date, default: Date.now },
+    responseStatus: { type: Number },
+    responseBody: { type: mongoose.Schema.Types.Mixed },
+    completedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Keys are scoped to the user who sent them
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: IDEMPOTENCY_KEY_TTL_SECONDS }
+);
+
+// Claim the key for this request. Returns { record, created }; when the key
+// was already used, record is the earlier request. A key still in progress
+// after staleAfterMs (the first request died) is taken over.
+idempotencyKeySchema.statics.claim = async function (
+  { user, key, requestHash, method, path },
+  staleAfterMs
+) {
+  try {
+    const record = await this.create({ user, key, requestHash, method, path });
+    return { record, created: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const now = new Date();
+  const takenOver = await this.findOneAndUpdate(
+    {
+      user,
+      key,
+      requestHash,
+      status: "in_progress",
+      lockedAt: { $lte: new Date(now.getTime() - staleAfterMs) },
+    },
+    { $set: { lockedAt: now } },
+    { new: true }
+  );
+  if (takenOver) return { record: takenOver, created: true };
+
+  const record = await this.findOne({ user, key });
+  // The earlier request failed and released the key in the meantime
+  if (!record) return this.claim({ user, key, requestHash, method, path }, staleAfterMs);
+  return { record, created: false };
+};
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", idempotencyKeySchema);
+export default IdempotencyKey;
@@ -0,0 +1,123 @@
+// models/Invoice.js - Issued tax invoices and credit notes (never edited)
+import mongoose from "mongoose";
+
+const partySchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    name: { type: String },
+    email: { type: String },
+    phone: { type: String },
+  },
+  { _id: false }
+);
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    number: { type: String, required: true, unique: true }, // INV-2026-000001
+    type: {
+      type: String,
+      enum: ["invoice", "credit_note"],
+      required: true,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+    },
+    // What the document was issued for; one document per source
+    source: {
+      type: {
+        type: String,
+        enum: ["booking", "extension", "modification", "cancellation", "refund"],
+        required: true,
+      },
+      id: { type: String, default: "" },
+    },
+    // Credit notes point at the invoice they reduce
+    relatedInvoice: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice" },
+    issuedAt: { type: Date, default: Date.now },
+    currency: { type: String, default: "AED" },
+
+    // Everything printed on the document, copied at issue time
+    seller: {
+      name: { type: String },
+      trn: { type: String }, // UAE Tax Registration Number
+      address: { type: String },
+    },
+    renter: partySchema,
+    owner: partySchema,
+    car: {
+      title: { type: String },
+      plateNumber: { type: String },
+    },
+    rental: {
+      startDate: { type: Date },
+      endDate: { type: Date },
+      totalDays: { type: Number },
+      dailyRate: { type: Number },
+      deliveryFee: { type: Number },
+      securityDeposit: { type: Number },
+      // "collected" with the rent, or "held" on the card and not charged
+      depositTreatment: { type: String, enum: ["none", "collected", "held"] },
+    },
+    lines: [
+      {
+        description: { type: String, required: true },
+        descriptionAr: { type: String },
+        quantity: { type: Number, default: 1 },
+        unitPrice: { type: Number }, // VAT inclusive
+        amount: { type: Number, required: true }, // VAT inclusive
+        vatRate: { type: Number, default: 0 }, // 0 = outside the scope of VAT
+        vatAmount: { type: Number, default: 0 },
+        _id: false,
+      },
+    ],
+    subtotal: { type: Number, required: true }, // Excluding VAT
+    vatTotal: { type: Number, required: true },
+    total: { type: Number, required: true },
+    payment: {
+      method: { type: String },
+      reference: { type: String },
+      paidAt: { type: Date },
+    },
+    reason: { type: String },
+
+    // The rendered PDF is kept so re-downloads match the original exactly
+    pdf: { type: Buffer, select: false },
+    pdfSha256: { type: String },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+invoiceSchema.index(
+  { booking: 1, type: 1, "source.type": 1, "source.id": 1 },
+  { unique: true }
+);
+invoiceSchema.index({ booking: 1, issuedAt: 1 });
+
+// Issued documents are immutable: corrections go through credit notes
+invoiceSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Issued invoices cannot be modified"));
+  }
+  next();
+});
+
+const rejectChange = function (next) {
+  next(new Error("Issued invoices cannot be modified or deleted"));
+};
+
+invoiceSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"],
+  rejectChange
+);
+invoiceSchema.pre(
+  ["deleteOne", "deleteMany", "findOneAndDelete"],
+  { document: false, query: true },
+  rejectChange
+);
+
+const Invoice = mongoose.model("Invoice", invoiceSchema);
+export default Invoice;
@@ -0,0 +1,52 @@
+// models/JobLock.js - Distributed lease so only one instance runs a job
+import mongoose from "mongoose";
+
+const jobLockSchema = new mongoose.Schema(
+  {
+    _id: { type: String }, // Job name
+    lockedBy: { type: String, required: true },
+    lockedAt: { type: Date, required: true },
+    lockedUntil: { type: Date, required: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Try to take the lease for a job. Returns true when this holder owns it.
+jobLockSchema.statics.acquire = async function (name, holder, ttlMs) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [{ lockedUntil: { $lte: now } }, { lockedBy: holder }],
+      },
+      {
+        $set: {
+          lockedBy: holder,
+          lockedAt: now,
+          lockedUntil: new Date(now.getTime() + ttlMs),
+        },
+      },
+      { upsert: true, new: true }
+    );
+    return lock?.lockedBy === holder;
+  } catch (error) {
+    // Upsert raced with a live lock held by another instance
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Release the lease if this holder still owns it
+jobLockSchema.statics.release = function (name, holder) {
+  return this.updateOne(
+    { _id: name, lockedBy: holder },
+    { $set: { lockedUntil: new Date() } }
+  );
+};
+
+const JobLock = mongoose.model("JobLock", jobLockSchema);
+export default JobLock;
@@ -0,0 +1,35 @@
+// models/JobRun.js - History of background job executions
+import mongoose from "mongoose";
+
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["running", "succeeded", "failed"],
+      default: "running",
+    },
+    host: { type: String }, // Instance that ran the job
+    trigger: {
+      type: String,
+      enum: ["schedule", "manual"],
+      default: "schedule",
+    },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date },
+    durationMs: { type: Number },
+    result: { type: mongoose.Schema.Types.Mixed }, // Job-specific summary
+    error: { type: String },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobRunSchema.index({ job: 1, startedAt: -1 }); // Recent runs per job
+jobRunSchema.index({ startedAt: -1 }); // Recent runs overall
+// Keep 30 days of history
+jobRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const JobRun = mongoose.model("JobRun", jobRunSchema);
+export default JobRun;
@@ -0,0 +1,75 @@
+// models/LedgerTransaction.js - Balanced double-entry ledger transactions
+import mongoose from "mongoose";
+
+export const LEDGER_ACCOUNTS = [
+  "platform_cash", // Money held by the platform (Stripe balance)
+  "card_holds", // Deposits authorized on renters' cards, not yet captured
+  "deposits_held", // Deposits owed back to renters
+  "owner_payable", // Owed to the owner on the line
+  "owner_cash", // Cash the owner on the line collected from renters
+  "platform_commission", // Platform revenue
+];
+
+const ledgerLineSchema = new mongoose.Schema(
+  {
+    account: { type: String, enum: LEDGER_ACCOUNTS, required: true },
+    // Debits are positive, credits negative; a transaction sums to zero
+    amount: { type: Number, required: true },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    memo: { type: String },
+  },
+  { _id: false }
+);
+
+const ledgerTransactionSchema = new mongoose.Schema(
+  {
+    // What the transaction records, e.g. "booking:<id>:payment"; recorded once
+    key: { type: String, required: true, unique: true },
+    type: {
+      type: String,
+      enum: [
+        "booking_payment",
+        "extension_payment",
+        "modification_charge",
+        "modification_refund",
+        "cancellation_refund",
+        "deposit_hold",
+        "deposit_capture",
+        "deposit_release",
+        "deposit_deduction",
+        "damage_charge",
+        "payout",
+      ],
+      required: true,
+    },
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    payout: { type: mongoose.Schema.Types.ObjectId, ref: "Payout" },
+    paymentMethod: { type: String, enum: ["Cash", "Card"] },
+    commissionPercent: { type: Number },
+    description: { type: String },
+    occurredAt: { type: Date, default: Date.now },
+    lines: {
+      type: [ledgerLineSchema],
+      validate: {
+        validator: (lines) =>
+          lines.length > 0 &&
+          Math.abs(lines.reduce((sum, line) => sum + line.amount, 0)) < 0.005,
+        message: "Ledger transaction does not balance",
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ledgerTransactionSchema.index({ booking: 1, occurredAt: 1 });
+ledgerTransactionSchema.index({ owner: 1, occurredAt: -1 }); // Owner statements
+ledgerTransactionSchema.index({ type: 1, occurredAt: -1 });
+
+const LedgerTransaction = mongoose.model(
+  "LedgerTransaction",
+  ledgerTransactionSchema
+);
+export default LedgerTransaction;
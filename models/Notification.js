@@ -15,14 +15,33 @@ const notificationSchema = new mongoose.Schema(
         "booking_created",
         "booking_approved",
         "booking_rejected",
+        "booking_started",
+        "booking_returned",
         "booking_completed",
         "booking_cancelled",
+        "booking_expired",
+        "booking_overdue",
+        "extension_requested",
+        "extension_approved",
+        "extension_rejected",
+        "modification_requested",
+        "modification_approved",
+        "modification_rejected",
+        "damage_claim_opened",
+        "damage_claim_accepted",
+        "damage_claim_contested",
+        "damage_claim_resolved",
         "payment_successful",
         "payment_failed",
+        "payout_sent",
+        "cash_payment_confirmed",
+        "cash_payment_disputed",
+        "cash_payment_resolved",
         "car_approved",
         "car_rejected",
         "car_listing_request",
         "new_booking_request",
+        "instant_booking_confirmed",
         "reminder",
         "system_announcement",
       ],
@@ -207,9 +226,19 @@ notificationSchema.statics.createBookingNotification = function (
     },
     booking_rejected: {
       title: "Booking Declined",
-      message: `Unfortunately, your booking for "${carTitle}" was declined.`,
+      message: `Unfortunately, your booking for "${carTitle}" was declined. Anything you paid is refunded in full.`,
       priority: "medium",
     },
+    booking_started: {
+      title: "Trip Started! 🔑",
+      message: `The pickup inspection for "${carTitle}" is done and the rental is now active.`,
+      priority: "medium",
+    },
+    booking_returned: {
+      title: "Car Returned 🔁",
+      message: `The renter has returned "${carTitle}". Please record the return inspection to complete the rental.`,
+      priority: "high",
+    },
     booking_completed: {
       title: "Trip Completed! 🚗",
       message: `Your trip with "${carTitle}" has been completed. Please rate your experience.`,
@@ -220,11 +249,71 @@ notificationSchema.statics.createBookingNotification = function (
       message: `Your booking for "${carTitle}" has been cancelled.`,
       priority: "medium",
     },
+    booking_expired: {
+      title: "Booking Request Expired",
+      message: `Your booking request for "${carTitle}" expired because the owner did not respond in time. Anything you paid is refunded in full.`,
+      priority: "medium",
+    },
+    booking_overdue: {
+      title: "Rental Overdue ⏰",
+      message: `The rental of "${carTitle}" has passed its return date and has not been returned yet.`,
+      priority: "urgent",
+    },
+    extension_requested: {
+      title: "Extension Requested 📅",
+      message: `The renter of your "${carTitle}" wants to keep it longer. Please approve or decline.`,
+      priority: "high",
+    },
+    extension_approved: {
+      title: "Extension Approved ✅",
+      message: `The rental of "${carTitle}" has been extended.`,
+      priority: "high",
+    },
+    extension_rejected: {
+      title: "Extension Declined",
+      message: `The extension request for "${carTitle}" was declined. Please return the car on the original date.`,
+      priority: "high",
+    },
+    modification_requested: {
+      title: "Booking Change Requested ✏️",
+      message: `The renter of your "${carTitle}" wants to change the booking dates or locations. Please approve or decline.`,
+      priority: "high",
+    },
+    modification_approved: {
+      title: "Booking Change Approved ✅",
+      message: `The changes to your booking of "${carTitle}" have been approved.`,
+      priority: "high",
+    },
+    modification_rejected: {
+      title: "Booking Change Declined",
+      message: `The requested changes to your booking of "${carTitle}" were declined. The original booking still stands.`,
+      priority: "high",
+    },
+    cash_payment_confirmed: {
+      title: "Cash Payment Recorded 💵",
+      message: `The owner of "${carTitle}" recorded your cash payment. Please check the amount in your bookings.`,
+      priority: "high",
+    },
+    cash_payment_disputed: {
+      title: "Cash Payment Disputed",
+      message: `The cash payment for "${carTitle}" has been disputed. Our team will review it.`,
+      priority: "high",
+    },
+    cash_payment_resolved: {
+      title: "Cash Payment Settled",
+      message: `Our team has settled the cash payment dispute for "${carTitle}".`,
+      priority: "high",
+    },
     new_booking_request: {
       title: "New Booking Request! 🔔",
       message: `You have a new booking request for your "${carTitle}".`,
       priority: "high",
     },
+    instant_booking_confirmed: {
+      title: "New Instant Booking! ⚡",
+      message: `Your "${carTitle}" was booked instantly. The reservation is confirmed, no approval needed.`,
+      priority: "high",
+    },
   };
 
   const notificationData = notifications[type];
@@ -252,6 +341,65 @@ notificationSchema.statics.createBookingNotification = function (
   });
 };
 
+notificationSchema.statics.createDamageClaimNotification = function (
+  userId,
+  type,
+  claim,
+  carTitle
+) {
+  const amount = claim.settlement?.amount || claim.estimatedCost;
+  const notifications = {
+    damage_claim_opened: {
+      title: "Damage Claim Filed",
+      message: `A damage claim of AED ${claim.estimatedCost} was filed for "${carTitle}". The renter can accept or contest it.`,
+      priority: "high",
+    },
+    damage_claim_accepted: {
+      title: "Damage Claim Accepted",
+      message: `The damage claim for "${carTitle}" was accepted. AED ${amount} will be settled from the security deposit first.`,
+      priority: "high",
+    },
+    damage_claim_contested: {
+      title: "Damage Claim Contested ⚖️",
+      message: `The damage claim for "${carTitle}" was contested and will be reviewed by our team.`,
+      priority: "high",
+    },
+    damage_claim_resolved: {
+      title: "Damage Claim Resolved",
+      message:
+        claim.status === "dismissed"
+          ? `The damage claim for "${carTitle}" was dismissed after review.`
+          : `The damage claim for "${carTitle}" was upheld for AED ${amount}.`,
+      priority: "high",
+    },
+  };
+
+  const notificationData = notifications[type];
+  if (!notificationData) {
+    throw new Error(`Invalid damage claim notification type: ${type}`);
+  }
+
+  return this.create({
+    user: userId,
+    type,
+    title: notificationData.title,
+    message: notificationData.message,
+    priority: notificationData.priority,
+    data: {
+      bookingId: claim.booking,
+      carId: claim.car,
+      amount,
+      redirectUrl: "/my-bookings",
+    },
+    channels: {
+      inApp: true,
+      email: true,
+      sms: false,
+      push: true,
+    },
+  });
+};
+
 notificationSchema.statics.createPaymentNotification = function (
   userId,
   type,
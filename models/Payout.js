@@ -0,0 +1,32 @@
+// models/Payout.js - Money sent to owners from their ledger balance
+import mongoose from "mongoose";
+
+const payoutSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    amount: { type: Number, required: true, min: 0.01 }, // AED
+    currency: { type: String, default: "AED" },
+    // Payouts marked as sent together share a batch
+    batchId: { type: String, required: true },
+    // Chosen by the client and reused on retries of the same batch
+    batchKey: { type: String },
+    reference: { type: String, maxlength: 100 }, // Bank transfer reference
+    notes: { type: String, maxlength: 500 },
+    sentAt: { type: Date, default: Date.now },
+    sentBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+payoutSchema.index({ owner: 1, sentAt: -1 });
+payoutSchema.index({ batchId: 1 });
+payoutSchema.index({ batchKey: 1 });
+
+const Payout = mongoose.model("Payout", payoutSchema);
+export default Payout;
@@ -0,0 +1,77 @@
+// models/Promo.js - Promo codes renters apply at checkout
+import mongoose from "mongoose";
+
+const promoSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Promo code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{3,30}$/, "Codes use 3-30 letters, digits, - or _"],
+    },
+    description: { type: String, maxlength: 200 },
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      required: true,
+    },
+    // Percent off the rental, or AED off the rental
+    discountValue: { type: Number, required: true, min: 0.01 },
+    maxDiscount: { type: Number, min: 0 }, // AED cap for percentage codes
+    validFrom: { type: Date, required: true },
+    validTo: { type: Date, required: true },
+    maxRedemptions: { type: Number, min: 1, default: null }, // null = unlimited
+    perUserLimit: { type: Number, min: 1, default: 1 },
+    minRentalDays: { type: Number, min: 1, default: 1 },
+    // Empty means every city / every car
+    cities: [{ type: String }],
+    cars: [{ type: mongoose.Schema.Types.ObjectId, ref: "Car" }],
+    isActive: { type: Boolean, default: true },
+    // Bookings currently holding a redemption (released on cancellation)
+    redemptionCount: { type: Number, default: 0, min: 0 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+promoSchema.index({ isActive: 1, validTo: 1 });
+
+promoSchema.pre("validate", function () {
+  if (this.discountType === "percentage" && this.discountValue > 100) {
+    this.invalidate("discountValue", "A percentage discount cannot exceed 100");
+  }
+  if (this.validTo && this.validFrom && this.validTo <= this.validFrom) {
+    this.invalidate("validTo", "Promo must end after it starts");
+  }
+});
+
+// Atomically take one redemption unless the code is used up
+promoSchema.statics.reserveRedemption = async function (promoId) {
+  const promo = await this.findOneAndUpdate(
+    {
+      _id: promoId,
+      isActive: true,
+      $or: [
+        { maxRedemptions: null },
+        { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } },
+      ],
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+  return Boolean(promo);
+};
+
+promoSchema.statics.releaseRedemption = function (promoId) {
+  return this.updateOne(
+    { _id: promoId, redemptionCount: { $gt: 0 } },
+    { $inc: { redemptionCount: -1 } }
+  );
+};
+
+const Promo = mongoose.model("Promo", promoSchema);
+export default Promo;
@@ -0,0 +1,59 @@
+// models/ReservationLock.js - Short-lived per-car lease held while a booking is written
+import mongoose from "mongoose";
+
+const reservationLockSchema = new mongoose.Schema(
+  {
+    _id: { type: String }, // Car ID
+    lockedBy: { type: String, required: true },
+    lockedUntil: { type: Date, required: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Try to take the lease for a car. Returns true when this holder owns it.
+reservationLockSchema.statics.acquire = async function (carId, holder, ttlMs) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      { _id: carId.toString(), lockedUntil: { $lte: now } },
+      {
+        $set: {
+          lockedBy: holder,
+          lockedUntil: new Date(now.getTime() + ttlMs),
+        },
+      },
+      { upsert: true, new: true }
+    );
+    return lock?.lockedBy === holder;
+  } catch (error) {
+    // Upsert raced with a live lock held by another request
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Extend the lease if this holder still owns it and it hasn't lapsed.
+// Returns false when the lease was lost.
+reservationLockSchema.statics.renew = async function (carId, holder, ttlMs) {
+  const now = new Date();
+  const lock = await this.findOneAndUpdate(
+    { _id: carId.toString(), lockedBy: holder, lockedUntil: { $gt: now } },
+    { $set: { lockedUntil: new Date(now.getTime() + ttlMs) } },
+    { new: true }
+  );
+  return Boolean(lock);
+};
+
+// Release the lease if this holder still owns it
+reservationLockSchema.statics.release = function (carId, holder) {
+  return this.updateOne(
+    { _id: carId.toString(), lockedBy: holder },
+    { $set: { lockedUntil: new Date() } }
+  );
+};
+
+const ReservationLock = mongoose.model("ReservationLock", reservationLockSchema);
+export default ReservationLock;
@@ -107,6 +107,7 @@ const userSchema = new mongoose.Schema(
       allowMessages: { type: Boolean, default: true },
     },
     // Account status
+    stripeCustomerId: { type: String }, // Stripe Customer for card holds
     isEmailVerified: { type: Boolean, default: false },
     isPhoneVerified: { type: Boolean, default: false },
     lastLoginAt: { type: Date },
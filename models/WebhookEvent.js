@@ -0,0 +1,43 @@
+// models/WebhookEvent.js - Verified Stripe webhook events and how they were processed
+import mongoose from "mongoose";
+
+const webhookEventSchema = new mongoose.Schema(
+  {
+    // Stripe event ID; Stripe retries deliver the same ID again
+    eventId: { type: String, required: true, unique: true },
+    type: { type: String, required: true },
+    livemode: { type: Boolean, default: false },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true }, // The event as received
+    status: {
+      type: String,
+      enum: [
+        "received",
+        "processing",
+        "processed",
+        "failed",
+        "ignored", // No handler for the event type
+      ],
+      default: "received",
+    },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String },
+    receivedAt: { type: Date, default: Date.now },
+    processingStartedAt: { type: Date },
+    processedAt: { type: Date },
+    // Admin replays
+    replayCount: { type: Number, default: 0 },
+    lastReplayedAt: { type: Date },
+    lastReplayedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookEventSchema.index({ status: 1, receivedAt: -1 }); // Failed events screen
+webhookEventSchema.index({ type: 1, receivedAt: -1 });
+// Keep 90 days of events, well past Stripe's 3-day retry window
+webhookEventSchema.index({ receivedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const WebhookEvent = mongoose.model("WebhookEvent", webhookEventSchema);
+export default WebhookEvent;
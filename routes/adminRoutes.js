@@ -18,13 +18,69 @@ import {
   getSystemConfig,
   updateSystemConfig,
   exportData,
+  getJobRuns,
+  getDisputes,
+  resolveDispute,
+  getPromos,
+  createPromo,
+  updatePromo,
+  deletePromo,
+  getWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent,
+  resolveCashDispute,
 } from "../controllers/adminController.js";
+import {
+  getPayoutBalances,
+  createPayoutBatch,
+  getPayouts,
+  getLedgerReconciliation,
+} from "../controllers/ledgerController.js";
 import { protect, restrictTo } from "../middlewares/authMiddleware.js";
 import { body } from "express-validator";
 import { handleValidationErrors } from "../utils/validators.js";
 
 const router = express.Router();
 
+// Promo fields shared by create and update; create also requires the
+// code, discount and validity window
+const promoRules = [
+  body("description")
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage("Description must be less than 200 characters"),
+  body("discountType")
+    .optional()
+    .isIn(["percentage", "fixed"])
+    .withMessage("Discount type must be percentage or fixed"),
+  body("discountValue")
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage("Discount value must be a positive number"),
+  body("maxDiscount")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Maximum discount must be a positive number"),
+  body("validFrom").optional().isISO8601().withMessage("Invalid start date"),
+  body("validTo").optional().isISO8601().withMessage("Invalid end date"),
+  body("maxRedemptions")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Maximum redemptions must be at least 1"),
+  body("perUserLimit")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Per-user limit must be at least 1"),
+  body("minRentalDays")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Minimum rental days must be at least 1"),
+  body("cities").optional().isArray().withMessage("Cities must be an array"),
+  body("cars").optional().isArray().withMessage("Cars must be an array"),
+  body("cars.*").isMongoId().withMessage("Invalid car ID"),
+  body("isActive").optional().isBoolean().withMessage("isActive must be boolean"),
+];
+
 // All admin routes require authentication and admin role
 router.use(protect);
 router.use(restrictTo("admin"));
@@ -108,6 +164,92 @@ router.delete("/cars/:carId", deleteCar);
 
 // Booking management
 router.get("/bookings", getAllBookings);
+router.patch(
+  "/bookings/:bookingId/cash-dispute",
+  [
+    body("amount")
+      .isFloat({ min: 0 })
+      .withMessage("Amount collected must be a positive number"),
+    body("resolution")
+      .trim()
+      .notEmpty()
+      .withMessage("Resolution notes are required")
+      .isLength({ max: 500 })
+      .withMessage("Resolution must be less than 500 characters"),
+  ],
+  handleValidationErrors,
+  resolveCashDispute
+);
+
+// Damage claim disputes
+router.get("/disputes", getDisputes);
+router.patch(
+  "/disputes/:claimId/resolve",
+  [
+    body("decision")
+      .isIn(["uphold", "dismiss"])
+      .withMessage("Decision must be uphold or dismiss"),
+    body("approvedAmount")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Approved amount must be a positive number"),
+    body("notes")
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage("Notes must be less than 1000 characters"),
+  ],
+  handleValidationErrors,
+  resolveDispute
+);
+
+// Promo codes
+router.get("/promos", getPromos);
+router.post(
+  "/promos",
+  [
+    body("code")
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,30}$/)
+      .withMessage("Codes use 3-30 letters, digits, - or _"),
+    body("discountType").exists().withMessage("Discount type is required"),
+    body("discountValue").exists().withMessage("Discount value is required"),
+    body("validFrom").exists().withMessage("Start date is required"),
+    body("validTo").exists().withMessage("End date is required"),
+    ...promoRules,
+  ],
+  handleValidationErrors,
+  createPromo
+);
+router.patch("/promos/:promoId", promoRules, handleValidationErrors, updatePromo);
+router.delete("/promos/:promoId", deletePromo);
+
+// Owner payouts and ledger
+router.get("/payouts/balances", getPayoutBalances);
+router.post(
+  "/payouts/batches",
+  [
+    body("ownerIds").isArray({ min: 1 }).withMessage("Owner IDs array is required"),
+    body("ownerIds.*").isMongoId().withMessage("Invalid owner ID"),
+    body("batchKey")
+      .isString()
+      .trim()
+      .isLength({ min: 8, max: 100 })
+      .withMessage("A batch key of 8 to 100 characters is required"),
+    body("reference")
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("Reference must be less than 100 characters"),
+    body("notes")
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage("Notes must be less than 500 characters"),
+  ],
+  handleValidationErrors,
+  createPayoutBatch
+);
+router.get("/payouts", getPayouts);
+router.get("/ledger/reconciliation", getLedgerReconciliation);
 
 // Document verification
 router.patch(
@@ -145,6 +287,14 @@ router.post(
 router.get("/activity-log", getAdminActivityLog);
 router.get("/export", exportData);
 
+// Background jobs
+router.get("/jobs/runs", getJobRuns);
+
+// Stripe webhook events
+router.get("/webhook-events", getWebhookEvents);
+router.get("/webhook-events/:eventId", getWebhookEvent);
+router.post("/webhook-events/:eventId/replay", replayWebhookEvent);
+
 // System configuration
 router.get("/config", getSystemConfig);
 router.patch(
@@ -2,18 +2,54 @@
 import express from "express";
 import {
   createBooking,
+  getPriceQuote,
+  applyBookingPromo,
+  removeBookingPromo,
   getMyBookings,
   getBookingsForOwner,
   updateBookingStatus,
   getBookingById,
   cancelBooking,
+  getCancellationPreview,
   addReview,
+  checkInBooking,
+  checkOutBooking,
+  getExtensionOptions,
+  requestExtension,
+  respondToExtension,
+  previewModification,
+  requestModification,
+  withdrawModification,
+  respondToModification,
+  confirmCashPayment,
+  acknowledgeCashPayment,
+  disputeCashPayment,
 } from "../controllers/bookingController.js";
-import { protect, restrictTo } from "../middlewares/authMiddleware.js";
+import {
+  getBookingReceipt,
+  getBookingInvoices,
+  downloadInvoice,
+} from "../controllers/invoiceController.js";
+import {
+  protect,
+  restrictTo,
+  uploadLimiter,
+} from "../middlewares/authMiddleware.js";
+import { uploadInspectionPhotos } from "../middlewares/multer.js";
+import { idempotency } from "../middlewares/idempotency.js";
 import {
   validateCreateBooking,
+  validatePriceQuote,
+  validateBookingPromo,
+  validateCashConfirmation,
+  validateCashDispute,
   validateUpdateBookingStatus,
   validateAddReview,
+  validateInspection,
+  validateExtension,
+  validateExtensionDecision,
+  validateModification,
+  validateModificationDecision,
   handleValidationErrors,
 } from "../utils/validators.js";
 
@@ -22,6 +58,9 @@ const router = express.Router();
 // All routes require authentication
 router.use(protect);
 
+// Retried creates and changes with the same Idempotency-Key get the first response
+router.use(idempotency);
+
 // POST /api/bookings - Create new booking (authenticated users only, role checked in controller)
 router.post(
   "/",
@@ -30,6 +69,9 @@ router.post(
   createBooking
 );
 
+// GET /api/bookings/quote - Signed price quote for a car and dates
+router.get("/quote", validatePriceQuote, handleValidationErrors, getPriceQuote);
+
 // GET /api/bookings/me - Get my bookings (any authenticated user)
 router.get("/me", getMyBookings);
 
@@ -47,9 +89,125 @@ router.put(
   updateBookingStatus
 );
 
+// PATCH /api/bookings/:id/status - Same as PUT, used by the seller order screen
+router.patch(
+  "/:id/status",
+  validateUpdateBookingStatus,
+  handleValidationErrors,
+  updateBookingStatus
+);
+
+// POST /api/bookings/:id/promo - Apply a promo code before paying
+router.post(
+  "/:id/promo",
+  validateBookingPromo,
+  handleValidationErrors,
+  applyBookingPromo
+);
+
+// DELETE /api/bookings/:id/promo - Remove the promo code before paying
+router.delete("/:id/promo", removeBookingPromo);
+
+// GET /api/bookings/:id/cancellation-preview - Fee and refund if cancelled now
+router.get("/:id/cancellation-preview", getCancellationPreview);
+
 // PATCH /api/bookings/:id/cancel - Cancel booking
 router.patch("/:id/cancel", cancelBooking);
 
+// POST /api/bookings/:id/check-in - Pickup inspection (photos, odometer, fuel), starts the rental
+router.post(
+  "/:id/check-in",
+  uploadLimiter,
+  uploadInspectionPhotos,
+  validateInspection,
+  handleValidationErrors,
+  checkInBooking
+);
+
+// POST /api/bookings/:id/check-out - Return inspection, completes the rental
+router.post(
+  "/:id/check-out",
+  uploadLimiter,
+  uploadInspectionPhotos,
+  validateInspection,
+  handleValidationErrors,
+  checkOutBooking
+);
+
+// POST /api/bookings/:id/cash/confirm - Owner records cash received at pickup
+router.post(
+  "/:id/cash/confirm",
+  validateCashConfirmation,
+  handleValidationErrors,
+  confirmCashPayment
+);
+
+// POST /api/bookings/:id/cash/acknowledge - Renter agrees with the recorded cash
+router.post("/:id/cash/acknowledge", acknowledgeCashPayment);
+
+// POST /api/bookings/:id/cash/dispute - Renter or owner disputes the cash payment
+router.post(
+  "/:id/cash/dispute",
+  validateCashDispute,
+  handleValidationErrors,
+  disputeCashPayment
+);
+
+// GET /api/bookings/:id/extension-options - Latest end date and blocked windows
+router.get("/:id/extension-options", getExtensionOptions);
+
+// POST /api/bookings/:id/extend - Renter asks to keep the car longer
+router.post(
+  "/:id/extend",
+  validateExtension,
+  handleValidationErrors,
+  requestExtension
+);
+
+// PATCH /api/bookings/:id/extensions/:extensionId - Owner approves or rejects
+router.patch(
+  "/:id/extensions/:extensionId",
+  validateExtensionDecision,
+  handleValidationErrors,
+  respondToExtension
+);
+
+// POST /api/bookings/:id/modifications/preview - Price difference of a change
+router.post(
+  "/:id/modifications/preview",
+  validateModification,
+  handleValidationErrors,
+  previewModification
+);
+
+// POST /api/bookings/:id/modifications - Renter asks to change dates or locations
+router.post(
+  "/:id/modifications",
+  validateModification,
+  handleValidationErrors,
+  requestModification
+);
+
+// DELETE /api/bookings/:id/modifications/:modificationId - Renter withdraws
+router.delete("/:id/modifications/:modificationId", withdrawModification);
+
+// PATCH /api/bookings/:id/modifications/:modificationId - Owner approves or rejects
+router.patch(
+  "/:id/modifications/:modificationId",
+  validateModificationDecision,
+  handleValidationErrors,
+  respondToModification
+);
+
+// GET /api/bookings/:id/receipt - Tax invoice for the booking payment (PDF)
+router.get("/:id/receipt", getBookingReceipt);
+
+// GET /api/bookings/:id/invoices - Invoices and credit notes issued for the booking
+router.get("/:id/invoices", getBookingInvoices);
+
+// GET /api/bookings/:id/invoices/:invoiceId - Download a stored invoice or credit note (PDF)
+router.get("/:id/invoices/:invoiceId", downloadInvoice);
+
 // POST /api/bookings/:id/review - Add review to completed booking
 router.post(
   "/:id/review",
@@ -3,6 +3,8 @@ import express from "express";
 import {
   createCar,
   getCars,
+  getCarFacets,
+  getSearchSuggestions,
   getCarById,
   updateCar,
   deleteCar,
@@ -14,7 +16,11 @@ import {
   bulkUpdateCars,
   toggleCarStatus,
   duplicateCarListing,
+  getCancellationPolicies,
+  updatePricingRules,
+  getPriceCalendar,
 } from "../controllers/carController.js";
+import { getMyBalance, getMyStatement } from "../controllers/ledgerController.js";
 import {
   protect,
   restrictTo,
@@ -23,7 +29,8 @@ import {
   uploadLimiter,
 } from "../middlewares/authMiddleware.js";
 import { uploadCarImages } from "../middlewares/multer.js";
-import { body, validationResult } from "express-validator";
+import { body, query, validationResult } from "express-validator";
+import { MAX_SEARCH_RADIUS_KM } from "../utils/carLocation.js";
 
 const router = express.Router();
 
@@ -202,6 +209,57 @@ const carValidationRules = [
   body("availabilityTo")
     .isISO8601()
     .withMessage("Please provide a valid availability end date"),
+
+  body("cancellationPolicy")
+    .optional()
+    .isIn(["flexible", "moderate", "strict"])
+    .withMessage("Please select a valid cancellation policy"),
+];
+
+// Near-me, trip date and text search parameters for GET /api/cars
+const validateCarSearch = [
+  query("search")
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage("Search text cannot exceed 100 characters"),
+  query("lat")
+    .if((value, { req }) => value !== undefined || req.query.lng !== undefined)
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("A latitude between -90 and 90 is required"),
+  query("lng")
+    .if((value, { req }) => value !== undefined || req.query.lat !== undefined)
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("A longitude between -180 and 180 is required"),
+  query("radiusKm")
+    .optional()
+    .isFloat({ gt: 0, max: MAX_SEARCH_RADIUS_KM })
+    .withMessage(`Radius must be between 0 and ${MAX_SEARCH_RADIUS_KM} km`),
+  // Trip dates: both or neither, with the return after the pickup
+  query("startDate")
+    .if((value, { req }) => value !== undefined || req.query.endDate !== undefined)
+    .isISO8601()
+    .withMessage("A valid pickup date is required")
+    .bail()
+    .custom((value) => new Date(value) >= new Date(Date.now() - 24 * 60 * 60 * 1000))
+    .withMessage("Pickup date cannot be in the past"),
+  query("endDate")
+    .if((value, { req }) => value !== undefined || req.query.startDate !== undefined)
+    .isISO8601()
+    .withMessage("A valid return date is required")
+    .bail()
+    .custom((value, { req }) => new Date(value) > new Date(req.query.startDate))
+    .withMessage("Return date must be after pickup date"),
+];
+
+const validateSuggestions = [
+  query("q")
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Type 1 to 50 characters to get suggestions"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage("Limit must be between 1 and 20"),
 ];
 
 // Enhanced validation error handler
@@ -232,15 +290,29 @@ const handleValidationErrors = (req, res, next) => {
 router.get(
   "/",
   optionalAuth, // Optional authentication for personalized results
+  validateCarSearch,
+  handleValidationErrors,
   getCars
 );
 
+// GET /api/cars/facets - Filter value counts and price histogram for a search
+router.get("/facets", validateCarSearch, handleValidationErrors, getCarFacets);
+
+// GET /api/cars/suggest - Make and model autocomplete for the search box
+router.get("/suggest", validateSuggestions, handleValidationErrors, getSearchSuggestions);
+
+// GET /api/cars/cancellation-policies - Policy tiers for listings and checkout
+router.get("/cancellation-policies", getCancellationPolicies);
+
 // GET /api/cars/:id - Get single car
 router.get("/:id", optionalAuth, getCarById);
 
 // GET /api/cars/:id/availability - Get car availability and existing bookings
 router.get("/:id/availability", getCarAvailability);
 
+// GET /api/cars/:id/price-calendar - Daily rates with weekend and seasonal pricing
+router.get("/:id/price-calendar", getPriceCalendar);
+
 // GET /api/cars/owner/:ownerId - Get cars by specific owner
 router.get("/owner/:ownerId", getCarsByOwner);
 
@@ -256,12 +328,21 @@ router.get("/seller/dashboard", restrictTo("owner"), getSellerDashboard);
 // GET /api/cars/seller/orders - Get seller orders (Owner only)
 router.get("/seller/orders", restrictTo("owner"), getSellerOrders);
 
+// GET /api/cars/seller/balance - Get ledger balance and recent payouts (Owner only)
+router.get("/seller/balance", restrictTo("owner"), getMyBalance);
+
+// GET /api/cars/seller/statement - Get ledger statement (Owner only)
+router.get("/seller/statement", restrictTo("owner"), getMyStatement);
+
 // PUT /api/cars/bulk - Bulk update multiple cars (Owner only)
 router.put("/bulk", restrictTo("owner"), bulkUpdateCars);
 
 // PATCH /api/cars/:id/toggle-status - Toggle car active/inactive status (Owner only)
 router.patch("/:id/toggle-status", restrictTo("owner"), toggleCarStatus);
 
+// PUT /api/cars/:id/pricing-rules - Set weekend, seasonal and discount pricing (Owner only)
+router.put("/:id/pricing-rules", restrictTo("owner"), updatePricingRules);
+
 // POST /api/cars/:id/duplicate - Duplicate car listing (Owner only)
 router.post("/:id/duplicate", restrictTo("owner"), duplicateCarListing);
 
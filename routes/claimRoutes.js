@@ -0,0 +1,46 @@
+// routes/claimRoutes.js - Damage claim routes
+import express from "express";
+import {
+  createDamageClaim,
+  getMyClaims,
+  getClaimById,
+  respondToClaim,
+} from "../controllers/claimController.js";
+import { protect, uploadLimiter } from "../middlewares/authMiddleware.js";
+import { uploadClaimPhotos } from "../middlewares/multer.js";
+import {
+  validateCreateClaim,
+  validateClaimResponse,
+  handleValidationErrors,
+} from "../utils/validators.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// POST /api/claims - Owner files a damage claim against a completed booking
+router.post(
+  "/",
+  uploadLimiter,
+  uploadClaimPhotos,
+  validateCreateClaim,
+  handleValidationErrors,
+  createDamageClaim
+);
+
+// GET /api/claims/me - Claims I filed or that were filed against me
+router.get("/me", getMyClaims);
+
+// GET /api/claims/:id - Single claim with evidence
+router.get("/:id", getClaimById);
+
+// PATCH /api/claims/:id/respond - Renter accepts or contests
+router.patch(
+  "/:id/respond",
+  validateClaimResponse,
+  handleValidationErrors,
+  respondToClaim
+);
+
+export default router;
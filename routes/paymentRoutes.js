@@ -6,14 +6,32 @@ import {
   createPaymentIntent,
   confirmPayment,
   handleStripeWebhook,
-  getPaymentHistory,
   getSavedPaymentMethods,
   deleteSavedPaymentMethod,
+  createSetupIntent,
+  setDefaultPaymentMethod,
   refundPayment,
+  payExtension,
+  confirmExtensionPayment,
+  payModification,
+  confirmModificationPayment,
+  placeDepositHold,
+  confirmDepositHold,
 } from "../controllers/paymentController.js";
+import {
+  getPaymentHistory,
+  getPaymentStatements,
+  getPaymentStatement,
+  exportPaymentHistory,
+} from "../controllers/paymentHistoryController.js";
 import { protect, restrictTo } from "../middlewares/authMiddleware.js";
-import { body, param } from "express-validator";
+import { idempotency } from "../middlewares/idempotency.js";
+import { body, param, query } from "express-validator";
 import { handleValidationErrors } from "../utils/validators.js";
+import {
+  PAYMENT_ENTRY_KINDS,
+  PAYMENT_ENTRY_STATUSES,
+} from "../utils/paymentHistory.js";
 
 const router = express.Router();
 
@@ -27,6 +45,7 @@ router.get("/stripe-config", getStripeConfig);
 
 // PROTECTED ROUTES
 router.use(protect); // All routes below require authentication
+router.use(idempotency); // Retries with the same Idempotency-Key can't charge twice
 
 // MAIN Payment Processing Route (handles all payment methods)
 router.post(
@@ -35,9 +54,10 @@ router.post(
     body("paymentMethod")
       .isIn(["stripe", "cash_on_pickup", "Cash", "Card"])
       .withMessage("Invalid payment method"),
-    body("amount")
-      .isFloat({ min: 50, max: 50000 })
-      .withMessage("Amount must be between 50 and 50,000 AED"),
+    body("quoteToken")
+      .optional()
+      .isJWT()
+      .withMessage("Valid price quote required"),
     body("currency")
       .optional()
       .isIn(["aed", "AED"])
@@ -63,10 +83,15 @@ router.post(
       .optional()
       .isMongoId()
       .withMessage("Valid booking ID required"),
-    body("amount")
+    body("quoteToken")
       .optional()
-      .isFloat({ min: 50 })
-      .withMessage("Amount must be at least 50 AED"),
+      .isJWT()
+      .withMessage("Valid price quote required"),
+    body("paymentMethodId")
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage("Valid saved card required"),
   ],
   handleValidationErrors,
   createPaymentIntent
@@ -103,8 +128,134 @@ router.delete(
   deleteSavedPaymentMethod
 );
 
-// Payment history
-router.get("/history", getPaymentHistory);
+// Save a new card with a SetupIntent confirmed by Stripe.js
+router.post("/setup-intent", createSetupIntent);
+
+router.post(
+  "/saved-methods/:paymentMethodId/default",
+  [
+    param("paymentMethodId")
+      .notEmpty()
+      .withMessage("Payment method ID required"),
+  ],
+  handleValidationErrors,
+  setDefaultPaymentMethod
+);
+
+// Pay for an approved rental extension
+router.post(
+  "/extension",
+  [
+    body("bookingId").isMongoId().withMessage("Valid booking ID required"),
+    body("extensionId").isMongoId().withMessage("Valid extension ID required"),
+  ],
+  handleValidationErrors,
+  payExtension
+);
+
+router.post(
+  "/extension/confirm",
+  [
+    body("bookingId").isMongoId().withMessage("Valid booking ID required"),
+    body("extensionId").isMongoId().withMessage("Valid extension ID required"),
+    body("paymentIntentId")
+      .notEmpty()
+      .withMessage("Payment intent ID required"),
+  ],
+  handleValidationErrors,
+  confirmExtensionPayment
+);
+
+// Pay the price difference of an approved booking change
+router.post(
+  "/modification",
+  [
+    body("bookingId").isMongoId().withMessage("Valid booking ID required"),
+    body("modificationId")
+      .isMongoId()
+      .withMessage("Valid modification ID required"),
+  ],
+  handleValidationErrors,
+  payModification
+);
+
+router.post(
+  "/modification/confirm",
+  [
+    body("bookingId").isMongoId().withMessage("Valid booking ID required"),
+    body("modificationId")
+      .isMongoId()
+      .withMessage("Valid modification ID required"),
+    body("paymentIntentId")
+      .notEmpty()
+      .withMessage("Payment intent ID required"),
+  ],
+  handleValidationErrors,
+  confirmModificationPayment
+);
+
+// Security deposit authorization hold
+router.post(
+  "/deposit-hold",
+  [body("bookingId").isMongoId().withMessage("Valid booking ID required")],
+  handleValidationErrors,
+  placeDepositHold
+);
+
+router.post(
+  "/deposit-hold/confirm",
+  [body("bookingId").isMongoId().withMessage("Valid booking ID required")],
+  handleValidationErrors,
+  confirmDepositHold
+);
+
+// Payment history: charges, refunds, deposits, damage charges and payouts
+const validateHistoryQuery = [
+  query("from").optional().isISO8601().withMessage("Valid start date required"),
+  query("to").optional().isISO8601().withMessage("Valid end date required"),
+  query("month")
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage("Month must be YYYY-MM"),
+  query("status")
+    .optional()
+    .isIn(PAYMENT_ENTRY_STATUSES)
+    .withMessage("Invalid payment status"),
+  query("kind")
+    .optional()
+    .isIn(PAYMENT_ENTRY_KINDS)
+    .withMessage("Invalid transaction type"),
+  query("as")
+    .optional()
+    .isIn(["renter", "owner"])
+    .withMessage("Role must be renter or owner"),
+  query("page").optional().isInt({ min: 1 }).withMessage("Invalid page"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+router.get("/history", validateHistoryQuery, handleValidationErrors, getPaymentHistory);
+router.get(
+  "/history/export",
+  validateHistoryQuery,
+  handleValidationErrors,
+  exportPaymentHistory
+);
+
+// Monthly statements
+router.get("/statements", getPaymentStatements);
+router.get(
+  "/statements/:month",
+  [
+    param("month")
+      .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+      .withMessage("Month must be YYYY-MM"),
+  ],
+  handleValidationErrors,
+  getPaymentStatement
+);
 
 // Refund routes (for admins and in specific cases)
 router.post(
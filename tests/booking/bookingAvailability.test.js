@@ -0,0 +1,88 @@
+import { describe, it, expect, vi } from 'vitest';
+import Booking from '../../models/Booking.js';
+import {
+  computeNextFreeWindow,
+  tripAvailabilityFilter,
+  findBlackout,
+  normalizeBlackoutDates,
+  findNextAvailableWindow,
+} from '../../utils/bookingAvailability.js';
+
+vi.mock('../../models/Booking.js', () => ({ default: { find: vi.fn() } }));
+
+const day = (d) => new Date(`2030-01-${String(d).padStart(2, '0')}T10:00:00Z`);
+
+describe('Next free booking window', () => {
+  it('should return the requested dates when nothing overlaps', () => {
+    const window = computeNextFreeWindow([], day(5), day(8));
+    expect(window).toEqual({ startDate: day(5), endDate: day(8) });
+  });
+
+  it('should skip past back-to-back bookings to the first gap that fits', () => {
+    const bookings = [
+      { startDate: day(4), endDate: day(7) },
+      { startDate: day(7), endDate: day(9) },
+      { startDate: day(11), endDate: day(14) }, // 2-day gap is too short
+    ];
+    const window = computeNextFreeWindow(bookings, day(5), day(8));
+    expect(window).toEqual({ startDate: day(14), endDate: day(17) });
+  });
+
+  it('should return null when no window fits before the listing ends', () => {
+    const bookings = [{ startDate: day(4), endDate: day(20) }];
+    expect(computeNextFreeWindow(bookings, day(5), day(8), day(21))).toBeNull();
+  });
+});
+
+describe('Trip availability filter', () => {
+  it('should require the listing window to cover the trip and allow its length', () => {
+    expect(tripAvailabilityFilter(day(5), day(8))).toEqual({
+      availabilityFrom: { $lte: day(5) },
+      availabilityTo: { $gte: day(8) },
+      blackoutDates: {
+        $not: { $elemMatch: { startDate: { $lt: day(8) }, endDate: { $gt: day(5) } } },
+      },
+      minimumRentalDays: { $not: { $gt: 3 } },
+      maximumRentalDays: { $not: { $lt: 3 } },
+    });
+  });
+
+  it('should count a part day as a full rental day', () => {
+    const filter = tripAvailabilityFilter(day(5), new Date('2030-01-06T18:00:00Z'));
+    expect(filter.minimumRentalDays).toEqual({ $not: { $gt: 2 } });
+  });
+});
+
+describe('Blackout dates', () => {
+  const car = { blackoutDates: [{ startDate: day(10), endDate: day(12) }] };
+
+  it('should find a blackout overlapping the trip', () => {
+    expect(findBlackout(car, day(11), day(14))).toEqual(car.blackoutDates[0]);
+    expect(findBlackout(car, day(8), day(10))).toBeUndefined();
+    expect(findBlackout(car, day(12), day(14))).toBeUndefined();
+    expect(findBlackout({}, day(11), day(14))).toBeUndefined();
+  });
+
+  it('should read blackouts from a listing form', () => {
+    const blackouts = normalizeBlackoutDates(
+      JSON.stringify([{ startDate: day(10), endDate: day(12), reason: ' Service ' }])
+    );
+    expect(blackouts).toEqual([{ startDate: day(10), endDate: day(12), reason: 'Service' }]);
+    expect(() =>
+      normalizeBlackoutDates([{ startDate: day(12), endDate: day(10) }])
+    ).toThrow('Each blackout must end after it starts');
+  });
+
+  it('should not suggest a next window inside a blackout', async () => {
+    Booking.find.mockReturnValue({
+      select: () => ({ lean: async () => [{ startDate: day(5), endDate: day(10) }] }),
+    });
+
+    const window = await findNextAvailableWindow(
+      { _id: 'car1', ...car, availabilityTo: day(30) },
+      day(6),
+      day(8)
+    );
+    expect(window).toEqual({ startDate: day(12), endDate: day(14) });
+  });
+});
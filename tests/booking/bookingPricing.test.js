@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import {
+  createQuote,
+  verifyQuote,
+  quoteMatchesRequest,
+  checkRentalRequest,
+  priceModification,
+  QuoteError,
+} from '../../utils/bookingPricing.js';
+
+const car = {
+  _id: 'car1',
+  status: 'active',
+  price: 300,
+  securityDeposit: 500,
+  deliveryFee: 50,
+  deliveryAvailable: true,
+  minimumRentalDays: 2,
+  availabilityFrom: new Date('2030-01-01'),
+  availabilityTo: new Date('2030-12-31'),
+};
+
+const request = {
+  startDate: '2030-03-01',
+  endDate: '2030-03-04',
+  deliveryRequested: true,
+};
+
+describe('Booking price quotes', () => {
+  beforeAll(() => {
+    process.env.QUOTE_SECRET = 'test-quote-secret';
+  });
+
+  it('should leave a held card deposit out of the amount due', () => {
+    const { quote } = createQuote(car, { ...request, paymentMethod: 'Card' }, 'user1');
+
+    expect(quote).toMatchObject({
+      totalDays: 3,
+      totalAmount: 900,
+      deliveryFee: 50,
+      totalPayable: 1450,
+      depositHold: 500,
+      amountDue: 950,
+    });
+  });
+
+  it('should charge the deposit with the rent for cash payments', () => {
+    const { quote } = createQuote(car, { ...request, paymentMethod: 'Cash' }, 'user1');
+    expect(quote.amountDue).toBe(1450);
+  });
+
+  it('should only accept a quote from the user it was issued to', () => {
+    const { token } = createQuote(car, request, 'user1');
+
+    expect(verifyQuote(token, 'user1').totalPayable).toBe(1450);
+    expect(() => verifyQuote(token, 'user2')).toThrow(QuoteError);
+    expect(() => verifyQuote(`${token}x`, 'user1')).toThrow('Invalid price quote');
+  });
+
+  it('should match the quote only to the same car, dates and delivery', () => {
+    const { token } = createQuote(car, request, 'user1');
+    const quote = verifyQuote(token, 'user1');
+
+    expect(quoteMatchesRequest(quote, { carId: 'car1', ...request })).toBe(true);
+    expect(
+      quoteMatchesRequest(quote, { carId: 'car1', ...request, endDate: '2030-03-05' })
+    ).toBe(false);
+    expect(
+      quoteMatchesRequest(quote, { carId: 'car1', ...request, deliveryRequested: false })
+    ).toBe(false);
+  });
+
+  it('should refuse rentals shorter than the minimum', () => {
+    const problem = checkRentalRequest(
+      car,
+      { startDate: '2030-03-01', endDate: '2030-03-02' },
+      new Date('2030-02-01')
+    );
+    expect(problem.code).toBe('MIN_RENTAL_DAYS_NOT_MET');
+  });
+
+  it('should refuse dates the owner has blacked out', () => {
+    const problem = checkRentalRequest(
+      {
+        ...car,
+        blackoutDates: [{ startDate: '2030-03-03', endDate: '2030-03-06' }],
+      },
+      { startDate: '2030-03-01', endDate: '2030-03-04' },
+      new Date('2030-02-01')
+    );
+    expect(problem.code).toBe('DATES_BLACKED_OUT');
+  });
+
+  describe('modifications', () => {
+    const seasonalCar = {
+      ...car,
+      pricingRules: {
+        seasonalRates: [
+          { name: 'Eid', startDate: '2030-04-01', endDate: '2030-04-10', dailyRate: 500 },
+        ],
+        weeklyDiscount: 10,
+      },
+    };
+    const booking = {
+      startDate: new Date('2030-03-01T00:00:00Z'),
+      endDate: new Date('2030-03-04T00:00:00Z'),
+      totalAmount: 900,
+      securityDeposit: 500,
+      dailyRate: 300,
+    };
+
+    it('should price new dates at the car rates for those days', () => {
+      const pricing = priceModification(seasonalCar, booking, {
+        startDate: new Date('2030-04-02T00:00:00Z'),
+        endDate: new Date('2030-04-05T00:00:00Z'),
+        deliveryRequested: false,
+      });
+
+      expect(pricing.totalAmount).toBe(1500);
+      expect(pricing.totalPayable).toBe(2000);
+      expect(pricing.priceBreakdown.days.map((d) => d.rule)).toEqual([
+        'seasonal',
+        'seasonal',
+        'seasonal',
+      ]);
+    });
+
+    it('should apply length-of-stay discounts and keep the promo', () => {
+      const pricing = priceModification(
+        seasonalCar,
+        { ...booking, promo: { amount: 100 } },
+        {
+          startDate: new Date('2030-03-01T00:00:00Z'),
+          endDate: new Date('2030-03-08T00:00:00Z'),
+          deliveryRequested: false,
+        }
+      );
+
+      // 7 days at 300, 10% weekly discount, then the promo
+      expect(pricing.totalAmount).toBe(1790);
+    });
+
+    it('should keep the booked rent when only the locations change', () => {
+      const pricing = priceModification(seasonalCar, booking, {
+        startDate: booking.startDate,
+        endDate: booking.endDate,
+        deliveryRequested: true,
+      });
+
+      expect(pricing).toMatchObject({
+        totalAmount: 900,
+        deliveryFee: 50,
+        totalPayable: 1450,
+        priceBreakdown: null,
+      });
+    });
+  });
+});
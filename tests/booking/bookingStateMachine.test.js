@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BOOKING_STATUSES,
+  canTransition,
+  getAllowedTransitions,
+  getBookingRole,
+  transitionBooking,
+  InvalidTransitionError,
+} from '../../utils/bookingStateMachine.js';
+
+const makeBooking = (overrides = {}) => ({
+  status: 'pending',
+  paymentStatus: 'pending',
+  renter: 'renter-1',
+  car: { owner: 'owner-1' },
+  statusHistory: [],
+  ...overrides,
+});
+
+describe('Booking state machine', () => {
+  it('should cover all eight booking statuses', () => {
+    expect(BOOKING_STATUSES).toEqual([
+      'pending',
+      'approved',
+      'confirmed',
+      'active',
+      'completed',
+      'cancelled',
+      'rejected',
+      'expired',
+    ]);
+  });
+
+  it('should resolve the role a user plays on a booking', () => {
+    const booking = makeBooking();
+    expect(getBookingRole(booking, { id: 'owner-1', role: 'owner' })).toBe('owner');
+    expect(getBookingRole(booking, { id: 'renter-1', role: 'renter' })).toBe('renter');
+    expect(getBookingRole(booking, { id: 'x', role: 'admin' })).toBe('admin');
+    expect(getBookingRole(booking, { id: 'stranger', role: 'renter' })).toBeNull();
+  });
+
+  it('should not let an owner jump from pending to completed', () => {
+    const booking = makeBooking();
+    expect(canTransition(booking, 'completed', 'owner')).toBe(false);
+    expect(() => transitionBooking(booking, 'completed', { role: 'owner' }))
+      .toThrow(InvalidTransitionError);
+    expect(booking.status).toBe('pending');
+  });
+
+  it('should only let renters cancel', () => {
+    const booking = makeBooking({ status: 'approved' });
+    expect(getAllowedTransitions(booking, 'renter')).toEqual(['cancelled']);
+  });
+
+  it('should only allow owners to cancel pending bookings', () => {
+    expect(canTransition(makeBooking(), 'cancelled', 'owner')).toBe(true);
+    expect(canTransition(makeBooking({ status: 'approved' }), 'cancelled', 'owner')).toBe(false);
+  });
+
+  it('should let the system approve and confirm instant bookings', () => {
+    const booking = makeBooking({ paymentStatus: 'paid' });
+    transitionBooking(booking, 'approved', { role: 'system', reason: 'Instant book' });
+    transitionBooking(booking, 'confirmed', { role: 'system' });
+    expect(booking.status).toBe('confirmed');
+    expect(booking.statusHistory.map((h) => h.actorRole)).toEqual(['system', 'system']);
+  });
+
+  it('should require payment before confirming', () => {
+    const unpaid = makeBooking({ status: 'approved' });
+    const paid = makeBooking({ status: 'approved', paymentStatus: 'paid' });
+    expect(canTransition(unpaid, 'confirmed', 'system')).toBe(false);
+    expect(canTransition(paid, 'confirmed', 'system')).toBe(true);
+  });
+
+  it('should only let the owner or an admin end an active rental', () => {
+    const booking = makeBooking({ status: 'active', paymentStatus: 'paid' });
+    expect(canTransition(booking, 'completed', 'renter')).toBe(false);
+    expect(canTransition(booking, 'completed', 'owner')).toBe(true);
+    expect(canTransition(booking, 'completed', 'admin')).toBe(true);
+  });
+
+  it('should only end a rental through the return inspection', () => {
+    const booking = makeBooking({ status: 'active', paymentStatus: 'paid' });
+    expect(canTransition(booking, 'completed', 'owner', { manual: true })).toBe(false);
+    expect(() =>
+      transitionBooking(booking, 'completed', { role: 'owner', manual: true })
+    ).toThrow(InvalidTransitionError);
+    expect(booking.status).toBe('active');
+  });
+
+  it('should record each transition in statusHistory', () => {
+    const booking = makeBooking();
+    transitionBooking(booking, 'approved', {
+      actor: 'owner-1',
+      role: 'owner',
+      reason: 'Looks good',
+    });
+
+    expect(booking.status).toBe('approved');
+    expect(booking.approvedAt).toBeInstanceOf(Date);
+    expect(booking.statusHistory).toHaveLength(1);
+    expect(booking.statusHistory[0]).toMatchObject({
+      from: 'pending',
+      to: 'approved',
+      actor: 'owner-1',
+      actorRole: 'owner',
+      reason: 'Looks good',
+    });
+  });
+
+  it('should report INVALID_TRANSITION with the allowed targets', () => {
+    const booking = makeBooking({ status: 'completed' });
+    try {
+      transitionBooking(booking, 'cancelled', { role: 'renter' });
+      expect.unreachable();
+    } catch (error) {
+      expect(error.code).toBe('INVALID_TRANSITION');
+      expect(error.statusCode).toBe(409);
+      expect(error.allowed).toEqual([]);
+    }
+  });
+});
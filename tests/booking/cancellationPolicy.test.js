@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateCancellation,
+  getAmountPaid,
+} from '../../utils/cancellationPolicy.js';
+
+const HOUR_MS = 1000 * 60 * 60;
+const now = new Date('2025-06-01T10:00:00Z');
+
+const paidBooking = (hoursBeforePickup, overrides = {}) => ({
+  status: 'confirmed',
+  startDate: new Date(now.getTime() + hoursBeforePickup * HOUR_MS),
+  totalAmount: 1000,
+  totalPayable: 1600, // + 500 deposit + 100 delivery
+  paymentStatus: 'paid',
+  ...overrides,
+});
+
+describe('Cancellation policy', () => {
+  it('should refund everything when cancelled before the first tier', () => {
+    const terms = calculateCancellation(paidBooking(100), {
+      policy: 'moderate',
+      at: now,
+    });
+
+    expect(terms).toMatchObject({
+      refundPercent: 100,
+      cancellationFee: 0,
+      refundAmount: 1600,
+    });
+  });
+
+  it('should charge the tier fee on the rental amount only', () => {
+    const terms = calculateCancellation(paidBooking(48), {
+      policy: 'moderate',
+      at: now,
+    });
+
+    expect(terms.refundPercent).toBe(50);
+    expect(terms.cancellationFee).toBe(500);
+    expect(terms.refundAmount).toBe(1100);
+  });
+
+  it('should keep the whole rental after pickup time', () => {
+    const terms = calculateCancellation(paidBooking(-2), {
+      policy: 'flexible',
+      at: now,
+    });
+
+    expect(terms.cancellationFee).toBe(1000);
+    expect(terms.refundAmount).toBe(600);
+  });
+
+  it('should not charge owners or renters of unaccepted requests', () => {
+    const byOwner = calculateCancellation(paidBooking(1), {
+      policy: 'strict',
+      role: 'owner',
+      at: now,
+    });
+    const pending = calculateCancellation(
+      paidBooking(1, { status: 'pending' }),
+      { policy: 'strict', at: now }
+    );
+
+    expect(byOwner.cancellationFee).toBe(0);
+    expect(pending.cancellationFee).toBe(0);
+  });
+
+  it('should fall back to the moderate policy and refund nothing unpaid', () => {
+    const terms = calculateCancellation(
+      paidBooking(48, { paymentStatus: 'pending' }),
+      { policy: 'unknown', at: now }
+    );
+
+    expect(terms.policy).toBe('moderate');
+    expect(terms.refundAmount).toBe(0);
+  });
+
+  it('should leave unpaid extensions out of the amount paid', () => {
+    const booking = paidBooking(48, {
+      totalPayable: 1800,
+      paymentStatus: 'partial',
+      extensions: [
+        { status: 'approved', paymentStatus: 'pending', additionalAmount: 200 },
+      ],
+    });
+
+    expect(getAmountPaid(booking)).toBe(1600);
+  });
+});
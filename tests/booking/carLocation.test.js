@@ -0,0 +1,80 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  toGeoPoint,
+  distanceKm,
+  fuzzCoordinates,
+  fuzzedPoint,
+  withPublicLocation,
+} from '../../utils/carLocation.js';
+
+process.env.LOCATION_FUZZ_SECRET = 'test-fuzz-secret';
+
+const marina = [55.1415, 25.0805];
+const downtown = [55.2744, 25.1972];
+
+describe('Car locations', () => {
+  it('should read lat/lng from a listing form into a GeoJSON point', () => {
+    expect(toGeoPoint('{"lat":25.0805,"lng":55.1415}')).toEqual({
+      type: 'Point',
+      coordinates: marina,
+    });
+    expect(toGeoPoint({ coordinates: marina }).coordinates).toEqual(marina);
+  });
+
+  it('should reject points outside the UAE or swapped lat/lng', () => {
+    expect(() => toGeoPoint({ lat: 55.1415, lng: 25.0805 })).toThrow('in the UAE');
+    expect(() => toGeoPoint({ lat: 25.08 })).toThrow('latitude and longitude');
+  });
+
+  it('should measure distances in km', () => {
+    expect(distanceKm(marina, downtown)).toBeCloseTo(18.6, 0);
+  });
+
+  it('should show the same fuzzed pin every time, away from the car', () => {
+    const pin = fuzzCoordinates(marina, 'car1');
+    const km = distanceKm(marina, [pin.lng, pin.lat]);
+
+    expect(fuzzCoordinates(marina, 'car1')).toEqual(pin);
+    expect(fuzzCoordinates(marina, 'car2')).not.toEqual(pin);
+    expect(km).toBeGreaterThan(0.25);
+    expect(km).toBeLessThan(0.85);
+  });
+
+  describe('without the fuzz secret', () => {
+    afterEach(() => {
+      process.env.LOCATION_FUZZ_SECRET = 'test-fuzz-secret';
+      delete process.env.JWT_SECRET;
+    });
+
+    it('should not be possible to recompute the pin from the car ID', () => {
+      const pin = fuzzCoordinates(marina, 'car1');
+
+      process.env.LOCATION_FUZZ_SECRET = 'guessed-secret';
+      expect(fuzzCoordinates(marina, 'car1')).not.toEqual(pin);
+      process.env.LOCATION_FUZZ_SECRET = '';
+      process.env.JWT_SECRET = 'jwt-secret';
+      expect(fuzzCoordinates(marina, 'car1')).not.toEqual(pin);
+    });
+  });
+
+  it('should search on the fuzzed pin renters are shown', () => {
+    const pin = fuzzCoordinates(marina, 'car1');
+
+    expect(fuzzedPoint(marina, 'car1')).toEqual({
+      type: 'Point',
+      coordinates: [pin.lng, pin.lat],
+    });
+  });
+
+  it('should never return the exact location to renters', () => {
+    const car = withPublicLocation(
+      { _id: 'car1', title: 'Patrol', location: { type: 'Point', coordinates: marina } },
+      downtown
+    );
+
+    expect(car.location).toBeUndefined();
+    expect(car.displayLocation).toEqual(fuzzCoordinates(marina, 'car1'));
+    expect(car.distanceKm).toBeGreaterThan(17);
+    expect(withPublicLocation({ _id: 'car2' })).toEqual({ _id: 'car2' });
+  });
+});
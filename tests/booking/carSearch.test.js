@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildFilterClauses,
+  combineFilterClauses,
+  buildFacetStage,
+  formatFacets,
+} from '../../utils/carSearch.js';
+
+const base = { status: 'active' };
+
+describe('Car search facets', () => {
+  it('should apply every filter to search results', () => {
+    const clauses = buildFilterClauses({
+      city: 'Dubai',
+      priceMin: '100',
+      transmission: 'Manual',
+      features: 'Bluetooth',
+    });
+
+    expect(combineFilterClauses(base, clauses)).toEqual({
+      status: 'active',
+      $and: [
+        { city: 'Dubai' },
+        { price: { $gte: 100 } },
+        { transmission: 'Manual' },
+        { features: { $in: ['Bluetooth'] } },
+      ],
+    });
+    expect(combineFilterClauses(base, {})).toEqual(base);
+  });
+
+  it('should count a facet without its own selection', () => {
+    const clauses = buildFilterClauses({ city: 'Dubai', transmission: 'Manual' });
+    const { $facet } = buildFacetStage(clauses);
+
+    expect($facet.transmission[0]).toEqual({ $match: { $and: [{ city: 'Dubai' }] } });
+    expect($facet.city[0]).toEqual({ $match: { $and: [{ transmission: 'Manual' }] } });
+    expect($facet.features[1]).toEqual({ $unwind: '$features' });
+  });
+
+  it('should return every price bucket, empty ones included', () => {
+    const facets = formatFacets({
+      city: [{ _id: 'Dubai', count: 4 }, { _id: null, count: 1 }],
+      priceBuckets: [{ _id: 150, count: 3 }],
+      priceRange: [{ _id: null, min: 160, max: 190 }],
+      total: [{ count: 4 }],
+    });
+
+    expect(facets.city).toEqual([{ value: 'Dubai', count: 4 }]);
+    expect(facets.make).toEqual([]);
+    expect(facets.price.min).toBe(160);
+    expect(facets.price.buckets[0]).toEqual({ min: 50, max: 100, count: 0 });
+    expect(facets.price.buckets[2]).toEqual({ min: 150, max: 200, count: 3 });
+    expect(facets.total).toBe(4);
+    expect(formatFacets().total).toBe(0);
+  });
+});
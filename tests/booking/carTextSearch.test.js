@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeText,
+  tokenize,
+  expandSearchTerms,
+  buildVocabulary,
+  rankSuggestions,
+  escapeRegex,
+} from '../../utils/carTextSearch.js';
+
+const vocabulary = buildVocabulary([
+  { make: 'Toyota', model: 'Camry' },
+  { make: 'Nissan', model: 'Patrol' },
+]);
+
+const entries = [
+  { type: 'make', label: 'Toyota', count: 3 },
+  { type: 'model', label: 'Toyota Camry', count: 2 },
+  { type: 'make', label: 'Tesla', count: 5 },
+  { type: 'model', label: 'Nissan Patrol', count: 1 },
+];
+
+describe('Car text search', () => {
+  it('should normalize Arabic letter variants, diacritics and digits', () => {
+    expect(normalizeText('أُودي ـ Q7 ٢٠٢٣!')).toBe('اودي q7 2023');
+    expect(normalizeText('Citroën')).toBe('citroen');
+  });
+
+  it('should transliterate Arabic make and model names', () => {
+    expect(tokenize('تويوتا كامري')).toEqual(['toyota', 'camry']);
+    expect(tokenize('بي ام دبليو X5')).toEqual(['bmw', 'x5']);
+  });
+
+  it('should correct small typos against listed makes and models', () => {
+    expect(expandSearchTerms('Toyta Patrl', vocabulary)).toEqual([
+      'toyota',
+      'patrol',
+      'toyta',
+      'patrl',
+    ]);
+    expect(expandSearchTerms('suv', vocabulary)).toEqual(['suv']);
+  });
+
+  it('should rank suggestions by match then listing count', () => {
+    expect(rankSuggestions('to', entries).map((s) => s.label)).toEqual([
+      'Toyota',
+      'Toyota Camry',
+    ]);
+    expect(rankSuggestions('تويوتا ك', entries)[0].label).toBe('Toyota Camry');
+    expect(rankSuggestions('patr', entries)).toEqual([
+      { type: 'model', label: 'Nissan Patrol', count: 1 },
+    ]);
+    expect(rankSuggestions('toyt', entries)[0].label).toBe('Toyota');
+  });
+
+  it('should escape regex input', () => {
+    expect(new RegExp(escapeRegex('a.*(b')).test('xa.*(b')).toBe(true);
+    expect(new RegExp(escapeRegex('a.*')).test('abc')).toBe(false);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, vi } from 'vitest';
+import mongoose from 'mongoose';
+import {
+  readPageRequest,
+  paginate,
+  pageInfo,
+  encodeCursor,
+  MAX_PAGE_LIMIT,
+} from '../../utils/pagination.js';
+
+const ids = Array.from({ length: 3 }, () => new mongoose.Types.ObjectId());
+const sameTime = new Date('2025-03-01T10:00:00Z');
+const rows = ids.map((_id) => ({ _id, createdAt: sameTime }));
+
+const request = (query) => readPageRequest(query, 2);
+
+describe('Cursor pagination', () => {
+  it('should read limits and reject tampered cursors', () => {
+    expect(request({})).toEqual({ limit: 2, page: 1, cursor: null });
+    expect(request({ limit: '5000' }).limit).toBe(MAX_PAGE_LIMIT);
+    expect(() => request({ cursor: 'not-a-cursor' })).toThrow('Invalid pagination cursor');
+    expect(() => request({ cursor: encodeCursor({ f: 'createdAt', id: 'x' }) })).toThrow();
+  });
+
+  it('should reject cursors whose sort value is not a plain value', () => {
+    const id = '64b000000000000000000001';
+    const cursor = (v, d) => encodeCursor({ f: 'price', v, d, id });
+
+    expect(() => request({ cursor: cursor({ $ne: null }) })).toThrow('Invalid pagination cursor');
+    expect(() => request({ cursor: cursor(['a']) })).toThrow('Invalid pagination cursor');
+    expect(() => request({ cursor: cursor('soon', true) })).toThrow('Invalid pagination cursor');
+    expect(() => request({ cursor: cursor(300, 'yes') })).toThrow('Invalid pagination cursor');
+    expect(request({ cursor: cursor(300) }).cursor.v).toBe(300);
+    expect(request({ cursor: cursor('2030-01-01T00:00:00.000Z', true) }).cursor.d).toBe(true);
+    expect(request({ cursor: cursor(null) }).cursor.v).toBeNull();
+  });
+
+  it('should break ties on _id and continue after the last row', async () => {
+    const find = vi.fn(async () => rows);
+    const first = await paginate(find, {
+      filter: { status: 'active' },
+      sort: { createdAt: -1 },
+      request: request({}),
+    });
+
+    expect(find).toHaveBeenCalledWith({ status: 'active' }, { createdAt: -1, _id: -1 }, 0, 3);
+    expect(first.docs).toHaveLength(2);
+    expect(first.hasNext).toBe(true);
+
+    await paginate(find, {
+      filter: { status: 'active' },
+      sort: { createdAt: -1 },
+      request: request({ cursor: first.nextCursor }),
+    });
+    const [filter, , skip] = find.mock.calls[1];
+
+    expect(skip).toBe(0);
+    expect(filter.$and[0].$or).toEqual([
+      { createdAt: { $lt: sameTime } },
+      { createdAt: sameTime, _id: { $lt: ids[1] } },
+      { createdAt: null },
+    ]);
+  });
+
+  it('should page by offset when the sort has no key', async () => {
+    const find = vi.fn(async () => rows);
+    const sort = { score: { $meta: 'textScore' }, _id: -1 };
+    const first = await paginate(find, { filter: {}, sort, request: request({}) });
+
+    await paginate(find, { filter: {}, sort, request: request({ cursor: first.nextCursor }) });
+
+    expect(find.mock.calls[1][2]).toBe(2);
+    // A cursor from a different sort can't be continued
+    const staleCursor = encodeCursor({ f: 'createdAt', v: null, id: String(ids[0]) });
+    await expect(
+      paginate(find, { filter: {}, sort: { price: 1 }, request: request({ cursor: staleCursor }) })
+    ).rejects.toThrow('Invalid pagination cursor');
+  });
+
+  it('should keep page fields for page-number clients', async () => {
+    const result = await paginate(async () => rows.slice(0, 1), {
+      filter: {},
+      sort: { createdAt: -1 },
+      request: request({ page: '3' }),
+    });
+
+    expect(pageInfo(result, 5)).toEqual({
+      currentPage: 3,
+      totalPages: 3,
+      totalCount: 5,
+      hasNext: false,
+      hasPrev: true,
+      limit: 2,
+      nextCursor: null,
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import {
+  priceRentalDays,
+  normalizePricingRules,
+} from '../../utils/pricingRules.js';
+import { calculateBookingPricing } from '../../utils/bookingPricing.js';
+
+// 2030-03-07 is a Thursday
+const car = {
+  price: 200,
+  securityDeposit: 0,
+  pricingRules: {
+    weekendRate: 300,
+    weekendDays: [5, 6],
+    seasonalRates: [
+      {
+        name: 'Ramadan',
+        startDate: new Date('2030-03-01'),
+        endDate: new Date('2030-03-31'),
+        dailyRate: 150,
+      },
+      {
+        name: 'Eid al-Fitr',
+        startDate: new Date('2030-03-09'),
+        endDate: new Date('2030-03-11'),
+        dailyRate: 450,
+      },
+    ],
+    weeklyDiscount: 10,
+    monthlyDiscount: 25,
+  },
+};
+
+describe('Car pricing rules', () => {
+  it('should charge weekend days at the weekend rate', () => {
+    const { days, subtotal } = priceRentalDays(
+      { ...car, pricingRules: { ...car.pricingRules, seasonalRates: [] } },
+      '2030-03-07',
+      '2030-03-10'
+    );
+
+    expect(days.map((d) => `${d.date}:${d.rule}:${d.rate}`)).toEqual([
+      '2030-03-07:base:200',
+      '2030-03-08:weekend:300',
+      '2030-03-09:weekend:300',
+    ]);
+    expect(subtotal).toBe(800);
+  });
+
+  it('should let the later-starting season win where seasons overlap', () => {
+    const { days } = priceRentalDays(car, '2030-03-08', '2030-03-13');
+
+    expect(days.map((d) => d.label)).toEqual([
+      'Ramadan',
+      'Eid al-Fitr',
+      'Eid al-Fitr',
+      'Eid al-Fitr',
+      'Ramadan',
+    ]);
+  });
+
+  it('should apply the weekly discount from 7 days and store the breakdown', () => {
+    const pricing = calculateBookingPricing(
+      { ...car, pricingRules: { ...car.pricingRules, seasonalRates: [] } },
+      '2030-04-01',
+      '2030-04-08'
+    );
+
+    // 5 weekdays at 200 and 2 weekend days at 300, less 10%
+    expect(pricing.priceBreakdown.subtotal).toBe(1600);
+    expect(pricing.priceBreakdown.discount).toEqual({
+      period: 'weekly',
+      percent: 10,
+      amount: 160,
+    });
+    expect(pricing.totalAmount).toBe(1440);
+    expect(pricing.dailyRate).toBe(205.71);
+  });
+
+  it('should reject a season that ends before it starts', () => {
+    expect(() =>
+      normalizePricingRules(
+        JSON.stringify({
+          seasonalRates: [
+            { name: 'DSF', startDate: '2030-01-31', endDate: '2030-01-01', dailyRate: 250 },
+          ],
+        })
+      )
+    ).toThrow('DSF must end on or after its start date');
+  });
+});
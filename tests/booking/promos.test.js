@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculatePromoDiscount,
+  checkPromoEligibility,
+} from '../../utils/promos.js';
+import {
+  calculateBookingPricing,
+  applyPromoDiscount,
+} from '../../utils/bookingPricing.js';
+
+const car = { _id: 'car1', city: 'Dubai', price: 200, securityDeposit: 500 };
+
+const promo = {
+  isActive: true,
+  discountType: 'percentage',
+  discountValue: 20,
+  validFrom: new Date('2030-01-01'),
+  validTo: new Date('2030-12-31'),
+  maxRedemptions: 10,
+  redemptionCount: 0,
+  perUserLimit: 1,
+  minRentalDays: 3,
+  cities: [],
+  cars: [],
+};
+
+const now = new Date('2030-06-01');
+
+describe('Promo codes', () => {
+  it('caps percentage discounts and never exceeds the rental', () => {
+    expect(calculatePromoDiscount(promo, 1000)).toBe(200);
+    expect(calculatePromoDiscount({ ...promo, maxDiscount: 150 }, 1000)).toBe(150);
+    expect(
+      calculatePromoDiscount({ discountType: 'fixed', discountValue: 300 }, 250)
+    ).toBe(250);
+  });
+
+  it('checks validity, limits, rental length and scope', () => {
+    const rental = { car, totalDays: 3 };
+    expect(checkPromoEligibility(promo, rental, now)).toBeNull();
+    expect(checkPromoEligibility(promo, rental, new Date('2031-01-02')).code).toBe(
+      'PROMO_EXPIRED'
+    );
+    expect(
+      checkPromoEligibility({ ...promo, redemptionCount: 10 }, rental, now).code
+    ).toBe('PROMO_EXHAUSTED');
+    expect(
+      checkPromoEligibility(promo, { ...rental, userRedemptions: 1 }, now).code
+    ).toBe('PROMO_USER_LIMIT');
+    expect(checkPromoEligibility(promo, { car, totalDays: 2 }, now).code).toBe(
+      'PROMO_MIN_DAYS'
+    );
+    expect(
+      checkPromoEligibility({ ...promo, cities: ['Sharjah'] }, rental, now).code
+    ).toBe('PROMO_NOT_APPLICABLE');
+    expect(
+      checkPromoEligibility({ ...promo, cars: ['car2'] }, rental, now).code
+    ).toBe('PROMO_NOT_APPLICABLE');
+  });
+
+  it('takes the discount off the rental, not the deposit or daily rate', () => {
+    const pricing = calculateBookingPricing(car, '2030-03-01', '2030-03-04');
+    const discounted = applyPromoDiscount(pricing, { code: 'SUMMER', amount: 120 });
+
+    expect(discounted.totalAmount).toBe(480);
+    expect(discounted.totalPayable).toBe(980);
+    expect(discounted.dailyRate).toBe(200);
+    expect(discounted.promo.code).toBe('SUMMER');
+  });
+});
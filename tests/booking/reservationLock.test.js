@@ -0,0 +1,114 @@
+import { describe, it, expect, vi } from 'vitest';
+import mongoose from 'mongoose';
+import Car from '../../models/Car.js';
+import Booking from '../../models/Booking.js';
+import ReservationLock from '../../models/ReservationLock.js';
+import { createBooking } from '../../controllers/bookingController.js';
+import { withCarReservationLock } from '../../utils/bookingAvailability.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS);
+
+const createCar = () =>
+  Car.create({
+    owner: new mongoose.Types.ObjectId(),
+    title: 'Nissan Patrol 2023',
+    description: 'Family SUV',
+    city: 'Dubai',
+    price: 300,
+    availabilityFrom: daysFromNow(0),
+    availabilityTo: daysFromNow(60),
+    make: 'Nissan',
+    model: 'Patrol',
+    year: 2023,
+    color: 'White',
+    plateNumber: 'A12345',
+    mileage: 20000,
+    seatingCapacity: 7,
+    images: ['front.jpg', 'side.jpg', 'back.jpg'],
+  });
+
+const renter = () => ({
+  id: new mongoose.Types.ObjectId().toString(),
+  name: 'Test Renter',
+  isApproved: true,
+});
+
+// Resolves with the status and body the controller responds with
+const book = (user, body) =>
+  new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ status: this.statusCode, body: payload });
+      },
+    };
+    createBooking({ user, body }, res, reject);
+  });
+
+// Runs against the in-memory MongoDB from tests/setup.js
+describe('Car reservation lock', () => {
+  it('should run one holder at a time for the same car', async () => {
+    const carId = new mongoose.Types.ObjectId();
+    const events = [];
+    const hold = (name) =>
+      withCarReservationLock(carId, async () => {
+        events.push(`${name}:start`);
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        events.push(`${name}:end`);
+      });
+
+    await Promise.all([hold('a'), hold('b')]);
+
+    expect(events).toHaveLength(4);
+    expect(events[1]).toBe(`${events[0].split(':')[0]}:end`);
+  });
+
+  it('should not write once the lease has lapsed and been taken', async () => {
+    const carId = new mongoose.Types.ObjectId();
+    const write = vi.fn();
+
+    const attempt = withCarReservationLock(carId, async (confirmLease) => {
+      // A slow request outlives its lease and another one takes the car
+      await ReservationLock.updateOne(
+        { _id: carId.toString() },
+        { $set: { lockedUntil: new Date(0) } }
+      );
+      expect(await ReservationLock.acquire(carId, 'other-request', 10000)).toBe(true);
+
+      await confirmLease();
+      write();
+    });
+
+    await expect(attempt).rejects.toMatchObject({ code: 'RESERVATION_BUSY' });
+    expect(write).not.toHaveBeenCalled();
+  });
+
+  it('should let only one of two overlapping bookings through', async () => {
+    const car = await createCar();
+
+    const results = await Promise.all([
+      book(renter(), {
+        carId: car._id.toString(),
+        startDate: daysFromNow(10).toISOString(),
+        endDate: daysFromNow(13).toISOString(),
+      }),
+      book(renter(), {
+        carId: car._id.toString(),
+        startDate: daysFromNow(11).toISOString(),
+        endDate: daysFromNow(14).toISOString(),
+      }),
+    ]);
+
+    const statuses = results.map((result) => result.status).sort();
+    expect(statuses).toEqual([201, 409]);
+    expect(results.find((result) => result.status === 409).body.code).toBe(
+      'DATES_UNAVAILABLE'
+    );
+    expect(await Booking.countDocuments({ car: car._id })).toBe(1);
+  });
+});
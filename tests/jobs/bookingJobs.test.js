@@ -0,0 +1,61 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import Booking from '../../models/Booking.js';
+import { expireStalePendingBookings } from '../../jobs/bookingJobs.js';
+import { refundBooking } from '../../utils/bookingRefunds.js';
+
+vi.mock('../../models/Booking.js', () => ({ default: { find: vi.fn() } }));
+vi.mock('../../models/Notification.js', () => ({
+  default: { createBookingNotification: vi.fn(async () => {}) },
+}));
+vi.mock('../../utils/bookingRefunds.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  refundBooking: vi.fn(async () => {}),
+}));
+
+const pendingBooking = (id, overrides = {}) => ({
+  _id: id,
+  status: 'pending',
+  paymentStatus: 'pending',
+  paymentMethod: 'Card',
+  totalPayable: 700,
+  renter: 'renter1',
+  car: { _id: 'car1', title: 'Test Car', owner: 'owner1' },
+  statusHistory: [],
+  save: vi.fn(async () => {}),
+  ...overrides,
+});
+
+describe('Booking jobs', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should expire stale requests and refund those already paid', async () => {
+    const paid = pendingBooking('b1', { paymentStatus: 'paid' });
+    const unpaid = pendingBooking('b2');
+    Booking.find.mockReturnValue({ populate: async () => [paid, unpaid] });
+
+    const result = await expireStalePendingBookings(new Date());
+
+    expect(result).toEqual({ expired: 2, failed: 0 });
+    expect(paid).toMatchObject({ status: 'expired', refundAmount: 700, refundStatus: 'pending' });
+    expect(unpaid).toMatchObject({ status: 'expired', refundStatus: 'none' });
+    expect(refundBooking).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep going when one booking fails', async () => {
+    const broken = pendingBooking('b1', {
+      save: vi.fn(async () => {
+        throw new Error('Validation failed');
+      }),
+    });
+    const fine = pendingBooking('b2');
+    Booking.find.mockReturnValue({ populate: async () => [broken, fine] });
+
+    const result = await expireStalePendingBookings(new Date());
+
+    expect(result).toEqual({ expired: 1, failed: 1 });
+    expect(fine.status).toBe('expired');
+    expect(fine.save).toHaveBeenCalled();
+  });
+});
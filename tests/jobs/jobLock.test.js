@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import JobLock from '../../models/JobLock.js';
+
+// Runs against the in-memory MongoDB from tests/setup.js
+describe('JobLock', () => {
+  it('should give the lease to one holder at a time', async () => {
+    expect(await JobLock.acquire('job-a', 'host-1', 60000)).toBe(true);
+    expect(await JobLock.acquire('job-a', 'host-2', 60000)).toBe(false);
+    // The holder can renew its own lease
+    expect(await JobLock.acquire('job-a', 'host-1', 60000)).toBe(true);
+  });
+
+  it('should hand the lease over once it is released or has lapsed', async () => {
+    await JobLock.acquire('job-b', 'host-1', 60000);
+    await JobLock.release('job-b', 'host-1');
+    expect(await JobLock.acquire('job-b', 'host-2', 60000)).toBe(true);
+
+    await JobLock.acquire('job-c', 'host-1', -1);
+    expect(await JobLock.acquire('job-c', 'host-2', 60000)).toBe(true);
+  });
+
+  it('should not let another holder release the lease', async () => {
+    await JobLock.acquire('job-d', 'host-1', 60000);
+    await JobLock.release('job-d', 'host-2');
+    expect(await JobLock.acquire('job-d', 'host-2', 60000)).toBe(false);
+  });
+
+  it('should let only one of two racing instances take a new lease', async () => {
+    const results = await Promise.all([
+      JobLock.acquire('job-e', 'host-1', 60000),
+      JobLock.acquire('job-e', 'host-2', 60000),
+    ]);
+    expect(results.filter(Boolean)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import Booking from '../../models/Booking.js';
+import {
+  reauthorizeExpiringDepositHolds,
+  releaseStaleDepositHolds,
+} from '../../jobs/paymentJobs.js';
+import { reauthorizeDeposit, settleDepositHold } from '../../utils/depositHold.js';
+
+vi.mock('../../models/Booking.js', () => ({ default: { find: vi.fn() } }));
+vi.mock('../../models/DamageClaim.js', () => ({
+  default: { exists: vi.fn(async () => null) },
+}));
+vi.mock('../../config/stripe-backend.js', () => ({ stripe: {} }));
+vi.mock('../../utils/ledger.js', () => ({ syncBookingLedgerSafely: vi.fn() }));
+vi.mock('../../utils/depositHold.js', () => ({
+  REAUTHORIZE_WITHIN_MS: 24 * 60 * 60 * 1000,
+  reauthorizeDeposit: vi.fn(async () => true),
+  settleDepositHold: vi.fn(async (stripe, booking) => {
+    booking.deposit.status = 'released';
+  }),
+}));
+
+const heldBooking = (id, overrides = {}) => ({
+  _id: id,
+  status: 'cancelled',
+  deposit: { status: 'authorized', amount: 500 },
+  save: vi.fn(async () => {}),
+  ...overrides,
+});
+
+const failingSave = () =>
+  vi.fn(async () => {
+    throw new Error('Write conflict');
+  });
+
+describe('Payment jobs', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should keep releasing holds when one booking fails', async () => {
+    const broken = heldBooking('b1', { save: failingSave() });
+    const ok = heldBooking('b2');
+    Booking.find.mockResolvedValue([broken, ok]);
+
+    const result = await releaseStaleDepositHolds(new Date());
+
+    expect(result).toEqual({ released: 1, failed: 1 });
+    expect(settleDepositHold).toHaveBeenCalledTimes(2);
+    expect(ok.save).toHaveBeenCalled();
+  });
+
+  it('should keep re-authorizing holds when one booking fails', async () => {
+    const broken = heldBooking('b1', { status: 'active', save: failingSave() });
+    const ok = heldBooking('b2', { status: 'active' });
+    Booking.find.mockResolvedValue([broken, ok]);
+
+    const result = await reauthorizeExpiringDepositHolds(new Date());
+
+    expect(result).toEqual({ reauthorized: 1, failed: 1 });
+    expect(reauthorizeDeposit).toHaveBeenCalledTimes(2);
+    expect(ok.save).toHaveBeenCalled();
+  });
+});
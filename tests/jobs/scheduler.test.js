@@ -0,0 +1,72 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import mongoose from 'mongoose';
+import JobLock from '../../models/JobLock.js';
+import JobRun from '../../models/JobRun.js';
+import { registerJob, runJob } from '../../jobs/scheduler.js';
+
+vi.mock('../../models/JobLock.js', () => ({
+  default: { acquire: vi.fn(), release: vi.fn(async () => {}) },
+}));
+vi.mock('../../models/JobRun.js', () => ({
+  default: {
+    create: vi.fn(async (fields) => ({
+      ...fields,
+      startedAt: new Date(),
+      save: vi.fn(async () => {}),
+    })),
+  },
+}));
+
+describe('Job scheduler', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(mongoose.connection, 'readyState', 'get').mockReturnValue(1);
+    JobLock.acquire.mockResolvedValue(true);
+  });
+
+  it('should run a job under its lock and record the result', async () => {
+    const handler = vi.fn(async () => ({ expired: 2 }));
+    registerJob({ name: 'test-succeeds', intervalMs: 60000, handler });
+
+    const run = await runJob('test-succeeds', { trigger: 'manual' });
+
+    expect(JobLock.acquire).toHaveBeenCalledWith('test-succeeds', expect.any(String), 5 * 60 * 1000);
+    expect(run).toMatchObject({ status: 'succeeded', result: { expired: 2 }, trigger: 'manual' });
+    expect(run.save).toHaveBeenCalled();
+    expect(JobLock.release).toHaveBeenCalledWith('test-succeeds', expect.any(String));
+  });
+
+  it('should skip the run when another instance holds the lock', async () => {
+    const handler = vi.fn();
+    registerJob({ name: 'test-locked', intervalMs: 60000, handler });
+    JobLock.acquire.mockResolvedValue(false);
+
+    expect(await runJob('test-locked')).toBeNull();
+    expect(handler).not.toHaveBeenCalled();
+    expect(JobRun.create).not.toHaveBeenCalled();
+  });
+
+  it('should record a failed run and still release the lock', async () => {
+    registerJob({
+      name: 'test-fails',
+      intervalMs: 60000,
+      handler: async () => {
+        throw new Error('Boom');
+      },
+    });
+
+    const run = await runJob('test-fails');
+
+    expect(run).toMatchObject({ status: 'failed', error: 'Boom' });
+    expect(JobLock.release).toHaveBeenCalledWith('test-fails', expect.any(String));
+  });
+
+  it('should not run without a database connection', async () => {
+    const handler = vi.fn();
+    registerJob({ name: 'test-offline', intervalMs: 60000, handler });
+    vi.spyOn(mongoose.connection, 'readyState', 'get').mockReturnValue(0);
+
+    expect(await runJob('test-offline')).toBeNull();
+    expect(JobLock.acquire).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect, vi } from 'vitest';
+import { applyFullRefund, refundBooking } from '../../utils/bookingRefunds.js';
+
+vi.mock('../../utils/invoices.js', () => ({ syncBookingInvoicesSafely: vi.fn() }));
+vi.mock('../../utils/ledger.js', () => ({ syncBookingLedgerSafely: vi.fn() }));
+
+const createStripeStub = (fail = false) => ({
+  refunds: {
+    create: vi.fn(async () => {
+      if (fail) throw new Error('Refund failed');
+      return { id: 're_1' };
+    }),
+  },
+  paymentIntents: { cancel: vi.fn(async (id) => ({ id, status: 'canceled' })) },
+});
+
+const makeBooking = (overrides = {}) => ({
+  _id: 'booking1',
+  paymentMethod: 'Card',
+  paymentStatus: 'paid',
+  paymentIntentId: 'pi_rent',
+  totalPayable: 1600,
+  securityDeposit: 500,
+  deposit: { status: 'none' },
+  save: vi.fn(async () => {}),
+  ...overrides,
+});
+
+describe('Booking refunds', () => {
+  it('should refund everything the renter paid when the owner rejects', async () => {
+    const stripe = createStripeStub();
+    const booking = makeBooking();
+
+    expect(applyFullRefund(booking)).toBe(1600);
+    await refundBooking(stripe, booking);
+
+    expect(stripe.refunds.create).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent: 'pi_rent', amount: 160000 })
+    );
+    expect(booking).toMatchObject({
+      cancellationFee: 0,
+      refundStatus: 'completed',
+      paymentStatus: 'refunded',
+      refundId: 're_1',
+    });
+  });
+
+  it('should refund only the rent and release a deposit held on the card', async () => {
+    const stripe = createStripeStub();
+    const booking = makeBooking({
+      deposit: { status: 'authorized', amount: 500, paymentIntentId: 'pi_hold' },
+    });
+
+    expect(applyFullRefund(booking)).toBe(1100);
+    await refundBooking(stripe, booking);
+
+    expect(stripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_hold');
+    expect(booking.deposit.status).toBe('released');
+    expect(stripe.refunds.create).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: 110000 })
+    );
+  });
+
+  it('should leave unpaid requests alone and flag failed refunds', async () => {
+    const stripe = createStripeStub(true);
+    const unpaid = makeBooking({ paymentStatus: 'pending' });
+    const paid = makeBooking();
+
+    applyFullRefund(unpaid);
+    await refundBooking(stripe, unpaid);
+    expect(unpaid.refundStatus).toBe('none');
+
+    applyFullRefund(paid);
+    await refundBooking(stripe, paid);
+    expect(stripe.refunds.create).toHaveBeenCalledTimes(1);
+    expect(paid.refundStatus).toBe('failed');
+    expect(paid.paymentStatus).toBe('paid');
+  });
+});
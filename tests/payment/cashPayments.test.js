@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import {
+  checkCashAction,
+  recordCashCollection,
+} from '../../utils/cashPayments.js';
+
+const booking = (overrides = {}) => ({
+  _id: 'b1',
+  status: 'active',
+  paymentMethod: 'Cash',
+  paymentStatus: 'pending',
+  totalPayable: 700,
+  securityDeposit: 200,
+  extensions: [],
+  cashCollection: { status: 'none' },
+  ...overrides,
+});
+
+describe('Cash payments', () => {
+  it('marks the booking paid once the full amount is collected', () => {
+    const extension = { status: 'approved', paymentMethod: 'Cash', paymentStatus: 'pending' };
+    const paid = recordCashCollection(booking({ extensions: [extension] }), {
+      amount: 700,
+      by: 'owner1',
+    });
+
+    expect(paid.cashCollection.status).toBe('confirmed');
+    expect(paid.cashCollection.expectedAmount).toBe(700);
+    expect(paid.paymentStatus).toBe('paid');
+    expect(paid.transactionId).toBe('cash_b1');
+    expect(extension.paymentStatus).toBe('paid');
+  });
+
+  it('leaves a short payment partial and unpaid', () => {
+    const short = recordCashCollection(booking(), { amount: 500, by: 'owner1' });
+
+    expect(short.cashCollection.amount).toBe(500);
+    expect(short.paymentStatus).toBe('partial');
+    expect(short.paidAt).toBeUndefined();
+  });
+
+  it('enforces who can confirm, acknowledge and dispute', () => {
+    expect(checkCashAction(booking(), 'confirm', 'owner')).toBeNull();
+    expect(checkCashAction(booking(), 'confirm', 'renter').code).toBe(
+      'INSUFFICIENT_PERMISSIONS'
+    );
+    expect(checkCashAction(booking(), 'acknowledge', 'renter').code).toBe(
+      'CASH_NOT_CONFIRMED'
+    );
+    expect(checkCashAction(booking({ paymentMethod: 'Card' }), 'confirm', 'owner').code).toBe(
+      'NOT_CASH_BOOKING'
+    );
+    expect(
+      checkCashAction(booking({ cashCollection: { status: 'disputed' } }), 'dispute', 'renter')
+        .code
+    ).toBe('CASH_DISPUTE_LOCKED');
+  });
+});
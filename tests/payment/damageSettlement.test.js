@@ -0,0 +1,131 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  splitDamageSettlement,
+  settleDamageClaim,
+  chargeDamageRemainder,
+} from '../../utils/damageSettlement.js';
+import { collectLedgerTransactions } from '../../utils/ledger.js';
+
+vi.mock('../../models/User.js', () => ({
+  default: {
+    findById: vi.fn(() => ({ select: async () => ({ stripeCustomerId: 'cus_renter' }) })),
+  },
+}));
+
+const createStripeStub = (status = 'succeeded') => ({
+  customers: {
+    retrieve: vi.fn(async (id) => ({
+      id,
+      invoice_settings: { default_payment_method: 'pm_default' },
+    })),
+  },
+  paymentIntents: {
+    create: vi.fn(async () => {
+      if (status === 'declined') throw new Error('Your card was declined.');
+      return { id: 'pi_damage', status };
+    }),
+  },
+});
+
+const settledClaim = (booking, amount) => {
+  const claim = { _id: 'claim1', renter: 'renter1' };
+  settleDamageClaim(claim, booking, amount);
+  return claim;
+};
+
+describe('Damage claim settlement', () => {
+  it('should take the whole amount from the deposit when it covers it', () => {
+    expect(splitDamageSettlement(300, 1000)).toEqual({
+      depositDeducted: 300,
+      chargeAmount: 0,
+    });
+  });
+
+  it('should charge whatever the remaining deposit does not cover', () => {
+    expect(splitDamageSettlement(800, 1000, 500)).toEqual({
+      depositDeducted: 500,
+      chargeAmount: 300,
+    });
+  });
+
+  it('should record the deduction on the booking and a pending charge on the claim', () => {
+    const booking = { securityDeposit: 500, depositDeducted: 0 };
+    const claim = {};
+
+    settleDamageClaim(claim, booking, 750);
+
+    expect(booking.depositDeducted).toBe(500);
+    expect(claim.settlement).toMatchObject({
+      amount: 750,
+      depositDeducted: 500,
+      chargeAmount: 250,
+      chargeStatus: 'pending',
+    });
+  });
+
+  it('should charge the rest to the card that held the deposit', async () => {
+    const stripe = createStripeStub();
+    const booking = {
+      _id: 'booking1',
+      car: { owner: 'owner1' },
+      securityDeposit: 500,
+      depositDeducted: 0,
+      deposit: { status: 'authorized', customerId: 'cus_1', paymentMethodId: 'pm_card' },
+    };
+    const claim = settledClaim(booking, 750);
+
+    await chargeDamageRemainder(stripe, claim, booking);
+
+    expect(stripe.paymentIntents.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        amount: 25000,
+        customer: 'cus_1',
+        payment_method: 'pm_card',
+        off_session: true,
+        confirm: true,
+      }),
+      { idempotencyKey: 'damage-charge:claim1:1' }
+    );
+    expect(claim.settlement).toMatchObject({
+      chargeStatus: 'paid',
+      chargePaymentIntentId: 'pi_damage',
+    });
+    expect(booking.damageCharge).toMatchObject({ amount: 250, paymentIntentId: 'pi_damage' });
+    const [charge] = collectLedgerTransactions(booking).filter(
+      (t) => t.type === 'damage_charge'
+    );
+    expect(charge.lines).toContainEqual(
+      expect.objectContaining({ account: 'owner_payable', amount: -250 })
+    );
+  });
+
+  it("should fall back to the renter's default card and mark declines failed", async () => {
+    const stripe = createStripeStub('declined');
+    const booking = { _id: 'booking1', securityDeposit: 500, depositDeducted: 0 };
+    const claim = settledClaim(booking, 750);
+
+    await chargeDamageRemainder(stripe, claim, booking);
+
+    expect(stripe.customers.retrieve).toHaveBeenCalledWith('cus_renter');
+    expect(stripe.paymentIntents.create).toHaveBeenCalledWith(
+      expect.objectContaining({ customer: 'cus_renter', payment_method: 'pm_default' }),
+      expect.anything()
+    );
+    expect(claim.settlement).toMatchObject({
+      chargeStatus: 'failed',
+      chargeError: 'Your card was declined.',
+    });
+    expect(booking.damageCharge).toBeUndefined();
+  });
+
+  it('should not charge when the deposit covered the damage', async () => {
+    const stripe = createStripeStub();
+    const booking = { _id: 'booking1', securityDeposit: 500, depositDeducted: 0 };
+    const claim = settledClaim(booking, 300);
+
+    await chargeDamageRemainder(stripe, claim, booking);
+
+    expect(stripe.paymentIntents.create).not.toHaveBeenCalled();
+    expect(claim.settlement.chargeStatus).toBe('none');
+  });
+});
@@ -0,0 +1,218 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  canPlaceDepositHold,
+  createDepositHold,
+  syncDepositHold,
+  captureDeposit,
+  releaseDeposit,
+  reauthorizeDeposit,
+  getRentalCharge,
+} from '../../utils/depositHold.js';
+import { stillNeedsDeposit } from '../../jobs/paymentJobs.js';
+import { CLAIM_WINDOW_MS } from '../../utils/damageSettlement.js';
+
+vi.mock('../../models/DamageClaim.js', () => ({
+  default: { exists: vi.fn(async () => null) },
+}));
+
+// Minimal stand-in for the Stripe client; only PaymentIntents are used
+const createStripeStub = (overrides = {}) => ({
+  paymentIntents: {
+    create: vi.fn(async (params) => ({
+      id: 'pi_new',
+      status: params.confirm ? 'requires_capture' : 'requires_payment_method',
+      client_secret: 'pi_new_secret',
+      payment_method: params.payment_method,
+    })),
+    retrieve: vi.fn(async (id) => ({
+      id,
+      status: 'requires_capture',
+      payment_method: 'pm_card',
+    })),
+    capture: vi.fn(async (id) => ({ id, status: 'succeeded' })),
+    cancel: vi.fn(async (id) => ({ id, status: 'canceled' })),
+    ...overrides,
+  },
+});
+
+const makeBooking = (deposit = {}) => ({
+  _id: 'booking1',
+  securityDeposit: 500,
+  totalPayable: 1600,
+  deposit: { status: 'pending', amount: 500, ...deposit },
+});
+
+const authorizedBooking = () =>
+  makeBooking({
+    status: 'authorized',
+    paymentIntentId: 'pi_old',
+    paymentMethodId: 'pm_card',
+    customerId: 'cus_1',
+  });
+
+describe('Security deposit holds', () => {
+  it('should create a manual-capture intent for the deposit only', async () => {
+    const stripe = createStripeStub();
+    const booking = makeBooking({ status: 'none', amount: 0 });
+
+    await createDepositHold(stripe, booking, 'cus_1');
+
+    expect(stripe.paymentIntents.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        amount: 50000,
+        capture_method: 'manual',
+        customer: 'cus_1',
+        setup_future_usage: 'off_session',
+      })
+    );
+    expect(booking.deposit).toMatchObject({
+      status: 'pending',
+      amount: 500,
+      paymentIntentId: 'pi_new',
+    });
+    expect(getRentalCharge(booking)).toBe(1100);
+  });
+
+  it('should mark the hold authorized once the card is confirmed', async () => {
+    const stripe = createStripeStub();
+    const booking = makeBooking({ paymentIntentId: 'pi_new' });
+
+    await syncDepositHold(stripe, booking);
+
+    expect(booking.deposit.status).toBe('authorized');
+    expect(booking.deposit.paymentMethodId).toBe('pm_card');
+    expect(booking.deposit.expiresAt).toBeInstanceOf(Date);
+  });
+
+  it('should capture part of the hold', async () => {
+    const stripe = createStripeStub();
+    const booking = authorizedBooking();
+
+    await captureDeposit(stripe, booking, 200);
+
+    expect(stripe.paymentIntents.capture).toHaveBeenCalledWith('pi_old', {
+      amount_to_capture: 20000,
+    });
+    expect(booking.deposit.status).toBe('partially_captured');
+    expect(booking.deposit.capturedAmount).toBe(200);
+  });
+
+  it('should release the hold when nothing is owed', async () => {
+    const stripe = createStripeStub();
+    const booking = authorizedBooking();
+
+    await captureDeposit(stripe, booking, 0);
+
+    expect(stripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_old');
+    expect(stripe.paymentIntents.capture).not.toHaveBeenCalled();
+    expect(booking.deposit.status).toBe('released');
+  });
+
+  it('should not cancel anything for a deposit that was never held', async () => {
+    const stripe = createStripeStub();
+    const booking = makeBooking({ status: 'none' });
+
+    await releaseDeposit(stripe, booking);
+
+    expect(stripe.paymentIntents.cancel).not.toHaveBeenCalled();
+  });
+
+  it('should swap in a fresh hold before cancelling the old one', async () => {
+    const stripe = createStripeStub();
+    const booking = authorizedBooking();
+
+    const renewed = await reauthorizeDeposit(stripe, booking);
+
+    expect(renewed).toBe(true);
+    expect(stripe.paymentIntents.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        payment_method: 'pm_card',
+        customer: 'cus_1',
+        confirm: true,
+        off_session: true,
+      })
+    );
+    expect(stripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_old');
+    expect(booking.deposit).toMatchObject({
+      status: 'authorized',
+      paymentIntentId: 'pi_new',
+      reauthorizedCount: 1,
+    });
+  });
+
+  it('should keep the old hold and flag the booking when the card is declined', async () => {
+    const stripe = createStripeStub({
+      create: vi.fn(async () => {
+        throw new Error('Your card was declined.');
+      }),
+    });
+    const booking = authorizedBooking();
+
+    const renewed = await reauthorizeDeposit(stripe, booking);
+
+    expect(renewed).toBe(false);
+    expect(stripe.paymentIntents.cancel).not.toHaveBeenCalled();
+    expect(booking.deposit).toMatchObject({
+      status: 'failed',
+      paymentIntentId: 'pi_old',
+      lastError: 'Your card was declined.',
+    });
+  });
+
+  it('should only take the hold from the day before pickup', () => {
+    const now = new Date('2026-03-10T10:00:00Z');
+    const booking = (status, startDate) => ({ status, startDate: new Date(startDate) });
+
+    expect(canPlaceDepositHold(booking('confirmed', '2026-03-20T10:00:00Z'), now)).toBe(false);
+    expect(canPlaceDepositHold(booking('confirmed', '2026-03-11T09:00:00Z'), now)).toBe(true);
+    expect(canPlaceDepositHold(booking('active', '2026-03-01T10:00:00Z'), now)).toBe(true);
+    expect(canPlaceDepositHold(booking('cancelled', '2026-03-11T09:00:00Z'), now)).toBe(false);
+  });
+
+  it('should hand back an unfinished hold instead of creating another', async () => {
+    const stripe = createStripeStub({
+      retrieve: vi.fn(async (id) => ({
+        id,
+        status: 'requires_payment_method',
+        client_secret: 'pi_old_secret',
+      })),
+    });
+    const booking = makeBooking({ paymentIntentId: 'pi_old' });
+
+    const paymentIntent = await createDepositHold(stripe, booking, 'cus_1');
+
+    expect(paymentIntent.client_secret).toBe('pi_old_secret');
+    expect(stripe.paymentIntents.create).not.toHaveBeenCalled();
+    expect(stripe.paymentIntents.cancel).not.toHaveBeenCalled();
+  });
+
+  it('should cancel a lapsing hold before asking for a new one', async () => {
+    const stripe = createStripeStub();
+    const booking = makeBooking({ status: 'failed', paymentIntentId: 'pi_old' });
+
+    await createDepositHold(stripe, booking, 'cus_1');
+
+    expect(stripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_old');
+    expect(booking.deposit).toMatchObject({ status: 'pending', paymentIntentId: 'pi_new' });
+  });
+
+  it('should keep the hold until the owner inspects the return or the claim window ends', async () => {
+    const returnedAt = new Date('2026-03-10T10:00:00Z');
+    const afterReturn = new Date(returnedAt.getTime() + 60 * 60 * 1000);
+    const afterWindow = new Date(returnedAt.getTime() + CLAIM_WINDOW_MS + 1);
+    const completed = (inspections, damageReported = false) => ({
+      _id: 'booking1',
+      status: 'completed',
+      actualReturnTime: returnedAt,
+      damageReported,
+      inspections,
+    });
+    const renterCheckOut = { type: 'check_out', performedByRole: 'renter' };
+    const ownerCheckOut = { type: 'check_out', performedByRole: 'owner' };
+
+    expect(await stillNeedsDeposit(completed([renterCheckOut]), afterReturn)).toBe(true);
+    expect(await stillNeedsDeposit(completed([renterCheckOut]), afterWindow)).toBe(false);
+    expect(await stillNeedsDeposit(completed([renterCheckOut, ownerCheckOut]), afterReturn)).toBe(false);
+    expect(await stillNeedsDeposit(completed([ownerCheckOut], true), afterReturn)).toBe(true);
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { requestFingerprint } from '../../middlewares/idempotency.js';
+
+describe('Idempotency keys', () => {
+  it('fingerprints the same request the same way whatever the key order', () => {
+    const first = requestFingerprint('POST', '/api/bookings', {
+      carId: 'c1',
+      dates: { start: '2030-01-01', end: '2030-01-03' },
+    });
+    const second = requestFingerprint('POST', '/api/bookings', {
+      dates: { end: '2030-01-03', start: '2030-01-01' },
+      carId: 'c1',
+    });
+
+    expect(first).toBe(second);
+  });
+
+  it('tells apart different bodies, paths and methods', () => {
+    const body = { carId: 'c1' };
+    const fingerprint = requestFingerprint('POST', '/api/bookings', body);
+
+    expect(requestFingerprint('POST', '/api/bookings', { carId: 'c2' })).not.toBe(fingerprint);
+    expect(requestFingerprint('POST', '/api/payments/process', body)).not.toBe(fingerprint);
+    expect(requestFingerprint('PUT', '/api/bookings', body)).not.toBe(fingerprint);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, vi } from 'vitest';
+import Booking from '../../models/Booking.js';
+import Counter from '../../models/Counter.js';
+import Invoice from '../../models/Invoice.js';
+import {
+  vatIncluded,
+  invoiceTotals,
+  buildBookingInvoiceLines,
+  buildCancellationCreditLines,
+  collectInvoiceSources,
+  issueRefundCreditNote,
+} from '../../utils/invoices.js';
+
+const paidBooking = (overrides = {}) => ({
+  dailyRate: 300,
+  totalDays: 3,
+  totalAmount: 900,
+  deliveryFee: 50,
+  securityDeposit: 500,
+  totalPayable: 1450,
+  paymentStatus: 'paid',
+  paymentMethod: 'Card',
+  transactionId: 'pi_rent',
+  paidAt: new Date('2026-06-01T10:00:00Z'),
+  extensions: [],
+  modifications: [],
+  deposit: { status: 'none' },
+  ...overrides,
+});
+
+describe('Booking invoices', () => {
+  it('should take 5% VAT out of VAT-inclusive prices', () => {
+    expect(vatIncluded(105)).toBe(5);
+    expect(vatIncluded(900)).toBe(42.86);
+  });
+
+  it('should invoice rental and delivery with VAT and the deposit without', () => {
+    const lines = buildBookingInvoiceLines(paidBooking());
+
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toMatchObject({ quantity: 3, unitPrice: 300, amount: 900 });
+    expect(lines[2]).toMatchObject({ amount: 500, vatRate: 0, vatAmount: 0 });
+    expect(invoiceTotals(lines)).toEqual({
+      subtotal: 1404.76,
+      vatTotal: 45.24,
+      total: 1450,
+    });
+  });
+
+  it('should leave a deposit held on the card off the invoice', () => {
+    const lines = buildBookingInvoiceLines(
+      paidBooking({ deposit: { status: 'authorized', amount: 500 } })
+    );
+
+    expect(lines.map((line) => line.amount)).toEqual([900, 50]);
+  });
+
+  it('should invoice paid extensions separately from the booking', () => {
+    const booking = paidBooking({
+      totalAmount: 1500,
+      extensions: [
+        {
+          _id: 'ext1',
+          status: 'approved',
+          paymentStatus: 'paid',
+          additionalDays: 2,
+          additionalAmount: 600,
+        },
+      ],
+    });
+
+    const sources = collectInvoiceSources(booking);
+
+    expect(sources.map((s) => `${s.type}:${s.source.type}`)).toEqual([
+      'invoice:booking',
+      'invoice:extension',
+    ]);
+    expect(sources[0].lines[0].amount).toBe(900);
+    expect(sources[1].lines[0]).toMatchObject({ quantity: 2, amount: 600 });
+  });
+
+  it('should issue a credit note for a completed cancellation refund', () => {
+    const booking = paidBooking({
+      status: 'cancelled',
+      refundAmount: 950,
+      refundStatus: 'completed',
+      refundId: 're_1',
+    });
+
+    const creditNote = collectInvoiceSources(booking).find(
+      (s) => s.type === 'credit_note'
+    );
+
+    expect(creditNote.source.type).toBe('cancellation');
+    expect(buildCancellationCreditLines(booking).map((l) => l.amount)).toEqual([
+      450, 500,
+    ]);
+  });
+
+  it('should issue nothing for unpaid bookings', () => {
+    expect(
+      collectInvoiceSources(paidBooking({ paymentStatus: 'pending' }))
+    ).toEqual([]);
+  });
+
+  it('should void the number when the document is not stored', async () => {
+    const booking = paidBooking({ _id: '665f1c2b9d1e8a0012345678' });
+    const query = { populate: () => query, then: (resolve) => resolve(booking) };
+    vi.spyOn(Booking, 'findById').mockReturnValue(query);
+    vi.spyOn(Invoice, 'exists').mockResolvedValue(null);
+    vi.spyOn(Invoice, 'findOne').mockReturnValue({ select: async () => null });
+    vi.spyOn(Counter, 'next').mockResolvedValue(7);
+    const voidNumber = vi.spyOn(Counter, 'void').mockResolvedValue();
+    vi.spyOn(Invoice.prototype, 'save').mockRejectedValue(
+      Object.assign(new Error('duplicate key'), { code: 11000 })
+    );
+
+    const issued = await issueRefundCreditNote(booking._id, { id: 're_1', amount: 10000 }, 'Refund');
+
+    expect(issued).toBeNull();
+    expect(voidNumber).toHaveBeenCalledWith(
+      `credit_note-${new Date().getFullYear()}`,
+      7,
+      'duplicate key'
+    );
+    vi.restoreAllMocks();
+  });
+});
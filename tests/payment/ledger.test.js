@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+  collectLedgerTransactions,
+  reconcileBooking,
+  accountTotal,
+} from '../../utils/ledger.js';
+
+const booking = (overrides = {}) => ({
+  _id: 'b1',
+  car: { owner: 'owner1' },
+  status: 'completed',
+  paymentMethod: 'Card',
+  paymentStatus: 'paid',
+  paidAt: new Date('2030-03-01'),
+  totalAmount: 600,
+  deliveryFee: 0,
+  securityDeposit: 500,
+  commissionPercent: 15,
+  extensions: [],
+  modifications: [],
+  ...overrides,
+});
+
+const balanced = (transaction) =>
+  Math.abs(transaction.lines.reduce((sum, l) => sum + l.amount, 0)) < 0.005;
+
+describe('Ledger', () => {
+  it('splits card payments into owner earnings, commission and deposit', () => {
+    const [payment] = collectLedgerTransactions(booking());
+
+    expect(payment.key).toBe('booking:b1:payment');
+    expect(balanced(payment)).toBe(true);
+    expect(accountTotal([payment], 'platform_cash')).toBe(1100);
+    expect(accountTotal([payment], 'owner_payable', 'owner1')).toBe(-510);
+    expect(accountTotal([payment], 'platform_commission')).toBe(-90);
+    expect(accountTotal([payment], 'deposits_held')).toBe(-500);
+  });
+
+  it('leaves cash bookings owing the platform its commission', () => {
+    const [payment] = collectLedgerTransactions(
+      booking({ paymentMethod: 'Cash', securityDeposit: 0 })
+    );
+
+    expect(balanced(payment)).toBe(true);
+    expect(accountTotal([payment], 'platform_cash')).toBe(0);
+    expect(
+      accountTotal([payment], 'owner_payable', 'owner1') +
+        accountTotal([payment], 'owner_cash', 'owner1')
+    ).toBe(90);
+  });
+
+  it('flags missing, mismatched and unbalanced entries', () => {
+    const paid = booking();
+    const [payment] = collectLedgerTransactions(paid);
+
+    expect(reconcileBooking(paid, [payment])).toEqual([]);
+    expect(reconcileBooking(paid, []).map((i) => i.code)).toEqual(['MISSING_ENTRY']);
+
+    const tampered = {
+      ...payment,
+      lines: payment.lines.map((l) =>
+        l.account === 'owner_payable' ? { ...l, amount: l.amount - 10 } : l
+      ),
+    };
+    expect(reconcileBooking(paid, [tampered]).map((i) => i.code)).toEqual([
+      'UNBALANCED',
+      'AMOUNT_MISMATCH',
+    ]);
+  });
+});
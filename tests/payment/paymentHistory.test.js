@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import {
+  collectPaymentEntries,
+  summarizePaymentEntries,
+  statementMonth,
+  paymentEntriesToCsv,
+} from '../../utils/paymentHistory.js';
+
+const booking = (overrides = {}) => ({
+  _id: 'b1',
+  renter: 'renter1',
+  car: { _id: 'c1', title: 'Nissan Patrol', owner: 'owner1' },
+  status: 'cancelled',
+  paymentMethod: 'Card',
+  paymentStatus: 'refunded',
+  paidAt: new Date('2030-03-01T10:00:00Z'),
+  transactionId: 'pi_1',
+  totalAmount: 600,
+  deliveryFee: 0,
+  securityDeposit: 500,
+  totalPayable: 1100,
+  commissionPercent: 15,
+  refundStatus: 'completed',
+  refundAmount: 800,
+  refundedAt: new Date('2030-03-05T10:00:00Z'),
+  extensions: [],
+  modifications: [],
+  ...overrides,
+});
+
+describe('Payment history', () => {
+  it('shows the renter what they paid and got back', () => {
+    const entries = collectPaymentEntries(booking(), 'renter');
+
+    expect(entries.map((e) => [e.kind, e.amount])).toEqual([
+      ['charge', 1100],
+      ['refund', -800],
+    ]);
+    expect(summarizePaymentEntries(entries).renter).toEqual({
+      charged: 1100,
+      refunded: 800,
+      netPaid: 300,
+    });
+  });
+
+  it('shows the owner rent less commission, without the deposit', () => {
+    const [payment, refund] = collectPaymentEntries(booking(), 'owner');
+
+    expect(payment).toMatchObject({ amount: 600, commission: 90, net: 510 });
+    // The first AED 500 refunded is the deposit
+    expect(refund).toMatchObject({ amount: -300, commission: -45, net: -255 });
+  });
+
+  it('lists a pending refund until it completes', () => {
+    const [, refund] = collectPaymentEntries(
+      booking({ refundStatus: 'pending', refundedAt: undefined }),
+      'renter'
+    );
+
+    expect(refund).toMatchObject({ kind: 'refund', status: 'pending', amount: -800 });
+  });
+
+  it('groups statements by UAE month and quotes CSV cells', () => {
+    expect(statementMonth(new Date('2030-03-31T21:00:00Z'))).toBe('2030-04');
+
+    const [payment] = collectPaymentEntries(
+      booking({ car: { _id: 'c1', title: 'Patrol, "V8"', owner: 'owner1' } }),
+      'renter'
+    );
+    expect(paymentEntriesToCsv([payment]).split('\r\n')[1]).toContain('"Patrol, ""V8"""');
+  });
+});
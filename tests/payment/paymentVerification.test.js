@@ -0,0 +1,46 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  checkPaymentIntent,
+  retrieveVerifiedPayment,
+} from '../../utils/paymentVerification.js';
+
+const paymentIntent = (overrides = {}) => ({
+  id: 'pi_1',
+  status: 'succeeded',
+  amount: 50000,
+  metadata: { bookingId: 'b1', renterId: 'u1' },
+  ...overrides,
+});
+
+describe('Payment verification', () => {
+  it('accepts a succeeded payment for the amount and booking owed', () => {
+    expect(
+      checkPaymentIntent(paymentIntent(), { amount: 500, metadata: { bookingId: 'b1' } })
+    ).toBeNull();
+    expect(checkPaymentIntent(paymentIntent(), { amount: [700, 500] })).toBeNull();
+  });
+
+  it('rejects unpaid, short and misdirected payments', () => {
+    expect(
+      checkPaymentIntent(paymentIntent({ status: 'requires_payment_method' }), { amount: 500 }).code
+    ).toBe('PAYMENT_NOT_COMPLETED');
+    expect(checkPaymentIntent(paymentIntent({ amount: 100 }), { amount: 500 }).code).toBe(
+      'PAYMENT_AMOUNT_MISMATCH'
+    );
+    expect(
+      checkPaymentIntent(paymentIntent(), { amount: 500, metadata: { bookingId: 'b2' } }).code
+    ).toBe('PAYMENT_MISMATCH');
+  });
+
+  it('retrieves the payment from Stripe instead of trusting the client', async () => {
+    const stripe = { paymentIntents: { retrieve: vi.fn(async () => paymentIntent()) } };
+
+    await expect(
+      retrieveVerifiedPayment(stripe, 'pi_1', { amount: 500, metadata: { renterId: 'u2' } })
+    ).rejects.toMatchObject({ code: 'PAYMENT_MISMATCH', statusCode: 400 });
+    await expect(retrieveVerifiedPayment(stripe, undefined, { amount: 500 })).rejects.toMatchObject({
+      code: 'PAYMENT_ID_REQUIRED',
+    });
+    expect(stripe.paymentIntents.retrieve).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  ensureStripeCustomer,
+  findCustomerCard,
+  deleteStripeCustomer,
+} from '../../utils/stripeCustomers.js';
+
+// Minimal stand-in for the Stripe client; only Customers and PaymentMethods are used
+const createStripeStub = () => ({
+  customers: {
+    create: vi.fn(async () => ({ id: 'cus_new' })),
+    del: vi.fn(async (id) => ({ id, deleted: true })),
+  },
+  paymentMethods: {
+    retrieve: vi.fn(async (id) => ({ id, customer: 'cus_1' })),
+  },
+});
+
+const makeUser = (fields = {}) => ({
+  _id: 'user1',
+  email: 'renter@example.com',
+  name: 'Renter',
+  save: vi.fn(async () => {}),
+  ...fields,
+});
+
+const missing = () => Object.assign(new Error('No such customer'), { code: 'resource_missing' });
+
+describe('Stripe customers', () => {
+  it('should create a customer only once per user', async () => {
+    const stripe = createStripeStub();
+    const user = makeUser();
+
+    expect(await ensureStripeCustomer(stripe, user)).toBe('cus_new');
+    expect(await ensureStripeCustomer(stripe, user)).toBe('cus_new');
+    expect(stripe.customers.create).toHaveBeenCalledTimes(1);
+    expect(user.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('should only find cards on the user\'s own customer', async () => {
+    const stripe = createStripeStub();
+
+    expect(await findCustomerCard(stripe, makeUser({ stripeCustomerId: 'cus_1' }), 'pm_1')).toMatchObject({ id: 'pm_1' });
+    expect(await findCustomerCard(stripe, makeUser({ stripeCustomerId: 'cus_2' }), 'pm_1')).toBeNull();
+
+    stripe.paymentMethods.retrieve.mockRejectedValueOnce(missing());
+    expect(await findCustomerCard(stripe, makeUser({ stripeCustomerId: 'cus_1' }), 'pm_x')).toBeNull();
+  });
+
+  it('should delete the customer even if Stripe already removed it', async () => {
+    const stripe = createStripeStub();
+    stripe.customers.del.mockRejectedValueOnce(missing());
+    const user = makeUser({ stripeCustomerId: 'cus_1' });
+
+    await deleteStripeCustomer(stripe, user);
+
+    expect(stripe.customers.del).toHaveBeenCalledWith('cus_1');
+    expect(user.stripeCustomerId).toBeUndefined();
+  });
+});
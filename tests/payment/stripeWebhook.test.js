@@ -0,0 +1,48 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import Booking from '../../models/Booking.js';
+import { processWebhookEvent } from '../../controllers/paymentController.js';
+
+// Like Mongoose, looking up an id that isn't an ObjectId throws a CastError
+vi.mock('../../models/Booking.js', () => ({
+  default: {
+    findById: vi.fn(async (id) => {
+      if (!/^[0-9a-f]{24}$/.test(id)) throw new Error(`Cast to ObjectId failed for "${id}"`);
+      return null;
+    }),
+    findOne: vi.fn(async () => null),
+  },
+}));
+
+const makeEvent = (type, object) => ({
+  eventId: 'evt_1',
+  type,
+  attempts: 0,
+  payload: { id: 'evt_1', type, data: { object } },
+  save: vi.fn(async () => {}),
+});
+
+describe('Stripe webhooks', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should skip checkout payments made before their booking exists', async () => {
+    const paymentIntent = {
+      id: 'pi_checkout',
+      amount: 90000,
+      status: 'succeeded',
+      metadata: { bookingId: 'temp', renterId: 'renter1' },
+    };
+
+    const succeeded = await processWebhookEvent(
+      makeEvent('payment_intent.succeeded', paymentIntent)
+    );
+    const failed = await processWebhookEvent(
+      makeEvent('payment_intent.payment_failed', paymentIntent)
+    );
+
+    expect(succeeded.status).toBe('processed');
+    expect(failed.status).toBe('processed');
+    expect(Booking.findById).not.toHaveBeenCalled();
+  });
+});
@@ -1,13 +1,14 @@
 import { vi, beforeAll, afterAll, afterEach } from 'vitest';
 import mongoose from 'mongoose';
-import { MongoMemoryServer } from 'mongodb-memory-server';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
 
 let mongoServer;
 
 // Setup before all tests
 beforeAll(async () => {
-  // Create in-memory MongoDB instance
-  mongoServer = await MongoMemoryServer.create();
+  // Create an in-memory single-node replica set, so transactions and
+  // concurrent writes behave as they do on the production cluster
+  mongoServer = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
   const mongoUri = mongoServer.getUri();
   
   // Connect to the in-memory database
@@ -0,0 +1,232 @@
+// utils/bookingAvailability.js - Overlap checks and per-car reservation locking
+import crypto from "crypto";
+import Booking from "../models/Booking.js";
+import ReservationLock from "../models/ReservationLock.js";
+import { AppError } from "./errorHandler.js";
+
+// Statuses that hold a car's dates
+export const BLOCKING_STATUSES = ["pending", "approved", "confirmed", "active"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const MAX_BLACKOUT_DATES = 20;
+const LOCK_TTL_MS = 10 * 1000; // Released early; the TTL only covers crashes
+const LOCK_WAIT_MS = 5 * 1000;
+const LOCK_RETRY_MS = 100;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Find a booking that overlaps the requested dates
+export const checkBookingConflicts = async (
+  carId,
+  startDate,
+  endDate,
+  excludeBookingId = null
+) => {
+  const requestStart = new Date(startDate);
+  const requestEnd = new Date(endDate);
+
+  const filter = {
+    car: carId,
+    status: { $in: BLOCKING_STATUSES },
+    $and: [
+      { startDate: { $lt: requestEnd } },
+      { endDate: { $gt: requestStart } },
+    ],
+  };
+
+  if (excludeBookingId) {
+    filter._id = { $ne: excludeBookingId };
+  }
+
+  return Booking.findOne(filter);
+};
+
+// The car's blackout that overlaps the trip, if any
+export const findBlackout = (car, startDate, endDate) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  return (car.blackoutDates || []).find(
+    (blackout) =>
+      new Date(blackout.startDate) < end && new Date(blackout.endDate) > start
+  );
+};
+
+export const blackoutMessage = (blackout) =>
+  `The owner has blocked this car from ${new Date(blackout.startDate).toDateString()} to ${new Date(blackout.endDate).toDateString()}`;
+
+// Blackout dates from a listing form (a JSON string when sent with the
+// listing's images)
+export const normalizeBlackoutDates = (input) => {
+  let blackouts = input;
+  if (typeof input === "string") {
+    try {
+      blackouts = JSON.parse(input);
+    } catch {
+      throw new AppError("Blackout dates must be valid JSON", 400, "INVALID_BLACKOUT_DATES");
+    }
+  }
+  if (!Array.isArray(blackouts) || blackouts.length > MAX_BLACKOUT_DATES) {
+    throw new AppError(
+      `Add at most ${MAX_BLACKOUT_DATES} blackout dates`,
+      400,
+      "INVALID_BLACKOUT_DATES"
+    );
+  }
+
+  return blackouts.map((blackout) => {
+    const startDate = new Date(blackout.startDate);
+    const endDate = new Date(blackout.endDate);
+    if (Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime())) {
+      throw new AppError(
+        "Each blackout needs valid start and end dates",
+        400,
+        "INVALID_BLACKOUT_DATES"
+      );
+    }
+    if (endDate <= startDate) {
+      throw new AppError(
+        "Each blackout must end after it starts",
+        400,
+        "INVALID_BLACKOUT_DATES"
+      );
+    }
+    const reason = blackout.reason?.toString().trim().slice(0, 100);
+    return reason ? { startDate, endDate, reason } : { startDate, endDate };
+  });
+};
+
+// Car filter for listings that can take the whole trip: the dates fall in
+// the listing's availability window, miss its blackout dates and the length
+// is within its rental limits, as checkRentalRequest requires. Booked cars
+// are excluded with findBookedCarIds.
+export const tripAvailabilityFilter = (startDate, endDate) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  const totalDays = Math.ceil((end - start) / DAY_MS);
+
+  return {
+    availabilityFrom: { $lte: start },
+    availabilityTo: { $gte: end },
+    blackoutDates: {
+      $not: { $elemMatch: { startDate: { $lt: end }, endDate: { $gt: start } } },
+    },
+    minimumRentalDays: { $not: { $gt: totalDays } },
+    maximumRentalDays: { $not: { $lt: totalDays } },
+  };
+};
+
+// Cars with a booking holding any of the dates
+export const findBookedCarIds = (startDate, endDate) =>
+  Booking.distinct("car", {
+    status: { $in: BLOCKING_STATUSES },
+    startDate: { $lt: new Date(endDate) },
+    endDate: { $gt: new Date(startDate) },
+  });
+
+// Earliest window of the same length starting at or after the request.
+// `bookings` must be sorted by startDate. Returns null if nothing fits
+// before `availableTo`.
+export const computeNextFreeWindow = (
+  bookings,
+  startDate,
+  endDate,
+  availableTo = null
+) => {
+  const duration = new Date(endDate) - new Date(startDate);
+  let candidate = new Date(startDate).getTime();
+
+  for (const booking of bookings) {
+    const bookedStart = new Date(booking.startDate).getTime();
+    const bookedEnd = new Date(booking.endDate).getTime();
+
+    if (bookedEnd <= candidate) continue;
+    if (bookedStart >= candidate + duration) break;
+    candidate = bookedEnd;
+  }
+
+  if (availableTo && candidate + duration > new Date(availableTo).getTime()) {
+    return null;
+  }
+
+  return {
+    startDate: new Date(candidate),
+    endDate: new Date(candidate + duration),
+  };
+};
+
+export const findNextAvailableWindow = async (
+  car,
+  startDate,
+  endDate,
+  excludeBookingId = null
+) => {
+  const filter = {
+    car: car._id,
+    status: { $in: BLOCKING_STATUSES },
+    endDate: { $gt: new Date(startDate) },
+  };
+
+  if (excludeBookingId) {
+    filter._id = { $ne: excludeBookingId };
+  }
+
+  const bookings = await Booking.find(filter)
+    .select("startDate endDate")
+    .lean();
+
+  // Blackout dates block the car like bookings do
+  const taken = [...bookings, ...(car.blackoutDates || [])].sort(
+    (a, b) => new Date(a.startDate) - new Date(b.startDate)
+  );
+
+  return computeNextFreeWindow(taken, startDate, endDate, car.availabilityTo);
+};
+
+// Run `fn` while holding the car's reservation lock so the overlap check
+// and the write can't interleave with another request for the same car.
+// The lease can lapse if `fn` is slow, so `fn` calls the confirmLease it is
+// given right before writing; it renews the lease or throws if it was lost.
+export const withCarReservationLock = async (carId, fn) => {
+  const holder = crypto.randomUUID();
+  const deadline = Date.now() + LOCK_WAIT_MS;
+
+  while (!(await ReservationLock.acquire(carId, holder, LOCK_TTL_MS))) {
+    if (Date.now() >= deadline) {
+      throw new AppError(
+        "This car is being booked right now. Please try again in a moment.",
+        409,
+        "RESERVATION_BUSY"
+      );
+    }
+    await sleep(LOCK_RETRY_MS);
+  }
+
+  const confirmLease = async () => {
+    if (!(await ReservationLock.renew(carId, holder, LOCK_TTL_MS))) {
+      throw new AppError(
+        "This car is being booked right now. Please try again in a moment.",
+        409,
+        "RESERVATION_BUSY"
+      );
+    }
+  };
+
+  try {
+    return await fn(confirmLease);
+  } finally {
+    await ReservationLock.release(carId, holder).catch((error) =>
+      console.error(`Failed to release reservation lock for ${carId}:`, error)
+    );
+  }
+};
+
+// Conflict payload for the losing request
+export const datesUnavailableResponse = (conflict, nextAvailableWindow) => ({
+  success: false,
+  message: nextAvailableWindow
+    ? `Car is not available for the selected dates. Next available: ${nextAvailableWindow.startDate.toDateString()} - ${nextAvailableWindow.endDate.toDateString()}`
+    : "Car is not available for the selected dates",
+  code: "DATES_UNAVAILABLE",
+  conflictingBooking: conflict?._id,
+  nextAvailableWindow,
+});
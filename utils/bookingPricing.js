@@ -0,0 +1,247 @@
+// utils/bookingPricing.js - Server-side booking prices and signed price quotes
+import jwt from "jsonwebtoken";
+import { AppError } from "./errorHandler.js";
+import { priceRentalDays, getLengthOfStayDiscount } from "./pricingRules.js";
+import { findBlackout, blackoutMessage } from "./bookingAvailability.js";
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Quotes are short-lived so a renter can't pay an outdated price later
+export const QUOTE_TTL_SECONDS = 15 * 60;
+const QUOTE_AUDIENCE = "booking-quote";
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const quoteSecret = () => process.env.QUOTE_SECRET || process.env.JWT_SECRET;
+
+export class QuoteError extends AppError {}
+
+// Consistent error payload for controllers
+export const quoteErrorResponse = (error) => ({
+  success: false,
+  message: error.message,
+  code: error.code,
+});
+
+// Price of renting a car between two dates: each day at its own rate
+// (see pricingRules), less any length-of-stay discount
+export const calculateBookingPricing = (
+  car,
+  startDate,
+  endDate,
+  deliveryRequested = false
+) => {
+  const { days, subtotal } = priceRentalDays(car, startDate, endDate);
+  const totalDays = days.length;
+  const discount = getLengthOfStayDiscount(car.pricingRules, totalDays, subtotal);
+
+  const totalAmount = round2(subtotal - (discount?.amount || 0));
+  // Average rate actually charged, kept as the rate agreed for the booking
+  const dailyRate = totalDays > 0 ? round2(totalAmount / totalDays) : car.price;
+  const securityDeposit = car.securityDeposit || 0;
+  const deliveryFee = deliveryRequested ? car.deliveryFee || 0 : 0;
+  const totalPayable = round2(totalAmount + securityDeposit + deliveryFee);
+
+  return {
+    totalDays,
+    dailyRate,
+    totalAmount,
+    securityDeposit,
+    deliveryFee,
+    totalPayable,
+    priceBreakdown: { days, subtotal, discount },
+  };
+};
+
+// Take a resolved promo (see utils/promos.js) off the rental. The average
+// daily rate stays the pre-promo rate so later changes are priced fairly.
+export const applyPromoDiscount = (pricing, promo) => {
+  if (!promo) return { ...pricing, promo: null };
+  const totalAmount = round2(
+    pricing.totalAmount - Math.min(promo.amount, pricing.totalAmount)
+  );
+  return {
+    ...pricing,
+    totalAmount,
+    totalPayable: round2(totalAmount + pricing.securityDeposit + pricing.deliveryFee),
+    promo,
+  };
+};
+
+// Price a booking's changed terms. New dates are priced like a new booking,
+// day by day at the car's current rates and length-of-stay discounts. The
+// deposit and promo discount stay as agreed, and so does the rent when the
+// dates don't change (priceBreakdown is then null).
+export const priceModification = (
+  car,
+  booking,
+  { startDate, endDate, deliveryRequested }
+) => {
+  const pricing = applyPromoDiscount(
+    calculateBookingPricing(
+      {
+        price: car.price,
+        pricingRules: car.pricingRules,
+        securityDeposit: booking.securityDeposit,
+        deliveryFee: car.deliveryFee,
+      },
+      startDate,
+      endDate,
+      deliveryRequested
+    ),
+    booking.promo?.amount ? { amount: booking.promo.amount } : null
+  );
+
+  const datesChanged =
+    startDate.getTime() !== booking.startDate.getTime() ||
+    endDate.getTime() !== booking.endDate.getTime();
+  if (datesChanged) return pricing;
+
+  return {
+    ...pricing,
+    totalAmount: booking.totalAmount,
+    totalPayable: round2(
+      booking.totalAmount + pricing.securityDeposit + pricing.deliveryFee
+    ),
+    priceBreakdown: null,
+  };
+};
+
+// Card deposits are held on the card rather than charged with the rent
+export const getDepositHold = (pricing, paymentMethod) =>
+  paymentMethod === "Card" ? pricing.securityDeposit : 0;
+
+// What is charged now; a held deposit is only authorized
+export const getAmountDue = (pricing, paymentMethod) =>
+  pricing.totalPayable - getDepositHold(pricing, paymentMethod);
+
+// Why a car can't be quoted for these dates, or null when it can
+export const checkRentalRequest = (
+  car,
+  { startDate, endDate, deliveryRequested },
+  now = new Date()
+) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+
+  if (car.status !== "active") {
+    return { code: "CAR_UNAVAILABLE", message: "Car is not available for booking" };
+  }
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { code: "INVALID_DATES", message: "Valid start and end dates are required" };
+  }
+  if (start < new Date(now.getTime() - DAY_MS)) {
+    return { code: "INVALID_DATES", message: "Start date cannot be in the past" };
+  }
+  if (end <= start) {
+    return { code: "INVALID_DATES", message: "End date must be after start date" };
+  }
+  if (
+    (car.availabilityFrom && start < new Date(car.availabilityFrom)) ||
+    (car.availabilityTo && end > new Date(car.availabilityTo))
+  ) {
+    return {
+      code: "OUTSIDE_AVAILABILITY",
+      message: `Selected dates must be between ${new Date(car.availabilityFrom).toDateString()} and ${new Date(car.availabilityTo).toDateString()}`,
+    };
+  }
+
+  const blackout = findBlackout(car, start, end);
+  if (blackout) {
+    return { code: "DATES_BLACKED_OUT", message: blackoutMessage(blackout) };
+  }
+
+  const totalDays = Math.ceil((end - start) / DAY_MS);
+  const minimumRentalDays = car.minimumRentalDays || 1;
+  const maximumRentalDays = car.maximumRentalDays || 30;
+  if (totalDays < minimumRentalDays) {
+    return {
+      code: "MIN_RENTAL_DAYS_NOT_MET",
+      message: `This car must be rented for at least ${minimumRentalDays} days`,
+    };
+  }
+  if (totalDays > maximumRentalDays) {
+    return {
+      code: "MAX_RENTAL_DAYS_EXCEEDED",
+      message: `This car can be rented for at most ${maximumRentalDays} days`,
+    };
+  }
+  if (deliveryRequested && !car.deliveryAvailable) {
+    return {
+      code: "DELIVERY_UNAVAILABLE",
+      message: "This car is not offered with delivery",
+    };
+  }
+  return null;
+};
+
+// Price a rental and sign it for the given user, with an optional promo
+// already resolved against the same pricing
+export const createQuote = (
+  car,
+  { startDate, endDate, deliveryRequested = false, paymentMethod = "Card" },
+  userId,
+  promo = null
+) => {
+  const pricing = applyPromoDiscount(
+    calculateBookingPricing(car, startDate, endDate, deliveryRequested),
+    promo
+  );
+  const depositHold = getDepositHold(pricing, paymentMethod);
+
+  const quote = {
+    carId: car._id.toString(),
+    startDate: new Date(startDate).toISOString(),
+    endDate: new Date(endDate).toISOString(),
+    deliveryRequested: Boolean(deliveryRequested),
+    paymentMethod,
+    ...pricing,
+    depositHold,
+    amountDue: getAmountDue(pricing, paymentMethod),
+    currency: "AED",
+  };
+
+  const token = jwt.sign(quote, quoteSecret(), {
+    expiresIn: QUOTE_TTL_SECONDS,
+    audience: QUOTE_AUDIENCE,
+    subject: userId.toString(),
+  });
+
+  return {
+    quote: {
+      ...quote,
+      expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString(),
+    },
+    token,
+  };
+};
+
+// Check a quote token was issued to this user and is still valid
+export const verifyQuote = (token, userId) => {
+  try {
+    return jwt.verify(token, quoteSecret(), {
+      audience: QUOTE_AUDIENCE,
+      subject: userId.toString(),
+    });
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      throw new QuoteError(
+        "This price quote has expired. Please review the updated price.",
+        409,
+        "QUOTE_EXPIRED"
+      );
+    }
+    throw new QuoteError("Invalid price quote", 400, "QUOTE_INVALID");
+  }
+};
+
+// The quote covers exactly this car, dates, delivery choice and promo code
+export const quoteMatchesRequest = (
+  quote,
+  { carId, startDate, endDate, deliveryRequested = false, promoCode = "" }
+) =>
+  quote.carId === carId?.toString() &&
+  new Date(quote.startDate).getTime() === new Date(startDate).getTime() &&
+  new Date(quote.endDate).getTime() === new Date(endDate).getTime() &&
+  quote.deliveryRequested === Boolean(deliveryRequested) &&
+  (quote.promo?.code || "") === promoCode;
@@ -0,0 +1,65 @@
+// utils/bookingRefunds.js - Paying renters back when a booking ends early
+//
+// The amount owed is set on the booking first: cancellation terms, or a
+// full refund when the owner rejects the request or lets it expire.
+// refundBooking then pays it. Card payments are refunded through Stripe;
+// anything else stays "pending" for the owner or an admin to pay back by
+// hand. Helpers take the Stripe client as their first argument.
+import { getRentalCharge, settleDepositHold } from "./depositHold.js";
+import { syncBookingInvoicesSafely } from "./invoices.js";
+import { syncBookingLedgerSafely } from "./ledger.js";
+
+// The renter gets back everything they paid. The caller saves the booking,
+// then calls refundBooking.
+export const applyFullRefund = (booking) => {
+  const paid = booking.paymentStatus === "paid" ? getRentalCharge(booking) : 0;
+  booking.cancellationFee = 0;
+  booking.refundAmount = paid;
+  booking.refundStatus = paid > 0 ? "pending" : "none";
+  return paid;
+};
+
+// Release a held deposit and refund what the booking says is owed
+export const refundBooking = async (stripe, booking) => {
+  if (["pending", "authorized"].includes(booking.deposit?.status)) {
+    await settleDepositHold(stripe, booking);
+    await booking.save();
+  }
+
+  const paymentIntentId = booking.paymentIntentId || booking.transactionId;
+  if (
+    booking.refundStatus !== "pending" ||
+    booking.paymentMethod !== "Card" ||
+    !paymentIntentId
+  ) {
+    return;
+  }
+
+  try {
+    if (!stripe) throw new Error("Stripe not configured");
+    const refund = await stripe.refunds.create({
+      payment_intent: paymentIntentId,
+      amount: Math.round(booking.refundAmount * 100), // Convert AED to fils
+      reason: "requested_by_customer",
+      // Recorded here, so the refund webhook doesn't add a second credit note
+      metadata: {
+        type: "booking_cancellation",
+        bookingId: booking._id.toString(),
+      },
+    });
+    booking.refundId = refund.id;
+    booking.refundStatus = "completed";
+    booking.refundedAt = new Date();
+    if (booking.cancellationFee === 0) booking.paymentStatus = "refunded";
+    console.log(`💸 Refunded AED ${booking.refundAmount} for booking ${booking._id}`);
+  } catch (refundError) {
+    console.error("Booking refund error:", refundError);
+    booking.refundStatus = "failed";
+  }
+
+  await booking.save();
+  if (booking.refundStatus === "completed") {
+    await syncBookingInvoicesSafely(booking._id);
+    await syncBookingLedgerSafely(booking._id);
+  }
+};
@@ -0,0 +1,144 @@
+// utils/bookingStateMachine.js - Central booking lifecycle rules
+import { AppError } from "./errorHandler.js";
+
+const isPaid = (booking) => booking.paymentStatus === "paid";
+
+// Allowed transitions: from -> to -> { roles, guard, inspectionOnly }
+// "system" covers payments, webhooks and background jobs. inspectionOnly
+// transitions can't be made with a manual status update.
+export const BOOKING_TRANSITIONS = {
+  pending: {
+    approved: { roles: ["owner", "admin", "system"] }, // system: instant book
+    // Owner approving a booking the renter already paid for
+    confirmed: { roles: ["owner", "admin"], guard: isPaid },
+    rejected: { roles: ["owner", "admin"] },
+    cancelled: { roles: ["renter", "owner", "admin", "system"] },
+    expired: { roles: ["system"] },
+  },
+  approved: {
+    confirmed: { roles: ["system", "admin"], guard: isPaid },
+    active: { roles: ["owner", "admin"] }, // Cash bookings go straight to pickup
+    cancelled: { roles: ["renter", "admin", "system"] },
+    expired: { roles: ["system"] },
+  },
+  confirmed: {
+    active: { roles: ["owner", "renter", "admin"] }, // Pickup check-in
+    cancelled: { roles: ["renter", "admin", "system"] },
+  },
+  active: {
+    // Return check-out: the renter hands the car back, but only the owner's
+    // inspection (or an admin's) ends the rental and settles the deposit
+    completed: { roles: ["owner", "admin", "system"], inspectionOnly: true },
+  },
+  completed: {},
+  cancelled: {},
+  rejected: {},
+  expired: {},
+};
+
+export const BOOKING_STATUSES = Object.keys(BOOKING_TRANSITIONS);
+
+// Timestamp fields stamped when a booking enters a status
+const STATUS_TIMESTAMPS = {
+  approved: "approvedAt",
+  confirmed: "confirmedAt",
+  completed: "completedAt",
+};
+
+export class InvalidTransitionError extends AppError {
+  constructor(from, to, allowed = []) {
+    super(
+      `Booking cannot move from "${from}" to "${to}"`,
+      409,
+      "INVALID_TRANSITION"
+    );
+    this.from = from;
+    this.to = to;
+    this.allowed = allowed;
+  }
+}
+
+// Resolve the role a user plays on a booking (car must be populated)
+export const getBookingRole = (booking, user) => {
+  if (!user) return null;
+  if (user.role === "admin") return "admin";
+
+  const userId = user.id || user._id?.toString();
+  const ownerId = booking.car?.owner?._id || booking.car?.owner;
+  const renterId = booking.renter?._id || booking.renter;
+
+  if (ownerId && ownerId.toString() === userId) return "owner";
+  if (renterId && renterId.toString() === userId) return "renter";
+  return null;
+};
+
+// Statuses the given role may move the booking to right now; with
+// manual, only those a status update may set
+export const getAllowedTransitions = (booking, role, { manual = false } = {}) => {
+  const rules = BOOKING_TRANSITIONS[booking.status] || {};
+  return Object.entries(rules)
+    .filter(
+      ([, rule]) =>
+        rule.roles.includes(role) &&
+        (!rule.guard || rule.guard(booking)) &&
+        !(manual && rule.inspectionOnly)
+    )
+    .map(([status]) => status);
+};
+
+export const canTransition = (booking, to, role, options) =>
+  getAllowedTransitions(booking, role, options).includes(to);
+
+// Apply a transition in place and record it in statusHistory.
+// The caller is responsible for saving the booking.
+export const transitionBooking = (booking, to, options = {}) => {
+  const { actor = null, role = "system", reason, manual = false } = options;
+  const from = booking.status;
+
+  if (!canTransition(booking, to, role, { manual })) {
+    throw new InvalidTransitionError(
+      from,
+      to,
+      getAllowedTransitions(booking, role, { manual })
+    );
+  }
+
+  const changedAt = new Date();
+  booking.status = to;
+
+  const timestampField = STATUS_TIMESTAMPS[to];
+  if (timestampField && !booking[timestampField]) {
+    booking[timestampField] = changedAt;
+  }
+
+  if (!booking.statusHistory) booking.statusHistory = [];
+  booking.statusHistory.push({
+    from,
+    to,
+    actor: actor?._id || actor?.id || actor,
+    actorRole: role,
+    reason,
+    changedAt,
+  });
+
+  return booking;
+};
+
+// Consistent error payload for controllers
+export const invalidTransitionResponse = (error) => ({
+  success: false,
+  message: error.message,
+  code: error.code,
+  currentStatus: error.from,
+  requestedStatus: error.to,
+  allowedTransitions: error.allowed,
+});
+
+export default {
+  BOOKING_TRANSITIONS,
+  BOOKING_STATUSES,
+  getBookingRole,
+  getAllowedTransitions,
+  canTransition,
+  transitionBooking,
+};
@@ -0,0 +1,100 @@
+// utils/cancellationPolicy.js - Cancellation fees and refunds by time before pickup
+import { getRentalCharge } from "./depositHold.js";
+
+const HOUR_MS = 1000 * 60 * 60;
+
+// Tiers are checked in order: the first one whose hoursBefore the
+// cancellation meets sets the refund on the rental amount. Cancelling
+// after pickup time refunds nothing of the rental.
+export const CANCELLATION_POLICIES = {
+  flexible: {
+    label: "Flexible",
+    tiers: [
+      { hoursBefore: 24, refundPercent: 100 },
+      { hoursBefore: 0, refundPercent: 50 },
+    ],
+  },
+  moderate: {
+    label: "Moderate",
+    tiers: [
+      { hoursBefore: 72, refundPercent: 100 },
+      { hoursBefore: 24, refundPercent: 50 },
+      { hoursBefore: 0, refundPercent: 0 },
+    ],
+  },
+  strict: {
+    label: "Strict",
+    tiers: [
+      { hoursBefore: 168, refundPercent: 100 },
+      { hoursBefore: 72, refundPercent: 50 },
+      { hoursBefore: 0, refundPercent: 0 },
+    ],
+  },
+};
+
+export const DEFAULT_CANCELLATION_POLICY = "moderate";
+
+export const getCancellationPolicy = (name) =>
+  CANCELLATION_POLICIES[name] ||
+  CANCELLATION_POLICIES[DEFAULT_CANCELLATION_POLICY];
+
+// What the renter has actually paid so far. Approved extensions and
+// modifications that are still unpaid are not part of it, and neither is
+// a deposit held on the card instead of charged.
+export const getAmountPaid = (booking) => {
+  if (!["paid", "partial"].includes(booking.paymentStatus)) return 0;
+
+  const unpaidExtensions = (booking.extensions || [])
+    .filter((e) => e.status === "approved" && e.paymentStatus !== "paid")
+    .reduce((sum, e) => sum + e.additionalAmount, 0);
+  const unpaidModifications = (booking.modifications || [])
+    .filter(
+      (m) =>
+        m.settlement?.type === "charge" && m.settlement.status !== "completed"
+    )
+    .reduce((sum, m) => sum + m.priceDifference, 0);
+
+  return Math.max(
+    0,
+    getRentalCharge(booking) - unpaidExtensions - unpaidModifications
+  );
+};
+
+// Work out the fee and refund for cancelling a booking. Only renters pay
+// a fee, and only once the owner has accepted; the deposit and delivery
+// fee are always returned.
+export const calculateCancellation = (
+  booking,
+  { policy, role = "renter", at = new Date() } = {}
+) => {
+  const policyName = CANCELLATION_POLICIES[policy]
+    ? policy
+    : DEFAULT_CANCELLATION_POLICY;
+  const hoursBeforePickup =
+    (new Date(booking.startDate) - new Date(at)) / HOUR_MS;
+
+  let refundPercent = 100;
+  if (role === "renter" && booking.status !== "pending") {
+    const tier = CANCELLATION_POLICIES[policyName].tiers.find(
+      (t) => hoursBeforePickup >= t.hoursBefore
+    );
+    refundPercent = tier ? tier.refundPercent : 0;
+  }
+
+  const cancellationFee =
+    Math.round(booking.totalAmount * (100 - refundPercent)) / 100;
+  const amountPaid = getAmountPaid(booking);
+  const refundAmount = Math.max(
+    0,
+    Math.round((amountPaid - cancellationFee) * 100) / 100
+  );
+
+  return {
+    policy: policyName,
+    hoursBeforePickup: Math.round(hoursBeforePickup * 10) / 10,
+    refundPercent,
+    cancellationFee,
+    amountPaid,
+    refundAmount,
+  };
+};
@@ -0,0 +1,123 @@
+// utils/carLocation.js - Car pickup points, near-me search and fuzzed display coordinates
+import crypto from "crypto";
+import { AppError } from "./errorHandler.js";
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = 111.32;
+
+// Listings are in the UAE; a point outside it is a typo or swapped lat/lng
+const UAE_BOUNDS = { minLat: 22.5, maxLat: 26.5, minLng: 51, maxLng: 56.5 };
+
+export const DEFAULT_SEARCH_RADIUS_KM = 25;
+export const MAX_SEARCH_RADIUS_KM = 200;
+
+// The pin shown before booking sits this far from the car: near enough for
+// a near-me search, too far to find the owner's home
+const FUZZ_MIN_KM = 0.3;
+const FUZZ_MAX_KM = 0.8;
+
+// Keys the fuzz offsets. Car IDs are public, so an offset derived from the
+// ID alone could be recomputed and subtracted from the shown pin. Changing
+// the secret moves every pin; run devscripts/backfillSearchLocations.js.
+const fuzzSecret = () => process.env.LOCATION_FUZZ_SECRET || process.env.JWT_SECRET;
+
+const invalid = (message) => new AppError(message, 400, "INVALID_LOCATION");
+
+// A GeoJSON point from a request: {lat, lng}, [lng, lat] coordinates or a
+// JSON string of either (multipart listing forms send JSON)
+export const toGeoPoint = (input) => {
+  let location = input;
+  if (typeof input === "string") {
+    try {
+      location = JSON.parse(input);
+    } catch {
+      throw invalid("Location must be valid JSON");
+    }
+  }
+
+  const [lng, lat] = (
+    Array.isArray(location?.coordinates)
+      ? location.coordinates
+      : [location?.lng, location?.lat]
+  ).map((value) => (value === null || value === "" ? NaN : Number(value)));
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    throw invalid("Location needs a latitude and longitude");
+  }
+  if (
+    lat < UAE_BOUNDS.minLat ||
+    lat > UAE_BOUNDS.maxLat ||
+    lng < UAE_BOUNDS.minLng ||
+    lng > UAE_BOUNDS.maxLng
+  ) {
+    throw invalid("Location must be in the UAE");
+  }
+
+  return { type: "Point", coordinates: [lng, lat] };
+};
+
+// Great-circle distance between two [lng, lat] pairs
+export const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// $geoWithin filter for cars within radiusKm of [lng, lat]
+export const withinRadius = (origin, radiusKm) => ({
+  $geoWithin: { $centerSphere: [origin, radiusKm / EARTH_RADIUS_KM] },
+});
+
+// $nearSphere filter: the same circle, nearest cars first
+export const nearestWithin = (origin, radiusKm) => ({
+  $nearSphere: {
+    $geometry: { type: "Point", coordinates: origin },
+    $maxDistance: radiusKm * 1000,
+  },
+});
+
+// The shown pin is offset from the car by a fixed, secret amount per car,
+// so repeated requests can't be averaged back to the real spot
+export const fuzzCoordinates = ([lng, lat], seed) => {
+  const hash = crypto
+    .createHmac("sha256", fuzzSecret())
+    .update(String(seed))
+    .digest();
+  const angle = (hash.readUInt32BE(0) / 0x100000000) * 2 * Math.PI;
+  const km =
+    FUZZ_MIN_KM + (hash.readUInt32BE(4) / 0x100000000) * (FUZZ_MAX_KM - FUZZ_MIN_KM);
+
+  const round = (value) => Math.round(value * 1e4) / 1e4;
+  return {
+    lat: round(lat + (km * Math.cos(angle)) / KM_PER_DEGREE),
+    lng: round(
+      lng + (km * Math.sin(angle)) / (KM_PER_DEGREE * Math.cos((lat * Math.PI) / 180))
+    ),
+  };
+};
+
+// The fuzzed pin as a GeoJSON point (Car.searchLocation). Near-me searches
+// filter and sort on it, so the search radius can't narrow down the car.
+export const fuzzedPoint = (coordinates, seed) => {
+  const { lat, lng } = fuzzCoordinates(coordinates, seed);
+  return { type: "Point", coordinates: [lng, lat] };
+};
+
+// A car as shown to renters: the exact point swapped for the fuzzed pin,
+// and the distance from origin ([lng, lat]) to that pin
+export const withPublicLocation = (car, origin) => {
+  const { location, ...publicCar } = car;
+  if (!location?.coordinates?.length) return publicCar;
+
+  const displayLocation = fuzzCoordinates(location.coordinates, car._id);
+  publicCar.displayLocation = displayLocation;
+  if (origin) {
+    const km = distanceKm(origin, [displayLocation.lng, displayLocation.lat]);
+    publicCar.distanceKm = Math.round(km * 10) / 10;
+  }
+  return publicCar;
+};
@@ -0,0 +1,142 @@
+// utils/carSearch.js - Listing filters shared by car search and facet counts
+//
+// Each filter from the query becomes its own clause, keyed by the facet it
+// narrows. Search results apply every clause; a facet's counts apply all
+// but its own, so picking "Manual" still shows how many automatics match.
+// Free-text search is not a clause: $text has to sit in the first $match
+// (see utils/carTextSearch).
+import { escapeRegex } from "./carTextSearch.js";
+
+export const FACET_FIELDS = [
+  "city",
+  "make",
+  "year",
+  "transmission",
+  "fuelType",
+  "seatingCapacity",
+  "features",
+];
+
+// Daily price histogram (AED). Car prices run 50-5000 per day.
+export const PRICE_BUCKET_BOUNDARIES = [
+  50, 100, 150, 200, 300, 400, 500, 750, 1000, 2000, 5001,
+];
+
+export const buildFilterClauses = (query) => {
+  const {
+    city,
+    priceMin,
+    priceMax,
+    makeModel,
+    make,
+    year,
+    transmission,
+    fuelType,
+    seatingCapacity,
+    features,
+    instantBook,
+  } = query;
+  const clauses = {};
+
+  if (city) clauses.city = { city };
+
+  if (priceMin || priceMax) {
+    clauses.price = { price: {} };
+    if (priceMin) clauses.price.price.$gte = parseFloat(priceMin);
+    if (priceMax) clauses.price.price.$lte = parseFloat(priceMax);
+  }
+
+  // Car specifications
+  if (make) clauses.make = { make: new RegExp(`^${escapeRegex(make)}$`, "i") };
+  if (makeModel) {
+    const pattern = new RegExp(escapeRegex(makeModel), "i");
+    clauses.makeModel = {
+      $or: [{ make: pattern }, { model: pattern }, { title: pattern }],
+    };
+  }
+  if (year) clauses.year = { year: parseInt(year) };
+  if (transmission) clauses.transmission = { transmission };
+  if (fuelType) clauses.fuelType = { fuelType };
+  if (seatingCapacity) {
+    clauses.seatingCapacity = { seatingCapacity: parseInt(seatingCapacity) };
+  }
+  if (instantBook === "true") clauses.instantBook = { isInstantApproval: true };
+
+  // Any of the selected features (repeated or comma-separated)
+  if (features) {
+    const featureArray = Array.isArray(features) ? features : features.split(",");
+    clauses.features = { features: { $in: featureArray } };
+  }
+
+  return clauses;
+};
+
+// The base filter narrowed by every clause except `except`
+export const combineFilterClauses = (base, clauses, except) => {
+  const selected = Object.entries(clauses)
+    .filter(([key]) => key !== except)
+    .map(([, clause]) => clause);
+  return selected.length ? { ...base, $and: selected } : { ...base };
+};
+
+// $facet stages counting each filter value and the price distribution.
+// Runs after a $match on the base filter.
+export const buildFacetStage = (clauses) => {
+  const countBy = (field) => [
+    { $match: combineFilterClauses({}, clauses, field) },
+    ...(field === "features" ? [{ $unwind: "$features" }] : []),
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+  ];
+
+  const facets = Object.fromEntries(FACET_FIELDS.map((field) => [field, countBy(field)]));
+  facets.priceBuckets = [
+    { $match: combineFilterClauses({}, clauses, "price") },
+    {
+      $bucket: {
+        groupBy: "$price",
+        boundaries: PRICE_BUCKET_BOUNDARIES,
+        default: "other",
+        output: { count: { $sum: 1 } },
+      },
+    },
+  ];
+  facets.priceRange = [
+    { $match: combineFilterClauses({}, clauses, "price") },
+    { $group: { _id: null, min: { $min: "$price" }, max: { $max: "$price" } } },
+  ];
+  facets.total = [{ $match: combineFilterClauses({}, clauses) }, { $count: "count" }];
+
+  return { $facet: facets };
+};
+
+// The $facet result as the filter bar reads it: values with counts, and
+// every price bucket (empty ones included) so the slider has a full range
+export const formatFacets = (result = {}) => {
+  const facets = Object.fromEntries(
+    FACET_FIELDS.map((field) => [
+      field,
+      (result[field] || [])
+        .filter((entry) => entry._id !== null && entry._id !== undefined)
+        .map((entry) => ({ value: entry._id, count: entry.count })),
+    ])
+  );
+
+  const bucketCounts = new Map(
+    (result.priceBuckets || []).map((bucket) => [bucket._id, bucket.count])
+  );
+  const range = result.priceRange?.[0];
+
+  facets.price = {
+    min: range?.min ?? null,
+    max: range?.max ?? null,
+    buckets: PRICE_BUCKET_BOUNDARIES.slice(0, -1).map((min, i) => ({
+      min,
+      max: PRICE_BUCKET_BOUNDARIES[i + 1],
+      count: bucketCounts.get(min) || 0,
+    })),
+  };
+  facets.total = result.total?.[0]?.count || 0;
+
+  return facets;
+};
@@ -0,0 +1,247 @@
+// utils/carTextSearch.js - Arabic/English car search and autocomplete
+//
+// Queries are normalized (case, accents, Arabic letter variants and
+// diacritics), Arabic make and model names are transliterated, and words
+// a typo or two away from a listed make or model are corrected. The terms
+// then go to the text index on Car, which ranks results by textScore.
+import Car from "../models/Car.js";
+
+// Arabic spellings of makes and models common in UAE listings
+const ARABIC_NAMES = {
+  "تويوتا": "toyota",
+  "نيسان": "nissan",
+  "هوندا": "honda",
+  "هيونداي": "hyundai",
+  "هيونداى": "hyundai",
+  "كيا": "kia",
+  "مرسيدس": "mercedes",
+  "بي ام دبليو": "bmw",
+  "اودي": "audi",
+  "لكزس": "lexus",
+  "انفينيتي": "infiniti",
+  "فورد": "ford",
+  "شيفروليه": "chevrolet",
+  "شفروليه": "chevrolet",
+  "جي ام سي": "gmc",
+  "كاديلاك": "cadillac",
+  "دودج": "dodge",
+  "جيب": "jeep",
+  "ميتسوبيشي": "mitsubishi",
+  "متسوبيشي": "mitsubishi",
+  "مازدا": "mazda",
+  "سوزوكي": "suzuki",
+  "فولكس واجن": "volkswagen",
+  "فولكس فاجن": "volkswagen",
+  "بورش": "porsche",
+  "تسلا": "tesla",
+  "رينو": "renault",
+  "بيجو": "peugeot",
+  "جيلي": "geely",
+  "ام جي": "mg",
+  "شانجان": "changan",
+  "هافال": "haval",
+  "لاند روفر": "land rover",
+  "رنج روفر": "range rover",
+  "رينج روفر": "range rover",
+  "فيراري": "ferrari",
+  "لامبورغيني": "lamborghini",
+  "بنتلي": "bentley",
+  "رولز رويس": "rolls royce",
+  "كامري": "camry",
+  "كورولا": "corolla",
+  "يارس": "yaris",
+  "لاندكروزر": "land cruiser",
+  "لاند كروزر": "land cruiser",
+  "برادو": "prado",
+  "باترول": "patrol",
+  "التيما": "altima",
+  "صني": "sunny",
+  "اكورد": "accord",
+  "سيفيك": "civic",
+  "النترا": "elantra",
+  "سوناتا": "sonata",
+  "توسان": "tucson",
+  "موستنج": "mustang",
+  "تاهو": "tahoe",
+};
+
+export const escapeRegex = (text) =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Lowercase, accents and Arabic diacritics/tatweel removed, hamza and
+// alef variants folded, Arabic-Indic digits to ASCII, punctuation to spaces
+export const normalizeText = (text = "") =>
+  String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f\u0610-\u061a\u064b-\u065f\u0670\u0640]/g, "")
+    .replace(/\u0671/g, "ا")
+    .replace(/ى/g, "ي")
+    .replace(/ة/g, "ه")
+    .replace(/[\u0660-\u0669]/g, (digit) => String(digit.charCodeAt(0) - 0x0660))
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+// Longest names first, so "بي ام دبليو" wins over anything inside it
+const TRANSLITERATIONS = Object.entries(ARABIC_NAMES)
+  .map(([arabic, latin]) => [normalizeText(arabic), latin])
+  .sort(([a], [b]) => b.length - a.length);
+
+export const transliterate = (normalized) =>
+  TRANSLITERATIONS.reduce(
+    (text, [arabic, latin]) =>
+      ` ${text} `.replaceAll(` ${arabic} `, ` ${latin} `).trim(),
+    normalized
+  );
+
+export const tokenize = (text) => {
+  const normalized = transliterate(normalizeText(text));
+  return normalized ? [...new Set(normalized.split(" "))] : [];
+};
+
+// Edit distance counting a swap of neighbours as one typo
+export const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+// Short words must be exact; longer ones tolerate one or two typos
+const allowedTypos = (length) => (length < 4 ? 0 : length <= 6 ? 1 : 2);
+
+// The closest vocabulary word within the typo allowance, or the token itself
+export const correctToken = (token, vocabulary) => {
+  if (vocabulary.has(token)) return token;
+  const allowed = allowedTypos(token.length);
+  if (!allowed) return token;
+
+  let best = token;
+  let bestDistance = allowed + 1;
+  for (const word of vocabulary) {
+    if (Math.abs(word.length - token.length) > allowed) continue;
+    const distance = editDistance(token, word);
+    if (distance < bestDistance) {
+      best = word;
+      bestDistance = distance;
+    }
+  }
+  return best;
+};
+
+// Words to hand to $text: the corrected tokens plus the query as typed, so
+// Arabic titles and descriptions still match their own spelling
+export const expandSearchTerms = (query, vocabulary = new Set()) => {
+  const typed = String(query)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  const corrected = tokenize(query).map((token) => correctToken(token, vocabulary));
+  return [...new Set([...corrected, ...typed])];
+};
+
+export const buildTextSearchFilter = (terms) =>
+  terms.length ? { $text: { $search: terms.join(" ") } } : null;
+
+// Make and model words from listed cars, for typo correction
+export const buildVocabulary = (models) => {
+  const vocabulary = new Set(
+    TRANSLITERATIONS.flatMap(([, latin]) => latin.split(" "))
+  );
+  models.forEach(({ make, model }) =>
+    tokenize(`${make} ${model}`).forEach((word) => vocabulary.add(word))
+  );
+  return vocabulary;
+};
+
+// A half-typed Arabic word stands for every name it could be the start of
+const arabicCompletions = (token) =>
+  /\p{Script=Arabic}/u.test(token)
+    ? TRANSLITERATIONS.filter(([arabic]) => arabic.startsWith(token)).map(
+        ([, latin]) => latin
+      )
+    : [];
+
+// Autocomplete entries ({ type, label, count }) best first: labels starting
+// with the query, then ones with a word starting with it, then ones
+// containing it, then near misses. Ties go to the most listed.
+export const rankSuggestions = (query, entries, limit = 8) => {
+  const tokens = tokenize(query);
+  if (!tokens.length) return [];
+  const earlier = tokens.slice(0, -1);
+  const lasts = [tokens.at(-1), ...arabicCompletions(tokens.at(-1))];
+  const phrases = lasts.map((last) => [...earlier, last].join(" "));
+  const typos = allowedTypos(phrases[0].length);
+
+  const score = (label) => {
+    const normalized = normalizeText(label);
+    const words = normalized.split(" ");
+    if (phrases.some((phrase) => normalized.startsWith(phrase))) return 4;
+    if (
+      earlier.every((token) => words.includes(token)) &&
+      lasts.some((last) => ` ${normalized}`.includes(` ${last}`))
+    ) {
+      return 3;
+    }
+    if (phrases.some((phrase) => normalized.includes(phrase))) return 2;
+    const prefix = normalized.slice(0, phrases[0].length);
+    return typos && editDistance(phrases[0], prefix) <= typos ? 1 : 0;
+  };
+
+  return entries
+    .map((entry) => ({ ...entry, score: score(entry.label) }))
+    .filter((entry) => entry.score > 0)
+    .sort(
+      (a, b) =>
+        b.score - a.score || b.count - a.count || a.label.localeCompare(b.label)
+    )
+    .slice(0, limit)
+    .map(({ type, label, count }) => ({ type, label, count }));
+};
+
+// Listed makes and models with counts, reused for a minute between searches
+const CATALOG_TTL_MS = 60 * 1000;
+let catalogCache = null;
+
+export const loadSearchCatalog = async () => {
+  if (catalogCache && Date.now() - catalogCache.loadedAt < CATALOG_TTL_MS) {
+    return catalogCache;
+  }
+
+  const models = (
+    await Car.aggregate([
+      { $match: { status: "active", availabilityTo: { $gte: new Date() } } },
+      { $group: { _id: { make: "$make", model: "$model" }, count: { $sum: 1 } } },
+    ])
+  ).map(({ _id, count }) => ({ make: _id.make, model: _id.model, count }));
+
+  const makes = new Map();
+  models.forEach(({ make, count }) => makes.set(make, (makes.get(make) || 0) + count));
+
+  catalogCache = {
+    loadedAt: Date.now(),
+    vocabulary: buildVocabulary(models),
+    entries: [
+      ...[...makes].map(([make, count]) => ({ type: "make", label: make, count })),
+      ...models.map(({ make, model, count }) => ({
+        type: "model",
+        label: `${make} ${model}`,
+        count,
+      })),
+    ],
+  };
+  return catalogCache;
+};
@@ -0,0 +1,131 @@
+// utils/cashPayments.js - Cash collected by owners at pickup
+//
+// Cash bookings stay unpaid until the owner records the cash at check-in.
+// The renter then acknowledges the amount or disputes it, and admins
+// settle disputes. Only a fully collected booking counts as paid, which is
+// what puts its revenue in the owner ledger.
+import { AppError } from "./errorHandler.js";
+import { getRentalCharge } from "./depositHold.js";
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Bookings whose cash can be handed over (pickup through return)
+export const CASH_COLLECTABLE_STATUSES = ["approved", "confirmed", "active", "completed"];
+
+// Cash bookings the owner hasn't recorded full payment for
+export const CASH_OUTSTANDING_FILTER = {
+  paymentMethod: "Cash",
+  paymentStatus: { $in: ["pending", "partial"] },
+  status: { $in: CASH_COLLECTABLE_STATUSES },
+};
+
+export class CashPaymentError extends AppError {}
+
+// Consistent error payload for controllers
+export const cashPaymentErrorResponse = (error) => ({
+  success: false,
+  message: error.message,
+  code: error.code,
+});
+
+// What the renter owes in cash: rent, delivery and the deposit
+export const getCashDue = (booking) => round2(getRentalCharge(booking));
+
+// Why the cash collection can't move to `action` ("confirm", "acknowledge"
+// or "dispute") for this role, or null when it can
+export const checkCashAction = (booking, action, role) => {
+  if (booking.paymentMethod !== "Cash") {
+    return new CashPaymentError("This booking is not paid in cash", 400, "NOT_CASH_BOOKING");
+  }
+  if (!CASH_COLLECTABLE_STATUSES.includes(booking.status)) {
+    return new CashPaymentError(
+      `Cash can't be recorded for a ${booking.status} booking`,
+      409,
+      "CASH_NOT_COLLECTABLE"
+    );
+  }
+
+  const status = booking.cashCollection?.status || "none";
+  if (["disputed", "resolved"].includes(status)) {
+    return new CashPaymentError(
+      status === "disputed"
+        ? "The cash payment is under dispute; our team will settle it"
+        : "The cash payment dispute has been settled",
+      409,
+      "CASH_DISPUTE_LOCKED"
+    );
+  }
+
+  if (action === "confirm" && role !== "owner") {
+    return new CashPaymentError("Only the owner can record cash", 403, "INSUFFICIENT_PERMISSIONS");
+  }
+  if (action === "confirm" && status === "acknowledged") {
+    return new CashPaymentError(
+      "The renter already acknowledged this payment",
+      409,
+      "CASH_ALREADY_ACKNOWLEDGED"
+    );
+  }
+  if (action === "acknowledge" && role !== "renter") {
+    return new CashPaymentError(
+      "Only the renter can acknowledge the payment",
+      403,
+      "INSUFFICIENT_PERMISSIONS"
+    );
+  }
+  if (action === "acknowledge" && status !== "confirmed") {
+    return new CashPaymentError(
+      "The owner hasn't recorded a cash payment yet",
+      409,
+      "CASH_NOT_CONFIRMED"
+    );
+  }
+  if (action === "dispute" && !["renter", "owner"].includes(role)) {
+    return new CashPaymentError(
+      "Only the renter or owner can dispute the payment",
+      403,
+      "INSUFFICIENT_PERMISSIONS"
+    );
+  }
+  return null;
+};
+
+// Settle the booking's payment with the cash collected. Approved cash
+// extensions are part of the total and are settled with it; a short amount
+// leaves the booking partly paid and out of the ledger until it is made up.
+export const applyCashAmount = (booking, amount, at = new Date()) => {
+  const due = getCashDue(booking);
+  booking.cashCollection.amount = round2(amount);
+  booking.cashCollection.expectedAmount = due;
+
+  if (amount + 0.005 < due) {
+    booking.paymentStatus = amount > 0 ? "partial" : "pending";
+    return booking;
+  }
+
+  booking.paymentStatus = "paid";
+  booking.paidAt = booking.paidAt || at;
+  booking.transactionId = booking.transactionId || `cash_${booking._id}`;
+  for (const extension of booking.extensions || []) {
+    if (
+      extension.status === "approved" &&
+      extension.paymentMethod === "Cash" &&
+      extension.paymentStatus !== "paid"
+    ) {
+      extension.paymentStatus = "paid";
+      extension.paidAt = at;
+    }
+  }
+  return booking;
+};
+
+// Owner records the cash handed over. The caller saves the booking.
+export const recordCashCollection = (booking, { amount, notes, by }, at = new Date()) => {
+  booking.cashCollection = {
+    status: "confirmed",
+    notes,
+    confirmedAt: at,
+    confirmedBy: by,
+  };
+  return applyCashAmount(booking, amount, at);
+};
@@ -34,6 +34,12 @@ export const uploadToCloudinary = async (buffer, options = {}) => {
       ["drivingLicense", "emiratesId", "visa", "passport"].includes(fieldname)
     ) {
       folder = "borrowmycar/documents";
+    } else if (fieldname === "photos") {
+      folder = "borrowmycar/evidence"; // Inspections and damage claims
+      transformation = [
+        { width: 1600, height: 1200, crop: "limit" },
+        { quality: "auto:good", fetch_format: "auto" },
+      ];
     } else if (fieldname === "profileImage") {
       folder = "borrowmycar/profiles";
       transformation = [
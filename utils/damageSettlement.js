@@ -0,0 +1,145 @@
+// utils/damageSettlement.js - Collect an agreed damage amount from deposit first
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import { isDepositHeldSeparately } from "./depositHold.js";
+
+// Owners have this long after the return to file a claim
+export const CLAIM_WINDOW_MS = 14 * 24 * 60 * 60 * 1000;
+
+// Split an amount between what's left of the deposit and an extra charge
+export const splitDamageSettlement = (
+  amount,
+  securityDeposit = 0,
+  alreadyDeducted = 0
+) => {
+  const available = Math.max(securityDeposit - alreadyDeducted, 0);
+  const depositDeducted = Math.min(amount, available);
+  return {
+    depositDeducted,
+    chargeAmount: Math.round((amount - depositDeducted) * 100) / 100,
+  };
+};
+
+// A deposit held on the card can only be deducted while the hold is live
+const deductibleDeposit = (booking) =>
+  isDepositHeldSeparately(booking) && booking.deposit.status !== "authorized"
+    ? 0
+    : booking.securityDeposit;
+
+// Apply the agreed amount to the claim and booking. Caller saves both, and
+// captures settlement.depositDeducted from a held deposit.
+export const settleDamageClaim = (claim, booking, amount) => {
+  const { depositDeducted, chargeAmount } = splitDamageSettlement(
+    amount,
+    deductibleDeposit(booking),
+    booking.depositDeducted
+  );
+
+  booking.depositDeducted = (booking.depositDeducted || 0) + depositDeducted;
+  booking.damageReported = true;
+
+  claim.settlement = {
+    amount,
+    depositDeducted,
+    chargeAmount,
+    // Anything beyond the deposit is billed to the renter separately
+    chargeStatus: chargeAmount > 0 ? "pending" : "none",
+    settledAt: new Date(),
+  };
+
+  return claim.settlement;
+};
+
+// The renter's card for off-session charges: the one holding the deposit,
+// else their default saved card
+const findRenterCard = async (stripe, claim, booking) => {
+  if (booking.deposit?.customerId && booking.deposit.paymentMethodId) {
+    return {
+      customer: booking.deposit.customerId,
+      paymentMethod: booking.deposit.paymentMethodId,
+    };
+  }
+
+  const renter = await User.findById(claim.renter).select("stripeCustomerId");
+  if (!renter?.stripeCustomerId) return null;
+  const customer = await stripe.customers.retrieve(renter.stripeCustomerId);
+  const paymentMethod = customer.invoice_settings?.default_payment_method;
+  return paymentMethod
+    ? { customer: customer.id, paymentMethod: paymentMethod.id || paymentMethod }
+    : null;
+};
+
+// Charge what the deposit did not cover to the renter's saved card. Marks
+// the claim's charge paid or failed without failing the caller, who saves
+// claim and booking.
+export const chargeDamageRemainder = async (stripe, claim, booking) => {
+  const { settlement } = claim;
+  if (!(settlement?.chargeAmount > 0) || settlement.chargeStatus === "paid") {
+    return settlement;
+  }
+
+  settlement.chargeAttempts = (settlement.chargeAttempts || 0) + 1;
+  try {
+    if (!stripe) throw new Error("Stripe not configured");
+    const card = await findRenterCard(stripe, claim, booking);
+    if (!card) throw new Error("The renter has no saved card to charge");
+
+    const paymentIntent = await stripe.paymentIntents.create(
+      {
+        amount: Math.round(settlement.chargeAmount * 100), // Convert AED to fils
+        currency: "aed",
+        customer: card.customer,
+        payment_method: card.paymentMethod,
+        confirm: true,
+        off_session: true,
+        metadata: {
+          type: "damage_charge",
+          bookingId: booking._id.toString(),
+          claimId: claim._id.toString(),
+        },
+      },
+      // A retry after a lost response must not charge twice
+      { idempotencyKey: `damage-charge:${claim._id}:${settlement.chargeAttempts}` }
+    );
+
+    if (paymentIntent.status !== "succeeded") {
+      throw new Error(`Damage charge returned ${paymentIntent.status}`);
+    }
+
+    const chargedAt = new Date();
+    settlement.chargeStatus = "paid";
+    settlement.chargePaymentIntentId = paymentIntent.id;
+    settlement.chargedAt = chargedAt;
+    settlement.chargeError = undefined;
+    booking.damageCharge = {
+      amount: settlement.chargeAmount,
+      paymentIntentId: paymentIntent.id,
+      chargedAt,
+    };
+    console.log(
+      `💳 Charged AED ${settlement.chargeAmount} damage for booking ${booking._id}`
+    );
+  } catch (error) {
+    console.error("Damage charge error:", error);
+    settlement.chargeStatus = "failed";
+    settlement.chargeError = error.message;
+  }
+
+  return settlement;
+};
+
+// Notify owner and renter about a claim step
+export const notifyClaimParties = async (claim, type, carTitle) => {
+  try {
+    for (const userId of [claim.owner, claim.renter]) {
+      await Notification.createDamageClaimNotification(
+        userId,
+        type,
+        claim,
+        carTitle
+      );
+    }
+  } catch (notificationError) {
+    console.error(`Failed to send ${type} notifications:`, notificationError);
+  }
+};
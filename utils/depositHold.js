@@ -0,0 +1,211 @@
+// utils/depositHold.js - Security deposits as Stripe authorization holds
+//
+// Card bookings hold the deposit on a separate PaymentIntent with manual
+// capture instead of charging it with the rent. Every helper takes the
+// Stripe client as its first argument and updates booking.deposit in place;
+// the caller saves the booking.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Card networks drop uncaptured authorizations after about a week
+export const DEPOSIT_HOLD_DAYS = 7;
+// Holds expiring within this window are renewed by the scheduler
+export const REAUTHORIZE_WITHIN_MS = DAY_MS;
+// The renter authorizes the hold at pickup, at most this long before it
+export const HOLD_BEFORE_PICKUP_MS = DAY_MS;
+
+// PaymentIntent statuses of a hold the renter has not finished authorizing
+const AWAITING_CARD = [
+  "requires_payment_method",
+  "requires_confirmation",
+  "requires_action",
+];
+
+const holdMetadata = (booking) => ({
+  type: "security_deposit",
+  bookingId: booking._id.toString(),
+});
+
+const markAuthorized = (booking, paymentIntent, now = new Date()) => {
+  booking.deposit.status = "authorized";
+  booking.deposit.paymentIntentId = paymentIntent.id;
+  booking.deposit.paymentMethodId =
+    paymentIntent.payment_method || booking.deposit.paymentMethodId;
+  booking.deposit.authorizedAt = now;
+  booking.deposit.expiresAt = new Date(
+    now.getTime() + DEPOSIT_HOLD_DAYS * DAY_MS
+  );
+  booking.deposit.lastError = undefined;
+};
+
+// True when the deposit is held on its own rather than paid with the rent
+export const isDepositHeldSeparately = (booking) =>
+  Boolean(booking.deposit?.status) && booking.deposit.status !== "none";
+
+// What the renter is charged up front
+export const getRentalCharge = (booking) =>
+  booking.totalPayable -
+  (isDepositHeldSeparately(booking) ? booking.securityDeposit || 0 : 0);
+
+// True when the renter can authorize the hold now: a paid booking whose
+// pickup is close, or a rental whose hold could not be renewed
+export const canPlaceDepositHold = (booking, now = new Date()) => {
+  if (booking.status === "active") return true;
+  if (booking.status !== "confirmed") return false;
+  return (
+    new Date(booking.startDate).getTime() - now.getTime() <= HOLD_BEFORE_PICKUP_MS
+  );
+};
+
+// True when pickup has to wait for the renter to authorize the hold
+export const isDepositHoldMissing = (booking) =>
+  ["pending", "failed"].includes(booking.deposit?.status);
+
+// Start a hold. The renter confirms it with their card using clientSecret.
+// A hold the renter started but never finished is handed back instead of
+// creating another one; any other earlier hold is cancelled first.
+export const createDepositHold = async (stripe, booking, customerId) => {
+  const previousId = booking.deposit.paymentIntentId;
+  if (previousId) {
+    const previous = await stripe.paymentIntents.retrieve(previousId);
+    if (AWAITING_CARD.includes(previous.status)) return previous;
+    if (
+      previous.status === "requires_capture" &&
+      booking.deposit.status === "pending"
+    ) {
+      markAuthorized(booking, previous);
+      return previous;
+    }
+    if (previous.status !== "canceled" && previous.status !== "succeeded") {
+      await stripe.paymentIntents.cancel(previousId);
+    }
+  }
+
+  const paymentIntent = await stripe.paymentIntents.create({
+    amount: Math.round(booking.securityDeposit * 100), // Convert AED to fils
+    currency: "aed",
+    capture_method: "manual",
+    customer: customerId,
+    // Lets the scheduler re-authorize the same card later
+    setup_future_usage: "off_session",
+    payment_method_types: ["card"],
+    metadata: holdMetadata(booking),
+  });
+
+  booking.deposit.status = "pending";
+  booking.deposit.amount = booking.securityDeposit;
+  booking.deposit.paymentIntentId = paymentIntent.id;
+  booking.deposit.customerId = customerId;
+
+  return paymentIntent;
+};
+
+// Read the hold's state back from Stripe
+export const syncDepositHold = async (stripe, booking) => {
+  const paymentIntent = await stripe.paymentIntents.retrieve(
+    booking.deposit.paymentIntentId
+  );
+
+  if (
+    paymentIntent.status === "requires_capture" &&
+    booking.deposit.status !== "authorized"
+  ) {
+    markAuthorized(booking, paymentIntent);
+  } else if (paymentIntent.status === "canceled") {
+    booking.deposit.status = "released";
+    booking.deposit.releasedAt = booking.deposit.releasedAt || new Date();
+  }
+
+  return booking.deposit.status;
+};
+
+// Give the whole hold back to the renter
+export const releaseDeposit = async (stripe, booking) => {
+  const { status, paymentIntentId } = booking.deposit;
+  if (["pending", "authorized"].includes(status) && paymentIntentId) {
+    await stripe.paymentIntents.cancel(paymentIntentId);
+  }
+  booking.deposit.status = "released";
+  booking.deposit.releasedAt = new Date();
+  return booking.deposit;
+};
+
+// Take part or all of the hold; the rest is released by Stripe. A zero
+// amount releases the hold.
+export const captureDeposit = async (stripe, booking, amount) => {
+  if (booking.deposit.status !== "authorized") {
+    throw new Error(`Cannot capture a ${booking.deposit.status} deposit`);
+  }
+
+  const toCapture = Math.min(amount, booking.deposit.amount);
+  if (toCapture <= 0) return releaseDeposit(stripe, booking);
+
+  await stripe.paymentIntents.capture(booking.deposit.paymentIntentId, {
+    amount_to_capture: Math.round(toCapture * 100),
+  });
+
+  booking.deposit.status =
+    toCapture >= booking.deposit.amount ? "captured" : "partially_captured";
+  booking.deposit.capturedAmount = toCapture;
+  booking.deposit.capturedAt = new Date();
+  return booking.deposit;
+};
+
+// Replace a hold that is about to lapse with a fresh one on the same card
+export const reauthorizeDeposit = async (stripe, booking, now = new Date()) => {
+  const { deposit } = booking;
+
+  try {
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: Math.round(deposit.amount * 100),
+      currency: "aed",
+      capture_method: "manual",
+      customer: deposit.customerId,
+      payment_method: deposit.paymentMethodId,
+      confirm: true,
+      off_session: true,
+      metadata: holdMetadata(booking),
+    });
+
+    if (paymentIntent.status !== "requires_capture") {
+      throw new Error(`Re-authorization returned ${paymentIntent.status}`);
+    }
+
+    const previousId = deposit.paymentIntentId;
+    markAuthorized(booking, paymentIntent, now);
+    deposit.reauthorizedCount = (deposit.reauthorizedCount || 0) + 1;
+
+    // Drop the old hold only once the new one is in place
+    try {
+      await stripe.paymentIntents.cancel(previousId);
+    } catch (cancelError) {
+      console.error("Failed to cancel replaced deposit hold:", cancelError);
+    }
+    return true;
+  } catch (error) {
+    deposit.status = "failed";
+    deposit.lastError = error.message;
+    return false;
+  }
+};
+
+// Settle the hold without failing the caller: capture what is owed, or
+// release it when nothing is (no damage, cancellation)
+export const settleDepositHold = async (stripe, booking, amount = 0) => {
+  if (!["pending", "authorized"].includes(booking.deposit?.status)) return;
+
+  try {
+    if (!stripe) throw new Error("Stripe not configured");
+    if (amount > 0) {
+      await captureDeposit(stripe, booking, amount);
+    } else {
+      await releaseDeposit(stripe, booking);
+    }
+    console.log(
+      `🔓 Deposit for booking ${booking._id} settled: ${booking.deposit.status}`
+    );
+  } catch (error) {
+    console.error("Deposit settlement error:", error);
+    booking.deposit.lastError = error.message;
+  }
+};
@@ -156,7 +156,9 @@ class EmailService {
     }
 
     try {
-      const subject = `New Booking Request for Your ${bookingData.carBrand} ${bookingData.carModel} 🚗`;
+      const subject = bookingData.isInstantBooking
+        ? `New Confirmed Booking for Your ${bookingData.carBrand} ${bookingData.carModel} ⚡`
+        : `New Booking Request for Your ${bookingData.carBrand} ${bookingData.carModel} 🚗`;
       const html = this.getBookingNotificationTemplate(bookingData);
 
       const mailOptions = {
@@ -488,7 +490,7 @@ class EmailService {
                 <p>New Booking Request</p>
             </div>
             <div class="content">
-                <h2>You have a new booking request!</h2>
+                <h2>${bookingData.isInstantBooking ? "You have a new confirmed booking!" : "You have a new booking request!"}</h2>
                 <p>Great news! Someone wants to rent your ${bookingData.carBrand} ${bookingData.carModel}.</p>
                 
                 <div class="booking-card">
@@ -543,10 +545,17 @@ class EmailService {
                     ` : ''}
                 </div>
 
+                ${bookingData.isInstantBooking ? `
+                <div class="location-box">
+                    <strong>⚡ Instant Booking:</strong>
+                    <p>Your car has instant booking enabled, so this reservation is already confirmed. No approval is needed - just get the car ready for pickup.</p>
+                </div>
+                ` : `
                 <div class="urgent">
                     <strong>⏰ Action Required:</strong>
                     <p>Please respond to this booking request within 24 hours. The customer is waiting for your approval!</p>
                 </div>
+                `}
 
                 <div style="text-align: center; margin: 30px 0;">
                     <a href="${process.env.FRONTEND_URL || "http://localhost:5173"}/my-bookings" class="btn">
@@ -0,0 +1,267 @@
+// utils/invoicePdf.js - Renders bilingual (English/Arabic) invoice PDFs
+import { createRequire } from "module";
+import PDFDocument from "pdfkit";
+
+const require = createRequire(import.meta.url);
+
+// DejaVu Sans covers Latin and Arabic, so one font serves both languages
+const FONTS = {
+  regular: require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans.ttf"),
+  bold: require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf"),
+};
+
+const TITLES = {
+  invoice: { en: "TAX INVOICE", ar: "فاتورة ضريبية" },
+  credit_note: { en: "TAX CREDIT NOTE", ar: "إشعار دائن ضريبي" },
+};
+
+const PAGE_MARGIN = 50;
+const PAGE_WIDTH = 595.28; // A4
+const CONTENT_WIDTH = PAGE_WIDTH - PAGE_MARGIN * 2;
+const RIGHT_EDGE = PAGE_WIDTH - PAGE_MARGIN;
+
+const money = (amount) => (amount || 0).toFixed(2);
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString("en-GB", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+        timeZone: "Asia/Dubai",
+      })
+    : "-";
+
+// PDFKit lays out words left to right, which scrambles Arabic phrases.
+// Place each word ourselves from the right edge instead, wrapping to the
+// box width; the font engine still shapes the letters of each word.
+const arabicText = (doc, text, x, y, { width, align = "right" } = {}) => {
+  const space = doc.widthOfString(" ");
+  const rows = [[]];
+  let rowWidth = 0;
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const wordWidth = doc.widthOfString(word);
+    if (rows.at(-1).length && width && rowWidth + space + wordWidth > width) {
+      rows.push([]);
+      rowWidth = 0;
+    }
+    rowWidth += (rows.at(-1).length ? space : 0) + wordWidth;
+    rows.at(-1).push({ word, width: wordWidth });
+  }
+
+  const lineHeight = doc.currentLineHeight(true);
+  rows.forEach((row, index) => {
+    const total = row.reduce((sum, w) => sum + w.width, 0) + space * (row.length - 1);
+    let right = align === "right" && width ? x + width : x + total;
+    for (const { word, width: wordWidth } of row) {
+      right -= wordWidth;
+      doc.text(word, right, y + index * lineHeight, { lineBreak: false });
+      right -= space;
+    }
+  });
+  return y + rows.length * lineHeight;
+};
+
+// English label on the left, Arabic label right-aligned
+const bilingualHeading = (doc, en, ar, y, size = 11) => {
+  doc.font("bold").fontSize(size).text(en, PAGE_MARGIN, y);
+  arabicText(doc, ar, PAGE_MARGIN, y, { width: CONTENT_WIDTH });
+};
+
+// "Label / التسمية: value" rows used in the details blocks
+const detailRow = (doc, en, ar, value, x, y, width) => {
+  doc.font("regular").fontSize(8).fillColor("#6b7280");
+  doc.text(en, x, y, { width });
+  arabicText(doc, ar, x, y, { width });
+  doc.font("regular").fontSize(10).fillColor("#111827");
+  doc.text(value || "-", x, y + 11, { width });
+  return y + 28;
+};
+
+const partyBlock = (doc, en, ar, party, x, y, width) => {
+  let rowY = detailRow(doc, en, ar, party?.name, x, y, width);
+  doc.font("regular").fontSize(9).fillColor("#374151");
+  for (const detail of [party?.email, party?.phone].filter(Boolean)) {
+    doc.text(detail, x, rowY - 4, { width });
+    rowY += 12;
+  }
+  return rowY;
+};
+
+const TABLE_COLUMNS = [
+  { key: "description", en: "Description", ar: "الوصف", width: 205 },
+  { key: "quantity", en: "Qty", ar: "الكمية", width: 45, align: "right" },
+  { key: "unitPrice", en: "Unit price", ar: "سعر الوحدة", width: 70, align: "right" },
+  { key: "vat", en: "VAT", ar: "الضريبة", width: 70, align: "right" },
+  { key: "amount", en: "Amount", ar: "المبلغ", width: 105, align: "right" },
+];
+
+const drawLinesTable = (doc, lines, y) => {
+  doc.rect(PAGE_MARGIN, y, CONTENT_WIDTH, 30).fill("#f3f4f6");
+  let x = PAGE_MARGIN + 5;
+  for (const column of TABLE_COLUMNS) {
+    const width = column.width - 10;
+    doc.font("bold").fontSize(8).fillColor("#111827");
+    doc.text(column.en, x, y + 5, { width, align: column.align || "left" });
+    arabicText(doc, column.ar, x, y + 16, { width, align: column.align });
+    x += column.width;
+  }
+  y += 36;
+
+  for (const line of lines) {
+    const cells = {
+      description: line.description,
+      quantity: String(line.quantity ?? 1),
+      unitPrice: money(line.unitPrice),
+      vat: line.vatRate ? `${money(line.vatAmount)} (${line.vatRate * 100}%)` : "N/A",
+      amount: money(line.amount),
+    };
+    x = PAGE_MARGIN + 5;
+    for (const column of TABLE_COLUMNS) {
+      doc.font("regular").fontSize(9).fillColor("#111827");
+      doc.text(cells[column.key], x, y, {
+        width: column.width - 10,
+        align: column.align || "left",
+      });
+      x += column.width;
+    }
+    const descriptionWidth = TABLE_COLUMNS[0].width - 10;
+    let bottom = y + doc.heightOfString(line.description, { width: descriptionWidth });
+    if (line.descriptionAr) {
+      doc.fontSize(8).fillColor("#6b7280");
+      bottom = arabicText(doc, line.descriptionAr, PAGE_MARGIN + 5, bottom + 2, {
+        width: descriptionWidth,
+      });
+    }
+    y = Math.max(bottom, y + 12) + 10;
+    doc
+      .moveTo(PAGE_MARGIN, y - 4)
+      .lineTo(RIGHT_EDGE, y - 4)
+      .strokeColor("#e5e7eb")
+      .stroke();
+  }
+  return y;
+};
+
+const totalRow = (doc, en, ar, amount, y, bold = false) => {
+  const x = PAGE_MARGIN + CONTENT_WIDTH / 2;
+  const width = CONTENT_WIDTH / 2;
+  doc.font(bold ? "bold" : "regular").fontSize(bold ? 11 : 9).fillColor("#111827");
+  doc.text(en, x, y, { width: width - 110 });
+  arabicText(doc, ar, x, y + (bold ? 14 : 11), { width: width - 110, align: "left" });
+  doc.text(`AED ${money(amount)}`, x, y, { width, align: "right" });
+  return y + (bold ? 34 : 28);
+};
+
+// Render an Invoice document to a PDF buffer
+export const renderInvoicePdf = (invoice, { relatedNumber } = {}) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: PAGE_MARGIN,
+      info: {
+        Title: `${TITLES[invoice.type].en} ${invoice.number}`,
+        Author: invoice.seller?.name,
+      },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.registerFont("regular", FONTS.regular);
+    doc.registerFont("bold", FONTS.bold);
+
+    const title = TITLES[invoice.type];
+    const halfWidth = CONTENT_WIDTH / 2 - 10;
+    const rightColumn = PAGE_MARGIN + CONTENT_WIDTH / 2 + 10;
+
+    // Seller and document title
+    doc.font("bold").fontSize(18).fillColor("#059669");
+    doc.text(invoice.seller?.name || "BorrowMyCar", PAGE_MARGIN, PAGE_MARGIN);
+    doc.font("regular").fontSize(9).fillColor("#374151");
+    if (invoice.seller?.address) doc.text(invoice.seller.address, { width: halfWidth });
+    if (invoice.seller?.trn) doc.text(`TRN: ${invoice.seller.trn}`);
+
+    doc.font("bold").fontSize(16).fillColor("#111827");
+    doc.text(title.en, rightColumn, PAGE_MARGIN, { width: halfWidth, align: "right" });
+    arabicText(doc, title.ar, rightColumn, PAGE_MARGIN + 22, { width: halfWidth });
+
+    let y = PAGE_MARGIN + 70;
+    y = Math.max(
+      detailRow(doc, "Number", "الرقم", invoice.number, PAGE_MARGIN, y, halfWidth),
+      detailRow(doc, "Date of issue", "تاريخ الإصدار", formatDate(invoice.issuedAt), rightColumn, y, halfWidth)
+    );
+    y = Math.max(
+      detailRow(doc, "Booking reference", "مرجع الحجز", invoice.booking.toString().slice(-8).toUpperCase(), PAGE_MARGIN, y, halfWidth),
+      relatedNumber
+        ? detailRow(doc, "Original invoice", "الفاتورة الأصلية", relatedNumber, rightColumn, y, halfWidth)
+        : y
+    );
+
+    // Parties
+    y += 6;
+    y = Math.max(
+      partyBlock(doc, "Customer", "العميل", invoice.renter, PAGE_MARGIN, y, halfWidth),
+      partyBlock(doc, "Vehicle owner", "مالك المركبة", invoice.owner, rightColumn, y, halfWidth)
+    );
+
+    // Rental breakdown
+    y += 6;
+    bilingualHeading(doc, "Rental details", "تفاصيل الإيجار", y);
+    y += 20;
+    const { rental = {} } = invoice;
+    const vehicle = [invoice.car?.title, invoice.car?.plateNumber].filter(Boolean).join(" - ");
+    y = Math.max(
+      detailRow(doc, "Vehicle", "المركبة", vehicle, PAGE_MARGIN, y, halfWidth),
+      detailRow(doc, "Rental period", "فترة الإيجار", `${formatDate(rental.startDate)} - ${formatDate(rental.endDate)}`, rightColumn, y, halfWidth)
+    );
+    y = Math.max(
+      detailRow(doc, "Daily rate", "السعر اليومي", `AED ${money(rental.dailyRate)} x ${rental.totalDays} days`, PAGE_MARGIN, y, halfWidth),
+      detailRow(doc, "Delivery fee", "رسوم التوصيل", `AED ${money(rental.deliveryFee)}`, rightColumn, y, halfWidth)
+    );
+    if (rental.depositTreatment && rental.depositTreatment !== "none") {
+      y = detailRow(
+        doc,
+        "Security deposit",
+        "مبلغ التأمين",
+        rental.depositTreatment === "held"
+          ? `AED ${money(rental.securityDeposit)} - held on card, not charged`
+          : `AED ${money(rental.securityDeposit)} - refundable`,
+        PAGE_MARGIN,
+        y,
+        CONTENT_WIDTH
+      );
+    }
+
+    // Lines and totals
+    y = drawLinesTable(doc, invoice.lines, y + 8);
+    y += 6;
+    y = totalRow(doc, "Total excluding VAT", "الإجمالي غير شامل الضريبة", invoice.subtotal, y);
+    y = totalRow(doc, "VAT (5%)", "ضريبة القيمة المضافة", invoice.vatTotal, y);
+    y = totalRow(
+      doc,
+      invoice.type === "credit_note" ? "Total credited" : "Total paid",
+      invoice.type === "credit_note" ? "إجمالي المبلغ المسترد" : "إجمالي المبلغ المدفوع",
+      invoice.total,
+      y,
+      true
+    );
+
+    // Payment and notes
+    doc.font("regular").fontSize(8).fillColor("#6b7280");
+    const payment = [
+      invoice.payment?.method && `Payment method: ${invoice.payment.method}`,
+      invoice.payment?.reference && `Reference: ${invoice.payment.reference}`,
+      invoice.payment?.paidAt && `Date: ${formatDate(invoice.payment.paidAt)}`,
+    ].filter(Boolean);
+    if (payment.length) doc.text(payment.join("   "), PAGE_MARGIN, y + 6, { width: CONTENT_WIDTH });
+    if (invoice.reason) doc.text(`Reason: ${invoice.reason}`, { width: CONTENT_WIDTH });
+    doc.moveDown();
+    doc.text("Amounts are in UAE Dirhams (AED) and include VAT unless marked N/A.", { width: CONTENT_WIDTH });
+    arabicText(doc, "المبالغ بالدرهم الإماراتي وتشمل ضريبة القيمة المضافة", PAGE_MARGIN, doc.y, {
+      width: CONTENT_WIDTH,
+    });
+
+    doc.end();
+  });
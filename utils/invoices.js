@@ -0,0 +1,362 @@
+// utils/invoices.js - UAE VAT tax invoices and credit notes for bookings
+//
+// Prices on the platform include VAT. Every payment for a booking gets a
+// sequentially numbered tax invoice and every refund a credit note. The
+// documents are derived from the booking's payment state, so issuing is
+// idempotent: syncBookingInvoices() only issues what is still missing.
+import crypto from "crypto";
+import Booking from "../models/Booking.js";
+import Counter from "../models/Counter.js";
+import Invoice from "../models/Invoice.js";
+import { isDepositHeldSeparately } from "./depositHold.js";
+import { renderInvoicePdf } from "./invoicePdf.js";
+
+export const VAT_RATE = 0.05;
+
+const NUMBER_PREFIXES = { invoice: "INV", credit_note: "CN" };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// VAT contained in a VAT-inclusive amount
+export const vatIncluded = (amount, rate = VAT_RATE) =>
+  round2((amount * rate) / (1 + rate));
+
+// A document line. Amounts are VAT inclusive; rate 0 marks amounts outside
+// the scope of VAT (refundable deposits).
+export const invoiceLine = (
+  description,
+  descriptionAr,
+  amount,
+  { quantity = 1, unitPrice = amount, vatRate = VAT_RATE } = {}
+) => ({
+  description,
+  descriptionAr,
+  quantity,
+  unitPrice: round2(unitPrice),
+  amount: round2(amount),
+  vatRate,
+  vatAmount: vatRate ? vatIncluded(amount, vatRate) : 0,
+});
+
+export const invoiceTotals = (lines) => {
+  const total = round2(lines.reduce((sum, line) => sum + line.amount, 0));
+  const vatTotal = round2(lines.reduce((sum, line) => sum + line.vatAmount, 0));
+  return { subtotal: round2(total - vatTotal), vatTotal, total };
+};
+
+const depositLine = (amount) =>
+  invoiceLine(
+    "Security deposit (refundable, outside the scope of VAT)",
+    "مبلغ تأمين قابل للاسترداد وخارج نطاق ضريبة القيمة المضافة",
+    amount,
+    { vatRate: 0 }
+  );
+
+// Deposit paid together with the rent (not held on the card)
+const depositCollected = (booking) =>
+  isDepositHeldSeparately(booking) ? 0 : booking.securityDeposit || 0;
+
+// Modifications whose price difference was charged or refunded separately
+export const settledModifications = (booking) =>
+  (booking.modifications || []).filter(
+    (m) => m.status === "approved" && m.settlement?.type && m.settlement.type !== "none"
+  );
+
+// Lines of the first invoice: the booking as it was when it was paid, i.e.
+// without extensions and separately settled changes, which get their own
+export const buildBookingInvoiceLines = (booking) => {
+  const extensionsAmount = (booking.extensions || [])
+    .filter((e) => e.status === "approved")
+    .reduce((sum, e) => sum + e.additionalAmount, 0);
+  const changes = settledModifications(booking);
+  const rentalChange = changes.reduce(
+    (sum, m) => sum + (m.requested.totalAmount - m.original.totalAmount),
+    0
+  );
+  const deliveryChange = changes.reduce(
+    (sum, m) => sum + (m.requested.deliveryFee - m.original.deliveryFee),
+    0
+  );
+
+  // totalAmount is net of any promo; show the discount as its own line
+  const promoDiscount = booking.promo?.amount || 0;
+  const rental = booking.totalAmount - extensionsAmount - rentalChange + promoDiscount;
+  const deliveryFee = (booking.deliveryFee || 0) - deliveryChange;
+  const days = booking.dailyRate ? rental / booking.dailyRate : 0;
+
+  const lines = [
+    invoiceLine(
+      "Car rental",
+      "إيجار سيارة",
+      rental,
+      Number.isInteger(days) && days > 0
+        ? { quantity: days, unitPrice: booking.dailyRate }
+        : {}
+    ),
+  ];
+  if (promoDiscount > 0) {
+    lines.push(
+      invoiceLine(
+        `Promo discount (${booking.promo.code})`,
+        `خصم ترويجي (${booking.promo.code})`,
+        -promoDiscount
+      )
+    );
+  }
+  if (deliveryFee > 0) {
+    lines.push(invoiceLine("Delivery fee", "رسوم التوصيل", deliveryFee));
+  }
+  if (depositCollected(booking) > 0) {
+    lines.push(depositLine(depositCollected(booking)));
+  }
+  return lines;
+};
+
+// Lines of the credit note for a cancellation refund. The deposit comes
+// back first, the rest is rental being refunded.
+export const buildCancellationCreditLines = (booking) => {
+  const depositRefund = Math.min(booking.refundAmount, depositCollected(booking));
+  const rentalRefund = round2(booking.refundAmount - depositRefund);
+
+  const lines = [];
+  if (rentalRefund > 0) {
+    lines.push(
+      invoiceLine("Cancellation refund", "استرداد مبلغ الإلغاء", rentalRefund)
+    );
+  }
+  if (depositRefund > 0) lines.push(depositLine(depositRefund));
+  return lines;
+};
+
+export const wasPaid = (booking) =>
+  ["paid", "partial", "refunded"].includes(booking.paymentStatus) &&
+  Boolean(booking.paidAt || booking.transactionId || booking.paymentIntentId);
+
+// Every document the booking's payment history calls for, in order
+export const collectInvoiceSources = (booking) => {
+  if (!wasPaid(booking)) return [];
+
+  const sources = [
+    {
+      type: "invoice",
+      source: { type: "booking", id: "" },
+      lines: buildBookingInvoiceLines(booking),
+      payment: {
+        reference: booking.transactionId || booking.paymentIntentId,
+        paidAt: booking.paidAt,
+      },
+    },
+  ];
+
+  for (const extension of booking.extensions || []) {
+    if (extension.status !== "approved" || extension.paymentStatus !== "paid") {
+      continue;
+    }
+    sources.push({
+      type: "invoice",
+      source: { type: "extension", id: extension._id.toString() },
+      lines: [
+        invoiceLine(
+          `Rental extension (${extension.additionalDays} day${extension.additionalDays !== 1 ? "s" : ""})`,
+          "تمديد الإيجار",
+          extension.additionalAmount,
+          booking.dailyRate &&
+            extension.additionalAmount === extension.additionalDays * booking.dailyRate
+            ? { quantity: extension.additionalDays, unitPrice: booking.dailyRate }
+            : {}
+        ),
+      ],
+      payment: {
+        method: extension.paymentMethod,
+        reference: extension.paymentIntentId,
+        paidAt: extension.paidAt,
+      },
+    });
+  }
+
+  for (const modification of settledModifications(booking)) {
+    const { settlement } = modification;
+    if (settlement.status !== "completed") continue;
+    const amount = Math.abs(modification.priceDifference);
+    const isCharge = settlement.type === "charge";
+    sources.push({
+      type: isCharge ? "invoice" : "credit_note",
+      source: { type: "modification", id: modification._id.toString() },
+      lines: [
+        invoiceLine(
+          isCharge ? "Booking change" : "Booking change refund",
+          isCharge ? "تعديل الحجز" : "استرداد تعديل الحجز",
+          amount
+        ),
+      ],
+      payment: {
+        reference: settlement.paymentIntentId || settlement.refundId,
+        paidAt: settlement.settledAt,
+      },
+      reason: "Booking dates or delivery changed",
+    });
+  }
+
+  if (booking.refundStatus === "completed" && booking.refundAmount > 0) {
+    sources.push({
+      type: "credit_note",
+      source: { type: "cancellation", id: "" },
+      lines: buildCancellationCreditLines(booking),
+      payment: { reference: booking.refundId, paidAt: booking.refundedAt },
+      reason: booking.cancellationReason || "Booking cancelled",
+    });
+  }
+
+  return sources;
+};
+
+const partyDetails = (user) =>
+  user
+    ? { user: user._id, name: user.name, email: user.email, phone: user.phone }
+    : undefined;
+
+const sequenceName = (type, issuedAt) => `${type}-${issuedAt.getFullYear()}`;
+
+const formatDocumentNumber = (type, issuedAt, seq) =>
+  `${NUMBER_PREFIXES[type]}-${issuedAt.getFullYear()}-${String(seq).padStart(6, "0")}`;
+
+const isIssued = (booking, { type, source }) =>
+  Invoice.exists({
+    booking: booking._id,
+    type,
+    "source.type": source.type,
+    "source.id": source.id,
+  });
+
+// Create, render and store one document. The booking must have renter,
+// car and car.owner populated. The number is taken last and never reused;
+// if the document isn't stored it is recorded as voided on the counter.
+// Only a crash between taking the number and saving leaves a gap with no
+// record.
+const issueDocument = async (booking, { type, source, lines, payment, reason }) => {
+  if (await isIssued(booking, { type, source })) return null;
+
+  const issuedAt = new Date();
+  const relatedInvoice =
+    type === "credit_note"
+      ? await Invoice.findOne({
+          booking: booking._id,
+          type: "invoice",
+          "source.type": "booking",
+        }).select("_id number")
+      : null;
+
+  const invoice = new Invoice({
+    type,
+    booking: booking._id,
+    source,
+    relatedInvoice: relatedInvoice?._id,
+    issuedAt,
+    seller: {
+      name: process.env.INVOICE_SELLER_NAME || "BorrowMyCar",
+      trn: process.env.INVOICE_SELLER_TRN,
+      address: process.env.INVOICE_SELLER_ADDRESS,
+    },
+    renter: partyDetails(booking.renter),
+    owner: partyDetails(booking.car?.owner),
+    car: { title: booking.car?.title, plateNumber: booking.car?.plateNumber },
+    rental: {
+      startDate: booking.startDate,
+      endDate: booking.endDate,
+      totalDays: booking.totalDays,
+      dailyRate: booking.dailyRate,
+      deliveryFee: booking.deliveryFee,
+      securityDeposit: booking.securityDeposit,
+      depositTreatment: !booking.securityDeposit
+        ? "none"
+        : isDepositHeldSeparately(booking)
+        ? "held"
+        : "collected",
+    },
+    lines,
+    ...invoiceTotals(lines),
+    payment: { method: booking.paymentMethod, ...payment },
+    reason,
+  });
+
+  const sequence = sequenceName(type, issuedAt);
+  const seq = await Counter.next(sequence);
+  invoice.number = formatDocumentNumber(type, issuedAt, seq);
+
+  try {
+    invoice.pdf = await renderInvoicePdf(invoice, {
+      relatedNumber: relatedInvoice?.number,
+    });
+    invoice.pdfSha256 = crypto
+      .createHash("sha256")
+      .update(invoice.pdf)
+      .digest("hex");
+    await invoice.save();
+  } catch (error) {
+    await Counter.void(sequence, seq, error.message);
+    // Issued concurrently by another request
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  console.log(`🧾 Issued ${invoice.number} for booking ${booking._id}`);
+  return invoice;
+};
+
+// Issue any invoices and credit notes the booking is still missing.
+// Returns all of the booking's documents, oldest first.
+export const syncBookingInvoices = async (bookingId) => {
+  const booking = await Booking.findById(bookingId)
+    .populate("renter", "name email phone")
+    .populate({
+      path: "car",
+      select: "title plateNumber owner",
+      populate: { path: "owner", select: "name email phone" },
+    });
+  if (!booking) return [];
+
+  const issued = await Invoice.find({ booking: booking._id }).select(
+    "type source"
+  );
+  const issuedKeys = new Set(
+    issued.map((doc) => `${doc.type}:${doc.source.type}:${doc.source.id}`)
+  );
+
+  for (const pending of collectInvoiceSources(booking)) {
+    const key = `${pending.type}:${pending.source.type}:${pending.source.id}`;
+    if (issuedKeys.has(key) || pending.lines.length === 0) continue;
+    await issueDocument(booking, pending);
+  }
+
+  return Invoice.find({ booking: booking._id }).sort({ issuedAt: 1 });
+};
+
+// Credit note for a refund made outside the booking flows (admin refunds)
+export const issueRefundCreditNote = async (bookingId, refund, reason) => {
+  const booking = await Booking.findById(bookingId)
+    .populate("renter", "name email phone")
+    .populate({
+      path: "car",
+      select: "title plateNumber owner",
+      populate: { path: "owner", select: "name email phone" },
+    });
+  if (!booking) return null;
+
+  const amount = refund.amount / 100; // Stripe amounts are in fils
+  return issueDocument(booking, {
+    type: "credit_note",
+    source: { type: "refund", id: refund.id },
+    lines: [invoiceLine("Refund", "استرداد", amount)],
+    payment: { reference: refund.id, paidAt: new Date() },
+    reason,
+  });
+};
+
+// Keep invoicing out of the payment path: log failures, retry on next sync
+export const syncBookingInvoicesSafely = async (bookingId) => {
+  try {
+    await syncBookingInvoices(bookingId);
+  } catch (error) {
+    console.error(`Failed to issue invoices for booking ${bookingId}:`, error);
+  }
+};
@@ -0,0 +1,496 @@
+// utils/ledger.js - Double-entry ledger of booking money and owner payouts
+//
+// Like invoices, ledger transactions are derived from the booking's payment
+// state and recorded once each under a stable key, so syncing is idempotent.
+// Rent and delivery fees are owner revenue less the platform commission;
+// deposits are owed back to the renter until they are refunded, released or
+// deducted for damage (which goes to the owner). Cash is collected by the
+// owner at pickup and recorded against them in owner_cash, so a cash
+// booking leaves the owner owing the platform its commission.
+import Booking from "../models/Booking.js";
+import LedgerTransaction from "../models/LedgerTransaction.js";
+import { isDepositHeldSeparately } from "./depositHold.js";
+import { settledModifications, wasPaid } from "./invoices.js";
+
+export const DEFAULT_COMMISSION_PERCENT = 15;
+
+// Bookings whose earnings can no longer change and may be paid out
+export const SETTLED_BOOKING_STATUSES = ["completed", "cancelled", "rejected", "expired"];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Platform commission on rent and delivery fees, set by
+// PLATFORM_COMMISSION_PERCENT and copied to each booking when it is made
+export const getCommissionPercent = () => {
+  const percent = Number(process.env.PLATFORM_COMMISSION_PERCENT);
+  return Number.isFinite(percent) && percent >= 0 && percent <= 100
+    ? percent
+    : DEFAULT_COMMISSION_PERCENT;
+};
+
+export const calculateCommission = (amount, percent) =>
+  round2((amount * percent) / 100);
+
+const line = (account, amount, memo, owner) => ({
+  account,
+  amount: round2(amount),
+  memo,
+  ...(owner ? { owner } : {}),
+});
+
+// Rent or delivery received (sign 1) or refunded (sign -1). Card money
+// goes through the platform; cash changes hands between renter and owner.
+const revenueLines = (amount, { sign = 1, method, owner, percent, memo }) => {
+  const commission = calculateCommission(amount, percent);
+  const lines = [
+    line("owner_payable", -sign * (amount - commission), memo, owner),
+    line("platform_commission", -sign * commission, `Commission (${percent}%)`),
+  ];
+  if (method === "Cash") {
+    lines.push(
+      line(
+        "owner_cash",
+        sign * amount,
+        sign > 0 ? "Collected in cash by owner" : "Refunded in cash by owner",
+        owner
+      )
+    );
+  } else {
+    lines.push(line("platform_cash", sign * amount, memo));
+  }
+  return lines;
+};
+
+// Rent and delivery as first paid, before extensions and separately
+// settled changes (see buildBookingInvoiceLines)
+const initialRevenue = (booking) => {
+  const extensions = (booking.extensions || [])
+    .filter((e) => e.status === "approved")
+    .reduce((sum, e) => sum + e.additionalAmount, 0);
+  const changes = settledModifications(booking).reduce(
+    (sum, m) => sum + (m.requested.totalAmount - m.original.totalAmount) +
+      (m.requested.deliveryFee - m.original.deliveryFee),
+    0
+  );
+  return round2(
+    booking.totalAmount + (booking.deliveryFee || 0) - extensions - changes
+  );
+};
+
+// Deposit paid together with the rent by card
+const depositCollected = (booking) =>
+  booking.paymentMethod === "Card" && !isDepositHeldSeparately(booking)
+    ? booking.securityDeposit || 0
+    : 0;
+
+// Every transaction the booking's payment history calls for. The booking
+// must have car.owner available (populated or as an id).
+export const collectLedgerTransactions = (booking) => {
+  const owner = booking.car?.owner?._id || booking.car?.owner;
+  const percent = booking.commissionPercent ?? getCommissionPercent();
+  const id = booking._id.toString();
+  const base = {
+    booking: booking._id,
+    owner,
+    commissionPercent: percent,
+  };
+  const transactions = [];
+
+  if (wasPaid(booking)) {
+    const method = booking.paymentMethod;
+    const deposit = depositCollected(booking);
+    const lines = revenueLines(initialRevenue(booking), {
+      method,
+      owner,
+      percent,
+      memo: "Rent and delivery",
+    });
+    if (deposit > 0) {
+      lines.push(
+        line("platform_cash", deposit, "Security deposit"),
+        line("deposits_held", -deposit, "Security deposit")
+      );
+    }
+    transactions.push({
+      ...base,
+      key: `booking:${id}:payment`,
+      type: "booking_payment",
+      paymentMethod: method,
+      description: "Booking payment",
+      occurredAt: booking.paidAt || booking.updatedAt,
+      lines,
+    });
+  }
+
+  for (const extension of booking.extensions || []) {
+    if (extension.status !== "approved" || extension.paymentStatus !== "paid") {
+      continue;
+    }
+    transactions.push({
+      ...base,
+      key: `booking:${id}:extension:${extension._id}`,
+      type: "extension_payment",
+      paymentMethod: extension.paymentMethod,
+      description: `Extension (${extension.additionalDays} days)`,
+      occurredAt: extension.paidAt || extension.decidedAt,
+      lines: revenueLines(extension.additionalAmount, {
+        method: extension.paymentMethod,
+        owner,
+        percent,
+        memo: "Extension",
+      }),
+    });
+  }
+
+  for (const modification of settledModifications(booking)) {
+    const { settlement } = modification;
+    if (settlement.status !== "completed") continue;
+    const isCharge = settlement.type === "charge";
+    transactions.push({
+      ...base,
+      key: `booking:${id}:modification:${modification._id}`,
+      type: isCharge ? "modification_charge" : "modification_refund",
+      paymentMethod: "Card",
+      description: isCharge ? "Booking change" : "Booking change refund",
+      occurredAt: settlement.settledAt,
+      lines: revenueLines(Math.abs(modification.priceDifference), {
+        sign: isCharge ? 1 : -1,
+        method: "Card",
+        owner,
+        percent,
+        memo: "Booking change",
+      }),
+    });
+  }
+
+  if (booking.refundStatus === "completed" && booking.refundAmount > 0) {
+    // The deposit comes back first, the rest is rent (as on the credit note)
+    const depositRefund = Math.min(booking.refundAmount, depositCollected(booking));
+    const rentRefund = round2(booking.refundAmount - depositRefund);
+    const lines = [];
+    if (rentRefund > 0) {
+      lines.push(
+        ...revenueLines(rentRefund, {
+          sign: -1,
+          method: booking.paymentMethod,
+          owner,
+          percent,
+          memo: "Cancellation refund",
+        })
+      );
+    }
+    if (depositRefund > 0) {
+      lines.push(
+        line("deposits_held", depositRefund, "Deposit refund"),
+        line("platform_cash", -depositRefund, "Deposit refund")
+      );
+    }
+    transactions.push({
+      ...base,
+      key: `booking:${id}:cancellation-refund`,
+      type: "cancellation_refund",
+      paymentMethod: booking.paymentMethod,
+      description: "Cancellation refund",
+      occurredAt: booking.refundedAt,
+      lines,
+    });
+  }
+
+  const { deposit } = booking;
+  if (isDepositHeldSeparately(booking) && deposit.authorizedAt) {
+    transactions.push({
+      ...base,
+      key: `booking:${id}:deposit-hold`,
+      type: "deposit_hold",
+      paymentMethod: "Card",
+      description: "Security deposit held on card",
+      occurredAt: deposit.authorizedAt,
+      lines: [
+        line("card_holds", deposit.amount, "Deposit authorized"),
+        line("deposits_held", -deposit.amount, "Deposit authorized"),
+      ],
+    });
+
+    if (deposit.capturedAmount > 0) {
+      transactions.push({
+        ...base,
+        key: `booking:${id}:deposit-capture`,
+        type: "deposit_capture",
+        paymentMethod: "Card",
+        description: "Damage charged to security deposit",
+        occurredAt: deposit.capturedAt,
+        lines: [
+          line("platform_cash", deposit.capturedAmount, "Deposit captured"),
+          line("card_holds", -deposit.capturedAmount, "Deposit captured"),
+          line("deposits_held", deposit.capturedAmount, "Deposit captured"),
+          line("owner_payable", -deposit.capturedAmount, "Damage charge", owner),
+        ],
+      });
+    }
+
+    const remaining = round2(deposit.amount - (deposit.capturedAmount || 0));
+    if (
+      ["released", "captured", "partially_captured"].includes(deposit.status) &&
+      remaining > 0
+    ) {
+      transactions.push({
+        ...base,
+        key: `booking:${id}:deposit-release`,
+        type: "deposit_release",
+        paymentMethod: "Card",
+        description: "Security deposit released",
+        occurredAt: deposit.releasedAt || deposit.capturedAt,
+        lines: [
+          line("card_holds", -remaining, "Hold released"),
+          line("deposits_held", remaining, "Hold released"),
+        ],
+      });
+    }
+  } else if (booking.depositDeducted > 0 && depositCollected(booking) > 0) {
+    transactions.push({
+      ...base,
+      key: `booking:${id}:deposit-deduction`,
+      type: "deposit_deduction",
+      paymentMethod: "Card",
+      description: "Damage deducted from security deposit",
+      occurredAt: booking.updatedAt,
+      lines: [
+        line("deposits_held", booking.depositDeducted, "Deposit deducted"),
+        line("owner_payable", -booking.depositDeducted, "Damage charge", owner),
+      ],
+    });
+  }
+
+  const { damageCharge } = booking;
+  if (damageCharge?.chargedAt && damageCharge.amount > 0) {
+    transactions.push({
+      ...base,
+      key: `booking:${id}:damage-charge`,
+      type: "damage_charge",
+      paymentMethod: "Card",
+      description: "Damage charged beyond the security deposit",
+      occurredAt: damageCharge.chargedAt,
+      lines: [
+        line("platform_cash", damageCharge.amount, "Damage charged to card"),
+        line("owner_payable", -damageCharge.amount, "Damage charge", owner),
+      ],
+    });
+  }
+
+  return transactions.filter((t) => t.lines.some((l) => l.amount !== 0));
+};
+
+// Record any transactions the booking is still missing.
+// Returns all of the booking's transactions, oldest first.
+export const syncBookingLedger = async (bookingId) => {
+  const booking = await Booking.findById(bookingId).populate("car", "owner");
+  if (!booking || !booking.car) return [];
+
+  const recorded = await LedgerTransaction.find({ booking: booking._id }).select("key");
+  const recordedKeys = new Set(recorded.map((t) => t.key));
+
+  for (const transaction of collectLedgerTransactions(booking)) {
+    if (recordedKeys.has(transaction.key)) continue;
+    try {
+      await LedgerTransaction.create(transaction);
+      console.log(`📒 Recorded ${transaction.key}`);
+    } catch (error) {
+      // Recorded concurrently by another request
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return LedgerTransaction.find({ booking: booking._id }).sort({ occurredAt: 1 });
+};
+
+// Keep the ledger out of the payment path: log failures, retry on next sync
+export const syncBookingLedgerSafely = async (bookingId) => {
+  try {
+    await syncBookingLedger(bookingId);
+  } catch (error) {
+    console.error(`Failed to update ledger for booking ${bookingId}:`, error);
+  }
+};
+
+// Net of an account's lines (debits positive)
+export const accountTotal = (transactions, account, owner) =>
+  round2(
+    transactions
+      .flatMap((t) => t.lines)
+      .filter(
+        (l) =>
+          l.account === account &&
+          (!owner || l.owner?.toString() === owner.toString())
+      )
+      .reduce((sum, l) => sum + l.amount, 0)
+  );
+
+// Why a booking's recorded ledger doesn't add up, compared with what its
+// payment state calls for. Returns a list of issues (empty when it balances).
+export const reconcileBooking = (booking, recorded) => {
+  const issues = [];
+  const expected = collectLedgerTransactions(booking);
+  const recordedByKey = new Map(recorded.map((t) => [t.key, t]));
+
+  for (const transaction of recorded) {
+    const total = round2(transaction.lines.reduce((sum, l) => sum + l.amount, 0));
+    if (total !== 0) {
+      issues.push({
+        code: "UNBALANCED",
+        key: transaction.key,
+        message: `Transaction is off by AED ${total}`,
+      });
+    }
+  }
+
+  for (const transaction of expected) {
+    const match = recordedByKey.get(transaction.key);
+    if (!match) {
+      issues.push({
+        code: "MISSING_ENTRY",
+        key: transaction.key,
+        message: `${transaction.description} is not in the ledger`,
+      });
+      continue;
+    }
+    for (const account of ["platform_cash", "owner_payable", "owner_cash", "deposits_held"]) {
+      const want = accountTotal([transaction], account);
+      const have = accountTotal([match], account);
+      if (want !== have) {
+        issues.push({
+          code: "AMOUNT_MISMATCH",
+          key: transaction.key,
+          message: `${transaction.description}: ${account} is AED ${have}, booking says AED ${want}`,
+        });
+      }
+    }
+  }
+
+  const expectedKeys = new Set(expected.map((t) => t.key));
+  for (const transaction of recorded) {
+    if (!expectedKeys.has(transaction.key)) {
+      issues.push({
+        code: "UNEXPECTED_ENTRY",
+        key: transaction.key,
+        message: `${transaction.description} no longer matches the booking`,
+      });
+    }
+  }
+
+  // A finished booking shouldn't still have a deposit on a renter's card
+  if (
+    SETTLED_BOOKING_STATUSES.includes(booking.status) &&
+    !["pending", "authorized"].includes(booking.deposit?.status) &&
+    accountTotal(recorded, "card_holds") !== 0
+  ) {
+    issues.push({
+      code: "DEPOSIT_NOT_SETTLED",
+      message: `AED ${accountTotal(recorded, "card_holds")} of the deposit hold was never captured or released`,
+    });
+  }
+
+  return issues;
+};
+
+// Accounts whose lines make up what the platform owes an owner
+export const OWNER_ACCOUNTS = ["owner_payable", "owner_cash"];
+
+// Owners' balances from their owner_payable and owner_cash lines: what they
+// are owed in total, and how much of it comes from settled bookings and
+// can be paid out
+export const getOwnerBalances = async (ownerId = null) => {
+  const rows = await LedgerTransaction.aggregate([
+    ...(ownerId ? [{ $match: { "lines.owner": ownerId } }] : []),
+    { $unwind: "$lines" },
+    {
+      $match: {
+        "lines.account": { $in: OWNER_ACCOUNTS },
+        ...(ownerId ? { "lines.owner": ownerId } : {}),
+      },
+    },
+    {
+      $lookup: {
+        from: "bookings",
+        localField: "booking",
+        foreignField: "_id",
+        pipeline: [{ $project: { status: 1 } }],
+        as: "bookingDoc",
+      },
+    },
+    {
+      $addFields: {
+        settled: {
+          $or: [
+            { $eq: [{ $size: "$bookingDoc" }, 0] }, // Payouts
+            {
+              $in: [
+                { $arrayElemAt: ["$bookingDoc.status", 0] },
+                SETTLED_BOOKING_STATUSES,
+              ],
+            },
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: "$lines.owner",
+        total: { $sum: "$lines.amount" },
+        settledTotal: { $sum: { $cond: ["$settled", "$lines.amount", 0] } },
+      },
+    },
+  ]);
+
+  // Credit balances: negative lines are owed to the owner
+  return rows.map((row) => {
+    const balance = round2(-row.total);
+    const available = Math.max(Math.min(round2(-row.settledTotal), balance), 0);
+    return {
+      owner: row._id,
+      balance,
+      available,
+      pending: round2(balance - available),
+    };
+  });
+};
+
+// What an owner earned from bookings (rent, delivery and damage charges
+// less commission and refunds), in total and per day since `since`
+export const getOwnerEarnings = async (ownerId, since) => {
+  const [result] = await LedgerTransaction.aggregate([
+    { $match: { owner: ownerId, type: { $ne: "payout" } } },
+    { $unwind: "$lines" },
+    {
+      $match: {
+        "lines.account": { $in: ["owner_payable", "platform_commission"] },
+      },
+    },
+    {
+      $facet: {
+        totals: [{ $group: { _id: "$lines.account", total: { $sum: "$lines.amount" } } }],
+        daily: [
+          { $match: { occurredAt: { $gte: since }, "lines.account": "owner_payable" } },
+          {
+            $group: {
+              _id: {
+                year: { $year: "$occurredAt" },
+                month: { $month: "$occurredAt" },
+                day: { $dayOfMonth: "$occurredAt" },
+              },
+              earnings: { $sum: "$lines.amount" },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const total = (account) =>
+    round2(-(result.totals.find((t) => t._id === account)?.total || 0));
+
+  return {
+    earnings: total("owner_payable"),
+    commission: total("platform_commission"),
+    daily: result.daily.map((d) => ({ _id: d._id, earnings: round2(-d.earnings) })),
+  };
+};
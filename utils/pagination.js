@@ -0,0 +1,142 @@
+// utils/pagination.js - Cursor pagination for list endpoints
+//
+// Lists sort on one field with _id breaking ties, so rows with equal sort
+// values keep a fixed order. `?cursor` is an opaque token for the last row
+// served; the next page starts strictly after it, so rows added or removed
+// meanwhile don't shift or repeat results. `?page` still works for older
+// clients. Sorts that can't be keyed (text relevance, distance) get cursors
+// holding an offset instead.
+import mongoose from "mongoose";
+import { AppError } from "./errorHandler.js";
+
+export const DEFAULT_PAGE_LIMIT = 20;
+export const MAX_PAGE_LIMIT = 100;
+
+const invalidCursor = () =>
+  new AppError("Invalid pagination cursor", 400, "INVALID_CURSOR");
+
+export const encodeCursor = (data) =>
+  Buffer.from(JSON.stringify(data)).toString("base64url");
+
+// The sort value goes straight into a $lt/$gt filter, so it must be a
+// plain number, string, boolean or date (or null), never an object with
+// operators
+const isSortValue = ({ v, d }) => {
+  if (d !== undefined && d !== true) return false;
+  if (v === null || v === undefined) return !d;
+  if (d) return typeof v === "string" && !Number.isNaN(new Date(v).getTime());
+  return (
+    (typeof v === "number" && Number.isFinite(v)) ||
+    ["string", "boolean"].includes(typeof v)
+  );
+};
+
+export const decodeCursor = (cursor) => {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    throw invalidCursor();
+  }
+  const isOffset = Number.isInteger(data?.o) && data.o >= 0;
+  const isKey =
+    typeof data?.f === "string" &&
+    mongoose.isValidObjectId(data?.id) &&
+    isSortValue(data);
+  if (!isOffset && !isKey) throw invalidCursor();
+  return data;
+};
+
+// The page a list request asks for: a cursor from an earlier response or a
+// page number, and a limit capped at MAX_PAGE_LIMIT
+export const readPageRequest = (query, defaultLimit = DEFAULT_PAGE_LIMIT) => ({
+  limit: Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_PAGE_LIMIT),
+  page: Math.max(parseInt(query.page) || 1, 1),
+  cursor: query.cursor ? decodeCursor(query.cursor) : null,
+});
+
+const valueAt = (doc, path) => path.split(".").reduce((obj, key) => obj?.[key], doc);
+
+const cursorFor = (doc, field) => {
+  const value = valueAt(doc, field);
+  return encodeCursor({
+    f: field,
+    v: value ?? null,
+    d: value instanceof Date || undefined,
+    id: String(doc._id),
+  });
+};
+
+// Rows after the cursor row in `{ [field]: direction, _id: direction }`
+// order. Missing values sort lowest, so they come last going down and first
+// going up.
+export const afterCursor = (field, direction, cursor) => {
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  const idAfter = { _id: direction === 1 ? { $gt: id } : { $lt: id } };
+  if (field === "_id") return idAfter;
+
+  if (cursor.v === null) {
+    return direction === 1
+      ? { $or: [{ [field]: { $ne: null } }, { [field]: null, ...idAfter }] }
+      : { [field]: null, ...idAfter };
+  }
+
+  const value = cursor.d ? new Date(cursor.v) : cursor.v;
+  const after = [
+    { [field]: direction === 1 ? { $gt: value } : { $lt: value } },
+    { [field]: value, ...idAfter },
+  ];
+  if (direction === -1) after.push({ [field]: null });
+  return { $or: after };
+};
+
+// Runs one page of a list. `sort` is the caller's sort; a single ascending
+// or descending field gets the _id tie-breaker and keyed cursors, anything
+// else (textScore, $nearSphere's own order) pages by offset.
+// `find(filter, sort, skip, limit)` runs the query; one extra row is
+// fetched to tell whether another page follows.
+export const paginate = async (find, { filter, sort = {}, request }) => {
+  const { limit, page, cursor } = request;
+  const entries = Object.entries(sort);
+  const [field, direction] = entries[0] || [];
+  const keyed = entries.length === 1 && (direction === 1 || direction === -1);
+
+  let pageFilter = filter;
+  let skip = (page - 1) * limit;
+  if (cursor && cursor.o !== undefined) {
+    skip = cursor.o;
+  } else if (cursor) {
+    if (!keyed || cursor.f !== field) throw invalidCursor();
+    pageFilter = {
+      ...filter,
+      $and: [...(filter.$and || []), afterCursor(field, direction, cursor)],
+    };
+    skip = 0;
+  }
+
+  const fullSort = keyed && field !== "_id" ? { ...sort, _id: direction } : sort;
+  const rows = await find(pageFilter, fullSort, skip, limit + 1);
+  const hasNext = rows.length > limit;
+  const docs = rows.slice(0, limit);
+
+  let nextCursor = null;
+  if (hasNext) {
+    nextCursor = keyed
+      ? cursorFor(docs.at(-1), field)
+      : encodeCursor({ o: skip + limit });
+  }
+
+  return { docs, hasNext, nextCursor, limit, page: cursor ? null : page };
+};
+
+// The pagination block of a list response: page fields for page-number
+// clients, nextCursor for the rest
+export const pageInfo = ({ hasNext, nextCursor, limit, page }, totalCount) => ({
+  currentPage: page,
+  totalPages: Math.ceil(totalCount / limit),
+  totalCount,
+  hasNext,
+  hasPrev: page === null || page > 1,
+  limit,
+  nextCursor,
+});
@@ -0,0 +1,359 @@
+// utils/paymentHistory.js - Renter and owner transaction history
+//
+// Completed money movements come from the same transactions the ledger
+// records for a booking (collectLedgerTransactions), seen from the renter's
+// or the owner's side. Payments and refunds still in flight or failed are
+// read off the booking, and owners also see their payouts.
+import Booking from "../models/Booking.js";
+import Car from "../models/Car.js";
+import Payout from "../models/Payout.js";
+import { collectLedgerTransactions } from "./ledger.js";
+import { getRentalCharge } from "./depositHold.js";
+import { CASH_OUTSTANDING_FILTER, getCashDue } from "./cashPayments.js";
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export const PAYMENT_ENTRY_KINDS = [
+  "charge",
+  "refund",
+  "deposit_hold",
+  "deposit_release",
+  "damage_charge",
+  "payout",
+];
+export const PAYMENT_ENTRY_STATUSES = ["completed", "pending", "failed"];
+
+const KIND_BY_LEDGER_TYPE = {
+  booking_payment: "charge",
+  extension_payment: "charge",
+  modification_charge: "charge",
+  modification_refund: "refund",
+  cancellation_refund: "refund",
+  deposit_hold: "deposit_hold",
+  deposit_release: "deposit_release",
+  deposit_capture: "damage_charge",
+  deposit_deduction: "damage_charge",
+  damage_charge: "damage_charge",
+};
+
+const sumLines = (transaction, accounts) =>
+  round2(
+    transaction.lines
+      .filter((l) => accounts.includes(l.account))
+      .reduce((sum, l) => sum + l.amount, 0)
+  );
+
+// What the renter paid (positive) or got back (negative). Holds and
+// releases are the amount reserved on or freed from their card.
+const grossAmount = (transaction, kind) => {
+  if (kind === "deposit_hold" || kind === "deposit_release") {
+    return sumLines(transaction, ["card_holds"]);
+  }
+  if (kind === "damage_charge") return -sumLines(transaction, ["owner_payable"]);
+  return sumLines(transaction, ["platform_cash", "owner_cash"]);
+};
+
+const bookingSummary = (booking) => ({
+  _id: booking._id,
+  car: booking.car ? { _id: booking.car._id, title: booking.car.title } : null,
+  startDate: booking.startDate,
+  endDate: booking.endDate,
+});
+
+const paymentReference = (booking, type) => {
+  if (type.startsWith("deposit")) return booking.deposit?.paymentIntentId;
+  return booking.transactionId || booking.paymentIntentId;
+};
+
+// Payments and refunds the ledger doesn't have yet: awaiting cash, failed
+// card payments, unpaid extensions, refunds and booking changes still
+// being settled
+const openEntries = (booking) => {
+  const id = booking._id.toString();
+  const entries = [];
+
+  if (booking.paymentStatus === "failed") {
+    entries.push({
+      id: `booking:${id}:payment-failed`,
+      type: "booking_payment",
+      kind: "charge",
+      status: "failed",
+      description: "Booking payment failed",
+      amount: round2(getRentalCharge(booking)),
+      date: booking.updatedAt,
+      paymentMethod: booking.paymentMethod,
+    });
+  }
+
+  const cashOutstanding =
+    booking.paymentMethod === CASH_OUTSTANDING_FILTER.paymentMethod &&
+    CASH_OUTSTANDING_FILTER.paymentStatus.$in.includes(booking.paymentStatus) &&
+    CASH_OUTSTANDING_FILTER.status.$in.includes(booking.status);
+  if (cashOutstanding) {
+    const collected = booking.cashCollection?.amount || 0;
+    entries.push({
+      id: `booking:${id}:cash-due`,
+      type: "booking_payment",
+      kind: "charge",
+      status: "pending",
+      description:
+        collected > 0
+          ? `Cash partly collected (AED ${collected})`
+          : "Cash due at pickup",
+      amount: getCashDue(booking),
+      date: booking.cashCollection?.confirmedAt || booking.startDate,
+      paymentMethod: "Cash",
+    });
+  }
+
+  if (["pending", "failed"].includes(booking.refundStatus) && booking.refundAmount > 0) {
+    entries.push({
+      id: `booking:${id}:cancellation-refund`,
+      type: "cancellation_refund",
+      kind: "refund",
+      status: booking.refundStatus,
+      description:
+        booking.refundStatus === "failed" ? "Cancellation refund failed" : "Cancellation refund",
+      amount: -booking.refundAmount,
+      date: booking.refundedAt || booking.updatedAt,
+      paymentMethod: booking.paymentMethod,
+    });
+  }
+
+  for (const extension of booking.extensions || []) {
+    if (extension.status !== "approved" || extension.paymentStatus === "paid") continue;
+    // Cash extensions are collected with the rest of the cash due
+    if (cashOutstanding && extension.paymentMethod === "Cash") continue;
+    entries.push({
+      id: `booking:${id}:extension:${extension._id}`,
+      type: "extension_payment",
+      kind: "charge",
+      status: "pending",
+      description: `Extension (${extension.additionalDays} days)`,
+      amount: extension.additionalAmount,
+      date: extension.decidedAt || extension.requestedAt,
+      paymentMethod: extension.paymentMethod,
+    });
+  }
+
+  for (const modification of booking.modifications || []) {
+    const { settlement } = modification;
+    if (
+      modification.status !== "approved" ||
+      !["charge", "refund"].includes(settlement?.type) ||
+      !["pending", "failed"].includes(settlement.status)
+    ) {
+      continue;
+    }
+    const isCharge = settlement.type === "charge";
+    entries.push({
+      id: `booking:${id}:modification:${modification._id}`,
+      type: isCharge ? "modification_charge" : "modification_refund",
+      kind: isCharge ? "charge" : "refund",
+      status: settlement.status,
+      description: isCharge ? "Booking change" : "Booking change refund",
+      amount: (isCharge ? 1 : -1) * Math.abs(modification.priceDifference),
+      date: modification.decidedAt || modification.requestedAt,
+      paymentMethod: "Card",
+    });
+  }
+
+  if (booking.deposit?.status === "failed") {
+    entries.push({
+      id: `booking:${id}:deposit-hold`,
+      type: "deposit_hold",
+      kind: "deposit_hold",
+      status: "failed",
+      description: "Security deposit hold failed",
+      amount: booking.deposit.amount || booking.securityDeposit,
+      date: booking.updatedAt,
+      paymentMethod: "Card",
+    });
+  }
+
+  return entries;
+};
+
+// The booking's transactions as `role` ("renter" or "owner") sees them.
+// The booking needs car populated with title and owner.
+export const collectPaymentEntries = (booking, role) => {
+  const completed = collectLedgerTransactions(booking).map((transaction) => {
+    const kind = KIND_BY_LEDGER_TYPE[transaction.type];
+    const entry = {
+      id: transaction.key,
+      type: transaction.type,
+      kind,
+      status: "completed",
+      description: transaction.description,
+      amount: grossAmount(transaction, kind),
+      date: transaction.occurredAt,
+      paymentMethod: transaction.paymentMethod,
+      reference: paymentReference(booking, transaction.type),
+    };
+    if (role === "owner") {
+      // Owners see the rent and fees (not the deposit) and their share of it
+      entry.commission = -sumLines(transaction, ["platform_commission"]);
+      entry.net = -sumLines(transaction, ["owner_payable"]);
+      entry.amount = round2(entry.net + entry.commission);
+    }
+    return entry;
+  });
+
+  return [...completed, ...openEntries(booking)]
+    // Deposits on the renter's card don't concern the owner
+    .filter((entry) => role === "renter" || !entry.kind.startsWith("deposit_"))
+    .map((entry) => ({ ...entry, role, booking: bookingSummary(booking) }));
+};
+
+export const payoutEntry = (payout) => ({
+  id: `payout:${payout._id}`,
+  type: "payout",
+  kind: "payout",
+  status: "completed",
+  description: "Payout",
+  amount: payout.amount,
+  net: -payout.amount,
+  date: payout.sentAt,
+  reference: payout.reference,
+  role: "owner",
+});
+
+// Entries matching the query's from/to dates, status, kind and role
+export const filterPaymentEntries = (entries, { from, to, status, kind, as } = {}) =>
+  entries.filter(
+    (entry) =>
+      (!from || new Date(entry.date) >= from) &&
+      (!to || new Date(entry.date) <= to) &&
+      (!status || entry.status === status) &&
+      (!kind || entry.kind === kind) &&
+      (!as || entry.role === as)
+  );
+
+// Totals of completed entries: what a renter paid, and what an owner earned
+export const summarizePaymentEntries = (entries) => {
+  const completed = entries.filter((entry) => entry.status === "completed");
+  const total = (role, kinds, field = "amount") =>
+    round2(
+      completed
+        .filter((e) => e.role === role && kinds.includes(e.kind))
+        .reduce((sum, e) => sum + (e[field] || 0), 0)
+    );
+
+  const charged = total("renter", ["charge", "damage_charge"]);
+  const refunded = 0 - total("renter", ["refund"]);
+  const earningKinds = ["charge", "refund", "damage_charge"];
+
+  return {
+    renter: { charged, refunded, netPaid: round2(charged - refunded) },
+    owner: {
+      earned: total("owner", earningKinds),
+      commission: total("owner", earningKinds, "commission"),
+      netEarnings: total("owner", earningKinds, "net"),
+      paidOut: total("owner", ["payout"]),
+    },
+    pending: round2(
+      entries
+        .filter((e) => e.status === "pending" && !e.kind.startsWith("deposit_"))
+        .reduce((sum, e) => sum + e.amount, 0)
+    ),
+  };
+};
+
+const STATEMENT_TIME_ZONE = "Asia/Dubai";
+// UAE time is UTC+4 all year (no daylight saving)
+const STATEMENT_UTC_OFFSET_MS = 4 * 60 * 60 * 1000;
+
+// "2026-09" for the month the date falls in, in UAE time
+export const statementMonth = (date) => {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    year: "numeric",
+    month: "2-digit",
+    timeZone: STATEMENT_TIME_ZONE,
+  }).formatToParts(new Date(date));
+  const part = (type) => parts.find((p) => p.type === type).value;
+  return `${part("year")}-${part("month")}`;
+};
+
+// First and last moment of a "2026-09" statement month, in UAE time
+export const statementMonthRange = (month) => {
+  const [year, monthNumber] = month.split("-").map(Number);
+  return {
+    from: new Date(Date.UTC(year, monthNumber - 1, 1) - STATEMENT_UTC_OFFSET_MS),
+    to: new Date(Date.UTC(year, monthNumber, 1) - STATEMENT_UTC_OFFSET_MS - 1),
+  };
+};
+
+// Completed entries grouped into monthly statements, newest first
+export const buildMonthlyStatements = (entries) => {
+  const months = new Map();
+  for (const entry of entries) {
+    if (entry.status !== "completed") continue;
+    const month = statementMonth(entry.date);
+    if (!months.has(month)) months.set(month, []);
+    months.get(month).push(entry);
+  }
+
+  return [...months.entries()]
+    .sort(([a], [b]) => b.localeCompare(a))
+    .map(([month, monthEntries]) => ({
+      month,
+      count: monthEntries.length,
+      totals: summarizePaymentEntries(monthEntries),
+    }));
+};
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  // Quote cells with separators, and defuse spreadsheet formulas
+  const safe = /^[=+\-@]/.test(text) && Number.isNaN(Number(text)) ? `'${text}` : text;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+const CSV_COLUMNS = [
+  ["Date", (e) => new Date(e.date).toISOString()],
+  ["As", (e) => e.role],
+  ["Type", (e) => e.kind],
+  ["Description", (e) => e.description],
+  ["Car", (e) => e.booking?.car?.title],
+  ["Booking", (e) => e.booking?._id],
+  ["Payment method", (e) => e.paymentMethod],
+  ["Status", (e) => e.status],
+  ["Amount (AED)", (e) => e.amount?.toFixed(2)],
+  ["Commission (AED)", (e) => e.commission?.toFixed(2)],
+  ["Net (AED)", (e) => e.net?.toFixed(2)],
+  ["Reference", (e) => e.reference],
+];
+
+export const paymentEntriesToCsv = (entries) =>
+  [
+    CSV_COLUMNS.map(([header]) => header),
+    ...entries.map((entry) => CSV_COLUMNS.map(([, value]) => value(entry))),
+  ]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\r\n");
+
+// Everything the user paid, was refunded or earned, newest first
+export const getUserPaymentEntries = async (userId) => {
+  const ownedCars = await Car.find({ owner: userId }).select("_id");
+  const carIds = ownedCars.map((car) => car._id);
+
+  const bookings = await Booking.find({
+    $or: [{ renter: userId }, ...(carIds.length ? [{ car: { $in: carIds } }] : [])],
+  })
+    .populate("car", "title owner")
+    .lean();
+
+  const entries = bookings.flatMap((booking) => {
+    const asRenter = booking.renter?.toString() === userId.toString();
+    return asRenter
+      ? collectPaymentEntries(booking, "renter")
+      : collectPaymentEntries(booking, "owner");
+  });
+
+  if (carIds.length) {
+    const payouts = await Payout.find({ owner: userId }).lean();
+    entries.push(...payouts.map(payoutEntry));
+  }
+
+  return entries.sort((a, b) => new Date(b.date) - new Date(a.date));
+};
@@ -0,0 +1,75 @@
+// utils/paymentVerification.js - Card payments checked against Stripe
+//
+// A payment only counts once Stripe says its PaymentIntent succeeded, for
+// the amount owed and with the metadata of what it pays for. Ids sent by
+// the client are never trusted on their own: they are retrieved from
+// Stripe and checked here before anything is marked paid.
+import { AppError } from "./errorHandler.js";
+
+export class PaymentVerificationError extends AppError {}
+
+// Consistent error payload for controllers
+export const paymentVerificationErrorResponse = (error) => ({
+  success: false,
+  message: error.message,
+  code: error.code,
+});
+
+// Why `paymentIntent` can't be recorded as this payment, or null when it
+// can. `amount` (AED) may list every amount that is acceptable; `metadata`
+// values must match the PaymentIntent's exactly.
+export const checkPaymentIntent = (paymentIntent, { amount, metadata = {} }) => {
+  if (paymentIntent?.status !== "succeeded") {
+    return new PaymentVerificationError(
+      "The card payment has not been completed",
+      400,
+      "PAYMENT_NOT_COMPLETED"
+    );
+  }
+
+  const amounts = [].concat(amount).map((value) => Math.round(value * 100));
+  if (!amounts.includes(paymentIntent.amount)) {
+    return new PaymentVerificationError(
+      "The payment amount does not match what is owed",
+      400,
+      "PAYMENT_AMOUNT_MISMATCH"
+    );
+  }
+
+  const mismatched = Object.entries(metadata).some(
+    ([key, value]) => paymentIntent.metadata?.[key] !== String(value)
+  );
+  if (mismatched) {
+    return new PaymentVerificationError(
+      "This payment was made for something else",
+      400,
+      "PAYMENT_MISMATCH"
+    );
+  }
+  return null;
+};
+
+// Retrieve a PaymentIntent and throw unless it checks out
+export const retrieveVerifiedPayment = async (stripe, paymentIntentId, expected) => {
+  if (!paymentIntentId) {
+    throw new PaymentVerificationError(
+      "A payment id is required",
+      400,
+      "PAYMENT_ID_REQUIRED"
+    );
+  }
+
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  } catch (error) {
+    if (error.type === "StripeInvalidRequestError") {
+      throw new PaymentVerificationError("Payment not found", 404, "PAYMENT_NOT_FOUND");
+    }
+    throw error;
+  }
+
+  const problem = checkPaymentIntent(paymentIntent, expected);
+  if (problem) throw problem;
+  return paymentIntent;
+};
@@ -0,0 +1,159 @@
+// utils/pricingRules.js - Per-car weekend, seasonal and length-of-stay pricing
+import { AppError } from "./errorHandler.js";
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+// Rental days follow the UAE calendar (UTC+4, no daylight saving)
+const UAE_OFFSET_MS = 4 * 60 * 60 * 1000;
+
+export const DEFAULT_WEEKEND_DAYS = [5, 6]; // Friday and Saturday
+export const WEEKLY_DISCOUNT_DAYS = 7;
+export const MONTHLY_DISCOUNT_DAYS = 28;
+export const MAX_SEASONAL_RATES = 20;
+const MIN_RATE = 50;
+const MAX_RATE = 5000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// "YYYY-MM-DD" of the UAE calendar day a moment falls on
+export const toDayKey = (date) =>
+  new Date(new Date(date).getTime() + UAE_OFFSET_MS).toISOString().slice(0, 10);
+
+const weekdayOf = (dayKey) => new Date(`${dayKey}T00:00:00Z`).getUTCDay();
+
+// Seasonal rates win over weekend rates; when seasons overlap, the one that
+// starts later wins (e.g. New Year inside the Dubai Shopping Festival)
+export const getDailyRate = (car, dayKey) => {
+  const rules = car.pricingRules || {};
+
+  const season = (rules.seasonalRates || [])
+    .filter(
+      (s) => toDayKey(s.startDate) <= dayKey && dayKey <= toDayKey(s.endDate)
+    )
+    .sort((a, b) => new Date(b.startDate) - new Date(a.startDate))[0];
+  if (season) {
+    return { rate: season.dailyRate, rule: "seasonal", label: season.name };
+  }
+
+  const weekendDays = rules.weekendDays?.length
+    ? rules.weekendDays
+    : DEFAULT_WEEKEND_DAYS;
+  if (rules.weekendRate && weekendDays.includes(weekdayOf(dayKey))) {
+    return { rate: rules.weekendRate, rule: "weekend", label: "Weekend" };
+  }
+
+  return { rate: car.price, rule: "base", label: "Standard" };
+};
+
+// One entry per rental day between the two dates
+export const priceRentalDays = (car, startDate, endDate) => {
+  const start = new Date(startDate).getTime();
+  const totalDays = Math.ceil((new Date(endDate).getTime() - start) / DAY_MS);
+
+  const days = [];
+  for (let i = 0; i < totalDays; i++) {
+    const date = toDayKey(start + i * DAY_MS);
+    days.push({ date, ...getDailyRate(car, date) });
+  }
+
+  return {
+    days,
+    subtotal: round2(days.reduce((sum, day) => sum + day.rate, 0)),
+  };
+};
+
+// The best length-of-stay discount the rental qualifies for, or null
+export const getLengthOfStayDiscount = (rules = {}, totalDays, subtotal) => {
+  const candidates = [
+    { period: "monthly", minDays: MONTHLY_DISCOUNT_DAYS, percent: rules.monthlyDiscount },
+    { period: "weekly", minDays: WEEKLY_DISCOUNT_DAYS, percent: rules.weeklyDiscount },
+  ];
+  const discount = candidates.find(
+    ({ minDays, percent }) => percent > 0 && totalDays >= minDays
+  );
+  if (!discount) return null;
+
+  return {
+    period: discount.period,
+    percent: discount.percent,
+    amount: round2((subtotal * discount.percent) / 100),
+  };
+};
+
+// Daily rates for a calendar view, from a day key for a number of days
+export const buildPriceCalendar = (car, fromDayKey, days) =>
+  Array.from({ length: days }, (_, i) => {
+    const date = toDayKey(new Date(`${fromDayKey}T00:00:00Z`).getTime() + i * DAY_MS);
+    return { date, ...getDailyRate(car, date) };
+  });
+
+const invalid = (message) => new AppError(message, 400, "INVALID_PRICING_RULES");
+
+const optionalNumber = (value, min, max, field) => {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw invalid(`${field} must be between ${min} and ${max}`);
+  }
+  return number;
+};
+
+// Validate pricing rules from a request (an object or a JSON string from a
+// multipart form) into the shape stored on the car
+export const normalizePricingRules = (input) => {
+  let rules = input;
+  if (typeof input === "string") {
+    try {
+      rules = JSON.parse(input);
+    } catch {
+      throw invalid("Pricing rules must be valid JSON");
+    }
+  }
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    throw invalid("Pricing rules must be an object");
+  }
+
+  const weekendDays = (rules.weekendDays ?? DEFAULT_WEEKEND_DAYS).map?.(Number);
+  if (
+    !weekendDays ||
+    weekendDays.some((day) => !Number.isInteger(day) || day < 0 || day > 6)
+  ) {
+    throw invalid("Weekend days must be weekday numbers from 0 (Sunday) to 6");
+  }
+
+  const seasonalRates = rules.seasonalRates || [];
+  if (!Array.isArray(seasonalRates) || seasonalRates.length > MAX_SEASONAL_RATES) {
+    throw invalid(`Add at most ${MAX_SEASONAL_RATES} seasonal rates`);
+  }
+
+  return {
+    weekendRate: optionalNumber(rules.weekendRate, MIN_RATE, MAX_RATE, "Weekend rate"),
+    weekendDays: [...new Set(weekendDays)].sort((a, b) => a - b),
+    seasonalRates: seasonalRates.map((season) => {
+      const name = season.name?.toString().trim();
+      const startDate = new Date(season.startDate);
+      const endDate = new Date(season.endDate);
+
+      if (!name || name.length > 50) {
+        throw invalid("Each seasonal rate needs a name of up to 50 characters");
+      }
+      if (Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime())) {
+        throw invalid(`${name} needs valid start and end dates`);
+      }
+      if (endDate < startDate) {
+        throw invalid(`${name} must end on or after its start date`);
+      }
+
+      const dailyRate = optionalNumber(
+        season.dailyRate,
+        MIN_RATE,
+        MAX_RATE,
+        `${name} rate`
+      );
+      if (dailyRate === null) throw invalid(`${name} needs a daily rate`);
+
+      return { name, startDate, endDate, dailyRate };
+    }),
+    weeklyDiscount: optionalNumber(rules.weeklyDiscount, 0, 50, "Weekly discount") ?? 0,
+    monthlyDiscount: optionalNumber(rules.monthlyDiscount, 0, 70, "Monthly discount") ?? 0,
+  };
+};
@@ -0,0 +1,125 @@
+// utils/promos.js - Promo code eligibility and discounts
+import Promo from "../models/Promo.js";
+import Booking from "../models/Booking.js";
+import { AppError } from "./errorHandler.js";
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export class PromoError extends AppError {}
+
+// Consistent error payload for controllers
+export const promoErrorResponse = (error) => ({
+  success: false,
+  message: error.message,
+  code: error.code,
+});
+
+export const normalizePromoCode = (code) =>
+  code?.toString().trim().toUpperCase() || "";
+
+// AED off a rental amount; never more than the rental itself
+export const calculatePromoDiscount = (promo, rentalAmount) => {
+  let discount =
+    promo.discountType === "percentage"
+      ? (rentalAmount * promo.discountValue) / 100
+      : promo.discountValue;
+  if (promo.discountType === "percentage" && promo.maxDiscount > 0) {
+    discount = Math.min(discount, promo.maxDiscount);
+  }
+  return round2(Math.min(discount, rentalAmount));
+};
+
+// Why a promo can't be used for this rental, or null when it can
+export const checkPromoEligibility = (
+  promo,
+  { car, totalDays, userRedemptions = 0 },
+  now = new Date()
+) => {
+  if (!promo.isActive) {
+    return { code: "PROMO_INACTIVE", message: "This promo code is no longer active" };
+  }
+  if (now < new Date(promo.validFrom)) {
+    return { code: "PROMO_NOT_STARTED", message: "This promo code is not valid yet" };
+  }
+  if (now > new Date(promo.validTo)) {
+    return { code: "PROMO_EXPIRED", message: "This promo code has expired" };
+  }
+  if (promo.maxRedemptions && promo.redemptionCount >= promo.maxRedemptions) {
+    return {
+      code: "PROMO_EXHAUSTED",
+      message: "This promo code has reached its redemption limit",
+    };
+  }
+  if (userRedemptions >= (promo.perUserLimit || 1)) {
+    return {
+      code: "PROMO_USER_LIMIT",
+      message: "You have already used this promo code",
+    };
+  }
+  if (totalDays < (promo.minRentalDays || 1)) {
+    return {
+      code: "PROMO_MIN_DAYS",
+      message: `This promo code needs a rental of at least ${promo.minRentalDays} days`,
+    };
+  }
+  if (promo.cities?.length && !promo.cities.includes(car.city)) {
+    return {
+      code: "PROMO_NOT_APPLICABLE",
+      message: `This promo code is only valid in ${promo.cities.join(", ")}`,
+    };
+  }
+  if (
+    promo.cars?.length &&
+    !promo.cars.some((id) => id.toString() === car._id.toString())
+  ) {
+    return {
+      code: "PROMO_NOT_APPLICABLE",
+      message: "This promo code is not valid for this car",
+    };
+  }
+  return null;
+};
+
+// Look up a code and price it against a rental, or throw a PromoError
+export const resolvePromo = async (code, { car, userId, pricing }) => {
+  const promo = await Promo.findOne({ code: normalizePromoCode(code) });
+  if (!promo) {
+    throw new PromoError("Promo code not found", 404, "PROMO_NOT_FOUND");
+  }
+
+  const userRedemptions = await Booking.countDocuments({
+    renter: userId,
+    "promo.promoId": promo._id,
+    "promo.released": { $ne: true },
+  });
+
+  const problem = checkPromoEligibility(promo, {
+    car,
+    totalDays: pricing.totalDays,
+    userRedemptions,
+  });
+  if (problem) throw new PromoError(problem.message, 400, problem.code);
+
+  return {
+    promoId: promo._id.toString(),
+    code: promo.code,
+    discountType: promo.discountType,
+    discountValue: promo.discountValue,
+    amount: calculatePromoDiscount(promo, pricing.totalAmount),
+  };
+};
+
+// Give back redemptions of bookings cancelled without save hooks
+// (bulk cancellations when a car is removed)
+export const releasePromoRedemptions = async (bookings) => {
+  const held = bookings.filter((b) => b.promo?.promoId && !b.promo.released);
+  for (const booking of held) {
+    const result = await Booking.updateOne(
+      { _id: booking._id, "promo.released": { $ne: true } },
+      { $set: { "promo.released": true } }
+    );
+    if (result.modifiedCount > 0) {
+      await Promo.releaseRedemption(booking.promo.promoId);
+    }
+  }
+};
@@ -0,0 +1,64 @@
+// utils/stripeCustomers.js - Stripe Customers behind users' saved cards
+//
+// Each user gets one Stripe Customer (User.stripeCustomerId), created the
+// first time they save a card, pay with one or hold a deposit. Every helper
+// takes the Stripe client as its first argument.
+
+// The user's Customer ID, creating the Customer when they don't have one
+export const ensureStripeCustomer = async (stripe, user) => {
+  if (user.stripeCustomerId) return user.stripeCustomerId;
+
+  const customer = await stripe.customers.create({
+    email: user.email,
+    name: user.name,
+    metadata: { userId: user._id.toString() },
+  });
+  user.stripeCustomerId = customer.id;
+  await user.save();
+  console.log(`💳 Created Stripe customer ${customer.id} for user ${user._id}`);
+  return customer.id;
+};
+
+// The saved card, or null when it isn't one of the user's cards
+export const findCustomerCard = async (stripe, user, paymentMethodId) => {
+  if (!user.stripeCustomerId || !paymentMethodId) return null;
+  try {
+    const paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
+    return paymentMethod.customer === user.stripeCustomerId ? paymentMethod : null;
+  } catch (error) {
+    if (error.code === "resource_missing") return null;
+    throw error;
+  }
+};
+
+export const formatSavedCard = (paymentMethod, defaultId) => ({
+  id: paymentMethod.id,
+  brand: paymentMethod.card.brand,
+  last4: paymentMethod.card.last4,
+  expMonth: paymentMethod.card.exp_month,
+  expYear: paymentMethod.card.exp_year,
+  isDefault: paymentMethod.id === defaultId,
+});
+
+// Cards are charged later without the renter (deposit re-authorizations),
+// so they are set up for off-session use
+export const createCardSetupIntent = (stripe, customerId, userId) =>
+  stripe.setupIntents.create({
+    customer: customerId,
+    payment_method_types: ["card"],
+    usage: "off_session",
+    metadata: { userId: userId.toString() },
+  });
+
+// Remove the user's Customer and its cards when the account goes away.
+// A Customer already deleted in Stripe is fine; the caller saves the user.
+export const deleteStripeCustomer = async (stripe, user) => {
+  if (!stripe || !user.stripeCustomerId) return;
+  try {
+    await stripe.customers.del(user.stripeCustomerId);
+    console.log(`🗑️ Deleted Stripe customer ${user.stripeCustomerId}`);
+  } catch (error) {
+    if (error.code !== "resource_missing") throw error;
+  }
+  user.stripeCustomerId = undefined;
+};
@@ -264,6 +264,69 @@ export const validateCreateBooking = [
     .trim()
     .isLength({ max: 500 })
     .withMessage("Notes must not exceed 500 characters"),
+  body("quoteToken")
+    .optional()
+    .isJWT()
+    .withMessage("Please provide a valid price quote"),
+  body("promoCode")
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage("Please provide a valid promo code"),
+];
+
+export const validatePriceQuote = [
+  query("carId").isMongoId().withMessage("Please provide a valid car ID"),
+  query("startDate")
+    .isISO8601()
+    .withMessage("Please provide a valid start date"),
+  query("endDate").isISO8601().withMessage("Please provide a valid end date"),
+  query("deliveryRequested")
+    .optional()
+    .isBoolean()
+    .withMessage("Delivery requested must be true or false"),
+  query("paymentMethod")
+    .optional()
+    .isIn(["Cash", "Card"])
+    .withMessage("Payment method must be Cash or Card"),
+  query("promoCode")
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage("Please provide a valid promo code"),
+];
+
+export const validateBookingPromo = [
+  body("promoCode")
+    .trim()
+    .notEmpty()
+    .withMessage("Please enter a promo code")
+    .isLength({ max: 30 })
+    .withMessage("Please provide a valid promo code"),
+];
+
+export const validateCashConfirmation = [
+  body("amount")
+    .isFloat({ min: 0.01 })
+    .withMessage("Please enter the cash amount received"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot exceed 500 characters"),
+];
+
+export const validateCashDispute = [
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("Please explain what is wrong with the payment")
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+  body("claimedAmount")
+    .optional({ checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage("Amount must be a positive number"),
 ];
 
 export const validateUpdateBookingStatus = [
@@ -288,6 +351,11 @@ export const validateUpdateBookingStatus = [
     .trim()
     .isLength({ min: 10, max: 200 })
     .withMessage("Rejection reason must be between 10 and 200 characters"),
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason must not exceed 500 characters"),
 ];
 
 export const validateAddReview = [
@@ -301,6 +369,114 @@ export const validateAddReview = [
     .withMessage("Comment must not exceed 500 characters"),
 ];
 
+// Pickup/return inspection (multipart: runs after the photo upload middleware)
+export const validateInspection = [
+  body("odometer")
+    .isFloat({ min: 0 })
+    .withMessage("Odometer reading must be a positive number"),
+  body("fuelLevel")
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Fuel level must be between 0 and 100"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Notes must not exceed 1000 characters"),
+  body("damageReported")
+    .optional()
+    .isBoolean()
+    .withMessage("damageReported must be true or false"),
+  body("damageDescription")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Damage description must not exceed 1000 characters"),
+];
+
+// Rental extensions
+export const validateExtension = [
+  body("newEndDate")
+    .isISO8601()
+    .withMessage("Please provide a valid new end date"),
+  body("paymentMethod")
+    .optional()
+    .isIn(["Cash", "Card"])
+    .withMessage("Payment method must be Cash or Card"),
+];
+
+export const validateExtensionDecision = [
+  body("decision")
+    .isIn(["approve", "reject"])
+    .withMessage("Decision must be approve or reject"),
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason must not exceed 500 characters"),
+];
+
+// Booking modifications
+export const validateModification = [
+  body("startDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Please provide a valid start date"),
+  body("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Please provide a valid end date"),
+  body("pickupLocation")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Pickup location must not exceed 200 characters"),
+  body("returnLocation")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Return location must not exceed 200 characters"),
+  body("deliveryRequested")
+    .optional()
+    .isBoolean()
+    .withMessage("Delivery requested must be true or false")
+    .toBoolean(),
+  body("deliveryAddress")
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage("Delivery address must not exceed 300 characters"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes must not exceed 500 characters"),
+];
+
+export const validateModificationDecision = validateExtensionDecision;
+
+// Damage claims
+export const validateCreateClaim = [
+  body("bookingId").isMongoId().withMessage("Valid booking ID is required"),
+  body("description")
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage("Description must be between 10 and 2000 characters"),
+  body("estimatedCost")
+    .isFloat({ min: 1 })
+    .withMessage("Estimated cost must be at least 1 AED"),
+];
+
+export const validateClaimResponse = [
+  body("action")
+    .isIn(["accept", "contest"])
+    .withMessage("Action must be accept or contest"),
+  body("message")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Message must not exceed 1000 characters"),
+];
+
 // Query parameter validation
 export const validatePagination = [
   query("page")
@@ -0,0 +1,30 @@
+// worker.js - Standalone background job worker
+// Run with `npm run worker` and set RUN_SCHEDULER=false on the web servers.
+import dotenv from "dotenv";
+dotenv.config();
+
+import mongoose from "mongoose";
+import { connectDB } from "./config/db.js";
+import { startJobs, stopScheduler } from "./jobs/index.js";
+
+const start = async () => {
+  try {
+    await connectDB();
+    startJobs();
+  } catch (err) {
+    console.error("❌ Worker failed to start:", err.message);
+    process.exit(1);
+  }
+};
+
+const shutdown = async (signal) => {
+  console.log(`👋 ${signal} received. Stopping worker...`);
+  stopScheduler();
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+start();